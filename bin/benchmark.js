@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Benchmarks the packing strategies on reproducible random carts (see src/engine/benchmark.js).
+//
+//   node bin/benchmark.js [--seed 1] [--carts 50] [--sizes small] [--weights heavy] [--strategy greedy]
+//                         [--output report.json] [--baseline baseline.json] [--threshold 1]
+//
+// Prints each strategy's results, and their change against --baseline. Save a baseline with
+// --output. Exits 1 when a metric regressed beyond its threshold, and 2 when the input cannot be used.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    AMAZON_BOX_SIZES,
+    BENCHMARK_METRICS,
+    DEFAULT_CART_OPTIONS,
+    DEFAULT_REGRESSION_THRESHOLDS,
+    PACKING_STRATEGIES,
+    PREDEFINED_ITEMS,
+    SIZE_DISTRIBUTIONS,
+    WEIGHT_DISTRIBUTIONS,
+    compareBenchmarks,
+    generateCarts,
+    importCatalogCSV,
+    importCatalogJSON,
+    importProductsCSV,
+    importProductsJSON,
+    runBenchmark,
+} from '../src/engine/index.js';
+import { readWith } from './readInput.js';
+
+const USAGE = `Usage: benchmark [options]
+
+Carts:
+  --seed <number>          Seed for the random carts (default ${DEFAULT_CART_OPTIONS.seed})
+  --carts <number>         How many carts (default ${DEFAULT_CART_OPTIONS.carts})
+  --min-lines <number>     Fewest distinct products in a cart (default ${DEFAULT_CART_OPTIONS.minLines})
+  --max-lines <number>     Most distinct products in a cart (default ${DEFAULT_CART_OPTIONS.maxLines})
+  --max-quantity <number>  Most units of one product in a cart (default ${DEFAULT_CART_OPTIONS.maxQuantity})
+  --sizes <name>           Product sizes drawn: ${Object.keys(SIZE_DISTRIBUTIONS).join(', ')} (default ${DEFAULT_CART_OPTIONS.sizeDistribution})
+  --weights <name>         Product weights drawn: ${Object.keys(WEIGHT_DISTRIBUTIONS).join(', ')} (default ${DEFAULT_CART_OPTIONS.weightDistribution})
+  --catalog <file>         Box catalog (JSON or CSV) (default: the standard boxes)
+  --products <file>        Custom products (JSON or CSV) to draw from as well as the predefined ones
+
+Run:
+  --strategy <name>        Strategy to run, repeatable: ${Object.keys(PACKING_STRATEGIES).join(', ')} (default: all)
+  --output <file>          Write the report as JSON, e.g. to keep as a baseline
+  --baseline <file>        Report to compare with
+  --threshold <percent>    Worsening of boxes, fill, CO₂ or unpacked items that counts as a regression (default ${DEFAULT_REGRESSION_THRESHOLDS.quality * 100})
+  --runtime-threshold <percent>
+                           Worsening of a runtime percentile that counts as a regression (default ${DEFAULT_REGRESSION_THRESHOLDS.timing * 100})
+  --help                   Show this help`;
+
+// Parses a numeric option, or fails with a message naming it
+const toNumber = (name, value) => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`--${name} must be a number, not '${value}'.`);
+    }
+    return number;
+};
+
+const formatValue = (metric, value) => (Number.isInteger(value) && !BENCHMARK_METRICS[metric].timing ? String(value) : value.toFixed(2));
+
+const formatChange = (change) => {
+    if (!Number.isFinite(change)) return change > 0 ? 'worse (was 0)' : 'better (was 0)';
+    return `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}% ${change > 0 ? 'worse' : change < 0 ? 'better' : ''}`.trimEnd();
+};
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            seed: { type: 'string' },
+            carts: { type: 'string' },
+            'min-lines': { type: 'string' },
+            'max-lines': { type: 'string' },
+            'max-quantity': { type: 'string' },
+            sizes: { type: 'string' },
+            weights: { type: 'string' },
+            catalog: { type: 'string' },
+            products: { type: 'string' },
+            strategy: { type: 'string', multiple: true },
+            output: { type: 'string' },
+            baseline: { type: 'string' },
+            threshold: { type: 'string' },
+            'runtime-threshold': { type: 'string' },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const cartOptions = { ...DEFAULT_CART_OPTIONS };
+    for (const [option, field] of [['seed', 'seed'], ['carts', 'carts'], ['min-lines', 'minLines'], ['max-lines', 'maxLines'], ['max-quantity', 'maxQuantity']]) {
+        if (values[option] !== undefined) cartOptions[field] = toNumber(option, values[option]);
+    }
+    if (values.sizes) cartOptions.sizeDistribution = values.sizes;
+    if (values.weights) cartOptions.weightDistribution = values.weights;
+    const thresholds = {
+        quality: values.threshold === undefined ? DEFAULT_REGRESSION_THRESHOLDS.quality : toNumber('threshold', values.threshold) / 100,
+        timing: values['runtime-threshold'] === undefined ? DEFAULT_REGRESSION_THRESHOLDS.timing : toNumber('runtime-threshold', values['runtime-threshold']) / 100,
+    };
+
+    const predefinedIds = PREDEFINED_ITEMS.map(item => item.id);
+    const customProducts = values.products ? await readWith(values.products, importProductsJSON, importProductsCSV, predefinedIds) : [];
+    const products = [...PREDEFINED_ITEMS, ...customProducts];
+    const boxCatalog = values.catalog ? await readWith(values.catalog, importCatalogJSON, importCatalogCSV) : AMAZON_BOX_SIZES;
+    const baseline = values.baseline ? JSON.parse(await readFile(values.baseline, 'utf8')) : null;
+
+    const carts = generateCarts(products, cartOptions);
+    const report = runBenchmark(carts, {
+        products,
+        boxCatalog,
+        strategies: values.strategy,
+        // Files are named in the workload so runs with other catalogs or products are not compared
+        workload: { ...cartOptions, catalog: values.catalog ?? null, products: values.products ?? null },
+        onCart: (strategy, index) => {
+            if ((index + 1) % 100 === 0) console.error(`${strategy}: packed ${index + 1} of ${carts.length} carts...`);
+        },
+    });
+    if (values.output) await writeFile(values.output, `${JSON.stringify(report, null, 2)}\n`);
+
+    const comparison = baseline ? compareBenchmarks(baseline, report, thresholds) : null;
+    const { seed, minLines, maxLines, maxQuantity, sizeDistribution, weightDistribution } = cartOptions;
+    const lines = [`Carts: ${carts.length} (seed ${seed}, ${minLines}-${maxLines} products of up to ${maxQuantity} units, sizes ${sizeDistribution}, weights ${weightDistribution})`];
+    for (const [strategy, result] of Object.entries(report.results)) {
+        lines.push('', PACKING_STRATEGIES[strategy].label);
+        for (const [metric, { label }] of Object.entries(BENCHMARK_METRICS)) {
+            const row = comparison?.rows.find(candidate => candidate.strategy === strategy && candidate.metric === metric);
+            const change = row ? `  baseline ${formatValue(metric, row.baseline).padStart(9)}  ${formatChange(row.change)}${row.regression ? '  REGRESSION' : ''}` : '';
+            lines.push(`  ${label.padEnd(18)} ${formatValue(metric, result[metric]).padStart(9)}${change}`);
+        }
+    }
+    console.log(lines.join('\n'));
+
+    if (!comparison) return 0;
+    if (comparison.missingStrategies.length) {
+        console.log(`\nNot run, but in the baseline: ${comparison.missingStrategies.join(', ')}`);
+    }
+    if (comparison.regressions.length) {
+        console.log(`\n${comparison.regressions.length} regression(s) against ${values.baseline}.`);
+        return 1;
+    }
+    console.log(`\nNo regressions against ${values.baseline}.`);
+    return 0;
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error.message);
+        for (const problem of error.errors ?? []) console.error(`  - ${problem}`);
+        process.exitCode = 2;
+    },
+);
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Packs order files from the command line with the same engine as the app.
+//
+//   node bin/pack-orders.js orders.json [more.csv ...] [--strategy exact] [--catalog boxes.json]
+//                           [--products products.json] [--output plans.json]
+//
+// Writes {summary, orders} as JSON to --output (or stdout) and a readable summary to stderr.
+// Exits 1 when any order has items no box can take, and 2 when the input cannot be used.
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    AMAZON_BOX_SIZES,
+    PACKING_STRATEGIES,
+    PREDEFINED_ITEMS,
+    importCatalogCSV,
+    importCatalogJSON,
+    importProductsCSV,
+    importProductsJSON,
+    packOrders,
+    parseOrdersCSV,
+    parseOrdersJSON,
+} from '../src/engine/index.js';
+import { readWith } from './readInput.js';
+
+const USAGE = `Usage: pack-orders <orders.json|orders.csv>... [options]
+
+Options:
+  --strategy <name>   Packing strategy: ${Object.keys(PACKING_STRATEGIES).join(', ')} (default greedy)
+  --catalog <file>    Box catalog (JSON or CSV) for orders without their own (default: the standard boxes)
+  --products <file>   Custom products (JSON or CSV) the orders may refer to, besides the predefined ones
+  --output <file>     Where to write the plans as JSON (default: stdout)
+  --help              Show this help`;
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            strategy: { type: 'string', default: 'greedy' },
+            catalog: { type: 'string' },
+            products: { type: 'string' },
+            output: { type: 'string' },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (!PACKING_STRATEGIES[values.strategy]) {
+        console.error(`Unknown packing strategy '${values.strategy}'.`);
+        return 2;
+    }
+
+    const predefinedIds = PREDEFINED_ITEMS.map(item => item.id);
+    const customProducts = values.products ? await readWith(values.products, importProductsJSON, importProductsCSV, predefinedIds) : [];
+    const products = [...PREDEFINED_ITEMS, ...customProducts];
+    const boxCatalog = values.catalog ? await readWith(values.catalog, importCatalogJSON, importCatalogCSV) : AMAZON_BOX_SIZES;
+    const orders = [];
+    for (const file of positionals) {
+        orders.push(...await readWith(file, parseOrdersJSON, parseOrdersCSV, products));
+    }
+
+    const result = packOrders(orders, {
+        products,
+        boxCatalog,
+        strategy: values.strategy,
+        onOrder: (plan, index) => {
+            if ((index + 1) % 100 === 0) console.error(`Packed ${index + 1} of ${orders.length} orders...`);
+        },
+    });
+    const json = `${JSON.stringify(result, null, 2)}\n`;
+    if (values.output) await writeFile(values.output, json);
+    else process.stdout.write(json);
+
+    const { summary } = result;
+    console.error([
+        `Orders:            ${summary.orders} (${summary.strategy})`,
+        `Boxes:             ${summary.totalBoxes}`,
+        `Avg. efficiency:   ${summary.averageEfficiency.toFixed(1)}%`,
+        `CO₂:               ${summary.totalCO2.toFixed(2)} kg`,
+        `CO₂ saved:         ${summary.totalCO2Saved.toFixed(2)} kg`,
+        `Shipping cost:     $${summary.totalShippingCost.toFixed(2)}`,
+    ].join('\n'));
+    if (summary.incompleteOrders.length) {
+        console.error(`Orders with items no box can take: ${summary.incompleteOrders.join(', ')}`);
+        return 1;
+    }
+    return 0;
+};
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error.message);
+        for (const problem of error.errors ?? []) console.error(`  - ${problem}`);
+        process.exitCode = 2;
+    },
+);
@@ -0,0 +1,18 @@
+// Reads the JSON or CSV files the command-line scripts take as input.
+
+import { readFile } from 'node:fs/promises';
+
+const isCSV = (file) => file.toLowerCase().endsWith('.csv');
+
+/**
+ * Reads a file with the JSON or CSV reader its extension calls for.
+ * @param {string} file
+ * @param {function(string, ...*): *} readJSON - E.g. importCatalogJSON.
+ * @param {function(string, ...*): *} readCSV - E.g. importCatalogCSV.
+ * @param {...*} args - Passed on to the reader after the file's text.
+ * @returns {Promise<*>} What the reader returns.
+ */
+export const readWith = async (file, readJSON, readCSV, ...args) => {
+    const text = await readFile(file, 'utf8');
+    return isCSV(file) ? readCSV(text, ...args) : readJSON(text, ...args);
+};
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Serves the packing engine as a local HTTP API (see src/server/api.js).
+//
+//   node bin/serve-api.js [--port 8080] [--host 127.0.0.1] [--catalog boxes.json] [--products products.json]
+//                         [--workers 4] [--timeout 30]
+//
+// The OpenAPI description is served at /openapi.json.
+
+import { parseArgs } from 'node:util';
+import {
+    AMAZON_BOX_SIZES,
+    PREDEFINED_ITEMS,
+    importCatalogCSV,
+    importCatalogJSON,
+    importProductsCSV,
+    importProductsJSON,
+} from '../src/engine/index.js';
+import { DEFAULT_API_WORKERS, DEFAULT_REQUEST_TIMEOUT_MS, createApiServer } from '../src/server/api.js';
+import { readWith } from './readInput.js';
+
+const USAGE = `Usage: serve-api [options]
+
+Options:
+  --port <number>     Port to listen on (default 8080; 0 picks a free one)
+  --host <address>    Address to listen on (default 127.0.0.1, this machine only)
+  --catalog <file>    Box catalog (JSON or CSV) for requests without their own (default: the standard boxes)
+  --products <file>   Custom products (JSON or CSV) requests may refer to, besides the predefined ones
+  --workers <number>  Requests packed at once, each in its own thread (default ${DEFAULT_API_WORKERS})
+  --timeout <seconds> How long one request may take to pack before it gets a 503 (default ${DEFAULT_REQUEST_TIMEOUT_MS / 1000})
+  --help              Show this help`;
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8080' },
+            host: { type: 'string', default: '127.0.0.1' },
+            catalog: { type: 'string' },
+            products: { type: 'string' },
+            workers: { type: 'string', default: String(DEFAULT_API_WORKERS) },
+            timeout: { type: 'string', default: String(DEFAULT_REQUEST_TIMEOUT_MS / 1000) },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`'${values.port}' is not a port number.`);
+        process.exitCode = 2;
+        return;
+    }
+    const workers = Number(values.workers);
+    if (!Number.isInteger(workers) || workers < 1) {
+        console.error(`'${values.workers}' is not a number of workers.`);
+        process.exitCode = 2;
+        return;
+    }
+    const timeout = Number(values.timeout);
+    if (!(timeout > 0)) {
+        console.error(`'${values.timeout}' is not a number of seconds.`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const predefinedIds = PREDEFINED_ITEMS.map(item => item.id);
+    const customProducts = values.products ? await readWith(values.products, importProductsJSON, importProductsCSV, predefinedIds) : [];
+    const boxCatalog = values.catalog ? await readWith(values.catalog, importCatalogJSON, importCatalogCSV) : AMAZON_BOX_SIZES;
+
+    const server = createApiServer({ products: [...PREDEFINED_ITEMS, ...customProducts], boxCatalog, workers, timeoutMs: timeout * 1000 });
+    server.listen(port, values.host, () => {
+        const { address, port: boundPort } = server.address();
+        console.error(`EcoPack API listening on http://${address}:${boundPort} (description at /openapi.json)`);
+    });
+    const stop = () => server.close();
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    for (const problem of error.errors ?? []) console.error(`  - ${problem}`);
+    process.exitCode = 2;
+});
@@ -1,364 +1,149 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Package, Box, Leaf, Clock, Trash2, ShoppingBag, Search, PlusCircle, MinusCircle, Info, Bookmark } from 'lucide-react';
-
-// Define common Amazon box sizes with dimensions (cm) and weight limits (kg)
-// Added baseCO2 (kg) and perKgCO2 (kg/kg) for each box type
-const AMAZON_BOX_SIZES = [
-  { name: 'Small Box (S3)', length: 25, width: 20, height: 12, volume: 6000, maxWeight: 5, baseCO2: 0.15, perKgCO2: 0.06 },
-  { name: 'Medium Box (M3)', length: 35, width: 25, height: 15, volume: 13125, maxWeight: 10, baseCO2: 0.20, perKgCO2: 0.055 },
-  { name: 'Large Box (L4)', length: 45, width: 35, height: 20, volume: 31500, maxWeight: 15, baseCO2: 0.25, perKgCO2: 0.05 },
-  { name: 'X-Large Box (X1)', length: 60, width: 40, height: 30, volume: 72000, maxWeight: 22, baseCO2: 0.30, perKgCO2: 0.045 }
-];
-
-// Helper to calculate item volume
-const getItemVolume = (item) => item.length * item.width * item.height;
-
-/**
- * Checks if an item fits into a box based on dimensions and weight.
- */
-const doesItemFit = (item, box, currentFilledVolume, currentTotalWeight) => {
-    const itemVolume = getItemVolume(item);
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Package, Box, Leaf, Clock, Trash2, ShoppingBag, Search, PlusCircle, MinusCircle, Info, Bookmark, AlertTriangle, Loader2, Undo2, Redo2 } from 'lucide-react';
+import { AMAZON_BOX_SIZES, ORIENTATION_RULES, PREDEFINED_ITEMS, PACKING_STRATEGIES, OPTIMIZER_OBJECTIVES, DEFAULT_OBJECTIVE_WEIGHTS, getActiveBoxTypes, exportCatalogJSON, searchProducts, EMISSION_SOURCES, SUGGESTION_TIERS, getScenarioLineMap, createOrderRecord, FULFILMENT_CENTRES, SOURCING_OBJECTIVES, getSharedCentres, createUnitFormatter } from './engine';
+import BoxCatalogEditor from './components/BoxCatalogEditor';
+import ParetoPlans from './components/ParetoPlans';
+import DeliveryPlanner from './components/DeliveryPlanner';
+import BoxView3D from './components/BoxView3D';
+import ProductCatalogEditor from './components/ProductCatalogEditor';
+import EmissionsSettings from './components/EmissionsSettings';
+import CO2Breakdown from './components/CO2Breakdown';
+import PlanExport from './components/PlanExport';
+import SharedScenario from './components/SharedScenario';
+import SustainabilityDashboard from './components/SustainabilityDashboard';
+import DisplaySettings from './components/DisplaySettings';
+import usePackingJob from './hooks/usePackingJob';
+import usePersistentState from './hooks/usePersistentState';
+import { emptyHistory, recordChange, undo, redo } from './utils/history';
+
+const PREDEFINED_IDS = PREDEFINED_ITEMS.map(item => item.id);
+
+// Short notes on the packing constraints a product carries, for the product list
+const getConstraintLabels = (item, units) => [
+    item.fragile && 'Fragile',
+    item.stackable === false && 'Do not stack',
+    typeof item.maxLoadOnTop === 'number' && `Max ${units.formatWeight(item.maxLoadOnTop)} on top`,
+    item.incompatibleCategories?.length > 0 && `Not with ${item.incompatibleCategories.join(', ')}`,
+    item.shipAlone && 'Ships alone',
+    item.stockLocations?.length > 0 && `Stocked in ${item.stockLocations.join(', ')}`,
+].filter(Boolean);
+
+// One line per CO2 source, for tooltips
+const describeBreakdown = (breakdown, units) =>
+    Object.entries(EMISSION_SOURCES).map(([source, label]) => `${label}: ${units.formatWeight(breakdown[source], 3)}`).join('\n');
+
+// Says when a panel is being worked out, or shows figures for an earlier cart while it is
+const JobStatus = ({ job }) => {
+    if (job.error) {
+        return <p className="text-xs text-red-700 bg-red-50 p-1 rounded-md mb-2">Could not update: {job.error}</p>;
+    }
+    if (!job.pending) return null;
     return (
-        item.length <= box.length &&
-        item.width <= box.width &&
-        item.height <= box.height &&
-        currentFilledVolume + itemVolume <= box.volume &&
-        currentTotalWeight + item.weight <= box.maxWeight
+        <p className="text-xs text-gray-500 flex items-center gap-1 mb-2">
+            <Loader2 size={12} className="animate-spin" />
+            {job.result ? 'Updating… the figures below are for your previous cart.' : 'Working it out…'}
+        </p>
     );
 };
 
-/**
- * Packs items into boxes using an optimal approach that balances carbon efficiency (fewer boxes)
- * and packaging efficiency (higher fill rates).
- *
- * @param {Array<Object>} items - Array of all individual items.
- * @param {Array<Object>} boxTypes - Array of available box types.
- * @returns {Array<Object>} A list of packed boxes.
- */
-const packOptimal = (items, boxTypes) => {
-    if (!items.length) return [];
-
-    const sortedItems = [...items].sort((a, b) => getItemVolume(b) - getItemVolume(a)); // Sort by volume descending
-    const sortedBoxesAsc = [...boxTypes].sort((a, b) => a.volume - b.volume); // Smallest to largest
-
-    // --- Phase 1: Single Box Optimization (Find the SMALLEST single box that fits all items) ---
-    for (const boxType of sortedBoxesAsc) { // Iterate from smallest to largest
-        let tempFilledVolume = 0;
-        let tempTotalWeight = 0;
-        let allItemsFitInOneBox = true;
-
-        for (const item of sortedItems) {
-            if (doesItemFit(item, boxType, tempFilledVolume, tempTotalWeight)) {
-                tempFilledVolume += getItemVolume(item);
-                tempTotalWeight += item.weight;
-            } else {
-                allItemsFitInOneBox = false;
-                break; // This box type cannot fit all items
-            }
-        }
-
-        if (allItemsFitInOneBox) {
-            // Found the smallest single box that fits all items - this is the most efficient single-box solution
-            return [{
-                ...boxType,
-                items: sortedItems,
-                filledVolume: tempFilledVolume,
-                totalWeight: tempTotalWeight,
-            }];
-        }
-    }
-
-    // --- Phase 2: Multi-Package Heuristic (If no single box fits all) ---
-    // Use a greedy approach to pack into the fewest and most efficient combination of multiple boxes.
-    // Prioritize filling existing boxes well, and only open new boxes (smallest suitable) when necessary.
-
-    let packedBoxes = [];
-    let unpackedItems = [...sortedItems]; // Items still needing to be packed
-
-    while (unpackedItems.length > 0) {
-        let currentItem = unpackedItems.shift(); // Take the next largest item to pack
-
-        let bestFitBoxIndex = -1;
-        let highestPotentialFill = -1; // Track the best fill for an *existing* box
-
-        // Try to fit currentItem into an EXISTING box first
-        for (let i = 0; i < packedBoxes.length; i++) {
-            const existingBox = packedBoxes[i];
-            if (doesItemFit(currentItem, existingBox, existingBox.filledVolume, existingBox.totalWeight)) {
-                const potentialNewFill = ((existingBox.filledVolume + getItemVolume(currentItem)) / existingBox.volume) * 100;
-                // Prioritize the box that results in the highest fill percentage *after* adding the item
-                if (potentialNewFill > highestPotentialFill) {
-                    highestPotentialFill = potentialNewFill;
-                    bestFitBoxIndex = i;
-                }
-            }
-        }
-
-        if (bestFitBoxIndex !== -1) {
-            // Place item in the best existing box found
-            const targetBox = packedBoxes[bestFitBoxIndex];
-            targetBox.items.push(currentItem);
-            targetBox.filledVolume += getItemVolume(currentItem);
-            targetBox.totalWeight += currentItem.weight;
-
-            // Try to fill this specific box further with other remaining unpacked items
-            let itemsToRecheck = [...unpackedItems]; // Items still unpacked
-            unpackedItems = []; // Reset unpackedItems to build it back with remaining
-            for (const otherItem of itemsToRecheck) {
-                if (doesItemFit(otherItem, targetBox, targetBox.filledVolume, targetBox.totalWeight)) {
-                    targetBox.items.push(otherItem);
-                    targetBox.filledVolume += getItemVolume(otherItem);
-                    targetBox.totalWeight += otherItem.weight;
-                } else {
-                    unpackedItems.push(otherItem); // This item couldn't fit, keep for next iteration
-                }
-            }
-        } else {
-            // No good fit in existing boxes, open a NEW box.
-            // Find the smallest new box type that can fit this current item.
-            let newBoxType = sortedBoxesAsc.find(box => 
-                currentItem.length <= box.length &&
-                currentItem.width <= box.width &&
-                currentItem.height <= box.height &&
-                currentItem.weight <= box.maxWeight
-            );
-
-            if (newBoxType) {
-                const newBox = {
-                    ...newBoxType,
-                    items: [currentItem],
-                    filledVolume: getItemVolume(currentItem),
-                    totalWeight: currentItem.weight,
-                };
-                // Try to fill this new box further with other remaining unpacked items
-                let itemsToRecheck = [...unpackedItems];
-                unpackedItems = [];
-                for (const otherItem of itemsToRecheck) {
-                    if (doesItemFit(otherItem, newBox, newBox.filledVolume, newBox.totalWeight)) {
-                        newBox.items.push(otherItem);
-                        newBox.filledVolume += getItemVolume(otherItem);
-                        newBox.totalWeight += otherItem.weight;
-                    } else {
-                        unpackedItems.push(otherItem);
-                    }
-                }
-                packedBoxes.push(newBox);
-            } else {
-                // Current item cannot fit in any box type, even a new one.
-                console.warn(`Optimal Packing: Item '${currentItem.name}' cannot be packed into any available box.`);
-                // This item is truly un-packable, it's removed from consideration.
-            }
-        }
-    }
-
-    return packedBoxes;
-};
-
-// Helper to calculate metrics for a set of packed boxes
-const calculateMetrics = (packedBoxes, flatItemList) => {
-    const totalPackedVolume = packedBoxes.reduce((sum, box) => sum + box.filledVolume, 0);
-    const totalBoxesVolume = packedBoxes.reduce((sum, box) => sum + box.volume, 0);
-    
-    const packagingEfficiencyScore = totalBoxesVolume > 0 ? (totalPackedVolume / totalBoxesVolume) * 100 : 0;
-    
-    // Calculate CO2 impact using custom values from each box
-    const optimalCO2Impact = packedBoxes.reduce((sum, box) => {
-        return sum + box.baseCO2 + (box.totalWeight * box.perKgCO2);
-    }, 0);
-
-    // Calculate individual shipment CO2 for comparison (each item shipped separately)
-    // This assumes each item, if shipped alone, would go into the smallest suitable box.
-    const individualShipmentCO2 = flatItemList.reduce((sum, item) => {
-        // Find the smallest box that can fit this single item
-        const suitableBox = AMAZON_BOX_SIZES.sort((a, b) => a.volume - b.volume).find(box =>
-            item.length <= box.length && item.width <= box.width && item.height <= box.height && item.weight <= box.maxWeight
-        );
-        if (suitableBox) {
-            return sum + suitableBox.baseCO2 + (item.weight * suitableBox.perKgCO2);
-        }
-        return sum; // If item can't fit in any box, it's not shipped
-    }, 0);
-
-    const co2SavedByConsolidation = individualShipmentCO2 - optimalCO2Impact;
-
-    // Generate box breakdown string
-    const boxCounts = packedBoxes.reduce((acc, box) => {
-        acc[box.name] = (acc[box.name] || 0) + 1;
-        return acc;
-    }, {});
-    const boxBreakdown = Object.entries(boxCounts)
-        .map(([name, count]) => `${count}x ${name.replace(/\s\(.*\)/, '')}`) // Remove (S3), (M3) etc.
-        .join(', ');
-
-    return {
-        packedBoxes,
-        packagingEfficiencyScore,
-        optimalCO2Impact,
-        co2SavedByConsolidation,
-        totalBoxes: packedBoxes.length,
-        boxBreakdown
-    };
+// What an upgrade suggestion does to the shipment
+const describeChange = (change) => {
+    if (!change) return '';
+    return change.type === 'biggerBox' ? `Swap the ${change.from} for a ${change.to}. ` : 'Repack the order. ';
 };
 
-/**
- * Helper to simulate adding multiple units of an item type to existing boxes without opening new ones.
- * Returns the quantity successfully added and the new packed boxes if successful.
- */
-const tryAddItemsToExistingBoxes = (itemTypeToAdd, quantityToTry, existingPackedBoxes) => {
-    let simulatedPackedBoxes = existingPackedBoxes.map(box => ({
-        ...box,
-        items: [...box.items],
-    }));
-
-    let itemsSuccessfullyAdded = 0;
-
-    for (let q = 0; q < quantityToTry; q++) {
-        let bestBoxIndex = -1;
-        let highestPotentialFill = -1;
-
-        for (let i = 0; i < simulatedPackedBoxes.length; i++) {
-            const box = simulatedPackedBoxes[i];
-            if (doesItemFit(itemTypeToAdd, box, box.filledVolume, box.totalWeight)) {
-                const potentialNewFill = ((box.filledVolume + getItemVolume(itemTypeToAdd)) / box.volume) * 100;
-                if (potentialNewFill > highestPotentialFill) {
-                    highestPotentialFill = potentialNewFill;
-                    bestBoxIndex = i;
-                }
-            }
-        }
-
-        if (bestBoxIndex !== -1) {
-            const targetBox = simulatedPackedBoxes[bestBoxIndex];
-            targetBox.items.push(itemTypeToAdd);
-            targetBox.filledVolume += getItemVolume(itemTypeToAdd);
-            targetBox.totalWeight += itemTypeToAdd.weight;
-            itemsSuccessfullyAdded++;
-        } else {
-            // No more units of this item can fit in existing boxes
-            break;
-        }
-    }
-
-    return {
-        quantityAdded: itemsSuccessfullyAdded,
-        newPackedBoxes: simulatedPackedBoxes,
-        success: itemsSuccessfullyAdded > 0
-    };
-};
-
-
-/**
- * Generates suggestions for adding 'saved for later' items to the current order
- * to improve sustainability metrics, including CO2 savings.
- * @param {Array<Object>} currentFlatItems - Flat list of items currently in the cart.
- * @param {Object} savedForLaterItemsMap - Map of saved items (id -> {item, quantity}).
- * @param {Array<Object>} boxTypes - Available box types.
- * @returns {Array<Object>} List of suggested items with potential benefits including CO2 savings,
- * or indicators if items are too big/heavy.
- */
-const getBulkOrderSuggestions = (currentFlatItems, savedForLaterItemsMap, boxTypes) => {
-    if (Object.keys(savedForLaterItemsMap).length === 0) return [];
-
-    const suggestions = [];
-
-    // Calculate baseline metrics for the current order only
-    const originalPackedBoxes = packOptimal(currentFlatItems, boxTypes);
-    const originalMetrics = calculateMetrics(originalPackedBoxes, currentFlatItems);
-
-    // Iterate through unique item types in savedForLaterItemsMap
-    for (const itemId in savedForLaterItemsMap) {
-        const savedItemType = savedForLaterItemsMap[itemId]; // This is the item object with its total quantity in saved
-        const quantityInSaved = savedItemType.quantity;
-
-        // Try to add as many units as possible of this saved item type to EXISTING boxes
-        const { quantityAdded, newPackedBoxes: hypotheticalPackedBoxesForExisting } = 
-            tryAddItemsToExistingBoxes(savedItemType, quantityInSaved, originalPackedBoxes);
-
-        if (quantityAdded > 0) { // If at least one unit of the saved item fits
-            // Create a hypothetical combined list of items for metric calculation
-            const hypotheticalItemsCombined = [...currentFlatItems];
-            for(let i=0; i<quantityAdded; i++) {
-                hypotheticalItemsCombined.push(savedItemType);
-            }
-            
-            const hypotheticalMetrics = calculateMetrics(hypotheticalPackedBoxesForExisting, hypotheticalItemsCombined);
-
-            // Calculate CO2 impact if *only* these `quantityAdded` saved items were shipped optimally alone
-            const savedItemsOnlyFlatList = [];
-            for(let i=0; i<quantityAdded; i++) {
-                savedItemsOnlyFlatList.push(savedItemType);
-            }
-            const savedItemsOnlyPackedBoxes = packOptimal(savedItemsOnlyFlatList, boxTypes);
-            const savedItemsOnlyMetrics = calculateMetrics(savedItemsOnlyPackedBoxes, savedItemsOnlyFlatList);
-            const co2IfSavedItemShippedSeparately = savedItemsOnlyMetrics.optimalCO2Impact;
-            
-            // Total CO2 if current order and saved item's added quantity are shipped separately
-            const totalCO2IfSeparate = originalMetrics.optimalCO2Impact + co2IfSavedItemShippedSeparately;
-
-            // CO2 saved by combining
-            const co2SavedByCombining = totalCO2IfSeparate - hypotheticalMetrics.optimalCO2Impact;
-
-            const efficiencyImprovement = hypotheticalMetrics.packagingEfficiencyScore - originalMetrics.packagingEfficiencyScore;
-            
-            // Suggest only if there's a positive CO2 saving or a noticeable efficiency improvement
-            if (co2SavedByCombining > 0.01 || efficiencyImprovement > 0.1) {
-                suggestions.push({
-                    type: 'suggestion', // Indicate it's a valid suggestion
-                    item: savedItemType, // The original item type (e.g., {id: 'mug', quantity: 3})
-                    quantityToSuggest: quantityAdded, // The actual quantity that fits
-                    fewerBoxes: false, // Explicitly false as we only consider adding to existing boxes
-                    efficiencyImprovement: efficiencyImprovement,
-                    co2SavedByCombining: co2SavedByCombining,
-                    newTotalBoxes: originalMetrics.totalBoxes, // Total boxes should remain same
-                    oldTotalBoxes: originalMetrics.totalBoxes
-                });
-            }
-        } else { // No units of this saved item type fit in existing boxes
-            suggestions.push({
-                type: 'tooBig', // Indicate it's too big/heavy
-                item: savedItemType,
-                message: `Too large or heavy to fit in with the current order without requiring additional boxes or a larger box type.`
-            });
-        }
-    }
-
-    return suggestions;
-};
-
-
 // Component to render a single visualization block
-const PackingVisualization = ({ title, metrics }) => {
-    const { packedBoxes, packagingEfficiencyScore, optimalCO2Impact, co2SavedByConsolidation, totalBoxes, boxBreakdown } = metrics;
+const PackingVisualization = ({ title, metrics, units }) => {
+    const { packedBoxes, packagingEfficiencyScore, optimalCO2Impact, co2Breakdown, co2SavedByConsolidation, co2SavedBreakdown, voidFillWeight, voidFillSaved, shippingCost, totalBoxes, boxBreakdown, unpackedItems, complete, constraintImpacts } = metrics;
+    const [selectedBoxIndex, setSelectedBoxIndex] = useState(0);
+    const selectedBox = packedBoxes[selectedBoxIndex] || packedBoxes[0];
+    // Boxes are shown by the fulfilment centre they ship from (plans saved before centres have none)
+    const origins = [...new Set(packedBoxes.map(box => box.origin ?? null))];
     return (
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
             <h3 className="text-xl font-bold text-[#131921] mb-3 flex items-center gap-2">
                 <Package className="w-5 h-5 text-gray-600" /> {title}
             </h3>
+            {!complete && (
+                <div className="mb-3 text-xs text-red-800 bg-red-100 border border-red-200 rounded-md p-2">
+                    <p className="font-semibold">Incomplete plan: {unpackedItems.reduce((sum, { quantity }) => sum + quantity, 0)} item(s) cannot be packed in any box.</p>
+                    <ul className="list-disc list-inside mt-1">
+                        {unpackedItems.map(({ item, quantity, reason }) => <li key={item.id}>{quantity}x {item.name}: {units.formatReason(reason)}</li>)}
+                    </ul>
+                </div>
+            )}
+            {constraintImpacts.length > 0 && (
+                <div className="mb-3 text-xs text-yellow-800 bg-yellow-100 border border-yellow-200 rounded-md p-2">
+                    {constraintImpacts.map(impact => <p key={impact.constraint}>{impact.message}</p>)}
+                </div>
+            )}
             <div className="space-y-2 mb-4 text-sm">
                 <p><span className="font-semibold">Total Boxes:</span> <span className="text-blue-700 font-bold">{totalBoxes}</span></p>
                 {totalBoxes > 0 && <p><span className="font-semibold">Box Breakdown:</span> {boxBreakdown || 'N/A'}</p>}
-                <p><span className="font-semibold">Packaging Efficiency:</span> <span className="text-[#FF9900] font-bold">{packagingEfficiencyScore.toFixed(1)}%</span></p>
-                <p><span className="font-semibold">Estimated CO₂ Impact:</span> <span className="text-green-700 font-bold">{optimalCO2Impact.toFixed(2)} kg</span></p>
-                {co2SavedByConsolidation > 0.01 && <p className="text-xs text-green-800 bg-green-100 p-1 rounded-md">Saved ~{co2SavedByConsolidation.toFixed(2)} kg CO₂ compared to individual item shipments.</p>}
-            </div>
-            <div className="flex flex-wrap gap-3 justify-center items-end min-h-[100px]">
-                {packedBoxes.length === 0 ? (
-                    <p className="text-gray-500 text-sm my-auto">No items to pack or items don't fit.</p>
+                {complete ? (
+                    <>
+                        <p><span className="font-semibold">Packaging Efficiency:</span> <span className="text-[#FF9900] font-bold">{units.formatPercent(packagingEfficiencyScore)}</span></p>
+                        <p><span className="font-semibold">Estimated CO₂ Impact:</span> <span className="text-green-700 font-bold">{units.formatWeight(optimalCO2Impact, 2)}</span></p>
+                        <p><span className="font-semibold">Shipping Cost:</span> <span className="font-bold">{units.formatCurrency(shippingCost)}</span></p>
+                        <p><span className="font-semibold">Void Fill:</span> {units.formatSmallWeight(voidFillWeight)}</p>
+                        {co2SavedByConsolidation > 0.01 && <p className="text-xs text-green-800 bg-green-100 p-1 rounded-md">Saved ~{units.formatWeight(co2SavedByConsolidation, 2)} CO₂ compared to individual item shipments.</p>}
+                        {voidFillSaved >= 0.001 && <p className="text-xs text-green-800 bg-green-100 p-1 rounded-md">Uses {units.formatSmallWeight(voidFillSaved)} less dunnage than individual item shipments.</p>}
+                        {totalBoxes > 0 && <CO2Breakdown breakdown={co2Breakdown} savedBreakdown={co2SavedBreakdown} units={units} />}
+                    </>
                 ) : (
-                    packedBoxes.map((box, index) => {
+                    // Figures for a partial plan would understate the order, so only the packed part's CO2 is shown, labelled as such
+                    <p><span className="font-semibold">Estimated CO₂ Impact:</span> <span className="text-gray-600 font-bold">{units.formatWeight(optimalCO2Impact, 2)}</span> <span className="text-xs text-gray-500">(packed items only)</span></p>
+                )}
+            </div>
+            {packedBoxes.length === 0 ? (
+                <div className="flex justify-center items-center min-h-[100px]">
+                    <p className="text-gray-500 text-sm">No items to pack or items don't fit.</p>
+                </div>
+            ) : origins.map(origin => (
+                <div key={origin ?? 'any'} className="mb-2">
+                    {origin && (
+                        <p className="text-xs font-semibold text-gray-600 mb-1">
+                            Ships from {FULFILMENT_CENTRES[origin]?.label ?? origin} ({packedBoxes.filter(box => (box.origin ?? null) === origin).length} box(es))
+                        </p>
+                    )}
+                    <div className="flex flex-wrap gap-3 justify-center items-end min-h-[100px]">
+                    {packedBoxes.map((box, index) => {
+                        if ((box.origin ?? null) !== origin) return null;
                         const filledPercentage = (box.filledVolume / box.volume) * 100;
                         return (
-                            <div key={index} className="relative w-24 h-24 bg-gray-200 rounded-md border border-gray-300 flex flex-col justify-end" title={`${box.name} (${filledPercentage.toFixed(0)}% full)`}>
+                            <div key={index} onClick={() => setSelectedBoxIndex(index)} className={`relative w-24 h-24 bg-gray-200 rounded-md border flex flex-col justify-end cursor-pointer ${box === selectedBox ? 'border-[#007185] ring-2 ring-[#007185]' : 'border-gray-300'}`} title={`${box.name}, ${units.formatDimensions(box)} (${units.formatPercent(filledPercentage, 0)} full), click for the 3D view`}>
                                 <div className="absolute top-0.5 left-0.5 right-0.5 text-center text-xs text-gray-600 font-semibold bg-white/70 rounded px-0.5 py-0">{box.name.replace(/\s\(.*\)/, '')}</div>
                                 <div style={{ height: `${filledPercentage}%` }} className="bg-[#007185] rounded-b-sm flex items-center justify-center text-white font-bold text-sm transition-all duration-500 ease-out">
-                                    {filledPercentage > 20 && `${filledPercentage.toFixed(0)}%`}
+                                    {filledPercentage > 20 && units.formatPercent(filledPercentage, 0)}
                                 </div>
-                                <div className="absolute bottom-0.5 right-0.5 text-xs bg-white/70 text-black px-0.5 rounded">{box.totalWeight.toFixed(1)}kg</div>
+                                <div className="absolute bottom-0.5 right-0.5 text-xs bg-white/70 text-black px-0.5 rounded">{units.formatWeight(box.totalWeight)}</div>
                             </div>
                         );
-                    })
-                )}
-            </div>
+                    })}
+                    </div>
+                </div>
+            ))}
+            {selectedBox && <div className="mt-3"><BoxView3D key={packedBoxes.indexOf(selectedBox)} box={selectedBox} units={units} /></div>}
+        </div>
+    );
+};
+
+
+// Shows how far the greedy plan is from the exact optimizer's plan
+const OptimalityGap = ({ greedyMetrics, optimalMetrics, provenOptimal, units }) => {
+    const boxesSaved = greedyMetrics.totalBoxes - optimalMetrics.totalBoxes;
+    const co2Saved = greedyMetrics.optimalCO2Impact - optimalMetrics.optimalCO2Impact;
+    return (
+        <div className="text-xs bg-white border border-gray-200 rounded-md p-2 mb-3">
+            {boxesSaved > 0 || co2Saved > 0.005 ? (
+                <p>
+                    The greedy plan uses <span className="font-bold">{greedyMetrics.totalBoxes}</span> box(es) and <span className="font-bold">{units.formatWeight(greedyMetrics.optimalCO2Impact, 2)}</span> CO₂:
+                    {' '}<span className="text-green-700 font-semibold">{boxesSaved} box(es) and {units.formatWeight(co2Saved, 2)} CO₂ more</span> than this plan.
+                </p>
+            ) : (
+                <p>The greedy plan is already as good as this one.</p>
+            )}
+            {!provenOptimal && <p className="text-gray-500 mt-1">Search budget ran out: this is the best plan found, not a proven optimum.</p>}
         </div>
     );
 };
@@ -366,45 +151,71 @@ const PackingVisualization = ({ title, metrics }) => {
 
 // Main App component for the Smart Cart Sustainability Optimizer
 function App() {
-  const [cartItems, setCartItems] = useState(() => {
-    const savedItems = localStorage.getItem('smartCartItemsV2');
-    return savedItems ? JSON.parse(savedItems) : {};
-  });
-  const [savedForLaterItems, setSavedForLaterItems] = useState(() => {
-    const savedItems = localStorage.getItem('smartCartSavedForLater');
-    return savedItems ? JSON.parse(savedItems) : {};
-  });
+  // Persisted, and kept in step with other open tabs
+  const [cartItems, setCartItems] = usePersistentState('cart');
+  const [savedForLaterItems, setSavedForLaterItems] = usePersistentState('saved');
+  const [boxCatalog, setBoxCatalog] = usePersistentState('boxCatalog');
+  const [customProducts, setCustomProducts] = usePersistentState('customProducts');
+  const [emissions, setEmissions] = usePersistentState('emissions');
+  const [orderHistory, setOrderHistory] = usePersistentState('orderHistory');
+  const [acceptedSuggestions, setAcceptedSuggestions] = usePersistentState('acceptedSuggestions');
+  const [displaySettings, setDisplaySettings] = usePersistentState('displaySettings');
+  const units = useMemo(() => createUnitFormatter(displaySettings), [displaySettings]);
+  // Undo/redo of cart and Saved for Later changes, as {cart, saved} snapshots
+  const [cartHistory, setCartHistory] = useState(emptyHistory);
   const [searchTerm, setSearchTerm] = useState('');
+  const [packingStrategy, setPackingStrategy] = useState('greedy');
+  const [packingObjective, setPackingObjective] = useState('co2');
+  // Which fulfilment centres to ship from when no single one stocks the whole cart
+  const [sourcingObjective, setSourcingObjective] = useState('co2');
+  const [objectiveWeights, setObjectiveWeights] = useState(DEFAULT_OBJECTIVE_WEIGHTS);
+  // A plan opened from an exported JSON file, shown instead of the live plan while set
+  const [reviewedPlan, setReviewedPlan] = useState(null);
+  const [showParetoPlans, setShowParetoPlans] = useState(false);
+
+  // Call before a cart or Saved for Later change that undo should be able to reverse. Several
+  // changes from one click (e.g. "Add all") see the same state and are undone as one.
+  const recordCartChange = () => {
+    setCartHistory(prev => {
+      const last = prev.past[prev.past.length - 1];
+      if (last?.cart === cartItems && last?.saved === savedForLaterItems) return prev;
+      return recordChange(prev, { cart: cartItems, saved: savedForLaterItems });
+    });
+  };
 
-  const predefinedItems = useMemo(() => [
-    { id: 'book', name: 'Book', length: 25, width: 18, height: 4, weight: 0.8, imageUrl: 'https://placehold.co/60x60/FF9900/FFFFFF?text=Book' },
-    { id: 'laptop', name: 'Laptop', length: 35, width: 25, height: 3, weight: 2.0, imageUrl: 'https://placehold.co/60x60/007185/FFFFFF?text=Laptop' },
-    { id: 'mug', name: 'Coffee Mug', length: 12, width: 9, height: 10, weight: 0.4, imageUrl: 'https://placehold.co/60x60/FFD700/000000?text=Mug' },
-    { id: 'tshirt', name: 'T-Shirt', length: 20, width: 15, height: 2, weight: 0.2, imageUrl: 'https://placehold.co/60x60/87CEEB/FFFFFF?text=Shirt' },
-    { id: 'headphones', name: 'Headphones', length: 20, width: 18, height: 10, weight: 0.3, imageUrl: 'https://placehold.co/60x60/9370DB/FFFFFF?text=HP' },
-    { id: 'keyboard', name: 'Keyboard', length: 45, width: 15, height: 4, weight: 1.0, imageUrl: 'https://placehold.co/60x60/A9A9A9/FFFFFF?text=KB' },
-    { id: 'echo_dot', name: 'Echo Dot', length: 10, width: 10, height: 5, weight: 0.3, imageUrl: 'https://placehold.co/60x60/232F3E/FFFFFF?text=Echo' },
-    { id: 'kindle', name: 'Kindle', length: 17, width: 12, height: 1, weight: 0.18, imageUrl: 'https://placehold.co/60x60/FFFFFF/000000?text=Kindle' },
-    { id: 'fire_tv_stick', name: 'Fire TV Stick', length: 15, width: 4, height: 1.5, weight: 0.05, imageUrl: 'https://placehold.co/60x60/FF4500/FFFFFF?text=FireTV' },
-    { id: 'fire_tablet', name: 'Fire Tablet', length: 20, width: 14, height: 1, weight: 0.3, imageUrl: 'https://placehold.co/60x60/8A2BE2/FFFFFF?text=Tablet' },
-  ], []);
-
-  useEffect(() => {
-    localStorage.setItem('smartCartItemsV2', JSON.stringify(cartItems));
-  }, [cartItems]);
+  const restoreCartSnapshot = (step) => {
+    const stepped = step(cartHistory, { cart: cartItems, saved: savedForLaterItems });
+    if (!stepped) return;
+    setCartHistory(stepped.history);
+    setCartItems(stepped.snapshot.cart);
+    setSavedForLaterItems(stepped.snapshot.saved);
+  };
+  const undoCartChange = () => restoreCartSnapshot(undo);
+  const redoCartChange = () => restoreCartSnapshot(redo);
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
   useEffect(() => {
-    localStorage.setItem('smartCartSavedForLater', JSON.stringify(savedForLaterItems));
-  }, [savedForLaterItems]);
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      event.preventDefault();
+      if (event.shiftKey) redoCartChange();
+      else undoCartChange();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   const handleUpdateQuantity = (item, change) => {
+    recordCartChange();
     setCartItems(prev => {
       const newCart = { ...prev };
       const currentQuantity = newCart[item.id] ? newCart[item.id].quantity : 0;
       const newQuantity = currentQuantity + change;
 
       if (newQuantity > 0) {
-        newCart[item.id] = { ...item, quantity: newQuantity };
+        // Keep cart-only fields such as deliverBy when the item is added again from the product list
+        newCart[item.id] = { ...newCart[item.id], ...item, quantity: newQuantity };
       } else {
         delete newCart[item.id];
       }
@@ -412,26 +223,57 @@ function App() {
     });
   };
 
-  const moveToSavedForLater = (item) => {
+  // Sets (or clears, with an empty date) the desired delivery date of cart lines
+  const changeDeliveryDate = (itemIds, deliverBy) => {
+    setCartItems(prevCart => {
+      const newCart = { ...prevCart };
+      for (const id of itemIds) {
+        if (newCart[id]) newCart[id] = { ...newCart[id], deliverBy: deliverBy || undefined };
+      }
+      return newCart;
+    });
+  };
+
+  // Cart and saved lines carry a copy of their product, so an edited product is copied into them again.
+  // Lines of a deleted product stay as they are until the user removes them.
+  const handleCustomProductsChange = (products, editedId) => {
+    setCustomProducts(products);
+    const edited = editedId && products.find(product => product.id === editedId);
+    if (!edited) return;
+    const refreshLine = (lines) => (lines[editedId] ? { ...lines, [editedId]: { ...lines[editedId], ...edited } } : lines);
+    setCartItems(refreshLine);
+    setSavedForLaterItems(refreshLine);
+  };
+
+  const moveToSavedForLater = (item, quantityToMove = item.quantity) => {
+    recordCartChange();
     setCartItems(prevCart => {
       const newCart = { ...prevCart };
-      delete newCart[item.id]; // Remove all quantity from cart
+      const quantityLeft = (newCart[item.id]?.quantity || 0) - quantityToMove;
+      if (quantityLeft > 0) {
+        newCart[item.id] = { ...newCart[item.id], quantity: quantityLeft };
+      } else {
+        delete newCart[item.id]; // Remove all quantity from cart
+      }
       return newCart;
     });
     setSavedForLaterItems(prevSaved => {
       const newSaved = { ...prevSaved };
       // If item already exists in saved, add quantity, otherwise add new item
-      newSaved[item.id] = { ...item, quantity: (newSaved[item.id]?.quantity || 0) + item.quantity };
+      newSaved[item.id] = { ...item, quantity: (newSaved[item.id]?.quantity || 0) + quantityToMove };
       return newSaved;
     });
   };
 
   const moveToCartFromSaved = (item, quantityToMove = item.quantity) => {
+    recordCartChange();
     setSavedForLaterItems(prevSaved => {
       const newSaved = { ...prevSaved };
-      if (newSaved[item.id]) {
-        newSaved[item.id].quantity -= quantityToMove;
-        if (newSaved[item.id].quantity <= 0) {
+      const line = newSaved[item.id];
+      if (line) {
+        if (line.quantity > quantityToMove) {
+          newSaved[item.id] = { ...line, quantity: line.quantity - quantityToMove };
+        } else {
           delete newSaved[item.id];
         }
       }
@@ -444,25 +286,86 @@ function App() {
     });
   };
 
-  const filteredItems = predefinedItems.filter(item =>
-    item.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // Saved for Later suggestions taken up count towards the next order placed
+  const acceptBulkSuggestions = (suggestions) => {
+    suggestions.forEach(suggestion => moveToCartFromSaved(suggestion.item, suggestion.quantityToSuggest));
+    setAcceptedSuggestions(prev => prev + suggestions.length);
+  };
 
-  const cartAsList = Object.values(cartItems);
+  const acceptRemovalSuggestion = (removal) => {
+    removal.items.forEach(({ item, quantity }) => moveToSavedForLater(cartItems[item.id], quantity));
+  };
+
+  // Keeps the live plan and its figures in the order history, and empties the cart for the next order.
+  // A placed order cannot be taken back, so the cart's undo history goes with it.
+  const placeOrder = () => {
+    setCartHistory(emptyHistory());
+    setOrderHistory(prev => [...prev, createOrderRecord(optimalMetrics, { acceptedSuggestions, emissions })]);
+    setAcceptedSuggestions(0);
+    setCartItems({});
+  };
+
+  // Everything a shared link carries
+  const scenario = useMemo(() => ({
+    cart: Object.values(cartItems),
+    saved: Object.values(savedForLaterItems),
+    products: customProducts,
+    boxCatalog,
+    settings: { packingStrategy, packingObjective, objectiveWeights, emissions, sourcingObjective },
+  }), [cartItems, savedForLaterItems, customProducts, boxCatalog, packingStrategy, packingObjective, objectiveWeights, emissions, sourcingObjective]);
+  const hasLocalState = Object.keys(cartItems).length > 0 || Object.keys(savedForLaterItems).length > 0 || customProducts.length > 0 ||
+    exportCatalogJSON(boxCatalog) !== exportCatalogJSON(AMAZON_BOX_SIZES);
+
+  // Loads a scenario from a shared link in place of the current one
+  const applyScenario = useCallback((linked) => {
+    const products = [...PREDEFINED_ITEMS, ...linked.products];
+    setCustomProducts(linked.products);
+    setBoxCatalog(linked.boxCatalog);
+    setCartItems(getScenarioLineMap(linked.cart, products));
+    setSavedForLaterItems(getScenarioLineMap(linked.saved, products));
+    setPackingStrategy(linked.settings.packingStrategy);
+    setPackingObjective(linked.settings.packingObjective);
+    setSourcingObjective(linked.settings.sourcingObjective ?? 'co2');
+    setObjectiveWeights(linked.settings.objectiveWeights);
+    setEmissions(linked.settings.emissions);
+    setReviewedPlan(null);
+  }, [setCustomProducts, setBoxCatalog, setCartItems, setSavedForLaterItems, setEmissions]);
+
+  const allProducts = useMemo(() => [...PREDEFINED_ITEMS, ...customProducts], [customProducts]);
+  const filteredItems = searchProducts(allProducts, searchTerm);
+
+  const cartAsList = useMemo(() => Object.values(cartItems), [cartItems]);
   const totalItemsInCart = cartAsList.reduce((sum, item) => sum + item.quantity, 0);
+  // No one fulfilment centre stocks everything, so the order ships from several
+  const needsSeveralCentres = getSharedCentres(cartAsList)?.length === 0;
   
-  // Create a flat list of items for the packing algorithm
-  const flatItemList = cartAsList.flatMap(item => Array(item.quantity).fill(item));
-  
-  // Calculate packing for the single optimal strategy
-  const optimalMetrics = useMemo(() => calculateMetrics(packOptimal(flatItemList, AMAZON_BOX_SIZES), flatItemList), [flatItemList]);
-
-  // Convert savedForLaterItems object to a map for suggestions (already a map, but ensuring structure)
-  const savedForLaterItemsMap = savedForLaterItems;
-  const bulkOrderSuggestions = useMemo(() => 
-    getBulkOrderSuggestions(flatItemList, savedForLaterItemsMap, AMAZON_BOX_SIZES), 
-    [flatItemList, savedForLaterItemsMap]
-  );
+  // Packing only uses the box types enabled in the catalog
+  const activeBoxTypes = useMemo(() => getActiveBoxTypes(boxCatalog), [boxCatalog]);
+
+  // Packing and suggestions run in Web Workers. Each panel keeps its last result, shown as
+  // stale, until the one for the current cart arrives.
+  const planJob = usePackingJob('plan', useMemo(() => ({
+    lines: cartAsList, boxTypes: activeBoxTypes, strategy: packingStrategy, objective: packingObjective, weights: objectiveWeights, emissions, sourcingObjective,
+  }), [cartAsList, activeBoxTypes, packingStrategy, packingObjective, objectiveWeights, emissions, sourcingObjective]));
+  // The exact strategy also returns the greedy plan, so the two can be compared
+  const optimization = planJob.result?.optimization ?? null;
+  const optimalMetrics = planJob.result?.metrics ?? null;
+  const greedyMetrics = planJob.result?.greedyMetrics ?? null;
+  // Reasons for cart lines that no box can take, by product id
+  const unpackableReasons = Object.fromEntries((optimalMetrics?.unpackedItems ?? []).map(({ item, reason }) => [item.id, reason]));
+
+  // Several exact searches, so only run while the comparison is open
+  const paretoJob = usePackingJob('paretoPlans', useMemo(() => (
+    showParetoPlans ? { lines: cartAsList, boxTypes: activeBoxTypes, emissions, sourcingObjective } : null
+  ), [showParetoPlans, cartAsList, activeBoxTypes, emissions, sourcingObjective]));
+  const paretoPlans = paretoJob.result ?? [];
+
+  // Saved items worth adding, and cart items that, saved for later, would let the rest ship in fewer or smaller boxes
+  const suggestionsJob = usePackingJob('suggestions', useMemo(() => ({
+    lines: cartAsList, saved: savedForLaterItems, boxTypes: activeBoxTypes, strategy: packingStrategy, objective: packingObjective, weights: objectiveWeights, emissions, sourcingObjective,
+  }), [cartAsList, savedForLaterItems, activeBoxTypes, packingStrategy, packingObjective, objectiveWeights, emissions, sourcingObjective]));
+  const bulkOrderSuggestions = suggestionsJob.result?.bulk ?? [];
+  const removalSuggestions = suggestionsJob.result?.removals ?? [];
 
   return (
     <div className="min-h-screen bg-gray-100 font-sans text-gray-800 p-4 sm:p-6 lg:p-8">
@@ -473,8 +376,11 @@ function App() {
             <span>Amazon <span className="text-[#FF9900]">Eco-Pack</span></span>
           </h1>
           <p className="mt-2 text-lg sm:text-xl opacity-90">Search for products to optimize your delivery.</p>
+          <DisplaySettings settings={displaySettings} onChange={setDisplaySettings} />
         </header>
 
+        <SharedScenario scenario={scenario} hasLocalState={hasLocalState} onApply={applyScenario} />
+
         {/* Changed lg:grid-cols-5 to lg:grid-cols-10 for more granular control */}
         <main className="p-6 sm:p-8 lg:p-10 grid grid-cols-1 lg:grid-cols-10 gap-8">
           {/* Left Column: Products & Search */}
@@ -486,7 +392,7 @@ function App() {
               </h2>
               <input
                 type="text"
-                placeholder="Search for items..."
+                placeholder="Search by name, ID or category..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#FF9900] focus:border-transparent"
@@ -500,15 +406,19 @@ function App() {
                     {/* Removed item icons */}
                     <div className="flex-grow"> {/* Added div to wrap name and dimensions */}
                         <span className="font-semibold text-[#007185] text-sm block">{item.name}</span> {/* block for new line */}
-                        <span className="text-xs text-gray-500">{`${item.length}x${item.width}x${item.height} cm, ${item.weight} kg`}</span>
+                        <span className="text-xs text-gray-500">{`${units.formatDimensions(item)}, ${units.formatWeight(item.weight, 2)}`}{item.category && ` · ${item.category}`}</span>
+                        {item.orientationRule && item.orientationRule !== 'any' && <span className="text-xs text-yellow-700 block">{ORIENTATION_RULES[item.orientationRule]}</span>}
+                        {getConstraintLabels(item, units).length > 0 && <span className="text-xs text-yellow-700 block">{getConstraintLabels(item, units).join(', ')}</span>}
                     </div>
                     <button onClick={() => handleUpdateQuantity(item, 1)} className="ml-auto bg-[#FF9900] text-white font-bold py-1.5 px-3 rounded-lg hover:bg-[#E68A00] transition-colors flex items-center justify-center gap-1 text-sm">
                        <PlusCircle size={14} /> Add
                     </button>
                   </div>
                 ))}
+                {filteredItems.length === 0 && <p className="text-gray-500 text-sm italic">No products match your search.</p>}
               </div>
             </section>
+            <ProductCatalogEditor products={customProducts} reservedIds={PREDEFINED_IDS} units={units} onChange={handleCustomProductsChange} />
           </div>
 
           {/* Middle Column: Cart & Saved for Later */}
@@ -517,6 +427,10 @@ function App() {
             <section className="bg-green-50 p-4 rounded-lg shadow-inner border-2 border-dashed border-green-300 flex-grow">
               <h2 className="text-2xl font-bold text-green-800 mb-4 flex items-center gap-2">
                 <ShoppingBag className="w-6 h-6" /> Your Cart ({totalItemsInCart})
+                <span className="ml-auto flex gap-1">
+                  <button onClick={undoCartChange} disabled={cartHistory.past.length === 0} className="text-gray-600 hover:text-green-800 disabled:opacity-30" title="Undo (Ctrl+Z)"><Undo2 size={20} /></button>
+                  <button onClick={redoCartChange} disabled={cartHistory.future.length === 0} className="text-gray-600 hover:text-green-800 disabled:opacity-30" title="Redo (Ctrl+Shift+Z)"><Redo2 size={20} /></button>
+                </span>
               </h2>
               {cartAsList.length === 0 ? (
                 <p className="text-gray-600 italic text-center my-auto">Add items from the list.</p>
@@ -527,10 +441,19 @@ function App() {
                       <img src={item.imageUrl} alt={item.name} className="w-12 h-12 object-contain rounded mr-3" onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/48x48/CCCCCC/000000?text=Item"; }} />
                       <div className="flex-grow">
                         <span className="text-gray-800 font-medium text-sm">{item.name}</span>
+                        {unpackableReasons[item.id] && (
+                          <span className="text-xs text-red-700 bg-red-100 rounded px-1 py-0.5 mt-1 flex items-center gap-1">
+                            <AlertTriangle size={12} /> Can't be packed: {units.formatReason(unpackableReasons[item.id])}
+                          </span>
+                        )}
                         <div className="flex items-center gap-2 mt-1">
                           <button onClick={() => handleUpdateQuantity(item, -1)} className="text-gray-600 hover:text-red-600"><MinusCircle size={20} /></button>
                           <span className="font-bold text-md">{item.quantity}</span>
                           <button onClick={() => handleUpdateQuantity(item, 1)} className="text-gray-600 hover:text-green-600"><PlusCircle size={20} /></button>
+                          <label className="ml-auto flex items-center gap-1 text-xs text-gray-500" title="Wanted by">
+                            <Clock size={14} />
+                            <input type="date" value={item.deliverBy || ''} onChange={(e) => changeDeliveryDate([item.id], e.target.value)} className="p-0.5 border border-gray-300 rounded" />
+                          </label>
                         </div>
                       </div>
                        <button onClick={() => moveToSavedForLater(item)} className="text-blue-400 hover:text-blue-600 ml-2" title="Save for Later">
@@ -568,6 +491,8 @@ function App() {
                     </ul>
                 )}
             </section>
+
+            <DeliveryPlanner cartLines={cartAsList} boxTypes={activeBoxTypes} emissions={emissions} units={units} onChangeDeliveryDate={changeDeliveryDate} />
           </div>
 
           {/* Right Column: Metrics & Visualization for Optimal approach */}
@@ -575,41 +500,147 @@ function App() {
           <div className="lg:col-span-3 flex flex-col gap-6">
             <section className="bg-gray-50 p-4 rounded-lg shadow-inner border">
                 <h2 className="text-2xl font-bold text-[#131921] mb-4">Optimal Shipment Plan</h2>
-                <PackingVisualization title="Optimized for Sustainability" metrics={optimalMetrics} />
+                <div className="flex flex-wrap gap-2 mb-3 text-sm">
+                    <select value={packingStrategy} onChange={(e) => setPackingStrategy(e.target.value)} className="p-1.5 border border-gray-300 rounded-md bg-white" title="Packing strategy">
+                        {Object.entries(PACKING_STRATEGIES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    {packingStrategy === 'exact' && (
+                        <select value={packingObjective} onChange={(e) => setPackingObjective(e.target.value)} className="p-1.5 border border-gray-300 rounded-md bg-white" title="Optimize for">
+                            {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    )}
+                    {needsSeveralCentres && (
+                        <select value={sourcingObjective} onChange={(e) => setSourcingObjective(e.target.value)} className="p-1.5 border border-gray-300 rounded-md bg-white" title="Choose fulfilment centres for">
+                            {Object.entries(SOURCING_OBJECTIVES).map(([key, { label }]) => <option key={key} value={key}>Centres: {label}</option>)}
+                        </select>
+                    )}
+                </div>
+                {packingStrategy === 'exact' && packingObjective === 'blend' && (
+                    <div className="grid grid-cols-3 gap-2 mb-3 text-xs">
+                        {[['co2', 'CO₂'], ['cost', 'Cost'], ['boxes', 'Boxes']].map(([key, label]) => (
+                            <label key={key} className="flex flex-col">
+                                <span>{label} weight: {objectiveWeights[key]}</span>
+                                <input type="range" min="0" max="5" step="0.5" value={objectiveWeights[key]} onChange={(e) => setObjectiveWeights(prev => ({ ...prev, [key]: Number(e.target.value) }))} />
+                            </label>
+                        ))}
+                    </div>
+                )}
+                <EmissionsSettings emissions={emissions} units={units} onChange={setEmissions} />
+                {reviewedPlan ? (
+                    <>
+                        <div className="text-sm bg-blue-50 border border-blue-200 rounded-md p-2 mb-3 flex items-center justify-between gap-2">
+                            <span>Reviewing a saved plan{reviewedPlan.exportedAt && ` exported ${units.formatDateTime(reviewedPlan.exportedAt)}`}.</span>
+                            <button onClick={() => setReviewedPlan(null)} className="text-[#007185] hover:underline whitespace-nowrap">Back to live plan</button>
+                        </div>
+                        <PackingVisualization title="Saved Plan" metrics={reviewedPlan.metrics} units={units} />
+                        <PlanExport metrics={reviewedPlan.metrics} emissions={reviewedPlan.emissions} units={units} onImport={setReviewedPlan} />
+                    </>
+                ) : (
+                    <>
+                        <JobStatus job={planJob} />
+                        <div className={planJob.pending ? 'opacity-60 transition-opacity' : 'transition-opacity'}>
+                            {optimization && greedyMetrics && (
+                                <OptimalityGap greedyMetrics={greedyMetrics} optimalMetrics={optimalMetrics} provenOptimal={optimization.provenOptimal} units={units} />
+                            )}
+                            {optimalMetrics && <PackingVisualization title="Optimized for Sustainability" metrics={optimalMetrics} units={units} />}
+                        </div>
+                        {optimalMetrics && <PlanExport metrics={optimalMetrics} emissions={emissions} units={units} onImport={setReviewedPlan} />}
+                        {optimalMetrics && totalItemsInCart > 0 && (
+                            <button onClick={placeOrder} disabled={planJob.pending || !optimalMetrics.complete} title={optimalMetrics.complete ? undefined : 'Some items cannot be shipped in any box'} className="mt-3 w-full bg-[#FF9900] text-white font-bold py-2 px-4 rounded-lg hover:bg-[#E68A00] disabled:opacity-50 flex items-center justify-center gap-2">
+                                <ShoppingBag size={16} /> Place order
+                            </button>
+                        )}
+                    </>
+                )}
+                <button onClick={() => setShowParetoPlans(prev => !prev)} className="mt-3 text-sm text-[#007185] hover:underline">
+                    {showParetoPlans ? 'Hide plan comparison' : 'Compare CO₂, cost and box count trade-offs'}
+                </button>
+                {showParetoPlans && (
+                    <div className="mt-2">
+                        <JobStatus job={paretoJob} />
+                        <div className={paretoJob.pending ? 'opacity-60 transition-opacity' : 'transition-opacity'}><ParetoPlans plans={paretoPlans} units={units} /></div>
+                    </div>
+                )}
             </section>
 
             <section className="bg-yellow-50 p-4 rounded-lg shadow-inner border border-yellow-200 flex-grow">
                 <h2 className="text-2xl font-bold text-yellow-800 mb-4 flex items-center gap-2">
                     <Info className="w-6 h-6" /> Bulk Order Suggestion
                 </h2>
+                <JobStatus job={suggestionsJob} />
+                <div className={suggestionsJob.pending ? 'opacity-60 transition-opacity' : 'transition-opacity'}>
                 {bulkOrderSuggestions.length === 0 ? (
                     <p className="text-gray-600 italic">No immediate bulk order suggestions from saved items found. Try adding more items to cart or saving more for later!</p>
                 ) : (
                     <div className="space-y-3">
-                        <p className="text-gray-700">Consider adding these saved items to your current order for better sustainability:</p>
-                        {bulkOrderSuggestions.map((suggestion, index) => (
-                            <div key={index} className={`p-3 rounded-md shadow-sm border ${suggestion.type === 'tooBig' ? 'bg-red-100 border-red-200 text-red-800' : 'bg-white'}`}>
-                                <p className="font-semibold text-gray-800">Add {suggestion.item.name} ({suggestion.item.quantity} item(s))</p>
-                                {suggestion.type === 'suggestion' ? (
-                                    <p className="text-sm text-gray-600 mt-1">
-                                        {suggestion.fewerBoxes && `This could reduce your total boxes from ${suggestion.oldTotalBoxes} to ${suggestion.newTotalBoxes}! `}
-                                        {suggestion.efficiencyImprovement > 0.1 && `Increase packaging efficiency by ${suggestion.efficiencyImprovement.toFixed(1)}%. `}
-                                        {suggestion.co2SavedByCombining > 0.01 && <span className="text-green-700 font-semibold">Save ~{suggestion.co2SavedByCombining.toFixed(2)} kg CO₂.</span>}
-                                    </p>
-                                ) : (
-                                    <p className="text-sm text-red-700 mt-1 font-medium">{suggestion.message}</p>
-                                )}
-                                {suggestion.type === 'suggestion' && (
-                                    <button onClick={() => moveToCartFromSaved(suggestion.item, suggestion.quantityToSuggest)} className="mt-2 bg-green-600 text-white font-bold py-1.5 px-3 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 text-sm">
-                                        <PlusCircle size={16} /> Add {suggestion.quantityToSuggest} to Cart
-                                    </button>
-                                )}
+                        <p className="text-gray-700">Consider adding these saved items to your current order for better sustainability. Each suggestion assumes the ones above it, so they all fit together:</p>
+                        {Object.entries(SUGGESTION_TIERS).map(([tier, { label }]) => {
+                            const tierSuggestions = bulkOrderSuggestions.filter(suggestion => suggestion.tier === tier);
+                            if (tierSuggestions.length === 0) return null;
+                            return (
+                                <div key={tier} className="space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <h3 className="font-semibold text-yellow-900">{label}</h3>
+                                        {tierSuggestions.length > 1 && (
+                                            <button onClick={() => acceptBulkSuggestions(tierSuggestions)} disabled={suggestionsJob.pending} className="disabled:opacity-50 text-sm text-[#007185] hover:underline">
+                                                Add all {tierSuggestions.length}
+                                            </button>
+                                        )}
+                                    </div>
+                                    {tierSuggestions.map((suggestion, index) => (
+                                        <div key={index} className="p-3 rounded-md shadow-sm border bg-white">
+                                            <p className="font-semibold text-gray-800">Add {suggestion.quantityToSuggest} {suggestion.item.name} ({suggestion.item.quantity} saved)</p>
+                                            <p className="text-sm text-gray-600 mt-1">
+                                                {describeChange(suggestion.change)}
+                                                {suggestion.fewerBoxes && `Ships in ${suggestion.newTotalBoxes} box(es) instead of ${suggestion.oldTotalBoxes + suggestion.separateBoxes} sent separately. `}
+                                                {suggestion.efficiencyImprovement > 0.1 && `Increase packaging efficiency by ${units.formatPercent(suggestion.efficiencyImprovement)}. `}
+                                                {suggestion.co2SavedByCombining > 0.01 && <span className="text-green-700 font-semibold" title={describeBreakdown(suggestion.co2SavedBreakdown, units)}>Save ~{units.formatWeight(suggestion.co2SavedByCombining, 2)} CO₂.</span>}
+                                            </p>
+                                            <button onClick={() => acceptBulkSuggestions([suggestion])} disabled={suggestionsJob.pending} className="disabled:opacity-50 mt-2 bg-green-600 text-white font-bold py-1.5 px-3 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 text-sm">
+                                                <PlusCircle size={16} /> Add {suggestion.quantityToSuggest} to Cart
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            );
+                        })}
+                        {bulkOrderSuggestions.filter(suggestion => suggestion.type === 'tooBig').map(suggestion => (
+                            <div key={suggestion.item.id} className="p-3 rounded-md shadow-sm border bg-red-100 border-red-200 text-red-800">
+                                <p className="font-semibold text-gray-800">{suggestion.item.name} ({suggestion.item.quantity} saved)</p>
+                                <p className="text-sm text-red-700 mt-1 font-medium">{suggestion.reason ? `Cannot be shipped in any box: ${units.formatReason(suggestion.reason)}` : suggestion.message}</p>
                             </div>
                         ))}
                     </div>
                 )}
+                {removalSuggestions.length > 0 && (
+                    <div className="mt-4 space-y-2">
+                        <h3 className="font-semibold text-yellow-900 flex items-center gap-2"><Bookmark size={16} /> Remove to save a box</h3>
+                        {removalSuggestions.slice(0, 3).map((removal, index) => (
+                            <div key={index} className="p-3 rounded-md shadow-sm border bg-white">
+                                <p className="font-semibold text-gray-800">Save {removal.items.map(({ item, quantity }) => `${quantity} ${item.name}`).join(' and ')} for later</p>
+                                <p className="text-sm text-gray-600 mt-1">
+                                    {removal.fewerBoxes ? `The rest ships in ${removal.newBoxes.length} box(es) instead of ${removal.oldBoxes.length}: ` : 'The rest ships in smaller boxes: '}
+                                    {removal.oldBoxes.join(', ')} → {removal.newBoxes.join(', ')}.{' '}
+                                    <span className="text-green-700 font-semibold" title={describeBreakdown(removal.co2DifferenceBreakdown, units)}>{units.formatWeight(removal.co2Difference, 2)} CO₂ less for this order.</span>
+                                </p>
+                                <button onClick={() => acceptRemovalSuggestion(removal)} disabled={suggestionsJob.pending} className="disabled:opacity-50 mt-2 bg-yellow-500 text-white font-bold py-1.5 px-3 rounded-lg hover:bg-yellow-600 transition-colors flex items-center gap-2 text-sm">
+                                    <Bookmark size={16} /> Save for later
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                </div>
             </section>
           </div>
+
+          {/* Full-width rows: the impact of past orders, and the box catalog every packing calculation uses */}
+          <div className="lg:col-span-10">
+            <SustainabilityDashboard history={orderHistory} units={units} onClear={() => setOrderHistory([])} />
+          </div>
+          <div className="lg:col-span-10">
+            <BoxCatalogEditor catalog={boxCatalog} units={units} onChange={setBoxCatalog} />
+          </div>
         </main>
       </div>
     </div>
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, PlusCircle, Trash2, Upload, Download, RotateCcw } from 'lucide-react';
+import {
+    AMAZON_BOX_SIZES,
+    DEFAULT_VOID_FILL,
+    VOID_FILL_MATERIALS,
+    createBoxType,
+    fromInputValue,
+    toInputValue,
+    validateBoxCatalog,
+    exportCatalogJSON,
+    importCatalogJSON,
+    exportCatalogCSV,
+    importCatalogCSV,
+} from '../engine';
+import { downloadFile } from '../utils/download';
+
+// Editable numeric columns: [field, header from the unit symbols, quantity shown in display units]
+const NUMBER_COLUMNS = [
+    ['length', ({ length }) => `L (${length})`, 'length'],
+    ['width', ({ length }) => `W (${length})`, 'length'],
+    ['height', ({ length }) => `H (${length})`, 'length'],
+    ['maxWeight', ({ weight }) => `Max (${weight})`, 'weight'],
+    ['tareWeight', ({ weight }) => `Tare (${weight})`, 'weight'],
+    ['baseCO2', ({ weight }) => `Base CO₂ (${weight})`, 'weight'],
+    // CO₂ per kg carried is the same ratio per lb
+    ['perKgCO2', ({ weight }) => `CO₂ per ${weight}`, null],
+    ['cost', () => 'Cost ($)', null],
+];
+
+// Draft rows hold input strings in display units, and the box type each row started from
+const toDraft = (catalog, units) => catalog.map(boxType => ({
+    ...boxType,
+    ...Object.fromEntries(NUMBER_COLUMNS.map(([field, , quantity]) => [field, quantity ? units.toInput(boxType[field], quantity) : String(boxType[field])])),
+    source: boxType,
+}));
+
+// Converts draft rows back to box types before validating; values left as shown keep their exact value
+const fromDraft = (draft, units) => draft.map(({ source, ...row }) => createBoxType({
+    ...row,
+    ...Object.fromEntries(NUMBER_COLUMNS.map(([field, , quantity]) => [
+        field,
+        quantity ? units.fromInput(row[field], quantity, source?.[field]) : (row[field] === '' ? NaN : Number(row[field])),
+    ])),
+}));
+
+/**
+ * Editor for the box catalog: add, edit, disable and delete box types, and import or export
+ * the catalog as JSON or CSV. Edits are kept as a draft until they validate and are applied.
+ */
+const BoxCatalogEditor = ({ catalog, units, onChange }) => {
+    const [draft, setDraft] = useState(() => toDraft(catalog, units));
+    const [isDirty, setIsDirty] = useState(false);
+    const [errors, setErrors] = useState([]);
+
+    // A new catalog from outside (import, reset) replaces any unsaved edits; a change of units alone does not
+    const catalogRef = useRef(catalog);
+    useEffect(() => {
+        if (catalogRef.current === catalog) return;
+        catalogRef.current = catalog;
+        setDraft(toDraft(catalog, units));
+        setIsDirty(false);
+    }, [catalog, units]);
+
+    // Unsaved edits follow a change of units
+    const unitSystemRef = useRef(units.unitSystem);
+    useEffect(() => {
+        const previous = unitSystemRef.current;
+        if (previous === units.unitSystem) return;
+        unitSystemRef.current = units.unitSystem;
+        setDraft(prev => prev.map(row => ({
+            ...row,
+            ...Object.fromEntries(NUMBER_COLUMNS.filter(([, , quantity]) => quantity).map(([field, , quantity]) => [
+                field,
+                toInputValue(fromInputValue(row[field], quantity, previous, row.source?.[field]), quantity, units.unitSystem),
+            ])),
+        })));
+    }, [units.unitSystem]);
+
+    const updateField = (index, field, value) => {
+        setDraft(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+        setIsDirty(true);
+    };
+
+    const addBoxType = () => {
+        setDraft(prev => [...prev, {
+            id: `BOX${prev.length + 1}`, name: 'New Box', voidFill: DEFAULT_VOID_FILL, enabled: true,
+            ...Object.fromEntries(NUMBER_COLUMNS.map(([field]) => [field, ''])),
+        }]);
+        setIsDirty(true);
+    };
+
+    const deleteBoxType = (index) => {
+        setDraft(prev => prev.filter((_, i) => i !== index));
+        setIsDirty(true);
+    };
+
+    const applyDraft = () => {
+        const nextCatalog = fromDraft(draft, units);
+        const problems = validateBoxCatalog(nextCatalog);
+        setErrors(problems);
+        if (problems.length === 0) onChange(nextCatalog);
+    };
+
+    const discardDraft = () => {
+        setDraft(toDraft(catalog, units));
+        setIsDirty(false);
+        setErrors([]);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        const importCatalog = file.name.toLowerCase().endsWith('.csv') ? importCatalogCSV : importCatalogJSON;
+        try {
+            onChange(importCatalog(await file.text()));
+            setErrors([]);
+        } catch (error) {
+            setErrors(error.errors?.length ? error.errors : [error.message]);
+        }
+    };
+
+    return (
+        <details className="bg-gray-50 p-4 rounded-lg shadow-inner border">
+            <summary className="text-2xl font-bold text-[#131921] cursor-pointer flex items-center gap-2">
+                <Box className="w-6 h-6 text-[#007185]" /> Box Catalog
+                <span className="text-sm font-normal text-gray-500">({catalog.filter(boxType => boxType.enabled).length} of {catalog.length} enabled)</span>
+            </summary>
+            <div className="mt-4 overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-600">
+                            <th className="p-1">On</th>
+                            <th className="p-1">ID</th>
+                            <th className="p-1">Name</th>
+                            {NUMBER_COLUMNS.map(([field, header]) => <th key={field} className="p-1">{header(units.symbols)}</th>)}
+                            <th className="p-1">Void Fill</th>
+                            <th className="p-1" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.map((row, index) => (
+                            <tr key={index} className={row.enabled ? '' : 'opacity-50'}>
+                                <td className="p-1">
+                                    <input type="checkbox" checked={row.enabled} onChange={(e) => updateField(index, 'enabled', e.target.checked)} title="Enabled" />
+                                </td>
+                                <td className="p-1">
+                                    <input value={row.id} onChange={(e) => updateField(index, 'id', e.target.value)} className="w-16 p-1 border border-gray-300 rounded" />
+                                </td>
+                                <td className="p-1">
+                                    <input value={row.name} onChange={(e) => updateField(index, 'name', e.target.value)} className="w-40 p-1 border border-gray-300 rounded" />
+                                </td>
+                                {NUMBER_COLUMNS.map(([field]) => (
+                                    <td key={field} className="p-1">
+                                        <input type="number" min="0" step="any" value={row[field]} onChange={(e) => updateField(index, field, e.target.value)} className="w-20 p-1 border border-gray-300 rounded" />
+                                    </td>
+                                ))}
+                                <td className="p-1">
+                                    <select value={row.voidFill} onChange={(e) => updateField(index, 'voidFill', e.target.value)} className="p-1 border border-gray-300 rounded">
+                                        {Object.entries(VOID_FILL_MATERIALS).map(([material, { label }]) => <option key={material} value={material}>{label}</option>)}
+                                    </select>
+                                </td>
+                                <td className="p-1">
+                                    <button onClick={() => deleteBoxType(index)} className="text-red-400 hover:text-red-600" title="Delete box type">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {errors.length > 0 && (
+                <ul className="mt-3 text-sm text-red-700 bg-red-100 border border-red-200 rounded-md p-2 list-disc list-inside">
+                    {errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+            )}
+            <div className="mt-3 flex flex-wrap gap-2 text-sm">
+                <button onClick={addBoxType} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <PlusCircle size={14} /> Add Box Type
+                </button>
+                <button onClick={applyDraft} disabled={!isDirty} className="bg-[#FF9900] text-white font-bold py-1.5 px-3 rounded-lg hover:bg-[#E68A00] disabled:opacity-50">
+                    Apply Changes
+                </button>
+                <button onClick={discardDraft} disabled={!isDirty} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 disabled:opacity-50">
+                    Discard
+                </button>
+                <label className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1 cursor-pointer">
+                    <Upload size={14} /> Import JSON/CSV
+                    <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} className="hidden" />
+                </label>
+                <button onClick={() => downloadFile('box-catalog.json', exportCatalogJSON(catalog), 'application/json')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <Download size={14} /> Export JSON
+                </button>
+                <button onClick={() => downloadFile('box-catalog.csv', exportCatalogCSV(catalog), 'text/csv')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <Download size={14} /> Export CSV
+                </button>
+                <button onClick={() => onChange(AMAZON_BOX_SIZES)} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <RotateCcw size={14} /> Reset to Defaults
+                </button>
+            </div>
+        </details>
+    );
+};
+
+export default BoxCatalogEditor;
@@ -0,0 +1,174 @@
+import React, { useState, useRef } from 'react';
+import { RotateCcw, RotateCw, ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+
+// Distance items move away from the box centre in explode mode, as a share of their offset
+const EXPLODE_FACTOR = 0.8;
+
+// A stable colour per product id
+const colourFor = (id) => {
+    let hash = 0;
+    for (const char of String(id)) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    return hash;
+};
+
+// The 8 corners of a cuboid and its 6 faces as corner indices, with outward normals
+const cuboidCorners = ({ x, y, z }, { length, width, height }) => [
+    [x, y, z], [x + length, y, z], [x + length, y + width, z], [x, y + width, z],
+    [x, y, z + height], [x + length, y, z + height], [x + length, y + width, z + height], [x, y + width, z + height],
+];
+const FACES = [
+    { corners: [0, 1, 2, 3], normal: [0, 0, -1], shade: 0.55 },
+    { corners: [4, 5, 6, 7], normal: [0, 0, 1], shade: 1 },
+    { corners: [0, 1, 5, 4], normal: [0, -1, 0], shade: 0.8 },
+    { corners: [3, 2, 6, 7], normal: [0, 1, 0], shade: 0.7 },
+    { corners: [0, 3, 7, 4], normal: [-1, 0, 0], shade: 0.65 },
+    { corners: [1, 2, 6, 5], normal: [1, 0, 0], shade: 0.85 },
+];
+const BOX_EDGES = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+/**
+ * Orthographic camera turned `yaw` degrees around the vertical axis and looking down at `pitch` degrees.
+ * Maps box coordinates (x along length, y along width, z up) to SVG coordinates plus a depth.
+ */
+const makeCamera = (yaw, pitch, centre) => {
+    const a = (yaw * Math.PI) / 180;
+    const p = (pitch * Math.PI) / 180;
+    const turn = ([x, y, z]) => [x * Math.cos(a) - y * Math.sin(a), x * Math.sin(a) + y * Math.cos(a), z];
+    return {
+        project: ([x, y, z]) => {
+            const [x1, y1, z1] = turn([x - centre[0], y - centre[1], z - centre[2]]);
+            return { x: x1, y: -(y1 * Math.sin(p) + z1 * Math.cos(p)), depth: y1 * Math.cos(p) - z1 * Math.sin(p) };
+        },
+        // A face is visible when its normal points back towards the camera
+        faces: (normal) => {
+            const [, ny, nz] = turn(normal);
+            return ny * Math.cos(p) - nz * Math.sin(p) < 0;
+        },
+    };
+};
+
+/**
+ * Interactive isometric view of one packed box: each item is a coloured cuboid at its packed
+ * position. Drag or use the buttons to rotate, the slider to zoom, and explode mode to pull the
+ * items apart. The packing order below doubles as a packing instruction.
+ */
+const BoxView3D = ({ box, units }) => {
+    const [yaw, setYaw] = useState(-35);
+    const [pitch, setPitch] = useState(30);
+    const [zoom, setZoom] = useState(1);
+    const [exploded, setExploded] = useState(false);
+    const [hoveredIndex, setHoveredIndex] = useState(null);
+    const dragStart = useRef(null);
+
+    const centre = [box.length / 2, box.width / 2, box.height / 2];
+    const camera = makeCamera(yaw, pitch, centre);
+
+    const cuboids = box.items.map((item, index) => {
+        const { position, orientation } = item;
+        const itemCentre = [
+            position.x + orientation.length / 2, position.y + orientation.width / 2, position.z + orientation.height / 2,
+        ];
+        const offset = exploded ? itemCentre.map((value, axis) => (value - centre[axis]) * EXPLODE_FACTOR) : [0, 0, 0];
+        const corners = cuboidCorners(
+            { x: position.x + offset[0], y: position.y + offset[1], z: position.z + offset[2] },
+            orientation,
+        ).map(camera.project);
+        const depth = corners.reduce((sum, corner) => sum + corner.depth, 0) / corners.length;
+        return { item, index, corners, depth };
+    });
+    const boxCorners = cuboidCorners({ x: 0, y: 0, z: 0 }, box).map(camera.project);
+
+    // Fit everything in view, then zoom by shrinking the view box
+    const allPoints = [...boxCorners, ...cuboids.flatMap(cuboid => cuboid.corners)];
+    const minX = Math.min(...allPoints.map(point => point.x));
+    const maxX = Math.max(...allPoints.map(point => point.x));
+    const minY = Math.min(...allPoints.map(point => point.y));
+    const maxY = Math.max(...allPoints.map(point => point.y));
+    const margin = 4;
+    const viewWidth = (maxX - minX + 2 * margin) / zoom;
+    const viewHeight = (maxY - minY + 2 * margin) / zoom;
+    const viewBox = [
+        (minX + maxX) / 2 - viewWidth / 2, (minY + maxY) / 2 - viewHeight / 2, viewWidth, viewHeight,
+    ].join(' ');
+
+    const visibleFaces = FACES.filter(face => camera.faces(face.normal));
+    const drawOrder = [...cuboids].sort((a, b) => b.depth - a.depth); // Painter's algorithm: far items first
+    const hovered = cuboids[hoveredIndex];
+    const labelAnchor = hovered && hovered.corners.reduce((top, corner) => (corner.y < top.y ? corner : top));
+    const fontSize = Math.max(viewWidth, viewHeight) / 22;
+
+    const handlePointerDown = (e) => {
+        dragStart.current = { x: e.clientX, y: e.clientY, yaw, pitch };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+    const handlePointerMove = (e) => {
+        if (!dragStart.current) return;
+        setYaw(dragStart.current.yaw + (e.clientX - dragStart.current.x) * 0.5);
+        setPitch(Math.min(89, Math.max(-10, dragStart.current.pitch + (e.clientY - dragStart.current.y) * 0.5)));
+    };
+    const handlePointerUp = () => {
+        dragStart.current = null;
+    };
+
+    return (
+        <div className="bg-white rounded-md border border-gray-200 p-2">
+            <div className="flex items-center gap-2 text-xs mb-1">
+                <button onClick={() => setYaw(prev => prev - 30)} className="text-gray-600 hover:text-[#007185]" title="Rotate left"><RotateCcw size={16} /></button>
+                <button onClick={() => setYaw(prev => prev + 30)} className="text-gray-600 hover:text-[#007185]" title="Rotate right"><RotateCw size={16} /></button>
+                <ZoomOut size={14} className="text-gray-500" />
+                <input type="range" min="0.5" max="3" step="0.1" value={zoom} onChange={(e) => setZoom(Number(e.target.value))} className="w-20" title="Zoom" />
+                <ZoomIn size={14} className="text-gray-500" />
+                <button onClick={() => setExploded(prev => !prev)} className={`ml-auto flex items-center gap-1 px-2 py-0.5 rounded border ${exploded ? 'bg-[#007185] text-white border-[#007185]' : 'border-gray-300 text-gray-700'}`}>
+                    <Maximize2 size={12} /> Explode
+                </button>
+            </div>
+            <svg
+                viewBox={viewBox}
+                className="w-full h-56 cursor-grab touch-none select-none"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerLeave={() => setHoveredIndex(null)}
+            >
+                {BOX_EDGES.map(([from, to], index) => (
+                    <line key={index} x1={boxCorners[from].x} y1={boxCorners[from].y} x2={boxCorners[to].x} y2={boxCorners[to].y}
+                        stroke="#9CA3AF" strokeWidth={fontSize / 12} strokeDasharray={`${fontSize / 4} ${fontSize / 6}`} />
+                ))}
+                {drawOrder.map(({ item, index, corners }) => {
+                    const hue = colourFor(item.id);
+                    const highlighted = index === hoveredIndex;
+                    return (
+                        <g key={index} onPointerEnter={() => setHoveredIndex(index)}>
+                            {visibleFaces.map((face, faceIndex) => (
+                                <polygon
+                                    key={faceIndex}
+                                    points={face.corners.map(corner => `${corners[corner].x},${corners[corner].y}`).join(' ')}
+                                    fill={`hsl(${hue}, 65%, ${Math.round((highlighted ? 60 : 45) * face.shade + 15)}%)`}
+                                    stroke="#1F2937"
+                                    strokeWidth={fontSize / 20}
+                                    strokeLinejoin="round"
+                                />
+                            ))}
+                        </g>
+                    );
+                })}
+                {hovered && (
+                    <text x={labelAnchor.x} y={labelAnchor.y - fontSize / 2} fontSize={fontSize} textAnchor="middle"
+                        fill="#131921" stroke="white" strokeWidth={fontSize / 5} paintOrder="stroke" pointerEvents="none">
+                        {hovered.item.name}
+                    </text>
+                )}
+            </svg>
+            <ol className="text-xs text-gray-600 mt-1 list-decimal list-inside max-h-28 overflow-y-auto">
+                {box.items.map((item, index) => (
+                    <li key={index} onMouseEnter={() => setHoveredIndex(index)} onMouseLeave={() => setHoveredIndex(null)}
+                        className={index === hoveredIndex ? 'font-semibold text-[#007185]' : ''}>
+                        {item.name} at {units.formatPosition(item.position)}, {units.formatDimensions(item.orientation)}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default BoxView3D;
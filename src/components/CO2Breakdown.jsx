@@ -0,0 +1,39 @@
+import React from 'react';
+import { EMISSION_SOURCES, combineBreakdowns, sumBreakdown } from '../engine';
+
+/**
+ * Audit table of a plan's CO₂ by source, next to shipping every item alone and the difference.
+ */
+const CO2Breakdown = ({ breakdown, savedBreakdown, units }) => {
+    const individual = combineBreakdowns(breakdown, savedBreakdown);
+    return (
+        <details className="text-xs">
+            <summary className="cursor-pointer text-[#007185] hover:underline">CO₂ by source</summary>
+            <table className="w-full mt-1">
+                <thead>
+                    <tr className="text-left text-gray-500">
+                        <th className="font-normal">Source</th>
+                        <th className="font-normal text-right">This plan</th>
+                        <th className="font-normal text-right">Items alone</th>
+                        <th className="font-normal text-right">Saved</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {[...Object.entries(EMISSION_SOURCES), ['total', 'Total']].map(([source, label]) => {
+                        const value = (b) => (source === 'total' ? sumBreakdown(b) : b[source]);
+                        return (
+                            <tr key={source} className={source === 'total' ? 'font-semibold border-t border-gray-200' : ''}>
+                                <td>{label}</td>
+                                <td className="text-right">{units.formatWeight(value(breakdown), 3)}</td>
+                                <td className="text-right">{units.formatWeight(value(individual), 3)}</td>
+                                <td className="text-right">{units.formatWeight(value(savedBreakdown), 3)}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </details>
+    );
+};
+
+export default CO2Breakdown;
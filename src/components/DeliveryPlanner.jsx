@@ -0,0 +1,78 @@
+import React, { useState, useMemo } from 'react';
+import { Clock } from 'lucide-react';
+import { findDeliveryTradeoffs } from '../engine';
+
+const WINDOW_OPTIONS = [1, 2, 3, 7];
+
+/**
+ * Plans the cart as one shipment per delivery window and offers date changes priced in CO2:
+ * waiting for a later shipment, or splitting items off for an earlier one.
+ */
+const DeliveryPlanner = ({ cartLines, boxTypes, emissions, units, onChangeDeliveryDate }) => {
+    const [windowDays, setWindowDays] = useState(1);
+    const hasDates = cartLines.some(line => line.deliverBy);
+
+    const { plan, later, earlier } = useMemo(
+        () => findDeliveryTradeoffs(hasDates ? cartLines : [], boxTypes, { windowDays, emissions }),
+        [cartLines, boxTypes, windowDays, hasDates, emissions],
+    );
+
+    const formatDate = (date) => (date ? units.formatDate(`${date}T00:00:00`, { weekday: 'short', month: 'short', day: 'numeric' }) : 'Any day');
+    const names = (itemIds) => itemIds.map(id => cartLines.find(line => line.id === id)?.name).join(', ');
+
+    return (
+        <section className="bg-purple-50 p-4 rounded-lg shadow-inner border-2 border-dashed border-purple-300">
+            <h2 className="text-2xl font-bold text-purple-800 mb-4 flex items-center gap-2">
+                <Clock className="w-6 h-6" /> Delivery Planner
+            </h2>
+            {!hasDates ? (
+                <p className="text-gray-600 italic text-center">Set a delivery date on cart items to plan shipments by day.</p>
+            ) : (
+                <div className="space-y-3 text-sm">
+                    <label className="flex items-center gap-2">
+                        Group deliveries within
+                        <select value={windowDays} onChange={(e) => setWindowDays(Number(e.target.value))} className="p-1 border border-gray-300 rounded-md bg-white">
+                            {WINDOW_OPTIONS.map(days => <option key={days} value={days}>{days} day{days > 1 ? 's' : ''}</option>)}
+                        </select>
+                    </label>
+                    <ul className="space-y-1">
+                        {plan.shipments.map((shipment, index) => (
+                            <li key={index} className="bg-white p-2 rounded-md border">
+                                <span className="font-semibold">{formatDate(shipment.date)}:</span> {shipment.lines.map(line => `${line.quantity}x ${line.name}`).join(', ')}
+                                <span className="block text-xs text-gray-500">{shipment.metrics.boxBreakdown || 'No boxes'} · {units.formatWeight(shipment.metrics.optimalCO2Impact, 2)} CO₂</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <p>Total: <span className="font-bold">{plan.totalBoxes}</span> box(es), <span className="text-green-700 font-bold">{units.formatWeight(plan.totalCO2, 2)} CO₂</span></p>
+                    {later.length > 0 && (
+                        <div className="space-y-1">
+                            <p className="font-semibold text-green-800">Accept a later date</p>
+                            {later.map((option, index) => (
+                                <div key={index} className="flex items-center justify-between bg-white p-2 rounded-md border gap-2">
+                                    <span>{names(option.itemIds)} on {formatDate(option.toDate)}: <span className="text-green-700 font-semibold">save {units.formatWeight(-option.co2Change, 2)} CO₂</span>{option.boxChange < 0 && `, ${-option.boxChange} fewer box(es)`}</span>
+                                    <button onClick={() => onChangeDeliveryDate(option.itemIds, option.toDate)} className="bg-green-600 text-white font-bold py-1 px-2 rounded-lg hover:bg-green-700 text-xs">Accept</button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    {earlier.length > 0 && (
+                        <div className="space-y-1">
+                            <p className="font-semibold text-gray-700">Get items sooner</p>
+                            {earlier.map((option, index) => (
+                                <div key={index} className="flex items-center justify-between bg-white p-2 rounded-md border gap-2">
+                                    <span>{names(option.itemIds)} by {formatDate(option.toDate)}: {option.co2Change > 0.005
+                                        ? <span className="text-red-700 font-semibold">+{units.formatWeight(option.co2Change, 2)} CO₂</span>
+                                        : <span className="text-green-700 font-semibold">no extra CO₂</span>}
+                                    </span>
+                                    <button onClick={() => onChangeDeliveryDate(option.itemIds, option.toDate)} className="bg-white border border-gray-300 py-1 px-2 rounded-lg hover:bg-gray-100 text-xs">Get Sooner</button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default DeliveryPlanner;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Ruler } from 'lucide-react';
+import { UNIT_SYSTEMS, DISPLAY_LOCALES } from '../engine';
+
+/**
+ * Chooses the units sizes, weights and CO₂ are shown and typed in, and the locale numbers and
+ * dates are formatted for. Only the display changes; plans are worked out in cm and kg.
+ */
+const DisplaySettings = ({ settings, onChange }) => (
+    <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-sm">
+        <Ruler size={16} className="text-[#FF9900]" />
+        <select value={settings.unitSystem} onChange={(e) => onChange({ ...settings, unitSystem: e.target.value })} className="p-1 rounded-md bg-[#232F3E] border border-gray-500" title="Units">
+            {Object.entries(UNIT_SYSTEMS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <select value={settings.locale} onChange={(e) => onChange({ ...settings, locale: e.target.value })} className="p-1 rounded-md bg-[#232F3E] border border-gray-500" title="Number and date format">
+            {Object.entries(DISPLAY_LOCALES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+    </div>
+);
+
+export default DisplaySettings;
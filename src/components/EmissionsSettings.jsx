@@ -0,0 +1,50 @@
+import React from 'react';
+import { Truck } from 'lucide-react';
+import { EMISSIONS_MODELS, LOAD_SHARES, TRANSPORT_MODES, resolveEmissionsModel } from '../engine';
+
+/**
+ * Chooses the emissions model every CO₂ figure is worked out with, and its settings:
+ * origin-to-destination distance, transport mode, recycled cardboard and load share.
+ */
+const EmissionsSettings = ({ emissions, units, onChange }) => {
+    const { settings } = resolveEmissionsModel(emissions);
+    const update = (field, value) => onChange({ ...emissions, [field]: value });
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-md p-2 mb-3 text-xs space-y-2">
+            <label className="flex items-center gap-2">
+                <Truck size={14} className="text-gray-600" />
+                <span className="font-semibold">CO₂ model</span>
+                <select value={emissions.model} onChange={(e) => onChange({ model: e.target.value })} className="ml-auto p-1 border border-gray-300 rounded-md bg-white">
+                    {Object.entries(EMISSIONS_MODELS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+            </label>
+            {emissions.model === 'distance' && (
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="flex flex-col">
+                        <span>Distance, origin to destination ({units.symbols.distance})</span>
+                        <input type="number" min="0" step="10" value={units.toInput(settings.distanceKm, 'distance')} onChange={(e) => update('distanceKm', Math.max(0, units.fromInput(e.target.value, 'distance', settings.distanceKm) || 0))} className="p-1 border border-gray-300 rounded" />
+                    </label>
+                    <label className="flex flex-col">
+                        <span>Transport mode</span>
+                        <select value={settings.mode} onChange={(e) => update('mode', e.target.value)} className="p-1 border border-gray-300 rounded bg-white">
+                            {Object.entries(TRANSPORT_MODES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex flex-col">
+                        <span>Recycled cardboard: {units.formatPercent(settings.recycledShare * 100, 0)}</span>
+                        <input type="range" min="0" max="1" step="0.05" value={settings.recycledShare} onChange={(e) => update('recycledShare', Number(e.target.value))} />
+                    </label>
+                    <label className="flex flex-col">
+                        <span>Vehicle load share</span>
+                        <select value={settings.loadShare} onChange={(e) => update('loadShare', e.target.value)} className="p-1 border border-gray-300 rounded bg-white">
+                            {Object.entries(LOAD_SHARES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmissionsSettings;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { OPTIMIZER_OBJECTIVES, getBoxBreakdown } from '../engine';
+
+const planTitle = (objectives) => objectives
+    .map(objective => (objective === 'greedy' ? 'Greedy' : OPTIMIZER_OBJECTIVES[objective]))
+    .join(' · ');
+
+/**
+ * Shows the Pareto-optimal plans side by side, and what the greenest one costs compared with the cheapest.
+ */
+const ParetoPlans = ({ plans, units }) => {
+    if (plans.length === 0) {
+        return <p className="text-gray-500 text-sm">No plans to compare.</p>;
+    }
+
+    const greenest = plans.reduce((best, plan) => (plan.measures.co2 < best.measures.co2 ? plan : best));
+    const cheapest = plans.reduce((best, plan) => (plan.measures.cost < best.measures.cost ? plan : best));
+    const extraCost = greenest.measures.cost - cheapest.measures.cost;
+    const co2Saved = cheapest.measures.co2 - greenest.measures.co2;
+
+    return (
+        <div className="space-y-2">
+            {greenest !== cheapest ? (
+                <p className="text-xs text-green-800 bg-green-100 p-1 rounded-md">
+                    The greenest plan saves {units.formatWeight(co2Saved, 2)} CO₂ for {units.formatCurrency(extraCost)} more than the cheapest.
+                </p>
+            ) : (
+                <p className="text-xs text-green-800 bg-green-100 p-1 rounded-md">The greenest plan is also the cheapest.</p>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {plans.map((plan, index) => (
+                    <div key={index} className="bg-white p-2 rounded-md border border-gray-200 text-xs space-y-1">
+                        <p className="font-semibold text-[#131921]">{planTitle(plan.objectives)}</p>
+                        <p>{plan.measures.boxes} box(es): {getBoxBreakdown(plan.packedBoxes) || 'N/A'}</p>
+                        <p><span className="text-green-700 font-bold">{units.formatWeight(plan.measures.co2, 2)}</span> CO₂</p>
+                        <p><span className="font-bold">{units.formatCurrency(plan.measures.cost)}</span> shipping</p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ParetoPlans;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { Printer, Download, Upload } from 'lucide-react';
+import { getPackingSlips, exportPlanCSV, exportPlanJSON, importPlanJSON, VOID_FILL_MATERIALS, FULFILMENT_CENTRES, toDisplayUnits } from '../engine';
+import { downloadFile } from '../utils/download';
+
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// A printable page per box, for the warehouse to pack from, in the user's units. The CSV and
+// JSON exports stay in cm and kg for other tools to read.
+const renderPackingSlips = (slips, units) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>Packing slips</title>
+<style>
+    body { font-family: sans-serif; margin: 2rem; }
+    section { page-break-after: always; }
+    section:last-child { page-break-after: auto; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+    th, td { border: 1px solid #999; padding: 0.3rem 0.5rem; text-align: left; }
+    td.number { text-align: right; }
+</style></head><body>
+${slips.map(slip => `<section>
+    <h1>Box ${slip.box} of ${slips.length}: ${escapeHTML(slip.boxName)}</h1>
+    ${slip.origin ? `<p>Ships from ${escapeHTML(FULFILMENT_CENTRES[slip.origin]?.label ?? slip.origin)} (${escapeHTML(slip.origin)}).</p>` : ''}
+    <p>Box type ${escapeHTML(slip.boxTypeId)}, ${units.formatDimensions(slip.dimensions)}.
+    ${units.formatPercent(slip.fillPercentage)} full. Contents ${units.formatWeight(slip.contentsWeight, 2)}; ${units.formatWeight(slip.grossWeight, 2)} packed with ${units.formatSmallWeight(slip.voidFill.weight)} ${escapeHTML(VOID_FILL_MATERIALS[slip.voidFill.material]?.label ?? slip.voidFill.material)}.</p>
+    <table>
+        <thead><tr><th>Item</th><th>Product ID</th><th>Qty</th><th>Weight (${units.symbols.weight})</th><th>Packed</th></tr></thead>
+        <tbody>${slip.lines.map(line => `<tr><td>${escapeHTML(line.itemName)}</td><td>${escapeHTML(line.itemId)}</td><td class="number">${line.quantity}</td><td class="number">${units.formatNumber(toDisplayUnits(line.lineWeight, 'weight', units.unitSystem), 2)}</td><td>☐</td></tr>`).join('')}</tbody>
+    </table>
+</section>`).join('\n')}
+</body></html>`;
+
+/**
+ * Exports the shipment plan as printable packing slips, CSV or versioned JSON, and imports a
+ * JSON plan back so it can be reviewed later exactly as it was.
+ */
+const PlanExport = ({ metrics, emissions, units, onImport }) => {
+    const [errors, setErrors] = useState([]);
+    const hasBoxes = metrics?.packedBoxes.length > 0;
+
+    const printPackingSlips = () => {
+        const slipWindow = window.open('', '_blank');
+        if (!slipWindow) {
+            setErrors(['The packing slips could not open: allow pop-ups for this page.']);
+            return;
+        }
+        slipWindow.document.write(renderPackingSlips(getPackingSlips(metrics.packedBoxes), units));
+        slipWindow.document.close();
+        slipWindow.print();
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        try {
+            onImport(importPlanJSON(await file.text()));
+            setErrors([]);
+        } catch (error) {
+            setErrors(error.errors?.length ? error.errors : [error.message]);
+        }
+    };
+
+    return (
+        <div className="mt-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+                <button onClick={printPackingSlips} disabled={!hasBoxes} className="bg-white border border-gray-300 py-1 px-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                    <Printer size={12} /> Packing slips
+                </button>
+                <button onClick={() => downloadFile('shipment-plan.csv', exportPlanCSV(metrics.packedBoxes), 'text/csv')} disabled={!hasBoxes} className="bg-white border border-gray-300 py-1 px-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                    <Download size={12} /> CSV
+                </button>
+                <button onClick={() => downloadFile('shipment-plan.json', exportPlanJSON(metrics, { emissions }), 'application/json')} disabled={!hasBoxes} className="bg-white border border-gray-300 py-1 px-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1">
+                    <Download size={12} /> JSON
+                </button>
+                <label className="bg-white border border-gray-300 py-1 px-2 rounded-lg hover:bg-gray-100 flex items-center gap-1 cursor-pointer">
+                    <Upload size={12} /> Open plan
+                    <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+                </label>
+            </div>
+            {errors.length > 0 && (
+                <ul className="mt-2 text-xs text-red-700 bg-red-100 border border-red-200 rounded-md p-2 list-disc list-inside">
+                    {errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PlanExport;
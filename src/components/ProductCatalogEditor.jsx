@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Tag, PlusCircle, Pencil, Trash2, Upload, Download } from 'lucide-react';
+import {
+    ORIENTATION_RULES,
+    FULFILMENT_CENTRES,
+    createProduct,
+    fromInputValue,
+    toInputValue,
+    validateProductCatalog,
+    exportProductsJSON,
+    importProductsJSON,
+    exportProductsCSV,
+    importProductsCSV,
+} from '../engine';
+import { downloadFile } from '../utils/download';
+
+// Numeric form fields: [field, label, quantity shown in display units]
+const NUMBER_FIELDS = [
+    ['length', 'L', 'length'],
+    ['width', 'W', 'length'],
+    ['height', 'H', 'length'],
+    ['weight', 'Weight', 'weight'],
+];
+
+// Every field typed in display units, including the optional load limit
+const UNIT_FIELDS = [...NUMBER_FIELDS.map(([field, , quantity]) => [field, quantity]), ['maxLoadOnTop', 'weight']];
+
+const EMPTY_FORM = {
+    id: '', name: '', category: '', length: '', width: '', height: '', weight: '',
+    orientationRule: 'any', fragile: false, stackable: true, maxLoadOnTop: '', incompatibleCategories: '', shipAlone: false, stockLocations: [], imageUrl: '',
+};
+
+// Turns a name into an id that is not taken yet, e.g. "Desk Lamp" -> "desk_lamp_2"
+const makeId = (name, takenIds) => {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'product';
+    let id = base;
+    for (let n = 2; takenIds.has(id); n++) id = `${base}_${n}`;
+    return id;
+};
+
+// Imported products replace custom products with the same id and are appended otherwise
+const mergeProducts = (products, imported) => {
+    const importedById = new Map(imported.map(product => [product.id, product]));
+    const kept = products.map(product => importedById.get(product.id) || product);
+    const keptIds = new Set(kept.map(product => product.id));
+    return [...kept, ...imported.filter(product => !keptIds.has(product.id))];
+};
+
+/**
+ * Editor for custom products: add, edit and delete them, and import or export them as JSON or CSV.
+ * Predefined products are read-only; their ids are reserved.
+ */
+const ProductCatalogEditor = ({ products, reservedIds, units, onChange }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [errors, setErrors] = useState([]);
+
+    // The product being edited, whose values fields left alone keep exactly
+    const editingProduct = products.find(product => product.id === editingId);
+
+    // Values already typed in follow a change of units
+    const unitSystemRef = useRef(units.unitSystem);
+    useEffect(() => {
+        const previous = unitSystemRef.current;
+        if (previous === units.unitSystem) return;
+        unitSystemRef.current = units.unitSystem;
+        setForm(prev => ({
+            ...prev,
+            ...Object.fromEntries(UNIT_FIELDS.map(([field, quantity]) => [
+                field,
+                toInputValue(fromInputValue(prev[field], quantity, previous, editingProduct?.[field] ?? undefined), quantity, units.unitSystem),
+            ])),
+        }));
+    }, [units.unitSystem, editingProduct]);
+
+    const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+        setErrors([]);
+    };
+
+    const startEditing = (product) => {
+        setForm({
+            ...EMPTY_FORM,
+            ...product,
+            ...Object.fromEntries(UNIT_FIELDS.map(([field, quantity]) => [field, units.toInput(product[field], quantity)])),
+            incompatibleCategories: product.incompatibleCategories.join(', '),
+        });
+        setEditingId(product.id);
+        setErrors([]);
+    };
+
+    const saveProduct = () => {
+        const otherIds = new Set([...reservedIds, ...products.filter(p => p.id !== editingId).map(p => p.id)]);
+        const product = createProduct({
+            ...form,
+            id: form.id.trim() || makeId(form.name, otherIds),
+            ...Object.fromEntries(NUMBER_FIELDS.map(([field, , quantity]) => [field, units.fromInput(form[field], quantity, editingProduct?.[field])])),
+            maxLoadOnTop: form.maxLoadOnTop === '' ? null : units.fromInput(form.maxLoadOnTop, 'weight', editingProduct?.maxLoadOnTop ?? undefined),
+            incompatibleCategories: form.incompatibleCategories.split(',').map(category => category.trim()).filter(Boolean),
+        });
+        const nextProducts = editingId
+            ? products.map(p => (p.id === editingId ? product : p))
+            : [...products, product];
+        const problems = validateProductCatalog(nextProducts, reservedIds);
+        setErrors(problems);
+        if (problems.length === 0) {
+            onChange(nextProducts, editingId);
+            resetForm();
+        }
+    };
+
+    const deleteProduct = (id) => {
+        onChange(products.filter(product => product.id !== id));
+        if (id === editingId) resetForm();
+    };
+
+    // Small images are stored inline so they survive reloads without a server
+    const handleImageFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => updateField('imageUrl', reader.result);
+        reader.readAsDataURL(file);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        const importProducts = file.name.toLowerCase().endsWith('.csv') ? importProductsCSV : importProductsJSON;
+        try {
+            const nextProducts = mergeProducts(products, importProducts(await file.text(), reservedIds));
+            const problems = validateProductCatalog(nextProducts, reservedIds);
+            setErrors(problems);
+            if (problems.length === 0) onChange(nextProducts);
+        } catch (error) {
+            setErrors(error.errors?.length ? error.errors : [error.message]);
+        }
+    };
+
+    const inputClass = 'w-full p-1 border border-gray-300 rounded';
+
+    return (
+        <details className="bg-gray-50 p-4 rounded-lg shadow-inner border">
+            <summary className="text-lg font-bold text-[#131921] cursor-pointer flex items-center gap-2">
+                <Tag className="w-5 h-5 text-[#007185]" /> My Products
+                <span className="text-sm font-normal text-gray-500">({products.length})</span>
+            </summary>
+            <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                <label className="col-span-2">Name
+                    <input value={form.name} onChange={(e) => updateField('name', e.target.value)} className={inputClass} />
+                </label>
+                <label>ID <span className="text-xs text-gray-500">(optional)</span>
+                    <input value={form.id} onChange={(e) => updateField('id', e.target.value)} disabled={editingId !== null} className={`${inputClass} disabled:bg-gray-100`} />
+                </label>
+                <label>Category
+                    <input value={form.category} onChange={(e) => updateField('category', e.target.value)} className={inputClass} />
+                </label>
+                {NUMBER_FIELDS.map(([field, label, quantity]) => (
+                    <label key={field}>{label} ({units.symbols[quantity]})
+                        <input type="number" min="0" step="any" value={form[field]} onChange={(e) => updateField(field, e.target.value)} className={inputClass} />
+                    </label>
+                ))}
+                <label className="col-span-2">Orientation
+                    <select value={form.orientationRule} onChange={(e) => updateField('orientationRule', e.target.value)} className={inputClass}>
+                        {Object.entries(ORIENTATION_RULES).map(([rule, label]) => <option key={rule} value={rule}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={form.fragile} onChange={(e) => updateField('fragile', e.target.checked)} /> Fragile
+                </label>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={form.stackable} onChange={(e) => updateField('stackable', e.target.checked)} /> Stackable
+                </label>
+                <label>Max load on top ({units.symbols.weight})
+                    <input type="number" min="0" step="any" value={form.maxLoadOnTop} onChange={(e) => updateField('maxLoadOnTop', e.target.value)} placeholder="No limit" className={inputClass} />
+                </label>
+                <label className="flex items-center gap-1 self-end pb-1">
+                    <input type="checkbox" checked={form.shipAlone} onChange={(e) => updateField('shipAlone', e.target.checked)} /> Ships alone
+                </label>
+                <label className="col-span-2">Never pack with categories <span className="text-xs text-gray-500">(comma-separated)</span>
+                    <input value={form.incompatibleCategories} onChange={(e) => updateField('incompatibleCategories', e.target.value)} placeholder="e.g. Liquids, Electronics" className={inputClass} />
+                </label>
+                <fieldset className="col-span-2">Stocked in <span className="text-xs text-gray-500">(none: ships from any centre)</span>
+                    <div className="flex flex-wrap gap-3">
+                        {Object.entries(FULFILMENT_CENTRES).map(([centre, { label }]) => (
+                            <label key={centre} className="flex items-center gap-1" title={label}>
+                                <input
+                                    type="checkbox"
+                                    checked={form.stockLocations.includes(centre)}
+                                    onChange={(e) => updateField('stockLocations', e.target.checked
+                                        ? Object.keys(FULFILMENT_CENTRES).filter(key => key === centre || form.stockLocations.includes(key))
+                                        : form.stockLocations.filter(key => key !== centre))}
+                                /> {centre}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <label className="col-span-2">Image URL
+                    <div className="flex gap-1 items-center">
+                        <input value={form.imageUrl.startsWith('data:') ? '(uploaded image)' : form.imageUrl} onChange={(e) => updateField('imageUrl', e.target.value)} disabled={form.imageUrl.startsWith('data:')} className={`${inputClass} disabled:bg-gray-100`} />
+                        {form.imageUrl && <img src={form.imageUrl} alt="" className="w-8 h-8 object-contain rounded" />}
+                        <label className="text-[#007185] cursor-pointer hover:underline whitespace-nowrap" title="Upload an image">
+                            <Upload size={16} />
+                            <input type="file" accept="image/*" onChange={handleImageFile} className="hidden" />
+                        </label>
+                        {form.imageUrl && <button onClick={() => updateField('imageUrl', '')} className="text-red-400 hover:text-red-600" title="Remove image"><Trash2 size={16} /></button>}
+                    </div>
+                </label>
+            </div>
+            {errors.length > 0 && (
+                <ul className="mt-3 text-sm text-red-700 bg-red-100 border border-red-200 rounded-md p-2 list-disc list-inside">
+                    {errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+            )}
+            <div className="mt-3 flex gap-2 text-sm">
+                <button onClick={saveProduct} className="bg-[#FF9900] text-white font-bold py-1.5 px-3 rounded-lg hover:bg-[#E68A00] flex items-center gap-1">
+                    <PlusCircle size={14} /> {editingId ? 'Save Product' : 'Add Product'}
+                </button>
+                {editingId && (
+                    <button onClick={resetForm} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100">Cancel</button>
+                )}
+            </div>
+            {products.length > 0 && (
+                <ul className="mt-3 space-y-1 text-sm">
+                    {products.map(product => (
+                        <li key={product.id} className={`flex items-center gap-2 bg-white border rounded p-1 ${product.id === editingId ? 'border-[#007185]' : 'border-gray-200'}`}>
+                            <span className="flex-grow truncate">{product.name} <span className="text-xs text-gray-500">{product.id}{product.category && ` · ${product.category}`}</span></span>
+                            <button onClick={() => startEditing(product)} className="text-gray-500 hover:text-[#007185]" title="Edit product"><Pencil size={14} /></button>
+                            <button onClick={() => deleteProduct(product.id)} className="text-red-400 hover:text-red-600" title="Delete product"><Trash2 size={14} /></button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="mt-3 flex flex-wrap gap-2 text-sm">
+                <label className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1 cursor-pointer">
+                    <Upload size={14} /> Import JSON/CSV
+                    <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} className="hidden" />
+                </label>
+                <button onClick={() => downloadFile('products.json', exportProductsJSON(products), 'application/json')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <Download size={14} /> JSON
+                </button>
+                <button onClick={() => downloadFile('products.csv', exportProductsCSV(products), 'text/csv')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <Download size={14} /> CSV
+                </button>
+            </div>
+        </details>
+    );
+};
+
+export default ProductCatalogEditor;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Link2 } from 'lucide-react';
+import { PREDEFINED_ITEMS, SCENARIO_PARAM, encodeScenario, decodeScenario, mergeScenarios } from '../engine';
+
+// The scenario text in the page's URL fragment, if there is one
+const readFragment = () => new URLSearchParams(window.location.hash.slice(1)).get(SCENARIO_PARAM);
+
+// Drops the fragment so a reload does not load the link again
+const clearFragment = () => window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+/**
+ * Shares the whole scenario (cart, saved items, custom products, box catalog and plan settings)
+ * as a link, and loads one opened from a link. A linked scenario replaces an empty local one
+ * straight away; otherwise the user chooses to merge it in, replace their own, or ignore it.
+ */
+const SharedScenario = ({ scenario, hasLocalState, onApply }) => {
+    const [incoming, setIncoming] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [shareLink, setShareLink] = useState(null);
+
+    useEffect(() => {
+        const loadFragment = async () => {
+            const text = readFragment();
+            if (!text) return;
+            clearFragment();
+            try {
+                const linked = await decodeScenario(text, PREDEFINED_ITEMS);
+                setErrors([]);
+                if (hasLocalState) setIncoming(linked);
+                else onApply(linked);
+            } catch (error) {
+                setErrors([error.message, ...(error.errors ?? [])]);
+            }
+        };
+        loadFragment();
+        window.addEventListener('hashchange', loadFragment);
+        return () => window.removeEventListener('hashchange', loadFragment);
+    }, [hasLocalState, onApply]);
+
+    const share = async () => {
+        const link = `${window.location.origin}${window.location.pathname}${window.location.search}#${SCENARIO_PARAM}=${await encodeScenario(scenario)}`;
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(link);
+            copied = true;
+        } catch {
+            // Clipboard access refused: the link is shown for copying by hand
+        }
+        setShareLink({ link, copied });
+    };
+
+    const resolve = (apply) => {
+        if (apply) onApply(apply === 'merge' ? mergeScenarios(scenario, incoming) : incoming);
+        setIncoming(null);
+    };
+
+    return (
+        <div className="px-6 sm:px-8 lg:px-10 pt-4 text-sm space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <button onClick={share} className="bg-white border border-gray-300 py-1 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                    <Link2 size={14} /> Share this scenario
+                </button>
+                {shareLink && (
+                    <>
+                        <span className="text-gray-600">{shareLink.copied ? 'Link copied.' : 'Copy this link:'}</span>
+                        <input readOnly value={shareLink.link} onFocus={(e) => e.target.select()} className="flex-1 min-w-0 p-1 border border-gray-300 rounded text-xs text-gray-600" />
+                    </>
+                )}
+            </div>
+            {incoming && (
+                <div className="bg-blue-50 border border-blue-200 rounded-md p-2 flex flex-wrap items-center gap-2">
+                    <span className="flex-1">
+                        This link holds a cart of {incoming.cart.reduce((sum, line) => sum + line.quantity, 0)} item(s), {incoming.saved.length} saved product(s) and {incoming.boxCatalog.length} box type(s). You already have a cart here.
+                    </span>
+                    <button onClick={() => resolve('merge')} className="bg-white border border-gray-300 py-1 px-3 rounded-lg hover:bg-gray-100">Merge into mine</button>
+                    <button onClick={() => resolve('replace')} className="bg-[#FF9900] text-white font-bold py-1 px-3 rounded-lg hover:bg-[#E68A00]">Replace mine</button>
+                    <button onClick={() => resolve(null)} className="text-[#007185] hover:underline">Ignore</button>
+                </div>
+            )}
+            {errors.length > 0 && (
+                <ul className="text-red-700 bg-red-100 border border-red-200 rounded-md p-2 list-disc list-inside">
+                    {errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SharedScenario;
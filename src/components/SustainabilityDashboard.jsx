@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { BarChart3, Download, Trash2 } from 'lucide-react';
+import { getOrderHistoryStats, exportOrderHistoryJSON, exportOrderHistoryCSV } from '../engine';
+import { downloadFile } from '../utils/download';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+
+// A line through the values, scaled to the chart, with a dot per order
+const LineChart = ({ points, format, formatDate, color }) => {
+    const max = Math.max(...points.map(point => point.value), 0);
+    const min = Math.min(...points.map(point => point.value), 0);
+    const range = max - min || 1;
+    const x = (index) => CHART_PADDING + (points.length === 1 ? (CHART_WIDTH - 2 * CHART_PADDING) / 2 : (index / (points.length - 1)) * (CHART_WIDTH - 2 * CHART_PADDING));
+    const y = (value) => CHART_HEIGHT - CHART_PADDING - ((value - min) / range) * (CHART_HEIGHT - 2 * CHART_PADDING);
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32" role="img">
+            <line x1={CHART_PADDING} y1={y(min)} x2={CHART_WIDTH - CHART_PADDING} y2={y(min)} stroke="#d1d5db" />
+            <polyline fill="none" stroke={color} strokeWidth="2" points={points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ')} />
+            {points.map((point, index) => (
+                <circle key={index} cx={x(index)} cy={y(point.value)} r="3" fill={color}>
+                    <title>{formatDate(point.placedAt)}: {format(point.value)}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+// One bar per month, labelled underneath
+const BarChart = ({ months, field, color }) => {
+    const max = Math.max(...months.map(month => month[field]), 1);
+    const slot = (CHART_WIDTH - 2 * CHART_PADDING) / months.length;
+    const barHeight = (value) => (value / max) * (CHART_HEIGHT - 3 * CHART_PADDING - 10);
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32" role="img">
+            {months.map((month, index) => (
+                <g key={month.month}>
+                    <rect
+                        x={CHART_PADDING + index * slot + slot * 0.15}
+                        y={CHART_HEIGHT - 2 * CHART_PADDING - 10 - barHeight(month[field])}
+                        width={slot * 0.7}
+                        height={barHeight(month[field])}
+                        fill={color}
+                    >
+                        <title>{month.month}: {month[field]}</title>
+                    </rect>
+                    <text x={CHART_PADDING + (index + 0.5) * slot} y={CHART_HEIGHT - CHART_PADDING} textAnchor="middle" fontSize="9" fill="#6b7280">{month.month}</text>
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+const Chart = ({ title, children }) => (
+    <div className="bg-white p-2 rounded-md border border-gray-200">
+        <p className="text-sm font-semibold text-[#131921]">{title}</p>
+        {children}
+    </div>
+);
+
+/**
+ * The user's impact over every order they placed: totals, cumulative CO₂ saved, the packaging
+ * efficiency trend, boxes avoided and Saved for Later suggestions taken up per month. The
+ * history can be downloaded and cleared.
+ */
+const SustainabilityDashboard = ({ history, units, onClear }) => {
+    const [confirmingClear, setConfirmingClear] = useState(false);
+    const stats = getOrderHistoryStats(history);
+    const { totals } = stats;
+
+    const clear = () => {
+        onClear();
+        setConfirmingClear(false);
+    };
+
+    return (
+        <details className="bg-green-50 p-4 rounded-lg shadow-inner border border-green-200">
+            <summary className="text-2xl font-bold text-[#131921] cursor-pointer flex items-center gap-2">
+                <BarChart3 className="w-6 h-6 text-green-700" /> Your Impact
+                <span className="text-sm font-normal text-gray-500">({totals.orders} order(s) placed)</span>
+            </summary>
+            {history.length === 0 ? (
+                <p className="mt-4 text-gray-600 italic">No orders yet. Place an order from the shipment plan to start tracking your impact.</p>
+            ) : (
+                <div className="mt-4 space-y-4">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                        <div className="bg-white p-2 rounded-md border border-gray-200">
+                            <p className="text-gray-600">CO₂ saved</p>
+                            <p className="text-xl font-bold text-green-700">{units.formatWeight(totals.co2Saved, 2)}</p>
+                        </div>
+                        <div className="bg-white p-2 rounded-md border border-gray-200">
+                            <p className="text-gray-600">Boxes avoided</p>
+                            <p className="text-xl font-bold text-[#007185]">{totals.boxesAvoided}</p>
+                        </div>
+                        <div className="bg-white p-2 rounded-md border border-gray-200">
+                            <p className="text-gray-600">Average efficiency</p>
+                            <p className="text-xl font-bold">{units.formatPercent(totals.averageEfficiency)}</p>
+                        </div>
+                        <div className="bg-white p-2 rounded-md border border-gray-200">
+                            <p className="text-gray-600">Suggestions accepted</p>
+                            <p className="text-xl font-bold text-yellow-700">{totals.acceptedSuggestions}</p>
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        <Chart title={`Cumulative CO₂ saved (${units.symbols.weight})`}>
+                            <LineChart points={stats.cumulativeCO2Saved} format={(value) => units.formatWeight(value, 2)} formatDate={units.formatDate} color="#15803d" />
+                        </Chart>
+                        <Chart title="Packaging efficiency per order (%)">
+                            <LineChart points={stats.efficiencyTrend} format={(value) => units.formatPercent(value)} formatDate={units.formatDate} color="#FF9900" />
+                        </Chart>
+                        <Chart title="Boxes avoided per month">
+                            <BarChart months={stats.months} field="boxesAvoided" color="#007185" />
+                        </Chart>
+                        <Chart title="Saved for Later suggestions accepted per month">
+                            <BarChart months={stats.months} field="acceptedSuggestions" color="#ca8a04" />
+                        </Chart>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <button onClick={() => downloadFile('order-history.json', exportOrderHistoryJSON(history), 'application/json')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                            <Download size={14} /> Export JSON
+                        </button>
+                        <button onClick={() => downloadFile('order-history.csv', exportOrderHistoryCSV(history), 'text/csv')} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1">
+                            <Download size={14} /> Export CSV
+                        </button>
+                        {confirmingClear ? (
+                            <>
+                                <span className="text-red-700">Delete all {history.length} order(s) from the history?</span>
+                                <button onClick={clear} className="bg-red-600 text-white font-bold py-1.5 px-3 rounded-lg hover:bg-red-700">Clear history</button>
+                                <button onClick={() => setConfirmingClear(false)} className="text-[#007185] hover:underline">Cancel</button>
+                            </>
+                        ) : (
+                            <button onClick={() => setConfirmingClear(true)} className="bg-white border border-gray-300 py-1.5 px-3 rounded-lg hover:bg-gray-100 flex items-center gap-1 text-red-700">
+                                <Trash2 size={14} /> Clear history
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </details>
+    );
+};
+
+export default SustainabilityDashboard;
@@ -0,0 +1,152 @@
+// Batch packing of order files: reading orders from JSON or CSV, packing each one, and
+// summing the results. The command-line packer in bin/ is a thin wrapper around this.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').Order} Order */
+/** @typedef {import('./index.js').OrderPlan} OrderPlan */
+/** @typedef {import('./index.js').BatchSummary} BatchSummary */
+
+import { CatalogError, createBoxType, getActiveBoxTypes, validateBoxCatalog } from './catalog.js';
+import { parseCSV } from './csv.js';
+import { calculateMetrics } from './metrics.js';
+import { getPackingSlips } from './planExport.js';
+import { packOptimal } from './strategies.js';
+
+export const ORDERS_FORMAT_VERSION = 1;
+
+// Problems with one order, given the product ids it may use
+const validateOrder = (order, index, productIds) => {
+    const label = `Order ${index + 1}${order?.orderId ? ` (${order.orderId})` : ''}`;
+    if (!order || typeof order !== 'object') return [`${label}: not an order`];
+    const errors = [];
+    if (typeof order.orderId !== 'string' || !order.orderId.trim()) errors.push(`${label}: orderId is required`);
+    if (!Array.isArray(order.items) || order.items.length === 0) {
+        errors.push(`${label}: items must be a non-empty list`);
+    } else {
+        order.items.forEach((line, lineIndex) => {
+            if (!productIds.has(line?.productId)) errors.push(`${label}, line ${lineIndex + 1}: unknown product '${line?.productId}'`);
+            if (!Number.isInteger(line?.quantity) || line.quantity < 1) errors.push(`${label}, line ${lineIndex + 1}: quantity must be a whole number of at least 1`);
+        });
+    }
+    if (order.boxCatalog !== undefined) {
+        validateBoxCatalog(order.boxCatalog).forEach(error => errors.push(`${label}: ${error}`));
+    }
+    return errors;
+};
+
+// Checks every order at once and throws with the full list of problems
+const checkOrders = (orders, products, format) => {
+    const productIds = new Set(products.map(product => product.id));
+    const errors = orders.flatMap((order, index) => validateOrder(order, index, productIds));
+    const seenIds = new Set();
+    for (const order of orders) {
+        if (seenIds.has(order?.orderId)) errors.push(`Order '${order.orderId}' appears more than once`);
+        seenIds.add(order?.orderId);
+    }
+    if (errors.length) {
+        throw new CatalogError(`The ${format} orders are not valid.`, errors);
+    }
+    return orders;
+};
+
+/**
+ * Reads orders from JSON: either `{version, orders}` or a bare array of orders, each
+ * `{orderId, items: [{productId, quantity}], boxCatalog?}`.
+ * @param {string} text
+ * @param {Array<Item>} products - Every product the orders may refer to.
+ * @returns {Array<Order>}
+ * @throws {CatalogError} If the text is not JSON or any order does not validate.
+ */
+export const parseOrdersJSON = (text, products) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CatalogError('The orders are not valid JSON.', [error.message]);
+    }
+    if (!Array.isArray(data) && data?.version !== undefined && data.version > ORDERS_FORMAT_VERSION) {
+        throw new CatalogError(`Orders format version ${data.version} is newer than this tool supports.`);
+    }
+    const orders = Array.isArray(data) ? data : data?.orders;
+    if (!Array.isArray(orders)) {
+        throw new CatalogError('The orders JSON has no list of orders.');
+    }
+    return checkOrders(orders.map(order => (
+        order && Array.isArray(order.boxCatalog)
+            ? { ...order, boxCatalog: order.boxCatalog.map(boxType => (boxType && typeof boxType === 'object' ? createBoxType(boxType) : boxType)) }
+            : order
+    )), products, 'JSON');
+};
+
+/**
+ * Reads orders from CSV with the columns orderId, productId and quantity, one row per order
+ * line; consecutive or not, rows with the same orderId make one order. CSV orders use the
+ * default box catalog.
+ * @param {string} text
+ * @param {Array<Item>} products - Every product the orders may refer to.
+ * @returns {Array<Order>}
+ * @throws {CatalogError} If any order does not validate.
+ */
+export const parseOrdersCSV = (text, products) => {
+    const orders = [];
+    for (const row of parseCSV(text)) {
+        let order = orders.find(candidate => candidate.orderId === row.orderId);
+        if (!order) {
+            order = { orderId: row.orderId, items: [] };
+            orders.push(order);
+        }
+        order.items.push({ productId: row.productId, quantity: row.quantity === '' ? NaN : Number(row.quantity) });
+    }
+    return checkOrders(orders, products, 'CSV');
+};
+
+/**
+ * Packs every order and sums up the results.
+ * @param {Array<Order>} orders
+ * @param {Object} options
+ * @param {Array<Item>} options.products - Every product the orders refer to.
+ * @param {Array<BoxType>} options.boxCatalog - Catalog for orders that bring none of their own.
+ * @param {'greedy'|'exact'} [options.strategy='greedy'] - Key into PACKING_STRATEGIES.
+ * @param {function(OrderPlan, number): void} [options.onOrder] - Called after each order, e.g. for progress.
+ * @returns {{orders: Array<OrderPlan>, summary: BatchSummary}}
+ */
+export const packOrders = (orders, options) => {
+    const { products, boxCatalog, strategy = 'greedy', onOrder } = options;
+    const packingOptions = { strategy };
+    const plans = orders.map((order, index) => {
+        const items = order.items.flatMap(({ productId, quantity }) => Array(quantity).fill(products.find(product => product.id === productId)));
+        const boxTypes = getActiveBoxTypes(order.boxCatalog ?? boxCatalog);
+        const packedBoxes = packOptimal(items, boxTypes, packingOptions);
+        const metrics = calculateMetrics(packedBoxes, items, boxTypes, { packingOptions });
+        const plan = {
+            orderId: order.orderId,
+            complete: metrics.complete,
+            totalBoxes: metrics.totalBoxes,
+            boxBreakdown: metrics.boxBreakdown,
+            packagingEfficiencyScore: metrics.packagingEfficiencyScore,
+            optimalCO2Impact: metrics.optimalCO2Impact,
+            co2SavedByConsolidation: metrics.co2SavedByConsolidation,
+            shippingCost: metrics.shippingCost,
+            unpackedItems: metrics.unpackedItems.map(({ item, reason }) => ({ productId: item.id, reason: reason.message })),
+            boxes: getPackingSlips(packedBoxes),
+        };
+        onOrder?.(plan, index);
+        return plan;
+    });
+
+    const sum = (field) => plans.reduce((total, plan) => total + plan[field], 0);
+    return {
+        orders: plans,
+        summary: {
+            orders: plans.length,
+            strategy,
+            totalBoxes: sum('totalBoxes'),
+            averageEfficiency: plans.length ? sum('packagingEfficiencyScore') / plans.length : 0,
+            totalCO2: sum('optimalCO2Impact'),
+            totalCO2Saved: sum('co2SavedByConsolidation'),
+            totalShippingCost: sum('shippingCost'),
+            incompleteOrders: plans.filter(plan => !plan.complete).map(plan => plan.orderId),
+        },
+    };
+};
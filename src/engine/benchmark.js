@@ -0,0 +1,262 @@
+// Benchmarks of the packing strategies: reproducible random carts drawn from the product catalog,
+// every strategy's plans for them summed up, and a comparison with a stored baseline that flags
+// regressions. The command-line runner in bin/ is a thin wrapper around this.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').Order} Order */
+/** @typedef {import('./index.js').BenchmarkReport} BenchmarkReport */
+/** @typedef {import('./index.js').BenchmarkComparison} BenchmarkComparison */
+
+import { getActiveBoxTypes } from './catalog.js';
+import { calculateMetrics } from './metrics.js';
+import { getItemVolume } from './packing.js';
+import { PACKING_STRATEGIES, packOptimal } from './strategies.js';
+
+export const BENCHMARK_FORMAT_VERSION = 1;
+
+// How likely each product is to be drawn, relative to the others, by its size
+export const SIZE_DISTRIBUTIONS = {
+    uniform: { label: 'Every size equally likely', weight: () => 1 },
+    small: { label: 'Small products more likely', weight: (item) => 1 / getItemVolume(item) },
+    large: { label: 'Large products more likely', weight: (item) => getItemVolume(item) },
+};
+
+// The same by weight; combined with the size distribution by multiplying
+export const WEIGHT_DISTRIBUTIONS = {
+    uniform: { label: 'Every weight equally likely', weight: () => 1 },
+    light: { label: 'Light products more likely', weight: (item) => 1 / item.weight },
+    heavy: { label: 'Heavy products more likely', weight: (item) => item.weight },
+};
+
+export const DEFAULT_CART_OPTIONS = {
+    seed: 1,
+    carts: 50,
+    minLines: 1,
+    maxLines: 4,
+    maxQuantity: 3,
+    sizeDistribution: 'uniform',
+    weightDistribution: 'uniform',
+};
+
+// What each summed result measures, and which way is better
+export const BENCHMARK_METRICS = {
+    totalBoxes: { label: 'Boxes', better: 'lower' },
+    averageFill: { label: 'Average fill (%)', better: 'higher' },
+    totalCO2: { label: 'CO₂ (kg)', better: 'lower' },
+    unpackedItems: { label: 'Unpacked items', better: 'lower' },
+    runtimeP50Ms: { label: 'Runtime p50 (ms)', better: 'lower', timing: true },
+    runtimeP90Ms: { label: 'Runtime p90 (ms)', better: 'lower', timing: true },
+    runtimeP99Ms: { label: 'Runtime p99 (ms)', better: 'lower', timing: true },
+};
+
+// The exact search is bounded by its node budget alone, so its plans depend on the seed and not on
+// how fast the machine is; wall-clock time only shows up in the runtimes
+const SEARCH_OPTIONS = { timeBudgetMs: Infinity };
+
+// Relative worsening allowed before a metric counts as a regression. Runtimes vary from run to run
+// far more than plans do, so they get more room.
+export const DEFAULT_REGRESSION_THRESHOLDS = { quality: 0.01, timing: 0.5 };
+
+/**
+ * A seeded pseudo-random number generator (mulberry32): the same seed always gives the same
+ * sequence, on every platform.
+ * @param {number} seed
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// A whole number from min to max, both included
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+// Draws one entry by weight
+const drawWeighted = (random, entries) => {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let target = random() * total;
+    for (const entry of entries) {
+        target -= entry.weight;
+        if (target < 0) return entry;
+    }
+    return entries[entries.length - 1];
+};
+
+const resolveDistribution = (distributions, key, kind) => {
+    const distribution = distributions[key];
+    if (!distribution) {
+        throw new Error(`Unknown ${kind} distribution '${key}'.`);
+    }
+    return distribution;
+};
+
+/**
+ * Generates random carts from the products. The same products and options always give the same
+ * carts. Each cart has distinct products, so its lines read like a real order.
+ * @param {Array<Item>} products
+ * @param {Object} [options] - Overrides of DEFAULT_CART_OPTIONS.
+ * @param {number} [options.seed=1]
+ * @param {number} [options.carts=50] - How many carts to generate.
+ * @param {number} [options.minLines=1] - Fewest distinct products in a cart.
+ * @param {number} [options.maxLines=4] - Most distinct products in a cart (capped by the product count).
+ * @param {number} [options.maxQuantity=3] - Most units of one product in a cart.
+ * @param {'uniform'|'small'|'large'} [options.sizeDistribution='uniform'] - Key into SIZE_DISTRIBUTIONS.
+ * @param {'uniform'|'light'|'heavy'} [options.weightDistribution='uniform'] - Key into WEIGHT_DISTRIBUTIONS.
+ * @returns {Array<Order>} Carts in the batch packer's order format, with ids 'cart-1', 'cart-2', ...
+ */
+export const generateCarts = (products, options = {}) => {
+    const { seed, carts, minLines, maxLines, maxQuantity, sizeDistribution, weightDistribution } = { ...DEFAULT_CART_OPTIONS, ...options };
+    const bySize = resolveDistribution(SIZE_DISTRIBUTIONS, sizeDistribution, 'size');
+    const byWeight = resolveDistribution(WEIGHT_DISTRIBUTIONS, weightDistribution, 'weight');
+    if (products.length === 0) {
+        throw new Error('There are no products to draw carts from.');
+    }
+    if (!(Number.isInteger(minLines) && Number.isInteger(maxLines) && minLines >= 1 && minLines <= maxLines)) {
+        throw new Error(`The lines per cart must be whole numbers with 1 <= minLines <= maxLines (got ${minLines} and ${maxLines}).`);
+    }
+    if (!(Number.isInteger(maxQuantity) && maxQuantity >= 1)) {
+        throw new Error(`maxQuantity must be a whole number of at least 1 (got ${maxQuantity}).`);
+    }
+
+    const random = createRandom(seed);
+    const weighted = products.map(item => ({ item, weight: bySize.weight(item) * byWeight.weight(item) }));
+    return Array.from({ length: carts }, (_, index) => {
+        const lines = randomInt(random, Math.min(minLines, products.length), Math.min(maxLines, products.length));
+        let remaining = weighted;
+        const items = [];
+        for (let line = 0; line < lines; line++) {
+            const { item } = drawWeighted(random, remaining);
+            remaining = remaining.filter(entry => entry.item !== item);
+            items.push({ productId: item.id, quantity: randomInt(random, 1, maxQuantity) });
+        }
+        return { orderId: `cart-${index + 1}`, items };
+    });
+};
+
+/**
+ * The value below which `percent` of the values lie (nearest rank).
+ * @param {Array<number>} values
+ * @param {number} percent - 0-100.
+ * @returns {number} 0 for no values.
+ */
+export const percentile = (values, percent) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((percent / 100) * sorted.length) - 1)];
+};
+
+/**
+ * Packs every cart with each strategy and sums up the plans. The exact strategy searches up to its
+ * node budget however long that takes, so the plan metrics are the same on every machine.
+ * @param {Array<Order>} carts
+ * @param {Object} options
+ * @param {Array<Item>} options.products - Every product the carts refer to.
+ * @param {Array<BoxType>} options.boxCatalog
+ * @param {Array<string>} [options.strategies] - Keys into PACKING_STRATEGIES; all of them by default.
+ * @param {Object} [options.workload] - How the carts were made (e.g. the generateCarts options),
+ *   kept in the report so only runs on the same carts are compared.
+ * @param {function(): number} [options.now=performance.now] - Clock in milliseconds.
+ * @param {function(string, number): void} [options.onCart] - Called after each cart with the strategy and cart index.
+ * @returns {BenchmarkReport}
+ */
+export const runBenchmark = (carts, options) => {
+    const {
+        products,
+        boxCatalog,
+        strategies = Object.keys(PACKING_STRATEGIES),
+        workload = null,
+        now = () => performance.now(),
+        onCart,
+    } = options;
+    for (const strategy of strategies) {
+        if (!PACKING_STRATEGIES[strategy]) {
+            throw new Error(`Unknown packing strategy '${strategy}'.`);
+        }
+    }
+    const boxTypes = getActiveBoxTypes(boxCatalog);
+    const cartItems = carts.map(cart => cart.items.flatMap(({ productId, quantity }) => Array(quantity).fill(products.find(product => product.id === productId))));
+
+    const results = {};
+    for (const strategy of strategies) {
+        const runtimes = [];
+        const fills = [];
+        let totalBoxes = 0;
+        let totalCO2 = 0;
+        let unpackedItems = 0;
+        cartItems.forEach((items, index) => {
+            const start = now();
+            const packedBoxes = packOptimal(items, boxTypes, { ...SEARCH_OPTIONS, strategy });
+            runtimes.push(now() - start);
+            // The report has no constraint impacts, so the repacks they take are skipped
+            const metrics = calculateMetrics(packedBoxes, items, boxTypes, { constraintImpacts: false });
+            totalBoxes += metrics.totalBoxes;
+            totalCO2 += metrics.optimalCO2Impact;
+            unpackedItems += metrics.unpackedItems.reduce((sum, entry) => sum + entry.quantity, 0);
+            fills.push(...packedBoxes.map(box => (box.filledVolume / box.volume) * 100));
+            onCart?.(strategy, index);
+        });
+        results[strategy] = {
+            totalBoxes,
+            averageFill: fills.length ? fills.reduce((sum, fill) => sum + fill, 0) / fills.length : 0,
+            totalCO2,
+            unpackedItems,
+            runtimeP50Ms: percentile(runtimes, 50),
+            runtimeP90Ms: percentile(runtimes, 90),
+            runtimeP99Ms: percentile(runtimes, 99),
+        };
+    }
+    return { version: BENCHMARK_FORMAT_VERSION, workload: { ...workload, carts: carts.length }, results };
+};
+
+// Relative change of a metric, positive when it got worse
+const worsening = (metric, baseline, current) => {
+    const difference = BENCHMARK_METRICS[metric].better === 'lower' ? current - baseline : baseline - current;
+    if (difference === 0) return 0;
+    return baseline === 0 ? Math.sign(difference) * Infinity : difference / Math.abs(baseline);
+};
+
+/**
+ * Compares a run with a baseline, metric by metric, for the strategies both ran.
+ * @param {BenchmarkReport} baseline
+ * @param {BenchmarkReport} current
+ * @param {{quality?: number, timing?: number}} [thresholds=DEFAULT_REGRESSION_THRESHOLDS] - Relative
+ *   worsening allowed (0.01 is 1%) for plan metrics and for runtimes.
+ * @returns {BenchmarkComparison}
+ * @throws {Error} If the two runs packed different carts.
+ */
+export const compareBenchmarks = (baseline, current, thresholds = {}) => {
+    const { quality, timing } = { ...DEFAULT_REGRESSION_THRESHOLDS, ...thresholds };
+    if (baseline.version !== BENCHMARK_FORMAT_VERSION) {
+        throw new Error(`Benchmark format version ${baseline.version} is not supported.`);
+    }
+    // Compared field by field, whatever order the stored baseline lists them in
+    const describe = (workload) => JSON.stringify(workload, Object.keys(workload).sort());
+    if (describe(baseline.workload) !== describe(current.workload)) {
+        throw new Error(`The baseline was run on different carts (${JSON.stringify(baseline.workload)}); run it again with the same options.`);
+    }
+
+    const strategies = Object.keys(current.results).filter(strategy => baseline.results[strategy]);
+    const rows = strategies.flatMap(strategy => Object.entries(BENCHMARK_METRICS).map(([metric, { timing: isTiming }]) => {
+        const change = worsening(metric, baseline.results[strategy][metric], current.results[strategy][metric]);
+        return {
+            strategy,
+            metric,
+            baseline: baseline.results[strategy][metric],
+            current: current.results[strategy][metric],
+            change,
+            regression: change > (isTiming ? timing : quality),
+        };
+    }));
+    return {
+        rows,
+        regressions: rows.filter(row => row.regression),
+        missingStrategies: Object.keys(baseline.results).filter(strategy => !current.results[strategy]),
+    };
+};
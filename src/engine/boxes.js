@@ -0,0 +1,8 @@
+// Define common Amazon box sizes with dimensions (cm) and weight limits (kg)
+// Added baseCO2 (kg) and perKgCO2 (kg/kg) for each box type, the empty box's tareWeight (kg), its cost (USD) and its voidFill material
+export const AMAZON_BOX_SIZES = [
+  { id: 'S3', name: 'Small Box (S3)', length: 25, width: 20, height: 12, volume: 6000, maxWeight: 5, baseCO2: 0.15, perKgCO2: 0.06, tareWeight: 0.15, cost: 0.45, voidFill: 'airPillows', enabled: true },
+  { id: 'M3', name: 'Medium Box (M3)', length: 35, width: 25, height: 15, volume: 13125, maxWeight: 10, baseCO2: 0.20, perKgCO2: 0.055, tareWeight: 0.25, cost: 0.65, voidFill: 'airPillows', enabled: true },
+  { id: 'L4', name: 'Large Box (L4)', length: 45, width: 35, height: 20, volume: 31500, maxWeight: 15, baseCO2: 0.25, perKgCO2: 0.05, tareWeight: 0.4, cost: 0.95, voidFill: 'airPillows', enabled: true },
+  { id: 'X1', name: 'X-Large Box (X1)', length: 60, width: 40, height: 30, volume: 72000, maxWeight: 22, baseCO2: 0.30, perKgCO2: 0.045, tareWeight: 0.6, cost: 1.35, voidFill: 'airPillows', enabled: true }
+];
@@ -0,0 +1,166 @@
+// Box catalog: validation, the active selection, and JSON/CSV import and export of box types.
+
+/** @typedef {import('./index.js').BoxType} BoxType */
+
+import { parseCSV, toCSV } from './csv.js';
+import { DEFAULT_VOID_FILL, VOID_FILL_MATERIALS } from './voidFill.js';
+
+export const CATALOG_FORMAT_VERSION = 1;
+
+// Fields of a box type, in export order. volume is derived from the dimensions and never stored.
+export const BOX_TYPE_FIELDS = [
+    'id', 'name', 'length', 'width', 'height', 'maxWeight', 'baseCO2', 'perKgCO2', 'tareWeight', 'cost', 'voidFill', 'enabled',
+];
+
+// Numeric fields that must be greater than zero, and those that may be zero
+const POSITIVE_FIELDS = ['length', 'width', 'height', 'maxWeight'];
+const NON_NEGATIVE_FIELDS = ['baseCO2', 'perKgCO2', 'tareWeight', 'cost'];
+
+/**
+ * Raised when an imported or edited catalog does not validate. `errors` lists every problem found.
+ */
+export class CatalogError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CatalogError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Builds a box type from its editable fields: fills defaults and derives the volume.
+ * @param {Object} fields
+ * @returns {BoxType}
+ */
+export const createBoxType = (fields) => ({
+    ...fields,
+    tareWeight: fields.tareWeight ?? 0,
+    cost: fields.cost ?? 0,
+    voidFill: fields.voidFill || DEFAULT_VOID_FILL,
+    enabled: fields.enabled !== false,
+    volume: fields.length * fields.width * fields.height,
+});
+
+/**
+ * Lists what is wrong with a single box type.
+ * @param {BoxType} boxType
+ * @returns {Array<string>} Human-readable problems; empty when the box type is valid.
+ */
+export const validateBoxType = (boxType) => {
+    const errors = [];
+    if (typeof boxType.id !== 'string' || !boxType.id.trim()) errors.push('id is required');
+    if (typeof boxType.name !== 'string' || !boxType.name.trim()) errors.push('name is required');
+    for (const field of POSITIVE_FIELDS) {
+        if (typeof boxType[field] !== 'number' || !Number.isFinite(boxType[field]) || boxType[field] <= 0) {
+            errors.push(`${field} must be a number greater than 0`);
+        }
+    }
+    for (const field of NON_NEGATIVE_FIELDS) {
+        if (typeof boxType[field] !== 'number' || !Number.isFinite(boxType[field]) || boxType[field] < 0) {
+            errors.push(`${field} must be a number of at least 0`);
+        }
+    }
+    if (!(boxType.voidFill in VOID_FILL_MATERIALS)) {
+        errors.push(`voidFill must be one of ${Object.keys(VOID_FILL_MATERIALS).join(', ')}`);
+    }
+    if (typeof boxType.enabled !== 'boolean') errors.push('enabled must be true or false');
+    return errors;
+};
+
+/**
+ * Lists what is wrong with a catalog: invalid box types and duplicate ids.
+ * @param {Array<BoxType>} catalog
+ * @returns {Array<string>} Problems prefixed with the box they concern; empty when the catalog is valid.
+ */
+export const validateBoxCatalog = (catalog) => {
+    if (!Array.isArray(catalog)) return ['The catalog must be a list of box types.'];
+    const errors = [];
+    const seenIds = new Set();
+    catalog.forEach((boxType, index) => {
+        const label = `Box ${index + 1}${boxType?.name ? ` (${boxType.name})` : ''}`;
+        if (!boxType || typeof boxType !== 'object') {
+            errors.push(`${label}: not a box type`);
+            return;
+        }
+        validateBoxType(boxType).forEach(error => errors.push(`${label}: ${error}`));
+        if (seenIds.has(boxType.id)) errors.push(`${label}: id '${boxType.id}' is used more than once`);
+        seenIds.add(boxType.id);
+    });
+    return errors;
+};
+
+/**
+ * The box types packing may use: the enabled entries of the catalog.
+ * @param {Array<BoxType>} catalog
+ * @returns {Array<BoxType>}
+ */
+export const getActiveBoxTypes = (catalog) => catalog.filter(boxType => boxType.enabled);
+
+// Validates box types built from imported data and throws if any are wrong
+const checkImported = (catalog, format) => {
+    const errors = validateBoxCatalog(catalog);
+    if (errors.length) {
+        throw new CatalogError(`The ${format} box catalog is not valid.`, errors);
+    }
+    return catalog;
+};
+
+const pickFields = (boxType) => Object.fromEntries(BOX_TYPE_FIELDS.map(field => [field, boxType[field]]));
+
+/**
+ * Serializes a catalog as versioned JSON.
+ * @param {Array<BoxType>} catalog
+ * @returns {string}
+ */
+export const exportCatalogJSON = (catalog) =>
+    JSON.stringify({ version: CATALOG_FORMAT_VERSION, boxTypes: catalog.map(pickFields) }, null, 2);
+
+/**
+ * Reads a catalog from JSON: either the versioned export format or a bare array of box types.
+ * @param {string} text
+ * @returns {Array<BoxType>}
+ * @throws {CatalogError} If the text is not JSON or the catalog does not validate.
+ */
+export const importCatalogJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CatalogError('The box catalog is not valid JSON.', [error.message]);
+    }
+    const boxTypes = Array.isArray(data) ? data : data?.boxTypes;
+    if (!Array.isArray(data) && data?.version !== undefined && data.version > CATALOG_FORMAT_VERSION) {
+        throw new CatalogError(`Box catalog format version ${data.version} is newer than this app supports.`);
+    }
+    if (!Array.isArray(boxTypes)) {
+        throw new CatalogError('The box catalog JSON has no list of box types.');
+    }
+    return checkImported(boxTypes.map(boxType => (
+        boxType && typeof boxType === 'object' ? createBoxType(boxType) : boxType
+    )), 'JSON');
+};
+
+/**
+ * Serializes a catalog as CSV, one box type per row.
+ * @param {Array<BoxType>} catalog
+ * @returns {string}
+ */
+export const exportCatalogCSV = (catalog) => toCSV(catalog, BOX_TYPE_FIELDS);
+
+// CSV cells are strings: numbers are converted, and empty optional cells fall back to defaults
+const boxTypeFromRow = (row) => {
+    const fields = { id: row.id, name: row.name, voidFill: row.voidFill };
+    for (const field of [...POSITIVE_FIELDS, ...NON_NEGATIVE_FIELDS]) {
+        if (row[field] !== undefined && row[field] !== '') fields[field] = Number(row[field]);
+    }
+    fields.enabled = !/^(false|0|no)$/i.test(row.enabled ?? '');
+    return createBoxType(fields);
+};
+
+/**
+ * Reads a catalog from CSV with a header row naming the box type fields.
+ * @param {string} text
+ * @returns {Array<BoxType>}
+ * @throws {CatalogError} If the catalog does not validate.
+ */
+export const importCatalogCSV = (text) => checkImported(parseCSV(text).map(boxTypeFromRow), 'CSV');
@@ -0,0 +1,94 @@
+// Product constraints the packer enforces: load on top of fragile or non-stackable items,
+// categories that must not share a box, and items that must ship alone.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').PackedItem} PackedItem */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+
+// Load (kg) a fragile item carries when it sets no maxLoadOnTop of its own: light items only
+export const FRAGILE_MAX_LOAD = 0.5;
+
+const EPSILON = 1e-9;
+
+/**
+ * The constraints, each with a label for the user, a test for whether an item is subject to it,
+ * and a way to lift it from an item (used to measure what the constraint costs).
+ */
+export const PACKING_CONSTRAINTS = {
+    loadOnTop: {
+        label: 'Fragile and load-on-top limits',
+        appliesTo: (item) => item.fragile === true || item.stackable === false || typeof item.maxLoadOnTop === 'number',
+        relax: (item) => ({ ...item, fragile: false, stackable: true, maxLoadOnTop: null }),
+    },
+    incompatibleCategories: {
+        label: 'Categories that must not share a box',
+        appliesTo: (item) => (item.incompatibleCategories?.length ?? 0) > 0,
+        relax: (item) => ({ ...item, incompatibleCategories: [] }),
+    },
+    shipAlone: {
+        label: 'Ships alone',
+        appliesTo: (item) => item.shipAlone === true,
+        relax: (item) => ({ ...item, shipAlone: false }),
+    },
+};
+
+/**
+ * The most weight (kg) that may rest on top of an item: its own maxLoadOnTop if set,
+ * nothing if it is not stackable, FRAGILE_MAX_LOAD if it is fragile, otherwise no limit.
+ * @param {Item} item
+ * @returns {number}
+ */
+export const getLoadLimit = (item) => {
+    if (typeof item.maxLoadOnTop === 'number') return item.maxLoadOnTop;
+    if (item.stackable === false) return 0;
+    if (item.fragile) return FRAGILE_MAX_LOAD;
+    return Infinity;
+};
+
+// True if b lies above a and their footprints overlap, so b's weight bears down on a
+const restsOn = (b, a) => (
+    b.position.z >= a.position.z + a.orientation.height - EPSILON &&
+    a.position.x < b.position.x + b.orientation.length - EPSILON &&
+    b.position.x < a.position.x + a.orientation.length - EPSILON &&
+    a.position.y < b.position.y + b.orientation.width - EPSILON &&
+    b.position.y < a.position.y + a.orientation.width - EPSILON
+);
+
+/**
+ * Checks the load on top of every placed item against its limit. The load on an item is the
+ * weight of everything above its footprint, which errs on the safe side.
+ * @param {Array<PackedItem>} placedItems
+ * @returns {boolean} True if some item carries more than it may.
+ */
+export const exceedsLoadLimits = (placedItems) => placedItems.some(item => {
+    const limit = getLoadLimit(item);
+    if (limit === Infinity) return false;
+    const load = placedItems.reduce((sum, other) => (other !== item && restsOn(other, item) ? sum + other.weight : sum), 0);
+    return load > limit + EPSILON;
+});
+
+// True if either item refuses to travel with the other's category
+const categoriesClash = (a, b) => (
+    (a.incompatibleCategories ?? []).includes(b.category) || (b.incompatibleCategories ?? []).includes(a.category)
+);
+
+/**
+ * Checks whether an item may join the items already in a box: ship-alone items share with
+ * nothing, and incompatible categories never meet. Where the item goes is checked separately.
+ * @param {Item} item
+ * @param {PackedBox} box
+ * @returns {boolean}
+ */
+export const canShareBox = (item, box) => {
+    if (box.items.length === 0) return true;
+    if (item.shipAlone || box.items.some(placed => placed.shipAlone)) return false;
+    return !box.items.some(placed => categoriesClash(item, placed));
+};
+
+/**
+ * Lifts one constraint from every item.
+ * @param {Array<Item>} items
+ * @param {keyof PACKING_CONSTRAINTS} constraint
+ * @returns {Array<Item>}
+ */
+export const relaxConstraint = (items, constraint) => items.map(PACKING_CONSTRAINTS[constraint].relax);
@@ -0,0 +1,31 @@
+// Shipping cost: the box's own price plus a carrier charge on its billable weight, which is the
+// greater of its actual weight and its dimensional weight (volume / divisor).
+
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').ShippingRates} ShippingRates */
+
+import { getBoxVoidFill } from './voidFill.js';
+
+export const DEFAULT_SHIPPING_RATES = {
+    baseCharge: 3.5, // USD per parcel
+    perKg: 1.1,      // USD per billable kg
+    dimDivisor: 5000, // cm3 per kg of dimensional weight
+};
+
+/**
+ * Weight the carrier charges for: actual weight (contents, tare and void fill) or dimensional weight, whichever is greater.
+ * @param {PackedBox} box
+ * @param {ShippingRates} [rates=DEFAULT_SHIPPING_RATES]
+ * @returns {number} kg
+ */
+export const getBillableWeight = (box, rates = DEFAULT_SHIPPING_RATES) =>
+    Math.max(box.totalWeight + (box.tareWeight ?? 0) + getBoxVoidFill(box).weight, box.volume / rates.dimDivisor);
+
+/**
+ * Cost of shipping one packed box, including the box itself.
+ * @param {PackedBox} box
+ * @param {ShippingRates} [rates=DEFAULT_SHIPPING_RATES]
+ * @returns {number} USD
+ */
+export const getBoxShippingCost = (box, rates = DEFAULT_SHIPPING_RATES) =>
+    (box.cost ?? 0) + rates.baseCharge + getBillableWeight(box, rates) * rates.perKg;
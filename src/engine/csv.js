@@ -0,0 +1,67 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes, CRLF or LF line ends.
+
+/**
+ * Parses CSV text whose first row is a header into one object per row, keyed by header.
+ * Blank lines are skipped; all values are returned as trimmed strings.
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ */
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(cell => cell.trim());
+    return nonEmpty.slice(1).map(cells =>
+        Object.fromEntries(header.map((key, index) => [key, (cells[index] ?? '').trim()])),
+    );
+};
+
+// Quotes a value if it contains a delimiter, quote or line break
+const escapeField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows to CSV with a header row.
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns - Keys to write, in order.
+ * @returns {string}
+ */
+export const toCSV = (rows, columns) => [
+    columns.map(escapeField).join(','),
+    ...rows.map(row => columns.map(column => escapeField(row[column])).join(',')),
+].join('\n') + '\n';
@@ -0,0 +1,134 @@
+// Delivery-day consolidation: group cart lines into shipments by desired-by date and price the
+// CO2 of accepting a later date, or asking for an earlier one.
+
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').CartLine} CartLine */
+/** @typedef {import('./index.js').Metrics} Metrics */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { calculateMetrics } from './metrics.js';
+import { packOptimal } from './strategies.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from a to b, for ISO dates (YYYY-MM-DD)
+const daysBetween = (a, b) => (Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS;
+
+const flattenLines = (lines) => lines.flatMap(line => Array(line.quantity).fill(line));
+
+/**
+ * @typedef {Object} Shipment
+ * @property {string|null} date - Delivery day (ISO date), or null when no line has a date.
+ * @property {Array<CartLine>} lines - Cart lines delivered in this shipment.
+ * @property {Metrics} metrics - Packing and CO2 figures for the shipment.
+ */
+
+/**
+ * Groups cart lines into shipments by delivery window and packs each shipment separately.
+ * A window opens at the earliest remaining desired-by date and takes every line due within
+ * `windowDays` of it; the shipment is delivered on that first date, so nothing arrives late.
+ * Lines without a date are flexible and travel with the last shipment.
+ *
+ * @param {Array<CartLine>} lines - Cart lines, each with an optional `deliverBy` ISO date.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options] - packOptimal options (e.g. strategy), plus:
+ * @param {number} [options.windowDays=1] - Length of a delivery window in days.
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for the shipments' CO2.
+ * @returns {{shipments: Array<Shipment>, totalCO2: number, totalBoxes: number}}
+ */
+export const planDeliveries = (lines, boxTypes, options = {}) => {
+    const { windowDays = 1, ...packingOptions } = options;
+    const activeLines = lines.filter(line => line.quantity > 0);
+    const datedLines = activeLines
+        .filter(line => line.deliverBy)
+        .sort((a, b) => a.deliverBy.localeCompare(b.deliverBy));
+    const flexibleLines = activeLines.filter(line => !line.deliverBy);
+
+    const groups = [];
+    for (const line of datedLines) {
+        const current = groups[groups.length - 1];
+        if (current && daysBetween(current.date, line.deliverBy) < windowDays) {
+            current.lines.push(line);
+        } else {
+            groups.push({ date: line.deliverBy, lines: [line] });
+        }
+    }
+    if (flexibleLines.length) {
+        if (groups.length) groups[groups.length - 1].lines.push(...flexibleLines);
+        else groups.push({ date: null, lines: flexibleLines });
+    }
+
+    const shipments = groups.map(({ date, lines: shipmentLines }) => {
+        const items = flattenLines(shipmentLines);
+        return {
+            date,
+            lines: shipmentLines,
+            metrics: calculateMetrics(packOptimal(items, boxTypes, packingOptions), items, boxTypes, { emissions: packingOptions.emissions, packingOptions }),
+        };
+    });
+
+    return {
+        shipments,
+        totalCO2: shipments.reduce((sum, shipment) => sum + shipment.metrics.optimalCO2Impact, 0),
+        totalBoxes: shipments.reduce((sum, shipment) => sum + shipment.metrics.totalBoxes, 0),
+    };
+};
+
+/**
+ * @typedef {Object} DeliveryTradeoff
+ * @property {Array<string>} itemIds - Cart lines that would change date.
+ * @property {string} fromDate
+ * @property {string} toDate
+ * @property {number} co2Change - kg CO2 the change adds to the plan (negative when it saves CO2).
+ * @property {number} boxChange - Boxes the change adds to the plan.
+ */
+
+/**
+ * Prices moving cart lines between neighbouring shipments. `later` lists what each line (and each
+ * whole shipment) saves by waiting for the next shipment, best first; `earlier` lists what each
+ * line costs to split off into the previous shipment, cheapest first.
+ *
+ * @param {Array<CartLine>} lines - Cart lines, each with an optional `deliverBy` ISO date.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options] - Options of planDeliveries.
+ * @returns {{plan: Object, later: Array<DeliveryTradeoff>, earlier: Array<DeliveryTradeoff>}}
+ */
+export const findDeliveryTradeoffs = (lines, boxTypes, options = {}) => {
+    const plan = planDeliveries(lines, boxTypes, options);
+    const { shipments } = plan;
+
+    const priceMove = (itemIds, fromDate, toDate) => {
+        const moved = lines.map(line => (itemIds.includes(line.id) ? { ...line, deliverBy: toDate } : line));
+        const movedPlan = planDeliveries(moved, boxTypes, options);
+        return {
+            itemIds,
+            fromDate,
+            toDate,
+            co2Change: movedPlan.totalCO2 - plan.totalCO2,
+            boxChange: movedPlan.totalBoxes - plan.totalBoxes,
+        };
+    };
+    // Flexible lines have no date to move
+    const datedIds = (shipment) => shipment.lines.filter(line => line.deliverBy).map(line => line.id);
+
+    const later = [];
+    const earlier = [];
+    shipments.forEach((shipment, index) => {
+        const next = shipments[index + 1];
+        const previous = shipments[index - 1];
+        const ids = datedIds(shipment);
+        if (next) {
+            ids.forEach(id => later.push(priceMove([id], shipment.date, next.date)));
+            if (ids.length > 1) later.push(priceMove(ids, shipment.date, next.date));
+        }
+        if (previous) {
+            ids.forEach(id => earlier.push(priceMove([id], shipment.date, previous.date)));
+        }
+    });
+
+    return {
+        plan,
+        later: later.filter(option => option.co2Change < 0).sort((a, b) => a.co2Change - b.co2Change),
+        earlier: earlier.sort((a, b) => a.co2Change - b.co2Change),
+    };
+};
@@ -0,0 +1,171 @@
+// Emissions models: how a packed box's CO2 is worked out, broken down by source.
+// calculateMetrics, the optimizer and the suggestions all go through the selected model.
+
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+/** @typedef {import('./index.js').CO2Breakdown} CO2Breakdown */
+
+import { getBoxVoidFill } from './voidFill.js';
+
+// Sources every breakdown reports, in display order
+export const EMISSION_SOURCES = {
+    packaging: 'Box material',
+    voidFill: 'Void fill',
+    transport: 'Transport',
+};
+
+/**
+ * Transport modes: kg CO2 per tonne-km, and cm3 per kg of dimensional weight for the load share.
+ */
+export const TRANSPORT_MODES = {
+    van: { label: 'Van', kgCO2PerTonneKm: 0.6, dimDivisor: 5000 },
+    truck: { label: 'Truck', kgCO2PerTonneKm: 0.1, dimDivisor: 5000 },
+    rail: { label: 'Rail', kgCO2PerTonneKm: 0.03, dimDivisor: 5000 },
+    air: { label: 'Air', kgCO2PerTonneKm: 1.2, dimDivisor: 6000 },
+};
+
+// What share of the vehicle a parcel is charged for
+export const LOAD_SHARES = {
+    dimensional: 'Dimensional weight',
+    actual: 'Actual weight',
+};
+
+// kg CO2 to make one kg of cardboard
+export const CARDBOARD_CO2_PER_KG = { virgin: 1.2, recycled: 0.7 };
+
+// Everything a box weighs: contents, tare and void fill
+const getGrossWeight = (box, voidFill) => box.totalWeight + (box.tareWeight ?? 0) + voidFill.weight;
+
+/**
+ * The emissions models. Each has a label, its default settings, a per-box breakdown, and lower
+ * bounds for the exact optimizer: any box of the given types, holding w kg of items, emits at
+ * least perBox + w * perKg kg CO2 before void fill.
+ */
+export const EMISSIONS_MODELS = {
+    box: {
+        label: 'Per-box factors',
+        defaults: {},
+        // The box type's own constants: baseCO2 for the box and perKgCO2 for everything it carries
+        getBoxEmissions: (box) => {
+            const voidFill = getBoxVoidFill(box);
+            return {
+                packaging: box.baseCO2,
+                voidFill: voidFill.co2,
+                transport: getGrossWeight(box, voidFill) * box.perKgCO2,
+            };
+        },
+        getLowerBounds: (boxTypes) => ({
+            perBox: Math.min(...boxTypes.map(box => box.baseCO2)),
+            perKg: Math.min(...boxTypes.map(box => box.perKgCO2)),
+        }),
+    },
+    distance: {
+        label: 'Distance and transport mode',
+        defaults: { distanceKm: 300, mode: 'truck', recycledShare: 0.5, loadShare: 'dimensional' },
+        // Cardboard by its recycled content; transport by tonne-km of the parcel's share of the
+        // vehicle, which is its dimensional weight when bulk rather than mass fills the vehicle
+        getBoxEmissions: (box, settings) => {
+            const { distanceKm, mode, recycledShare, loadShare } = settings;
+            const { kgCO2PerTonneKm, dimDivisor } = TRANSPORT_MODES[mode];
+            const voidFill = getBoxVoidFill(box);
+            const cardboardCO2PerKg = recycledShare * CARDBOARD_CO2_PER_KG.recycled + (1 - recycledShare) * CARDBOARD_CO2_PER_KG.virgin;
+            const grossWeight = getGrossWeight(box, voidFill);
+            const loadWeight = loadShare === 'dimensional' ? Math.max(grossWeight, box.volume / dimDivisor) : grossWeight;
+            return {
+                packaging: (box.tareWeight ?? 0) * cardboardCO2PerKg,
+                voidFill: voidFill.co2,
+                transport: (loadWeight / 1000) * distanceKm * kgCO2PerTonneKm,
+            };
+        },
+        // Under a dimensional load share, items can ride free in a box's bulk, so only the box counts
+        getLowerBounds: (boxTypes, settings) => {
+            const perKg = (settings.distanceKm * TRANSPORT_MODES[settings.mode].kgCO2PerTonneKm) / 1000;
+            const emptyBoxCO2 = (box) => {
+                const { packaging, transport } = EMISSIONS_MODELS.distance.getBoxEmissions({ ...box, totalWeight: 0, voidFill: 'none' }, settings);
+                return packaging + transport;
+            };
+            return {
+                perBox: Math.min(...boxTypes.map(emptyBoxCO2)),
+                perKg: settings.loadShare === 'dimensional' ? 0 : perKg,
+            };
+        },
+    },
+};
+
+export const DEFAULT_EMISSIONS = { model: 'box' };
+
+/**
+ * Checks emissions settings, e.g. stored, shared or sent to the API, with the model's defaults
+ * filled in.
+ * @param {EmissionsSettings} emissions
+ * @returns {Array<string>} Every problem found; empty when the settings can be used.
+ */
+export const validateEmissionsSettings = (emissions) => {
+    if (!emissions || typeof emissions !== 'object') return ['emissions settings must be an object'];
+    const model = EMISSIONS_MODELS[emissions.model];
+    if (!model) return [`unknown emissions model '${emissions.model}'`];
+    const { distanceKm, mode, recycledShare, loadShare } = { ...model.defaults, ...emissions };
+    const errors = [];
+    if (mode !== undefined && !(mode in TRANSPORT_MODES)) errors.push(`unknown transport mode '${mode}'`);
+    if (distanceKm !== undefined && !(Number.isFinite(distanceKm) && distanceKm >= 0)) {
+        errors.push(`distanceKm must be a number of at least 0 (got ${distanceKm})`);
+    }
+    if (recycledShare !== undefined && !(Number.isFinite(recycledShare) && recycledShare >= 0 && recycledShare <= 1)) {
+        errors.push(`recycledShare must be a number from 0 to 1 (got ${recycledShare})`);
+    }
+    if (loadShare !== undefined && !(loadShare in LOAD_SHARES)) errors.push(`unknown load share '${loadShare}'`);
+    return errors;
+};
+
+/**
+ * Fills in a model's default settings and checks that the model exists and the settings are valid.
+ * @param {EmissionsSettings} [emissions=DEFAULT_EMISSIONS]
+ * @returns {{model: Object, settings: Object}}
+ * @throws {Error} For an unknown model or invalid settings (see validateEmissionsSettings).
+ */
+export const resolveEmissionsModel = (emissions = DEFAULT_EMISSIONS) => {
+    const model = EMISSIONS_MODELS[emissions.model];
+    if (!model) {
+        throw new Error(`Unknown emissions model '${emissions.model}'.`);
+    }
+    const errors = validateEmissionsSettings(emissions);
+    if (errors.length) {
+        throw new Error(`Invalid emissions settings: ${errors.join('; ')}.`);
+    }
+    return { model, settings: { ...model.defaults, ...emissions } };
+};
+
+/**
+ * CO2 for shipping one packed box, by source.
+ * @param {PackedBox} box
+ * @param {EmissionsSettings} [emissions=DEFAULT_EMISSIONS]
+ * @returns {CO2Breakdown}
+ */
+export const getBoxEmissions = (box, emissions) => {
+    const { model, settings } = resolveEmissionsModel(emissions);
+    return model.getBoxEmissions(box, settings);
+};
+
+/**
+ * Adds up breakdowns source by source; `sign` -1 subtracts the second from the first.
+ * @param {CO2Breakdown} a
+ * @param {CO2Breakdown} b
+ * @param {1|-1} [sign=1]
+ * @returns {CO2Breakdown}
+ */
+export const combineBreakdowns = (a, b, sign = 1) =>
+    Object.fromEntries(Object.keys(EMISSION_SOURCES).map(source => [source, a[source] + sign * b[source]]));
+
+/**
+ * A breakdown with nothing in it.
+ * @returns {CO2Breakdown}
+ */
+export const emptyBreakdown = () => Object.fromEntries(Object.keys(EMISSION_SOURCES).map(source => [source, 0]));
+
+/**
+ * Total kg CO2 of a breakdown.
+ * @param {CO2Breakdown} breakdown
+ * @returns {number}
+ */
+export const sumBreakdown = (breakdown) => Object.keys(EMISSION_SOURCES).reduce((sum, source) => sum + breakdown[source], 0);
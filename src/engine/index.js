@@ -0,0 +1,466 @@
+/**
+ * EcoPack packing engine.
+ *
+ * Framework-free: everything here runs in the browser, in Node and in workers alike.
+ * All dimensions are in cm, weights in kg and CO2 figures in kg CO2e.
+ */
+
+/**
+ * A product, or one unit of it in a flat item list.
+ * @typedef {Object} Item
+ * @property {string} id
+ * @property {string} name
+ * @property {number} length
+ * @property {number} width
+ * @property {number} height
+ * @property {number} weight
+ * @property {'any'|'thisSideUp'|'flat'} [orientationRule] - Which way up the item may travel; defaults to 'any'.
+ * @property {string} [category] - Free-form grouping such as 'Electronics', used by product search.
+ * @property {boolean} [fragile] - Carries at most FRAGILE_MAX_LOAD kg on top unless maxLoadOnTop says otherwise.
+ * @property {boolean} [stackable] - False when nothing may be placed on top; defaults to true.
+ * @property {number|null} [maxLoadOnTop] - Most kg that may rest on top; overrides fragile and stackable.
+ * @property {Array<string>} [incompatibleCategories] - Categories this item must not share a box with.
+ * @property {boolean} [shipAlone] - Must be the only item in its box.
+ * @property {Array<string>} [stockLocations] - Keys into FULFILMENT_CENTRES that stock the product; empty when any centre can ship it.
+ * @property {string} [imageUrl]
+ */
+
+/**
+ * A cart line: a product with its quantity and, optionally, the day it is wanted by.
+ * @typedef {Item & {quantity: number, deliverBy?: string}} CartLine
+ */
+
+/**
+ * A box type that items can be packed into.
+ * @typedef {Object} BoxType
+ * @property {string} name
+ * @property {number} length
+ * @property {number} width
+ * @property {number} height
+ * @property {number} volume
+ * @property {number} maxWeight
+ * @property {number} baseCO2 - kg CO2 for the box itself.
+ * @property {number} perKgCO2 - kg CO2 per kg shipped (contents and tare).
+ * @property {string} [id] - Unique within a catalog.
+ * @property {number} [tareWeight] - Weight of the empty box in kg.
+ * @property {number} [cost] - Price of the box in USD.
+ * @property {string} [voidFill] - Key into VOID_FILL_MATERIALS for the material filling empty space; defaults to DEFAULT_VOID_FILL.
+ * @property {boolean} [enabled] - Whether packing may use this box type.
+ */
+
+/**
+ * Extent of a placed item along the box length (x), width (y) and height (z) axes.
+ * @typedef {Object} Orientation
+ * @property {number} length
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * An item inside a packed box, with its position measured from the box's bottom-back-left corner.
+ * @typedef {Item & {position: {x: number, y: number, z: number}, orientation: Orientation}} PackedItem
+ */
+
+/**
+ * An instance of a box type together with its contents, and the fulfilment centre it ships from
+ * (null when no item in the order is tied to a centre).
+ * @typedef {BoxType & {items: Array<PackedItem>, filledVolume: number, totalWeight: number, origin?: string|null}} PackedBox
+ */
+
+/**
+ * The void fill one packed box needs.
+ * @typedef {Object} VoidFill
+ * @property {string} material - Key into VOID_FILL_MATERIALS.
+ * @property {number} volume - Empty space in cm3.
+ * @property {number} weight - kg of material.
+ * @property {number} co2 - kg CO2 to make the material (shipping it is counted with the box's weight).
+ */
+
+/**
+ * Carrier pricing used for shipping cost.
+ * @typedef {Object} ShippingRates
+ * @property {number} baseCharge - USD per parcel.
+ * @property {number} perKg - USD per billable kg.
+ * @property {number} dimDivisor - cm3 per kg of dimensional weight.
+ */
+
+/**
+ * Which emissions model works out CO2, and its settings. Settings left out take the model's defaults.
+ * @typedef {Object} EmissionsSettings
+ * @property {'box'|'distance'} model - Key into EMISSIONS_MODELS.
+ * @property {number} [distanceKm] - 'distance': origin to destination.
+ * @property {'van'|'truck'|'rail'|'air'} [mode] - 'distance': key into TRANSPORT_MODES.
+ * @property {number} [recycledShare] - 'distance': share of recycled cardboard in the boxes, 0 to 1.
+ * @property {'actual'|'dimensional'} [loadShare] - 'distance': key into LOAD_SHARES, what share of the vehicle a parcel is charged for.
+ */
+
+/**
+ * kg CO2 by source.
+ * @typedef {Object} CO2Breakdown
+ * @property {number} packaging - Making the boxes.
+ * @property {number} voidFill - Making the void fill.
+ * @property {number} transport - Moving the parcels.
+ */
+
+/**
+ * A plan measured on every objective.
+ * @typedef {Object} PlanMeasures
+ * @property {number} co2 - kg CO2.
+ * @property {number} cost - USD.
+ * @property {number} boxes
+ */
+
+/**
+ * Why an item cannot be packed into any box type.
+ * @typedef {Object} UnpackableReason
+ * @property {'noBoxTypes'|'tooHeavy'|'tooLarge'|'orientation'|'noFittingBox'} code
+ * @property {string} message - Explanation for the user.
+ * @property {string} [dimension] - For 'tooLarge': the item dimension that does not fit.
+ * @property {number} [size] - For 'tooLarge': that dimension in cm.
+ * @property {number} [weight] - For 'tooHeavy': the item weight in kg.
+ * @property {number} [limit] - The largest size (cm) or weight (kg) any box type allows.
+ */
+
+/**
+ * @typedef {Object} UnpackedItem
+ * @property {Item} item
+ * @property {number} quantity - Units of the item left out of the plan.
+ * @property {UnpackableReason} reason
+ */
+
+/**
+ * A constraint that made the plan use more boxes than it would without it.
+ * @typedef {Object} ConstraintImpact
+ * @property {'loadOnTop'|'incompatibleCategories'|'shipAlone'} constraint
+ * @property {string} label
+ * @property {number} extraBoxes - Boxes the plan would save if the constraint were lifted.
+ * @property {Array<string>} products - Names of the products the constraint applies to.
+ * @property {string} message - Explanation for the user.
+ */
+
+/**
+ * @typedef {Object} Metrics
+ * @property {Array<PackedBox>} packedBoxes
+ * @property {number} packagingEfficiencyScore - Packed volume as a percentage of box volume.
+ * @property {number} optimalCO2Impact - kg CO2 for the plan.
+ * @property {CO2Breakdown} co2Breakdown - optimalCO2Impact by source.
+ * @property {number} co2SavedByConsolidation - kg CO2 saved against shipping every item alone.
+ * @property {CO2Breakdown} co2SavedBreakdown - co2SavedByConsolidation by source.
+ * @property {number} voidFillWeight - kg of void fill in the plan's boxes.
+ * @property {number} voidFillSaved - kg less void fill than shipping every item alone needs.
+ * @property {number} shippingCost - USD for boxes and carrier charges.
+ * @property {number} totalBoxes
+ * @property {string} boxBreakdown - e.g. "1x Small Box, 2x Large Box".
+ * @property {Array<UnpackedItem>} unpackedItems - Items left out because no box type can take them.
+ * @property {boolean} complete - False when items were left out; the other figures then cover the packed items only.
+ * @property {Array<ConstraintImpact>} constraintImpacts - Constraints that forced extra boxes; empty when left out (options.constraintImpacts false).
+ */
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {'suggestion'|'tooBig'} type
+ * @property {'fit'|'upgrade'} [tier] - Key into SUGGESTION_TIERS.
+ * @property {{type: 'biggerBox', from: string, to: string}|{type: 'repack'}|null} [change] - What an
+ * 'upgrade' suggestion changes about the shipment: one box swapped for the next size up, or a repack.
+ * @property {Item & {quantity: number}} item
+ * @property {number} [quantityToSuggest]
+ * @property {boolean} [fewerBoxes] - Whether the combined order needs fewer boxes than shipping the items separately.
+ * @property {number} [separateBoxes] - Boxes the suggested units need when shipped on their own.
+ * @property {number} [efficiencyImprovement]
+ * @property {number} [co2SavedByCombining]
+ * @property {CO2Breakdown} [co2SavedBreakdown] - co2SavedByCombining by source.
+ * @property {number} [newTotalBoxes]
+ * @property {number} [oldTotalBoxes]
+ * @property {string} [message]
+ * @property {UnpackableReason|null} [reason] - For 'tooBig': why no box can take the item, if none can.
+ */
+
+/**
+ * @typedef {Object} RemovalSuggestion
+ * @property {'remove'} type
+ * @property {Array<{item: Item, quantity: number}>} items - Cart units to take out of the order.
+ * @property {boolean} fewerBoxes - The rest of the order ships in fewer boxes.
+ * @property {boolean} smallerBoxes - The rest ships in as many boxes, but smaller ones.
+ * @property {Array<string>} oldBoxes - Names of the boxes the order uses now.
+ * @property {Array<string>} newBoxes - Names of the boxes the rest of the order would use.
+ * @property {number} co2Difference - kg CO2 the order ships with less without these items.
+ * @property {CO2Breakdown} co2DifferenceBreakdown - co2Difference by source.
+ */
+
+/**
+ * @typedef {Object} ScenarioLine
+ * @property {string} id - Product id.
+ * @property {number} quantity
+ * @property {string} [deliverBy] - Wanted-by date, YYYY-MM-DD.
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {Array<ScenarioLine>} cart
+ * @property {Array<ScenarioLine>} saved - Saved for Later.
+ * @property {Array<Item>} products - Custom products; predefined ones are referred to by id only.
+ * @property {Array<BoxType>} boxCatalog - The whole catalog, disabled box types included.
+ * @property {{packingStrategy: string, packingObjective: string, objectiveWeights: Object<string, number>, emissions: EmissionsSettings, sourcingObjective?: string}} settings
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {string} orderId
+ * @property {Array<{productId: string, quantity: number}>} items
+ * @property {Array<BoxType>} [boxCatalog] - The order's own catalog; the batch default otherwise.
+ */
+
+/**
+ * @typedef {Object} OrderPlan
+ * @property {string} orderId
+ * @property {boolean} complete - False when items were left out.
+ * @property {number} totalBoxes
+ * @property {string} boxBreakdown
+ * @property {number} packagingEfficiencyScore
+ * @property {number} optimalCO2Impact
+ * @property {number} co2SavedByConsolidation
+ * @property {number} shippingCost
+ * @property {Array<{productId: string, reason: string}>} unpackedItems
+ * @property {Array<PackingSlip>} boxes
+ */
+
+/**
+ * @typedef {Object} BatchSummary
+ * @property {number} orders
+ * @property {string} strategy
+ * @property {number} totalBoxes
+ * @property {number} averageEfficiency - Mean packagingEfficiencyScore over the orders.
+ * @property {number} totalCO2
+ * @property {number} totalCO2Saved
+ * @property {number} totalShippingCost
+ * @property {Array<string>} incompleteOrders - Ids of orders with items no box could take.
+ */
+
+/**
+ * @typedef {Object} PackingSlip
+ * @property {number} box - The box's number in the plan, from 1.
+ * @property {string} boxTypeId
+ * @property {string} boxName
+ * @property {string|null} origin - The fulfilment centre the box ships from.
+ * @property {{length: number, width: number, height: number}} dimensions - Box size in cm.
+ * @property {Array<{itemId: string, itemName: string, quantity: number, unitWeight: number, lineWeight: number}>} lines
+ * @property {number} contentsWeight - kg of items.
+ * @property {number} grossWeight - kg with the empty box and void fill.
+ * @property {number} fillPercentage - Packed volume as a percentage of the box's volume.
+ * @property {{material: string, weight: number}} voidFill
+ */
+
+/**
+ * @typedef {Object} PlanDocument
+ * @property {number} version - PLAN_FORMAT_VERSION of the export.
+ * @property {string|null} exportedAt - ISO timestamp.
+ * @property {EmissionsSettings|null} emissions - The emissions model the CO2 figures come from.
+ * @property {Metrics} metrics - The plan and its metrics as exported.
+ */
+
+/**
+ * @typedef {Object} OrderRecord
+ * @property {string} id
+ * @property {string} placedAt - ISO timestamp.
+ * @property {Array<{productId: string, name: string, quantity: number}>} items
+ * @property {number} totalBoxes
+ * @property {string} boxBreakdown
+ * @property {number} boxesAvoided - Boxes fewer than shipping every item on its own.
+ * @property {number} packagingEfficiencyScore
+ * @property {number} optimalCO2Impact
+ * @property {number} co2SavedByConsolidation
+ * @property {number} shippingCost
+ * @property {number} acceptedSuggestions - Saved for Later suggestions taken up for the order.
+ * @property {EmissionsSettings} [emissions] - The emissions model the CO2 figures come from.
+ */
+
+/**
+ * @typedef {Object} OrderHistoryStats
+ * @property {{orders: number, co2: number, co2Saved: number, boxes: number, boxesAvoided: number, acceptedSuggestions: number, averageEfficiency: number}} totals
+ * @property {Array<{placedAt: string, value: number}>} cumulativeCO2Saved - kg CO2 saved up to each order.
+ * @property {Array<{placedAt: string, value: number}>} efficiencyTrend - packagingEfficiencyScore of each order.
+ * @property {Array<{month: string, orders: number, boxesAvoided: number, acceptedSuggestions: number}>} months - By YYYY-MM.
+ */
+
+/**
+ * @typedef {Object} DisplaySettings
+ * @property {'metric'|'imperial'} unitSystem - Key into UNIT_SYSTEMS.
+ * @property {string} locale - BCP 47 tag numbers and dates are formatted for; '' follows the browser.
+ */
+
+/**
+ * Formats engine values (cm, kg, km, USD) for a unit system and locale; see createUnitFormatter.
+ * @typedef {Object} UnitFormatter
+ * @property {'metric'|'imperial'} unitSystem
+ * @property {string|undefined} locale
+ * @property {{length: string, weight: string, distance: string}} symbols - e.g. 'in', 'lb', 'mi'.
+ * @property {function(number, number=): string} formatNumber
+ * @property {function(number, number=): string} formatPercent
+ * @property {function(number, number=): string} formatLength
+ * @property {function(number, number=): string} formatWeight - Also for CO2, a mass.
+ * @property {function(number, number=): string} formatSmallWeight - In g or oz.
+ * @property {function(number, number=): string} formatDistance
+ * @property {function({length: number, width: number, height: number}): string} formatDimensions
+ * @property {function({x: number, y: number, z: number}): string} formatPosition
+ * @property {function(number): string} formatCurrency
+ * @property {function((Date|string), Object=): string} formatDate
+ * @property {function((Date|string)): string} formatDateTime
+ * @property {function(UnpackableReason): string} formatReason
+ * @property {function(number, string): string} toInput - See toInputValue.
+ * @property {function(string, string, number=): number} fromInput - See fromInputValue.
+ */
+
+/**
+ * One strategy's plans for a set of benchmark carts, summed up.
+ * @typedef {Object} BenchmarkResult
+ * @property {number} totalBoxes
+ * @property {number} averageFill - Mean fill of the boxes, as a percentage of their volume.
+ * @property {number} totalCO2
+ * @property {number} unpackedItems - Units no box could take, over all carts.
+ * @property {number} runtimeP50Ms - Median time to pack one cart.
+ * @property {number} runtimeP90Ms
+ * @property {number} runtimeP99Ms
+ */
+
+/**
+ * @typedef {Object} BenchmarkReport
+ * @property {number} version
+ * @property {Object} workload - How the carts were made, and how many there were.
+ * @property {Object<string, BenchmarkResult>} results - By strategy.
+ */
+
+/**
+ * @typedef {Object} BenchmarkComparison
+ * @property {Array<{strategy: string, metric: string, baseline: number, current: number, change: number, regression: boolean}>} rows -
+ *   Every metric of every strategy both runs have; `change` is the relative worsening (negative for improvements).
+ * @property {Array<Object>} regressions - The rows worse than their threshold allows.
+ * @property {Array<string>} missingStrategies - Strategies in the baseline that this run left out.
+ */
+
+export { AMAZON_BOX_SIZES } from './boxes.js';
+export { PREDEFINED_ITEMS } from './products.js';
+export {
+    CATALOG_FORMAT_VERSION,
+    BOX_TYPE_FIELDS,
+    CatalogError,
+    createBoxType,
+    validateBoxType,
+    validateBoxCatalog,
+    getActiveBoxTypes,
+    exportCatalogJSON,
+    importCatalogJSON,
+    exportCatalogCSV,
+    importCatalogCSV,
+} from './catalog.js';
+export {
+    PRODUCT_CATALOG_FORMAT_VERSION,
+    PRODUCT_FIELDS,
+    createProduct,
+    validateProduct,
+    validateProductCatalog,
+    searchProducts,
+    exportProductsJSON,
+    importProductsJSON,
+    exportProductsCSV,
+    importProductsCSV,
+} from './productCatalog.js';
+export { parseCSV, toCSV } from './csv.js';
+export {
+    FRAGILE_MAX_LOAD,
+    PACKING_CONSTRAINTS,
+    getLoadLimit,
+    exceedsLoadLimits,
+    canShareBox,
+    relaxConstraint,
+} from './constraints.js';
+export {
+    ORIENTATION_RULES,
+    getItemVolume,
+    getOrientations,
+    openBox,
+    doesItemFit,
+    placeItem,
+    packGreedy,
+    findUnpackableReason,
+    findUnpackableItems,
+    tryAddItemsToExistingBoxes,
+} from './packing.js';
+export { PACKING_STRATEGIES, packOptimal } from './strategies.js';
+export { FULFILMENT_CENTRES, SOURCING_OBJECTIVES, MAX_SOURCING_ASSIGNMENTS, getSharedCentres, canShipWith, settleOrigins, assignSources, packBySource } from './sourcing.js';
+export {
+    DEFAULT_NODE_BUDGET,
+    DEFAULT_TIME_BUDGET_MS,
+    optimizePacking,
+    findParetoPlans,
+} from './optimizer.js';
+export {
+    OPTIMIZER_OBJECTIVES,
+    DEFAULT_OBJECTIVE_WEIGHTS,
+    measurePlan,
+    scorePlan,
+    compareScores,
+    dominates,
+} from './objectives.js';
+export { VOID_FILL_MATERIALS, DEFAULT_VOID_FILL, getBoxVoidFill, getVoidFillCO2PerCm3 } from './voidFill.js';
+export {
+    EMISSION_SOURCES,
+    TRANSPORT_MODES,
+    LOAD_SHARES,
+    CARDBOARD_CO2_PER_KG,
+    EMISSIONS_MODELS,
+    DEFAULT_EMISSIONS,
+    validateEmissionsSettings,
+    resolveEmissionsModel,
+    getBoxEmissions,
+    combineBreakdowns,
+    emptyBreakdown,
+    sumBreakdown,
+} from './emissions.js';
+export { DEFAULT_SHIPPING_RATES, getBillableWeight, getBoxShippingCost } from './cost.js';
+export { getBoxCO2, getBoxBreakdown, findConstraintImpacts, calculateMetrics } from './metrics.js';
+export { planDeliveries, findDeliveryTradeoffs } from './delivery.js';
+export { SUGGESTION_TIERS, MAX_REMOVAL_SET_SIZE, getBulkOrderSuggestions, getRemovalSuggestions } from './suggestions.js';
+export { PLAN_FORMAT_VERSION, PLAN_CSV_COLUMNS, getPackingSlips, exportPlanCSV, exportPlanJSON, importPlanJSON } from './planExport.js';
+export {
+    SCENARIO_FORMAT_VERSION,
+    SCENARIO_PARAM,
+    encodeScenario,
+    decodeScenario,
+    mergeScenarios,
+    getScenarioLineMap,
+} from './scenario.js';
+export {
+    ORDER_HISTORY_FORMAT_VERSION,
+    ORDER_HISTORY_CSV_COLUMNS,
+    createOrderRecord,
+    getOrderHistoryStats,
+    exportOrderHistoryJSON,
+    exportOrderHistoryCSV,
+    importOrderHistoryJSON,
+} from './orderHistory.js';
+export { ORDERS_FORMAT_VERSION, parseOrdersJSON, parseOrdersCSV, packOrders } from './batch.js';
+export { PACKING_JOBS, createJobRequest, runPackingJob, createResultCache } from './jobs.js';
+export {
+    UNIT_SYSTEMS,
+    DISPLAY_LOCALES,
+    DEFAULT_DISPLAY_SETTINGS,
+    validateDisplaySettings,
+    toDisplayUnits,
+    fromDisplayUnits,
+    toInputValue,
+    fromInputValue,
+    createUnitFormatter,
+} from './units.js';
+export {
+    BENCHMARK_FORMAT_VERSION,
+    SIZE_DISTRIBUTIONS,
+    WEIGHT_DISTRIBUTIONS,
+    DEFAULT_CART_OPTIONS,
+    BENCHMARK_METRICS,
+    DEFAULT_REGRESSION_THRESHOLDS,
+    createRandom,
+    generateCarts,
+    percentile,
+    runBenchmark,
+    compareBenchmarks,
+} from './benchmark.js';
@@ -0,0 +1,111 @@
+// Packing jobs: the engine work the UI hands to a Web Worker, keyed so results can be cached.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { calculateMetrics } from './metrics.js';
+import { findParetoPlans, optimizePacking } from './optimizer.js';
+import { packOptimal } from './strategies.js';
+import { getBulkOrderSuggestions, getRemovalSuggestions } from './suggestions.js';
+
+const flattenLines = (lines) => lines.flatMap(line => Array(line.quantity).fill(line));
+
+/**
+ * The jobs. Each takes a payload of cart lines (items with a quantity), box types and settings,
+ * all plain data so it can cross to a worker, and returns plain data.
+ */
+export const PACKING_JOBS = {
+    // The shipment plan for the selected strategy, and the greedy plan to compare the exact one with
+    plan: ({ lines, boxTypes, strategy, objective, weights, emissions, sourcingObjective }) => {
+        const items = flattenLines(lines);
+        const greedyOptions = { emissions, sourcingObjective };
+        const optimization = strategy === 'exact' ? optimizePacking(items, boxTypes, { objective, weights, emissions, sourcingObjective }) : null;
+        const packedBoxes = optimization ? optimization.packedBoxes : packOptimal(items, boxTypes, greedyOptions);
+        return {
+            optimization,
+            metrics: calculateMetrics(packedBoxes, items, boxTypes, {
+                emissions,
+                packingOptions: optimization ? { ...greedyOptions, strategy, objective, weights } : greedyOptions,
+            }),
+            greedyMetrics: optimization ? calculateMetrics(optimization.greedyPackedBoxes, items, boxTypes, { emissions, packingOptions: greedyOptions }) : null,
+        };
+    },
+    paretoPlans: ({ lines, boxTypes, emissions, sourcingObjective }) => findParetoPlans(flattenLines(lines), boxTypes, { emissions, sourcingObjective }),
+    // Saved items to add, and cart items to save for later, measured against the plan as packed
+    suggestions: ({ lines, saved, boxTypes, strategy, objective, weights, emissions, sourcingObjective }) => {
+        const items = flattenLines(lines);
+        const options = { strategy, objective, weights, emissions, sourcingObjective };
+        return {
+            bulk: getBulkOrderSuggestions(items, saved, boxTypes, options),
+            removals: getRemovalSuggestions(items, boxTypes, options),
+        };
+    },
+};
+
+// JSON with object keys sorted, so equal data always gives the same string
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Puts a job's payload in canonical form, with cart lines sorted by product id and saved items
+ * keyed in id order, and builds the cache key from it. The same cart and box catalog give the
+ * same key however they were put together, and the canonical payload the same result.
+ * @param {string} job - Key into PACKING_JOBS.
+ * @param {Object} payload
+ * @returns {{job: string, key: string, payload: Object}}
+ */
+export const createJobRequest = (job, payload) => {
+    if (!PACKING_JOBS[job]) {
+        throw new Error(`Unknown packing job '${job}'.`);
+    }
+    const canonical = { ...payload };
+    if (payload.lines) canonical.lines = [...payload.lines].sort(byId);
+    if (payload.saved) canonical.saved = Object.fromEntries(Object.values(payload.saved).sort(byId).map(item => [item.id, item]));
+    return { job, key: `${job}:${stableStringify(canonical)}`, payload: canonical };
+};
+
+/**
+ * Runs a job.
+ * @param {string} job - Key into PACKING_JOBS.
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const runPackingJob = (job, payload) => {
+    const run = PACKING_JOBS[job];
+    if (!run) {
+        throw new Error(`Unknown packing job '${job}'.`);
+    }
+    return run(payload);
+};
+
+/**
+ * A cache of job results by key that forgets the least recently used once full.
+ * @param {number} [maxEntries=50]
+ * @returns {{get: function(string): (Object|undefined), set: function(string, Object): void, size: function(): number}}
+ */
+export const createResultCache = (maxEntries = 50) => {
+    const entries = new Map();
+    return {
+        get: (key) => {
+            if (!entries.has(key)) return undefined;
+            const result = entries.get(key);
+            entries.delete(key);
+            entries.set(key, result);
+            return result;
+        },
+        set: (key, result) => {
+            entries.delete(key);
+            entries.set(key, result);
+            if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+        size: () => entries.size,
+    };
+};
@@ -0,0 +1,144 @@
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').Metrics} Metrics */
+/** @typedef {import('./index.js').ShippingRates} ShippingRates */
+/** @typedef {import('./index.js').ConstraintImpact} ConstraintImpact */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { AMAZON_BOX_SIZES } from './boxes.js';
+import { DEFAULT_SHIPPING_RATES, getBoxShippingCost } from './cost.js';
+import { PACKING_CONSTRAINTS, relaxConstraint } from './constraints.js';
+import { combineBreakdowns, emptyBreakdown, getBoxEmissions, sumBreakdown } from './emissions.js';
+import { doesItemFit, findUnpackableItems, getItemVolume, openBox } from './packing.js';
+import { packOptimal } from './strategies.js';
+import { getBoxVoidFill } from './voidFill.js';
+
+/**
+ * CO2 for shipping one packed box under an emissions model: the box material, its void fill and
+ * transport. With the default per-box model that is baseCO2, making the void fill, and perKgCO2 on
+ * the contents, tare weight and void fill.
+ * @param {PackedBox} box
+ * @param {EmissionsSettings} [emissions=DEFAULT_EMISSIONS]
+ * @returns {number} kg CO2
+ */
+export const getBoxCO2 = (box, emissions) => sumBreakdown(getBoxEmissions(box, emissions));
+
+/**
+ * Summarises a plan's boxes by type, e.g. "1x Small Box, 2x Large Box".
+ * @param {Array<PackedBox>} packedBoxes
+ * @returns {string}
+ */
+export const getBoxBreakdown = (packedBoxes) => {
+    const boxCounts = packedBoxes.reduce((acc, box) => {
+        acc[box.name] = (acc[box.name] || 0) + 1;
+        return acc;
+    }, {});
+    return Object.entries(boxCounts)
+        .map(([name, count]) => `${count}x ${name.replace(/\s\(.*\)/, '')}`) // Remove (S3), (M3) etc.
+        .join(', ');
+};
+
+/**
+ * Finds the constraints that cost the plan boxes: the order is packed again with each constraint
+ * lifted in turn, the way the plan was packed, and any constraint whose plan then needs fewer
+ * boxes than this one is reported.
+ * @param {Array<PackedBox>} packedBoxes
+ * @param {Array<Item>} flatItemList
+ * @param {Array<BoxType>} boxTypes
+ * @param {Object} [packingOptions] - The packOptimal options the plan was packed with (strategy, sourcingObjective, ...).
+ * @returns {Array<ConstraintImpact>}
+ */
+export const findConstraintImpacts = (packedBoxes, flatItemList, boxTypes, packingOptions = {}) => {
+    const impacts = [];
+    for (const [constraint, { label, appliesTo }] of Object.entries(PACKING_CONSTRAINTS)) {
+        const constrainedItems = flatItemList.filter(appliesTo);
+        if (constrainedItems.length === 0) continue;
+        const extraBoxes = packedBoxes.length - packOptimal(relaxConstraint(flatItemList, constraint), boxTypes, packingOptions).length;
+        if (extraBoxes <= 0) continue;
+        const products = [...new Set(constrainedItems.map(item => item.name))];
+        impacts.push({
+            constraint, label, extraBoxes, products,
+            message: `${label} (${products.join(', ')}) forced ${extraBoxes} extra box${extraBoxes === 1 ? '' : 'es'}.`,
+        });
+    }
+    return impacts;
+};
+
+/**
+ * Calculates sustainability metrics for a set of packed boxes.
+ * Every box includes the void fill for its empty space, in the plan and in the individual-shipment baseline.
+ * Items no box type can take are listed in `unpackedItems` and the plan is marked incomplete;
+ * they are left out of both the plan's figures and the individual-shipment baseline.
+ * @param {Array<PackedBox>} packedBoxes - Boxes returned by packOptimal.
+ * @param {Array<Item>} flatItemList - Every individual item in the order, used for the individual-shipment baseline.
+ * @param {Array<BoxType>} [boxTypes=AMAZON_BOX_SIZES] - Box types available to the individual-shipment baseline.
+ * @param {Object} [options]
+ * @param {ShippingRates} [options.shippingRates=DEFAULT_SHIPPING_RATES] - Carrier rates for the shipping cost.
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for every CO2 figure.
+ * @param {Object} [options.packingOptions] - The packOptimal options the plan was packed with, to
+ *   pack the order the same way when measuring what each constraint costs.
+ * @param {boolean} [options.constraintImpacts=true] - False leaves `constraintImpacts` empty, saving a
+ *   repack per constraint when only the plan's own figures are compared.
+ * @returns {Metrics} Efficiency, CO2 and cost figures and box breakdown for the plan.
+ */
+export const calculateMetrics = (packedBoxes, flatItemList, boxTypes = AMAZON_BOX_SIZES, options = {}) => {
+    const { shippingRates = DEFAULT_SHIPPING_RATES, emissions, packingOptions, constraintImpacts: withConstraintImpacts = true } = options;
+
+    const totalPackedVolume = packedBoxes.reduce((sum, box) => sum + box.filledVolume, 0);
+    const totalBoxesVolume = packedBoxes.reduce((sum, box) => sum + box.volume, 0);
+    
+    const packagingEfficiencyScore = totalBoxesVolume > 0 ? (totalPackedVolume / totalBoxesVolume) * 100 : 0;
+    
+    // Calculate CO2 impact of each box with the emissions model, keeping track of the sources
+    const co2Breakdown = packedBoxes.reduce(
+        (sum, box) => combineBreakdowns(sum, getBoxEmissions(box, emissions)), emptyBreakdown());
+    const optimalCO2Impact = sumBreakdown(co2Breakdown);
+
+    // Calculate individual shipment CO2 and void fill for comparison (each item shipped separately)
+    // This assumes each item, if shipped alone, would go into the smallest suitable box.
+    const sortedBoxesAsc = [...boxTypes].sort((a, b) => a.volume - b.volume);
+    let individualCO2Breakdown = emptyBreakdown();
+    let individualVoidFillWeight = 0;
+    for (const item of flatItemList) {
+        // Find the smallest box that can fit this single item
+        const suitableBox = sortedBoxesAsc.find(box => doesItemFit(item, openBox(box)));
+        if (!suitableBox) continue; // If item can't fit in any box, it's not shipped (and is listed in unpackedItems)
+        const singleItemBox = { ...suitableBox, totalWeight: item.weight, filledVolume: getItemVolume(item) };
+        individualCO2Breakdown = combineBreakdowns(individualCO2Breakdown, getBoxEmissions(singleItemBox, emissions));
+        individualVoidFillWeight += getBoxVoidFill(singleItemBox).weight;
+    }
+
+    const co2SavedBreakdown = combineBreakdowns(individualCO2Breakdown, co2Breakdown, -1);
+    const co2SavedByConsolidation = sumBreakdown(co2SavedBreakdown);
+
+    // Dunnage filling the plan's empty space, and how much less that is than individual shipments need
+    const voidFillWeight = packedBoxes.reduce((sum, box) => sum + getBoxVoidFill(box).weight, 0);
+    const voidFillSaved = individualVoidFillWeight - voidFillWeight;
+
+    // Monetary cost: box prices plus carrier charges on billable (actual or dimensional) weight
+    const shippingCost = packedBoxes.reduce((sum, box) => sum + getBoxShippingCost(box, shippingRates), 0);
+
+    const unpackedItems = findUnpackableItems(flatItemList, boxTypes);
+
+    const boxBreakdown = getBoxBreakdown(packedBoxes);
+
+    const constraintImpacts = withConstraintImpacts ? findConstraintImpacts(packedBoxes, flatItemList, boxTypes, packingOptions) : [];
+
+    return {
+        packedBoxes,
+        packagingEfficiencyScore,
+        optimalCO2Impact,
+        co2Breakdown,
+        co2SavedByConsolidation,
+        co2SavedBreakdown,
+        voidFillWeight,
+        voidFillSaved,
+        shippingCost,
+        totalBoxes: packedBoxes.length,
+        boxBreakdown,
+        unpackedItems,
+        complete: unpackedItems.length === 0,
+        constraintImpacts,
+    };
+};
@@ -0,0 +1,81 @@
+// Packing objectives: how plans are measured and compared.
+
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').ShippingRates} ShippingRates */
+/** @typedef {import('./index.js').PlanMeasures} PlanMeasures */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { DEFAULT_SHIPPING_RATES, getBoxShippingCost } from './cost.js';
+import { getBoxCO2 } from './metrics.js';
+
+// What the exact optimizer can minimize
+export const OPTIMIZER_OBJECTIVES = {
+    co2: 'Lowest CO₂',
+    cost: 'Lowest shipping cost',
+    boxes: 'Fewest boxes',
+    blend: 'Weighted blend',
+};
+
+// Relative importance of each measure in the 'blend' objective
+export const DEFAULT_OBJECTIVE_WEIGHTS = { co2: 1, cost: 1, boxes: 1 };
+
+const EPSILON = 1e-9;
+
+/**
+ * Measures a plan on every objective.
+ * @param {Array<PackedBox>} packedBoxes
+ * @param {ShippingRates} [shippingRates=DEFAULT_SHIPPING_RATES]
+ * @param {EmissionsSettings} [emissions=DEFAULT_EMISSIONS]
+ * @returns {PlanMeasures}
+ */
+export const measurePlan = (packedBoxes, shippingRates = DEFAULT_SHIPPING_RATES, emissions) => ({
+    co2: packedBoxes.reduce((sum, box) => sum + getBoxCO2(box, emissions), 0),
+    cost: packedBoxes.reduce((sum, box) => sum + getBoxShippingCost(box, shippingRates), 0),
+    boxes: packedBoxes.length,
+});
+
+/**
+ * Turns measures into a score for an objective, as [primary, tie-break]; lower is better.
+ * The blend weighs each measure relative to a reference plan (normally the greedy one), so that
+ * kg, USD and box counts can be added up.
+ * @param {PlanMeasures} measures
+ * @param {'co2'|'cost'|'boxes'|'blend'} objective
+ * @param {Object} [blend]
+ * @param {{co2: number, cost: number, boxes: number}} [blend.weights=DEFAULT_OBJECTIVE_WEIGHTS]
+ * @param {PlanMeasures} [blend.reference] - Values that count as 1 for each measure.
+ * @returns {[number, number]}
+ */
+export const scorePlan = (measures, objective, { weights = DEFAULT_OBJECTIVE_WEIGHTS, reference } = {}) => {
+    switch (objective) {
+        case 'co2': return [measures.co2, measures.boxes];
+        case 'cost': return [measures.cost, measures.co2];
+        case 'boxes': return [measures.boxes, measures.co2];
+        case 'blend': {
+            const blended = Object.keys(DEFAULT_OBJECTIVE_WEIGHTS).reduce((sum, key) => (
+                sum + (weights[key] ?? 0) * measures[key] / (reference?.[key] || 1)
+            ), 0);
+            return [blended, measures.boxes];
+        }
+        default:
+            throw new Error(`Unknown packing objective '${objective}'.`);
+    }
+};
+
+/**
+ * Lexicographic comparison of two scores; negative when a is better.
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number}
+ */
+export const compareScores = (a, b) => (Math.abs(a[0] - b[0]) > EPSILON ? a[0] - b[0] : a[1] - b[1]);
+
+/**
+ * True if plan a is at least as good as plan b on CO2, cost and box count, and better on one.
+ * @param {PlanMeasures} a
+ * @param {PlanMeasures} b
+ * @returns {boolean}
+ */
+export const dominates = (a, b) => {
+    const keys = ['co2', 'cost', 'boxes'];
+    return keys.every(key => a[key] <= b[key] + EPSILON) && keys.some(key => a[key] < b[key] - EPSILON);
+};
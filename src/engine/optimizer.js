@@ -0,0 +1,228 @@
+// Exact packing: branch and bound over the assignment of items to boxes.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').PlanMeasures} PlanMeasures */
+/** @typedef {import('./index.js').ShippingRates} ShippingRates */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { DEFAULT_SHIPPING_RATES, getBoxShippingCost } from './cost.js';
+import { resolveEmissionsModel } from './emissions.js';
+import { getBoxCO2 } from './metrics.js';
+import { OPTIMIZER_OBJECTIVES, compareScores, dominates, measurePlan, scorePlan } from './objectives.js';
+import { doesItemFit, getItemVolume, openBox, packGreedy, placeItem } from './packing.js';
+import { assignSources } from './sourcing.js';
+import { getVoidFillCO2PerCm3 } from './voidFill.js';
+
+export const DEFAULT_NODE_BUDGET = 20000;
+export const DEFAULT_TIME_BUDGET_MS = 250;
+
+const EPSILON = 1e-9;
+
+// Undoes the most recent placeItem on a box
+const removeLastItem = (box) => {
+    const item = box.items.pop();
+    box.filledVolume -= getItemVolume(item);
+    box.totalWeight -= item.weight;
+};
+
+// The box as if its empty space needed no void fill, for lower bounds
+const withoutVoidFill = (box) => ({ ...box, voidFill: 'none' });
+
+const copyPlan = (boxes) => boxes.map(box => ({ ...box, items: [...box.items] }));
+
+/**
+ * Searches every way of assigning one centre's items to boxes (opening any box type) for the plan that is
+ * best for the objective: lowest CO2, lowest shipping cost, fewest boxes or a weighted blend. Within a box, items are placed with the same extreme-point rule
+ * as the greedy strategy, so the search is exact over assignments, not over placements.
+ *
+ * The greedy plan is the starting incumbent and branches whose lower bound cannot beat the
+ * incumbent are pruned. If the node or time budget runs out, the best plan found so far is
+ * returned (the greedy plan unless the search already improved on it) with provenOptimal false.
+ *
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options]
+ * @param {'co2'|'cost'|'boxes'|'blend'} [options.objective='co2'] - What to minimize.
+ * @param {{co2: number, cost: number, boxes: number}} [options.weights] - Weights for the 'blend' objective.
+ * @param {ShippingRates} [options.shippingRates=DEFAULT_SHIPPING_RATES] - Rates for the cost measure.
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for the CO2 measure.
+ * @param {number} [options.nodeBudget=DEFAULT_NODE_BUDGET] - Maximum search nodes to explore.
+ * @param {number} [options.timeBudgetMs=DEFAULT_TIME_BUDGET_MS] - Maximum search time.
+ * @returns {{packedBoxes: Array<PackedBox>, greedyPackedBoxes: Array<PackedBox>, provenOptimal: boolean, nodesExplored: number}}
+ */
+const optimizeGroup = (items, boxTypes, options = {}) => {
+    const {
+        objective = 'co2',
+        weights,
+        shippingRates = DEFAULT_SHIPPING_RATES,
+        emissions,
+        nodeBudget = DEFAULT_NODE_BUDGET,
+        timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+    } = options;
+
+    const greedyPackedBoxes = packGreedy(items, boxTypes);
+    // The blend is measured relative to the greedy plan
+    const blend = { weights, reference: measurePlan(greedyPackedBoxes, shippingRates, emissions) };
+    const planScore = (boxes) => scorePlan(measurePlan(boxes, shippingRates, emissions), objective, blend);
+    const sortedBoxesAsc = [...boxTypes].sort((a, b) => a.volume - b.volume);
+
+    // Items no box type can take are left out, as in the greedy plan. Identical items are kept
+    // next to each other so that permutations of them can be skipped.
+    const packableItems = items
+        .filter(item => sortedBoxesAsc.some(boxType => doesItemFit(item, openBox(boxType))))
+        .sort((a, b) => getItemVolume(b) - getItemVolume(a) || String(a.id).localeCompare(String(b.id)));
+
+    // Remaining volume and weight from each item index onwards, for the lower bound
+    const remainingVolume = [0];
+    const remainingWeight = [0];
+    for (let i = packableItems.length - 1; i >= 0; i--) {
+        remainingVolume.unshift(remainingVolume[0] + getItemVolume(packableItems[i]));
+        remainingWeight.unshift(remainingWeight[0] + packableItems[i].weight);
+    }
+    const { model, settings } = resolveEmissionsModel(emissions);
+    const co2Bounds = model.getLowerBounds(boxTypes, settings);
+    const minBoxShippingCost = Math.min(...boxTypes.map(box => getBoxShippingCost(withoutVoidFill(openBox(box)), shippingRates)));
+    const maxBoxVolume = Math.max(...boxTypes.map(box => box.volume));
+    const maxBoxWeight = Math.max(...boxTypes.map(box => box.maxWeight));
+
+    const openBoxes = [];
+    let best = { packedBoxes: greedyPackedBoxes, score: planScore(greedyPackedBoxes) };
+    let nodesExplored = 0;
+    let budgetExhausted = false;
+    const deadline = Date.now() + timeBudgetMs;
+
+    // Optimistic measures of any plan completing the open boxes: every remaining kg at the emissions
+    // model's cheapest per-kg CO2 rate, plus as many of the cheapest boxes as the overflowing volume
+    // or weight needs. Void fill shrinks as open boxes fill up, so only the space the remaining
+    // items cannot fill is charged, at the cheapest void-fill rate among the open boxes. Leaving void fill out,
+    // adding items never lowers an open box's shipping cost, so that cost is a bound too.
+    const lowerBound = (index) => {
+        const freeVolume = openBoxes.reduce((sum, box) => sum + box.volume - box.filledVolume, 0);
+        const voidFillCO2 = openBoxes.length === 0 ? 0 :
+            Math.max(0, freeVolume - remainingVolume[index]) * Math.min(...openBoxes.map(box => getVoidFillCO2PerCm3(box, co2Bounds.perKg)));
+        const freeWeight = openBoxes.reduce((sum, box) => sum + box.maxWeight - box.totalWeight, 0);
+        const extraBoxes = Math.max(
+            0,
+            Math.ceil((remainingVolume[index] - freeVolume) / maxBoxVolume - EPSILON),
+            Math.ceil((remainingWeight[index] - freeWeight) / maxBoxWeight - EPSILON),
+        );
+        return scorePlan({
+            co2: openBoxes.reduce((sum, box) => sum + getBoxCO2(withoutVoidFill(box), emissions), 0) + voidFillCO2 +
+                remainingWeight[index] * co2Bounds.perKg + extraBoxes * co2Bounds.perBox,
+            cost: openBoxes.reduce((sum, box) => sum + getBoxShippingCost(withoutVoidFill(box), shippingRates), 0) +
+                extraBoxes * minBoxShippingCost,
+            boxes: openBoxes.length + extraBoxes,
+        }, objective, blend);
+    };
+
+    // minBoxIndex: the box the previous item went into, used when this item is identical to it
+    const search = (index, minBoxIndex) => {
+        if (budgetExhausted) return;
+        nodesExplored++;
+        if (nodesExplored > nodeBudget || (nodesExplored % 256 === 0 && Date.now() > deadline)) {
+            budgetExhausted = true;
+            return;
+        }
+        if (compareScores(lowerBound(index), best.score) > -EPSILON) return; // Cannot beat the incumbent
+
+        if (index === packableItems.length) {
+            best = { packedBoxes: copyPlan(openBoxes), score: planScore(openBoxes) };
+            return;
+        }
+
+        const item = packableItems[index];
+        const sameAsPrevious = index > 0 && packableItems[index - 1].id === item.id;
+
+        // Branch 1: an open box. Boxes of the same type holding the same items are interchangeable.
+        const triedBoxes = new Set();
+        for (let i = sameAsPrevious ? minBoxIndex : 0; i < openBoxes.length; i++) {
+            const box = openBoxes[i];
+            const signature = `${box.name}:${box.items.map(packed => packed.id).join(',')}`;
+            if (triedBoxes.has(signature)) continue;
+            triedBoxes.add(signature);
+            if (placeItem(box, item)) {
+                search(index + 1, i);
+                removeLastItem(box);
+            }
+        }
+
+        // Branch 2: a new box of each type that can take the item
+        for (const boxType of sortedBoxesAsc) {
+            const box = openBox(boxType);
+            if (!placeItem(box, item)) continue;
+            openBoxes.push(box);
+            search(index + 1, openBoxes.length - 1);
+            openBoxes.pop();
+        }
+    };
+
+    search(0, 0);
+
+    return {
+        packedBoxes: best.packedBoxes,
+        greedyPackedBoxes,
+        provenOptimal: !budgetExhausted,
+        nodesExplored,
+    };
+};
+
+/**
+ * Finds the best plan for the objective when items ship from different fulfilment centres: the
+ * items are assigned to centres (see assignSources) and each centre's share is searched on its
+ * own. Every measure adds up over the centres, so the best plan per centre is the best overall.
+ * Every box is marked with its `origin`.
+ *
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options] - Options of the search above and of assignSources.
+ * @returns {{packedBoxes: Array<PackedBox>, greedyPackedBoxes: Array<PackedBox>, provenOptimal: boolean, nodesExplored: number}}
+ */
+export const optimizePacking = (items, boxTypes, options = {}) => {
+    const results = assignSources(items, boxTypes, options).map(({ origin, items: groupItems }) => ({ origin, ...optimizeGroup(groupItems, boxTypes, options) }));
+    const fromOrigin = (field) => results.flatMap(result => result[field].map(box => ({ ...box, origin: result.origin })));
+    return {
+        packedBoxes: fromOrigin('packedBoxes'),
+        greedyPackedBoxes: fromOrigin('greedyPackedBoxes'),
+        provenOptimal: results.every(result => result.provenOptimal),
+        nodesExplored: results.reduce((sum, result) => sum + result.nodesExplored, 0),
+    };
+};
+
+/**
+ * Finds the Pareto-optimal plans for an order: those no other candidate beats on CO2, shipping
+ * cost and box count at once. Candidates are the greedy plan and the exact optimum for each
+ * single objective; plans with identical measures are merged.
+ *
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options] - Options of optimizePacking, apart from the objective.
+ * @returns {Array<{objectives: Array<string>, packedBoxes: Array<PackedBox>, measures: PlanMeasures, provenOptimal: boolean}>}
+ *   The plans ordered by CO2; `objectives` names the objectives each plan is best for, plus 'greedy'.
+ */
+export const findParetoPlans = (items, boxTypes, options = {}) => {
+    const shippingRates = options.shippingRates ?? DEFAULT_SHIPPING_RATES;
+    const candidates = [];
+    const addCandidate = (label, packedBoxes, provenOptimal) => {
+        const measures = measurePlan(packedBoxes, shippingRates, options.emissions);
+        const same = candidates.find(candidate =>
+            ['co2', 'cost', 'boxes'].every(key => Math.abs(candidate.measures[key] - measures[key]) < EPSILON));
+        if (same) {
+            same.objectives.push(label);
+            same.provenOptimal = same.provenOptimal || provenOptimal;
+        } else {
+            candidates.push({ objectives: [label], packedBoxes, measures, provenOptimal });
+        }
+    };
+
+    for (const objective of Object.keys(OPTIMIZER_OBJECTIVES).filter(key => key !== 'blend')) {
+        const result = optimizePacking(items, boxTypes, { ...options, objective });
+        if (candidates.length === 0) addCandidate('greedy', result.greedyPackedBoxes, false);
+        addCandidate(objective, result.packedBoxes, result.provenOptimal);
+    }
+
+    return candidates
+        .filter(candidate => !candidates.some(other => dominates(other.measures, candidate.measures)))
+        .sort((a, b) => a.measures.co2 - b.measures.co2);
+};
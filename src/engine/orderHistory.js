@@ -0,0 +1,163 @@
+// Order history: placed orders with the plan figures they shipped with, the running totals and
+// trends the sustainability dashboard charts, and history import and export.
+
+/** @typedef {import('./index.js').Metrics} Metrics */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+/** @typedef {import('./index.js').OrderRecord} OrderRecord */
+/** @typedef {import('./index.js').OrderHistoryStats} OrderHistoryStats */
+
+import { CatalogError } from './catalog.js';
+import { toCSV } from './csv.js';
+
+export const ORDER_HISTORY_FORMAT_VERSION = 1;
+
+// Columns of the history CSV: one row per order
+export const ORDER_HISTORY_CSV_COLUMNS = [
+    'id', 'placedAt', 'items', 'totalBoxes', 'boxBreakdown', 'boxesAvoided', 'packagingEfficiencyScore',
+    'optimalCO2Impact', 'co2SavedByConsolidation', 'shippingCost', 'acceptedSuggestions',
+];
+
+const NUMBER_FIELDS = [
+    'totalBoxes', 'boxesAvoided', 'packagingEfficiencyScore', 'optimalCO2Impact', 'co2SavedByConsolidation', 'shippingCost', 'acceptedSuggestions',
+];
+
+/**
+ * Records a placed order from the plan it ships with.
+ * @param {Metrics} metrics - The plan's metrics; its packed boxes give the order's items.
+ * @param {Object} [options]
+ * @param {Date} [options.placedAt=new Date()]
+ * @param {number} [options.acceptedSuggestions=0] - Saved for Later suggestions taken up for this order.
+ * @param {EmissionsSettings} [options.emissions] - The emissions model behind the CO2 figures.
+ * @returns {OrderRecord}
+ */
+export const createOrderRecord = (metrics, options = {}) => {
+    const { placedAt = new Date(), acceptedSuggestions = 0, emissions } = options;
+    const items = [];
+    for (const item of metrics.packedBoxes.flatMap(box => box.items)) {
+        const line = items.find(candidate => candidate.productId === item.id);
+        if (line) line.quantity++;
+        else items.push({ productId: item.id, name: item.name, quantity: 1 });
+    }
+    const itemCount = items.reduce((sum, line) => sum + line.quantity, 0);
+    return {
+        id: `order-${placedAt.getTime()}`,
+        placedAt: placedAt.toISOString(),
+        items,
+        totalBoxes: metrics.totalBoxes,
+        boxBreakdown: metrics.boxBreakdown,
+        // Shipped one per box, as the CO2 saving's baseline assumes
+        boxesAvoided: Math.max(0, itemCount - metrics.totalBoxes),
+        packagingEfficiencyScore: metrics.packagingEfficiencyScore,
+        optimalCO2Impact: metrics.optimalCO2Impact,
+        co2SavedByConsolidation: metrics.co2SavedByConsolidation,
+        shippingCost: metrics.shippingCost,
+        acceptedSuggestions,
+        ...(emissions ? { emissions } : {}),
+    };
+};
+
+/**
+ * Totals and chart series over the history, oldest order first.
+ * @param {Array<OrderRecord>} history
+ * @returns {OrderHistoryStats}
+ */
+export const getOrderHistoryStats = (history) => {
+    const orders = [...history].sort((a, b) => a.placedAt.localeCompare(b.placedAt));
+    let co2Saved = 0;
+    const cumulativeCO2Saved = orders.map(order => {
+        co2Saved += order.co2SavedByConsolidation;
+        return { placedAt: order.placedAt, value: co2Saved };
+    });
+    const efficiencyTrend = orders.map(order => ({ placedAt: order.placedAt, value: order.packagingEfficiencyScore }));
+
+    // Months are those of the order's ISO date, so every user sees the same buckets
+    const months = [];
+    for (const order of orders) {
+        const month = order.placedAt.slice(0, 7);
+        let entry = months.find(candidate => candidate.month === month);
+        if (!entry) {
+            entry = { month, orders: 0, boxesAvoided: 0, acceptedSuggestions: 0 };
+            months.push(entry);
+        }
+        entry.orders++;
+        entry.boxesAvoided += order.boxesAvoided;
+        entry.acceptedSuggestions += order.acceptedSuggestions;
+    }
+
+    const sum = (field) => orders.reduce((total, order) => total + order[field], 0);
+    return {
+        totals: {
+            orders: orders.length,
+            co2: sum('optimalCO2Impact'),
+            co2Saved,
+            boxes: sum('totalBoxes'),
+            boxesAvoided: sum('boxesAvoided'),
+            acceptedSuggestions: sum('acceptedSuggestions'),
+            averageEfficiency: orders.length ? sum('packagingEfficiencyScore') / orders.length : 0,
+        },
+        cumulativeCO2Saved,
+        efficiencyTrend,
+        months,
+    };
+};
+
+/**
+ * Serializes the history as versioned JSON.
+ * @param {Array<OrderRecord>} history
+ * @returns {string}
+ */
+export const exportOrderHistoryJSON = (history) => JSON.stringify({ version: ORDER_HISTORY_FORMAT_VERSION, orders: history }, null, 2);
+
+/**
+ * Serializes the history as CSV, one row per order; items are listed as "quantity x name".
+ * @param {Array<OrderRecord>} history
+ * @returns {string}
+ */
+export const exportOrderHistoryCSV = (history) => toCSV(
+    history.map(order => ({
+        ...order,
+        items: order.items.map(line => `${line.quantity} x ${line.name}`).join('; '),
+    })),
+    ORDER_HISTORY_CSV_COLUMNS,
+);
+
+// Problems with one stored order
+const validateOrderRecord = (order, index) => {
+    const label = `Order ${index + 1}`;
+    if (!order || typeof order !== 'object') return [`${label}: not an order`];
+    const errors = [];
+    if (typeof order.id !== 'string' || !order.id) errors.push(`${label}: id is required`);
+    if (typeof order.placedAt !== 'string' || Number.isNaN(Date.parse(order.placedAt))) errors.push(`${label}: placedAt must be a date`);
+    if (!Array.isArray(order.items)) errors.push(`${label}: items must be a list`);
+    for (const field of NUMBER_FIELDS) {
+        if (typeof order[field] !== 'number' || !Number.isFinite(order[field])) errors.push(`${label}: ${field} must be a number`);
+    }
+    return errors;
+};
+
+/**
+ * Reads a history exported by exportOrderHistoryJSON (or a bare list of orders).
+ * @param {string} text
+ * @returns {Array<OrderRecord>}
+ * @throws {CatalogError} If the text is not a history this version can read.
+ */
+export const importOrderHistoryJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CatalogError('The order history is not valid JSON.', [error.message]);
+    }
+    if (!Array.isArray(data) && data?.version !== undefined && data.version > ORDER_HISTORY_FORMAT_VERSION) {
+        throw new CatalogError(`Order history format version ${data.version} is newer than this app supports.`);
+    }
+    const orders = Array.isArray(data) ? data : data?.orders;
+    if (!Array.isArray(orders)) {
+        throw new CatalogError('The order history JSON has no list of orders.');
+    }
+    const errors = orders.flatMap(validateOrderRecord);
+    if (errors.length) {
+        throw new CatalogError('The order history is not valid.', errors);
+    }
+    return orders;
+};
@@ -0,0 +1,371 @@
+// Geometric packing: extreme-point placement of items into boxes, with orientation rules.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').Orientation} Orientation */
+/** @typedef {import('./index.js').UnpackableReason} UnpackableReason */
+/** @typedef {import('./index.js').UnpackedItem} UnpackedItem */
+
+import { canShareBox, exceedsLoadLimits, getLoadLimit } from './constraints.js';
+
+// Helper to calculate item volume
+export const getItemVolume = (item) => item.length * item.width * item.height;
+
+// Tolerance (cm) for floating-point sums of item dimensions
+const EPSILON = 1e-9;
+
+// Creates an empty instance of a box type, ready to receive items
+export const openBox = (boxType) => ({ ...boxType, items: [], filledVolume: 0, totalWeight: 0 });
+
+// Returns true if two placed items share any volume (touching faces are allowed)
+const placementsOverlap = (a, b) => (
+    a.position.x < b.position.x + b.orientation.length - EPSILON &&
+    b.position.x < a.position.x + a.orientation.length - EPSILON &&
+    a.position.y < b.position.y + b.orientation.width - EPSILON &&
+    b.position.y < a.position.y + a.orientation.width - EPSILON &&
+    a.position.z < b.position.z + b.orientation.height - EPSILON &&
+    b.position.z < a.position.z + a.orientation.height - EPSILON
+);
+
+// Per-product orientation rules: which way up an item may travel
+export const ORIENTATION_RULES = {
+    any: 'Any orientation',
+    thisSideUp: 'This side up', // height stays vertical, may turn around it
+    flat: 'Must lie flat',      // smallest dimension stays vertical
+};
+
+/**
+ * Lists the distinct axis-aligned orientations (up to six) an item may be placed in,
+ * honouring its `orientationRule`. Each orientation gives the item's extent along the
+ * box length (x), width (y) and height (z) axes; the item's own orientation comes first.
+ * @param {Item} item
+ * @returns {Array<Orientation>}
+ */
+export const getOrientations = (item) => {
+    const { length, width, height } = item;
+    let candidates = [
+        [length, width, height], [width, length, height],
+        [length, height, width], [height, length, width],
+        [width, height, length], [height, width, length],
+    ];
+    if (item.orientationRule === 'thisSideUp') {
+        candidates = candidates.filter(([, , h]) => h === height);
+    } else if (item.orientationRule === 'flat') {
+        const smallest = Math.min(length, width, height);
+        candidates = candidates.filter(([, , h]) => h === smallest);
+    }
+    const seen = new Set();
+    return candidates
+        .filter(dims => {
+            const key = dims.join('x');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(([l, w, h]) => ({ length: l, width: w, height: h }));
+};
+
+// Share of an item's base that must rest on the items below it unless it stands on the box floor
+const MIN_SUPPORTED_BASE = 0.5;
+
+// Height of the surface an item's corner at (x, y) would rest on if dropped from height z: the
+// highest top of a placed item under that corner, or the box floor
+const getSurfaceBelow = (box, { x, y, z }) => box.items.reduce((surface, placed) => {
+    const top = placed.position.z + placed.orientation.height;
+    const under = top <= z + EPSILON && top > surface &&
+        placed.position.x <= x + EPSILON && x < placed.position.x + placed.orientation.length - EPSILON &&
+        placed.position.y <= y + EPSILON && y < placed.position.y + placed.orientation.width - EPSILON;
+    return under ? top : surface;
+}, 0);
+
+// Area of the candidate's base that rests on the tops of placed items
+const getSupportedArea = (candidate, box) => {
+    const { position, orientation } = candidate;
+    return box.items.reduce((area, placed) => {
+        if (Math.abs(placed.position.z + placed.orientation.height - position.z) > EPSILON) return area;
+        const overlapX = Math.min(position.x + orientation.length, placed.position.x + placed.orientation.length) - Math.max(position.x, placed.position.x);
+        const overlapY = Math.min(position.y + orientation.width, placed.position.y + placed.orientation.width) - Math.max(position.y, placed.position.y);
+        return overlapX > 0 && overlapY > 0 ? area + overlapX * overlapY : area;
+    }, 0);
+};
+
+// True if the candidate stands on the floor or on enough of the items below it
+const isSupported = (candidate, box) => (
+    candidate.position.z <= EPSILON ||
+    getSupportedArea(candidate, box) >= MIN_SUPPORTED_BASE * candidate.orientation.length * candidate.orientation.width - EPSILON
+);
+
+/**
+ * Candidate corners for the next item (extreme points): the box origin plus the three corners
+ * every placed item exposes along the length (x), width (y) and height (z) axes. Corners left
+ * hanging in the air are also dropped onto the surface below them, so items can sit there.
+ * Sorted floor-first, then back-to-front, then left-to-right so boxes fill from the bottom up.
+ */
+const getExtremePoints = (box) => {
+    const corners = [{ x: 0, y: 0, z: 0 }];
+    for (const placed of box.items) {
+        const { x, y, z } = placed.position;
+        const { length, width, height } = placed.orientation;
+        corners.push({ x: x + length, y, z }, { x, y: y + width, z }, { x, y, z: z + height });
+    }
+    const points = new Map();
+    for (const corner of corners) {
+        for (const point of [corner, { ...corner, z: getSurfaceBelow(box, corner) }]) {
+            points.set(`${point.x},${point.y},${point.z}`, point);
+        }
+    }
+    return [...points.values()].sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+};
+
+/**
+ * Finds a position inside a (possibly partly packed) box where the item can sit without
+ * crossing the box walls, overlapping an already placed item, resting on too little of the items
+ * below it or overloading a fragile or non-stackable one, trying every orientation the item allows
+ * at each extreme point.
+ * @returns {{position: Object, orientation: Object}|null} The placement, or null if there is no room.
+ */
+const findPlacement = (item, box) => {
+    const orientations = getOrientations(item);
+    // Loads only need checking once something in the box has a limit
+    const checkLoads = getLoadLimit(item) !== Infinity || box.items.some(placed => getLoadLimit(placed) !== Infinity);
+    for (const position of getExtremePoints(box)) {
+        for (const orientation of orientations) {
+            if (
+                position.x + orientation.length > box.length + EPSILON ||
+                position.y + orientation.width > box.width + EPSILON ||
+                position.z + orientation.height > box.height + EPSILON
+            ) continue;
+            const candidate = { position, orientation };
+            if (box.items.some(placed => placementsOverlap(candidate, placed))) continue;
+            if (!isSupported(candidate, box)) continue;
+            if (checkLoads && exceedsLoadLimits([...box.items, { ...item, ...candidate }])) continue;
+            return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks if an item can be physically placed into a box, given the weight limit, the
+ * positions of the items already inside it and the product constraints.
+ * @param {Item} item - The item to test.
+ * @param {PackedBox} box - A packed box, or an empty one from openBox.
+ * @returns {boolean}
+ */
+export const doesItemFit = (item, box) => (
+    box.totalWeight + item.weight <= box.maxWeight && canShareBox(item, box) && findPlacement(item, box) !== null
+);
+
+/**
+ * Places an item into a box at the first free extreme point, recording its (x, y, z) position
+ * and orientation on the packed copy of the item. Mutates the box.
+ * @param {PackedBox} box
+ * @param {Item} item
+ * @returns {boolean} True if the item was placed.
+ */
+export const placeItem = (box, item) => {
+    if (box.totalWeight + item.weight > box.maxWeight || !canShareBox(item, box)) return false;
+    const placement = findPlacement(item, box);
+    if (!placement) return false;
+    box.items.push({ ...item, ...placement });
+    box.filledVolume += getItemVolume(item);
+    box.totalWeight += item.weight;
+    return true;
+};
+
+/**
+ * Packs items into boxes using a greedy approach that balances carbon efficiency (fewer boxes)
+ * and packaging efficiency (higher fill rates). Items are placed geometrically (extreme-point
+ * packing), so every packed item carries the position and orientation it was placed in.
+ * This is the 'greedy' strategy behind packOptimal.
+ *
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @returns {Array<PackedBox>} A list of packed boxes.
+ */
+export const packGreedy = (items, boxTypes) => {
+    if (!items.length) return [];
+
+    const sortedItems = [...items].sort((a, b) => getItemVolume(b) - getItemVolume(a)); // Sort by volume descending
+    const sortedBoxesAsc = [...boxTypes].sort((a, b) => a.volume - b.volume); // Smallest to largest
+
+    // --- Phase 1: Single Box Optimization (Find the SMALLEST single box that fits all items) ---
+    for (const boxType of sortedBoxesAsc) { // Iterate from smallest to largest
+        const box = openBox(boxType);
+        // every() stops at the first item this box type cannot take
+        if (sortedItems.every(item => placeItem(box, item))) {
+            // Found the smallest single box that fits all items - this is the most efficient single-box solution
+            return [box];
+        }
+    }
+
+    // --- Phase 2: Multi-Package Heuristic (If no single box fits all) ---
+    // Use a greedy approach to pack into the fewest and most efficient combination of multiple boxes.
+    // Prioritize filling existing boxes well, and only open new boxes (smallest suitable) when necessary.
+
+    let packedBoxes = [];
+    let unpackedItems = [...sortedItems]; // Items still needing to be packed
+
+    // Try to fill a box further with the remaining unpacked items
+    const fillBox = (box) => {
+        unpackedItems = unpackedItems.filter(otherItem => !placeItem(box, otherItem));
+    };
+
+    while (unpackedItems.length > 0) {
+        let currentItem = unpackedItems.shift(); // Take the next largest item to pack
+
+        let bestFitBoxIndex = -1;
+        let highestPotentialFill = -1; // Track the best fill for an *existing* box
+
+        // Try to fit currentItem into an EXISTING box first
+        for (let i = 0; i < packedBoxes.length; i++) {
+            const existingBox = packedBoxes[i];
+            if (doesItemFit(currentItem, existingBox)) {
+                const potentialNewFill = ((existingBox.filledVolume + getItemVolume(currentItem)) / existingBox.volume) * 100;
+                // Prioritize the box that results in the highest fill percentage *after* adding the item
+                if (potentialNewFill > highestPotentialFill) {
+                    highestPotentialFill = potentialNewFill;
+                    bestFitBoxIndex = i;
+                }
+            }
+        }
+
+        if (bestFitBoxIndex !== -1) {
+            // Place item in the best existing box found
+            const targetBox = packedBoxes[bestFitBoxIndex];
+            placeItem(targetBox, currentItem);
+            fillBox(targetBox);
+        } else {
+            // No good fit in existing boxes, open a NEW box.
+            // Find the smallest new box type that can fit this current item.
+            let newBoxType = sortedBoxesAsc.find(box => doesItemFit(currentItem, openBox(box)));
+
+            if (newBoxType) {
+                const newBox = openBox(newBoxType);
+                placeItem(newBox, currentItem);
+                fillBox(newBox);
+                packedBoxes.push(newBox);
+            }
+            // Otherwise the item cannot fit in any box type, even a new one. It is left out of the
+            // plan; findUnpackableItems reports it and why.
+        }
+    }
+
+    return packedBoxes;
+};
+
+/**
+ * Explains why an item cannot be packed on its own into any of the box types.
+ * @param {Item} item
+ * @param {Array<BoxType>} boxTypes
+ * @returns {UnpackableReason|null} The reason, or null if some box type can take the item.
+ */
+export const findUnpackableReason = (item, boxTypes) => {
+    if (boxTypes.some(boxType => doesItemFit(item, openBox(boxType)))) return null;
+    if (boxTypes.length === 0) {
+        return { code: 'noBoxTypes', message: 'No box type is enabled.' };
+    }
+
+    const weightLimit = Math.max(...boxTypes.map(boxType => boxType.maxWeight));
+    if (item.weight > weightLimit) {
+        return {
+            code: 'tooHeavy', weight: item.weight, limit: weightLimit,
+            message: `Weighs ${item.weight} kg, more than the ${weightLimit} kg any box can carry.`,
+        };
+    }
+
+    // Compare the item's sides with the boxes that can carry it, longest against longest, and so on
+    const sides = ['length', 'width', 'height']
+        .map(dimension => ({ dimension, size: item[dimension] }))
+        .sort((a, b) => b.size - a.size);
+    const boxSides = boxTypes
+        .filter(boxType => item.weight <= boxType.maxWeight)
+        .map(boxType => [boxType.length, boxType.width, boxType.height].sort((a, b) => b - a));
+    for (let rank = 0; rank < sides.length; rank++) {
+        const limit = Math.max(...boxSides.map(box => box[rank]));
+        const { dimension, size } = sides[rank];
+        if (size > limit + EPSILON) {
+            return {
+                code: 'tooLarge', dimension, size, limit,
+                message: `Its ${dimension} of ${size} cm is too long: no box has room for more than ${limit} cm that way.`,
+            };
+        }
+    }
+
+    if (boxSides.some(box => sides.every(({ size }, rank) => size <= box[rank] + EPSILON))) {
+        return {
+            code: 'orientation',
+            message: `Only fits turned on its side, but it is marked "${ORIENTATION_RULES[item.orientationRule]}".`,
+        };
+    }
+    return { code: 'noFittingBox', message: 'Each of its sides fits some box, but no single box type fits them all.' };
+};
+
+/**
+ * Lists the items no box type can take, grouped by product, with the reason for each.
+ * These are the items packOptimal leaves out of its plan.
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes
+ * @returns {Array<UnpackedItem>}
+ */
+export const findUnpackableItems = (items, boxTypes) => {
+    const unpackedById = new Map();
+    for (const item of items) {
+        const entry = unpackedById.get(item.id);
+        if (entry) {
+            if (entry.reason) entry.quantity++;
+            continue;
+        }
+        const reason = findUnpackableReason(item, boxTypes);
+        unpackedById.set(item.id, { item, quantity: 1, reason });
+    }
+    return [...unpackedById.values()].filter(entry => entry.reason);
+};
+
+/**
+ * Helper to simulate adding multiple units of an item type to existing boxes without opening new ones.
+ * Returns the quantity successfully added and the new packed boxes if successful.
+ * @param {Item} itemTypeToAdd - The item to add, one unit at a time.
+ * @param {number} quantityToTry - The most units to add.
+ * @param {Array<PackedBox>} existingPackedBoxes - The current plan; it is copied, not modified.
+ * @returns {{quantityAdded: number, newPackedBoxes: Array<PackedBox>, success: boolean}}
+ */
+export const tryAddItemsToExistingBoxes = (itemTypeToAdd, quantityToTry, existingPackedBoxes) => {
+    let simulatedPackedBoxes = existingPackedBoxes.map(box => ({
+        ...box,
+        items: [...box.items],
+    }));
+
+    let itemsSuccessfullyAdded = 0;
+
+    for (let q = 0; q < quantityToTry; q++) {
+        let bestBoxIndex = -1;
+        let highestPotentialFill = -1;
+
+        for (let i = 0; i < simulatedPackedBoxes.length; i++) {
+            const box = simulatedPackedBoxes[i];
+            if (doesItemFit(itemTypeToAdd, box)) {
+                const potentialNewFill = ((box.filledVolume + getItemVolume(itemTypeToAdd)) / box.volume) * 100;
+                if (potentialNewFill > highestPotentialFill) {
+                    highestPotentialFill = potentialNewFill;
+                    bestBoxIndex = i;
+                }
+            }
+        }
+
+        if (bestBoxIndex !== -1) {
+            placeItem(simulatedPackedBoxes[bestBoxIndex], itemTypeToAdd);
+            itemsSuccessfullyAdded++;
+        } else {
+            // No more units of this item can fit in existing boxes
+            break;
+        }
+    }
+
+    return {
+        quantityAdded: itemsSuccessfullyAdded,
+        newPackedBoxes: simulatedPackedBoxes,
+        success: itemsSuccessfullyAdded > 0
+    };
+};
@@ -0,0 +1,138 @@
+// Shipment plan documents: packing slips, a CSV of box lines, and versioned JSON import and export.
+
+/** @typedef {import('./index.js').Metrics} Metrics */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+/** @typedef {import('./index.js').PackingSlip} PackingSlip */
+/** @typedef {import('./index.js').PlanDocument} PlanDocument */
+
+import { CatalogError } from './catalog.js';
+import { toCSV } from './csv.js';
+import { getBoxVoidFill } from './voidFill.js';
+
+export const PLAN_FORMAT_VERSION = 1;
+
+// Columns of the plan CSV: one row per product in each box
+export const PLAN_CSV_COLUMNS = [
+    'box', 'boxTypeId', 'boxName', 'origin', 'itemId', 'itemName', 'quantity', 'unitWeight', 'lineWeight', 'boxWeight', 'boxFill',
+];
+
+// Rounds for documents, so floating-point noise does not reach the warehouse
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Builds one packing slip per box: the box type, what goes in it, and how full and heavy it is.
+ * @param {Array<PackedBox>} packedBoxes
+ * @returns {Array<PackingSlip>}
+ */
+export const getPackingSlips = (packedBoxes) => packedBoxes.map((box, index) => {
+    const lines = [];
+    for (const item of box.items) {
+        const line = lines.find(candidate => candidate.itemId === item.id);
+        if (line) {
+            line.quantity++;
+        } else {
+            lines.push({ itemId: item.id, itemName: item.name, quantity: 1, unitWeight: item.weight });
+        }
+    }
+    const voidFill = getBoxVoidFill(box);
+    return {
+        box: index + 1,
+        boxTypeId: box.id,
+        boxName: box.name,
+        origin: box.origin ?? null,
+        dimensions: { length: box.length, width: box.width, height: box.height },
+        lines: lines.map(line => ({ ...line, lineWeight: round(line.quantity * line.unitWeight) })),
+        contentsWeight: round(box.totalWeight),
+        // What the parcel weighs on the scale: contents, the empty box and its void fill
+        grossWeight: round(box.totalWeight + (box.tareWeight ?? 0) + voidFill.weight),
+        fillPercentage: round((box.filledVolume / box.volume) * 100, 1),
+        voidFill: { material: voidFill.material, weight: round(voidFill.weight) },
+    };
+});
+
+/**
+ * Serializes a plan as CSV, one row per product in each box.
+ * @param {Array<PackedBox>} packedBoxes
+ * @returns {string}
+ */
+export const exportPlanCSV = (packedBoxes) => toCSV(
+    getPackingSlips(packedBoxes).flatMap(slip => slip.lines.map(line => ({
+        box: slip.box,
+        boxTypeId: slip.boxTypeId,
+        boxName: slip.boxName,
+        origin: slip.origin ?? '',
+        ...line,
+        boxWeight: slip.grossWeight,
+        boxFill: slip.fillPercentage,
+    }))),
+    PLAN_CSV_COLUMNS,
+);
+
+/**
+ * Serializes a plan and its metrics as versioned JSON.
+ * @param {Metrics} metrics - The plan's metrics, packedBoxes included.
+ * @param {Object} [options]
+ * @param {EmissionsSettings} [options.emissions] - The emissions model the CO2 figures come from.
+ * @param {string} [options.exportedAt=now] - ISO timestamp recorded in the document.
+ * @returns {string}
+ */
+export const exportPlanJSON = (metrics, options = {}) => JSON.stringify({
+    version: PLAN_FORMAT_VERSION,
+    exportedAt: options.exportedAt ?? new Date().toISOString(),
+    emissions: options.emissions ?? null,
+    metrics,
+}, null, 2);
+
+// Problems with an imported plan's metrics, as messages
+const validatePlanMetrics = (metrics) => {
+    if (!metrics || typeof metrics !== 'object') return ['The plan has no metrics.'];
+    const errors = [];
+    if (!Array.isArray(metrics.packedBoxes)) {
+        errors.push('metrics.packedBoxes must be a list of boxes.');
+    } else {
+        metrics.packedBoxes.forEach((box, index) => {
+            if (!box || typeof box !== 'object' || !Array.isArray(box.items)) {
+                errors.push(`Box ${index + 1} has no list of items.`);
+            } else if (!(box.volume > 0) || typeof box.name !== 'string') {
+                errors.push(`Box ${index + 1} has no box type name or volume.`);
+            }
+        });
+    }
+    for (const field of ['optimalCO2Impact', 'packagingEfficiencyScore', 'totalBoxes']) {
+        if (!Number.isFinite(metrics[field])) errors.push(`metrics.${field} must be a number.`);
+    }
+    if (typeof metrics.boxBreakdown !== 'string') errors.push('metrics.boxBreakdown must be text.');
+    return errors;
+};
+
+/**
+ * Reads a plan exported by exportPlanJSON, to review it exactly as it was.
+ * @param {string} text
+ * @returns {PlanDocument}
+ * @throws {CatalogError} If the text is not JSON, is from a newer version, or the plan does not validate.
+ */
+export const importPlanJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CatalogError('The shipment plan is not valid JSON.', [error.message]);
+    }
+    if (data?.version === undefined || !data.metrics) {
+        throw new CatalogError('The JSON is not an exported shipment plan.');
+    }
+    if (data.version > PLAN_FORMAT_VERSION) {
+        throw new CatalogError(`Shipment plan format version ${data.version} is newer than this app supports.`);
+    }
+    const errors = validatePlanMetrics(data.metrics);
+    if (errors.length) {
+        throw new CatalogError('The shipment plan is not valid.', errors);
+    }
+    return {
+        version: data.version,
+        exportedAt: data.exportedAt ?? null,
+        emissions: data.emissions ?? null,
+        metrics: data.metrics,
+    };
+};
@@ -0,0 +1,202 @@
+// Product catalog: custom products next to the predefined ones, their validation, search,
+// and JSON/CSV import and export.
+
+/** @typedef {import('./index.js').Item} Item */
+
+import { CatalogError } from './catalog.js';
+import { parseCSV, toCSV } from './csv.js';
+import { ORIENTATION_RULES } from './packing.js';
+import { FULFILMENT_CENTRES } from './sourcing.js';
+
+export const PRODUCT_CATALOG_FORMAT_VERSION = 1;
+
+// Fields of a product, in export order
+export const PRODUCT_FIELDS = [
+    'id', 'name', 'category', 'length', 'width', 'height', 'weight', 'orientationRule', 'fragile', 'stackable',
+    'maxLoadOnTop', 'incompatibleCategories', 'shipAlone', 'stockLocations', 'imageUrl',
+];
+
+// CSV holds a list of categories (or stock locations) in one cell, separated by semicolons
+const CATEGORY_SEPARATOR = ';';
+
+// Numeric fields, all of which must be greater than zero
+const POSITIVE_FIELDS = ['length', 'width', 'height', 'weight'];
+
+/**
+ * Builds a product from its editable fields and fills defaults.
+ * @param {Object} fields
+ * @returns {Item}
+ */
+export const createProduct = (fields) => ({
+    ...fields,
+    category: fields.category ?? '',
+    orientationRule: fields.orientationRule || 'any',
+    fragile: fields.fragile === true,
+    stackable: fields.stackable !== false,
+    maxLoadOnTop: fields.maxLoadOnTop ?? null,
+    incompatibleCategories: fields.incompatibleCategories ?? [],
+    shipAlone: fields.shipAlone === true,
+    stockLocations: fields.stockLocations ?? [],
+    imageUrl: fields.imageUrl ?? '',
+});
+
+/**
+ * Lists what is wrong with a single product.
+ * @param {Item} product
+ * @returns {Array<string>} Human-readable problems; empty when the product is valid.
+ */
+export const validateProduct = (product) => {
+    const errors = [];
+    if (typeof product.id !== 'string' || !product.id.trim()) errors.push('id is required');
+    if (typeof product.name !== 'string' || !product.name.trim()) errors.push('name is required');
+    for (const field of POSITIVE_FIELDS) {
+        if (typeof product[field] !== 'number' || !Number.isFinite(product[field]) || product[field] <= 0) {
+            errors.push(`${field} must be a number greater than 0`);
+        }
+    }
+    if (typeof product.category !== 'string') errors.push('category must be text');
+    if (!(product.orientationRule in ORIENTATION_RULES)) {
+        errors.push(`orientationRule must be one of ${Object.keys(ORIENTATION_RULES).join(', ')}`);
+    }
+    if (typeof product.fragile !== 'boolean') errors.push('fragile must be true or false');
+    if (typeof product.stackable !== 'boolean') errors.push('stackable must be true or false');
+    if (product.maxLoadOnTop !== null && !(typeof product.maxLoadOnTop === 'number' && product.maxLoadOnTop >= 0)) {
+        errors.push('maxLoadOnTop must be empty or a number of at least 0');
+    }
+    if (!Array.isArray(product.incompatibleCategories) || product.incompatibleCategories.some(category => typeof category !== 'string')) {
+        errors.push('incompatibleCategories must be a list of categories');
+    }
+    if (typeof product.shipAlone !== 'boolean') errors.push('shipAlone must be true or false');
+    if (!Array.isArray(product.stockLocations) || product.stockLocations.some(centre => !(centre in FULFILMENT_CENTRES))) {
+        errors.push(`stockLocations must be a list of fulfilment centres (${Object.keys(FULFILMENT_CENTRES).join(', ')})`);
+    } else if (new Set(product.stockLocations).size !== product.stockLocations.length) {
+        errors.push('stockLocations lists a centre more than once');
+    }
+    if (typeof product.imageUrl !== 'string') errors.push('imageUrl must be text');
+    return errors;
+};
+
+/**
+ * Lists what is wrong with a list of custom products: invalid products and ids that are
+ * used twice or clash with a reserved id (such as a predefined product's).
+ * @param {Array<Item>} products
+ * @param {Array<string>} [reservedIds]
+ * @returns {Array<string>} Problems prefixed with the product they concern; empty when the list is valid.
+ */
+export const validateProductCatalog = (products, reservedIds = []) => {
+    if (!Array.isArray(products)) return ['The product catalog must be a list of products.'];
+    const errors = [];
+    const seenIds = new Set();
+    const reserved = new Set(reservedIds);
+    products.forEach((product, index) => {
+        const label = `Product ${index + 1}${product?.name ? ` (${product.name})` : ''}`;
+        if (!product || typeof product !== 'object') {
+            errors.push(`${label}: not a product`);
+            return;
+        }
+        validateProduct(product).forEach(error => errors.push(`${label}: ${error}`));
+        if (reserved.has(product.id)) errors.push(`${label}: id '${product.id}' belongs to a predefined product`);
+        else if (seenIds.has(product.id)) errors.push(`${label}: id '${product.id}' is used more than once`);
+        seenIds.add(product.id);
+    });
+    return errors;
+};
+
+/**
+ * Finds products whose name, id or category contains the search term, ignoring case.
+ * @param {Array<Item>} products
+ * @param {string} term
+ * @returns {Array<Item>}
+ */
+export const searchProducts = (products, term) => {
+    const needle = term.trim().toLowerCase();
+    if (!needle) return products;
+    return products.filter(product => [product.name, product.id, product.category]
+        .some(value => typeof value === 'string' && value.toLowerCase().includes(needle)));
+};
+
+// Validates products built from imported data and throws if any are wrong
+const checkImported = (products, format, reservedIds) => {
+    const errors = validateProductCatalog(products, reservedIds);
+    if (errors.length) {
+        throw new CatalogError(`The ${format} product catalog is not valid.`, errors);
+    }
+    return products;
+};
+
+const pickFields = (product) => Object.fromEntries(PRODUCT_FIELDS.map(field => [field, product[field]]));
+
+/**
+ * Serializes products as versioned JSON.
+ * @param {Array<Item>} products
+ * @returns {string}
+ */
+export const exportProductsJSON = (products) =>
+    JSON.stringify({ version: PRODUCT_CATALOG_FORMAT_VERSION, products: products.map(pickFields) }, null, 2);
+
+/**
+ * Reads products from JSON: either the versioned export format or a bare array of products.
+ * @param {string} text
+ * @param {Array<string>} [reservedIds] - Ids the imported products may not use.
+ * @returns {Array<Item>}
+ * @throws {CatalogError} If the text is not JSON or the products do not validate.
+ */
+export const importProductsJSON = (text, reservedIds = []) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CatalogError('The product catalog is not valid JSON.', [error.message]);
+    }
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(data) && data?.version !== undefined && data.version > PRODUCT_CATALOG_FORMAT_VERSION) {
+        throw new CatalogError(`Product catalog format version ${data.version} is newer than this app supports.`);
+    }
+    if (!Array.isArray(products)) {
+        throw new CatalogError('The product catalog JSON has no list of products.');
+    }
+    return checkImported(products.map(product => (
+        product && typeof product === 'object' ? createProduct(product) : product
+    )), 'JSON', reservedIds);
+};
+
+/**
+ * Serializes products as CSV, one product per row.
+ * @param {Array<Item>} products
+ * @returns {string}
+ */
+export const exportProductsCSV = (products) => toCSV(
+    products.map(product => ({
+        ...product,
+        incompatibleCategories: product.incompatibleCategories.join(CATEGORY_SEPARATOR),
+        stockLocations: product.stockLocations.join(CATEGORY_SEPARATOR),
+    })),
+    PRODUCT_FIELDS,
+);
+
+// CSV cells are strings: numbers and flags are converted, and empty optional cells fall back to defaults
+const productFromRow = (row) => {
+    const fields = { id: row.id, name: row.name, category: row.category, orientationRule: row.orientationRule, imageUrl: row.imageUrl };
+    for (const field of POSITIVE_FIELDS) {
+        if (row[field] !== undefined && row[field] !== '') fields[field] = Number(row[field]);
+    }
+    fields.fragile = /^(true|1|yes)$/i.test(row.fragile ?? '');
+    fields.stackable = !/^(false|0|no)$/i.test(row.stackable ?? '');
+    fields.shipAlone = /^(true|1|yes)$/i.test(row.shipAlone ?? '');
+    if (row.maxLoadOnTop) fields.maxLoadOnTop = Number(row.maxLoadOnTop);
+    fields.incompatibleCategories = (row.incompatibleCategories ?? '')
+        .split(CATEGORY_SEPARATOR).map(category => category.trim()).filter(Boolean);
+    fields.stockLocations = (row.stockLocations ?? '')
+        .split(CATEGORY_SEPARATOR).map(centre => centre.trim()).filter(Boolean);
+    return createProduct(fields);
+};
+
+/**
+ * Reads products from CSV with a header row naming the product fields.
+ * @param {string} text
+ * @param {Array<string>} [reservedIds] - Ids the imported products may not use.
+ * @returns {Array<Item>}
+ * @throws {CatalogError} If the products do not validate.
+ */
+export const importProductsCSV = (text, reservedIds = []) =>
+    checkImported(parseCSV(text).map(productFromRow), 'CSV', reservedIds);
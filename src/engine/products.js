@@ -0,0 +1,13 @@
+// The predefined product catalog: dimensions in cm, weight in kg
+export const PREDEFINED_ITEMS = [
+  { id: 'book', name: 'Book', category: 'Books', length: 25, width: 18, height: 4, weight: 0.8, imageUrl: 'https://placehold.co/60x60/FF9900/FFFFFF?text=Book' },
+  { id: 'laptop', name: 'Laptop', category: 'Electronics', length: 35, width: 25, height: 3, weight: 2.0, orientationRule: 'flat', imageUrl: 'https://placehold.co/60x60/007185/FFFFFF?text=Laptop' },
+  { id: 'mug', name: 'Coffee Mug', category: 'Kitchen', length: 12, width: 9, height: 10, weight: 0.4, orientationRule: 'thisSideUp', fragile: true, imageUrl: 'https://placehold.co/60x60/FFD700/000000?text=Mug' },
+  { id: 'tshirt', name: 'T-Shirt', category: 'Apparel', length: 20, width: 15, height: 2, weight: 0.2, imageUrl: 'https://placehold.co/60x60/87CEEB/FFFFFF?text=Shirt' },
+  { id: 'headphones', name: 'Headphones', category: 'Electronics', length: 20, width: 18, height: 10, weight: 0.3, imageUrl: 'https://placehold.co/60x60/9370DB/FFFFFF?text=HP' },
+  { id: 'keyboard', name: 'Keyboard', category: 'Electronics', length: 45, width: 15, height: 4, weight: 1.0, imageUrl: 'https://placehold.co/60x60/A9A9A9/FFFFFF?text=KB' },
+  { id: 'echo_dot', name: 'Echo Dot', category: 'Electronics', length: 10, width: 10, height: 5, weight: 0.3, imageUrl: 'https://placehold.co/60x60/232F3E/FFFFFF?text=Echo' },
+  { id: 'kindle', name: 'Kindle', category: 'Electronics', length: 17, width: 12, height: 1, weight: 0.18, imageUrl: 'https://placehold.co/60x60/FFFFFF/000000?text=Kindle' },
+  { id: 'fire_tv_stick', name: 'Fire TV Stick', category: 'Electronics', length: 15, width: 4, height: 1.5, weight: 0.05, imageUrl: 'https://placehold.co/60x60/FF4500/FFFFFF?text=FireTV' },
+  { id: 'fire_tablet', name: 'Fire Tablet', category: 'Electronics', length: 20, width: 14, height: 1, weight: 0.3, imageUrl: 'https://placehold.co/60x60/8A2BE2/FFFFFF?text=Tablet' },
+];
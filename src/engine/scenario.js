@@ -0,0 +1,222 @@
+// Shareable scenarios: the cart, saved items, custom products, box catalog and plan settings,
+// compressed into a URL fragment so a teammate can open exactly the same plan.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').Scenario} Scenario */
+/** @typedef {import('./index.js').ScenarioLine} ScenarioLine */
+
+import { BOX_TYPE_FIELDS, CatalogError, createBoxType, validateBoxCatalog } from './catalog.js';
+import { validateEmissionsSettings } from './emissions.js';
+import { OPTIMIZER_OBJECTIVES } from './objectives.js';
+import { PRODUCT_FIELDS, createProduct, validateProductCatalog } from './productCatalog.js';
+import { SOURCING_OBJECTIVES } from './sourcing.js';
+import { PACKING_STRATEGIES } from './strategies.js';
+
+export const SCENARIO_FORMAT_VERSION = 1;
+
+// The URL fragment parameter a scenario is stored under: #scenario=...
+export const SCENARIO_PARAM = 'scenario';
+
+// Limits that keep a hostile link from tying up the app
+const MAX_ENCODED_LENGTH = 200000;
+const MAX_DECODED_BYTES = 2000000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const compress = async (text) => {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Inflates at most MAX_DECODED_BYTES, so a small link cannot expand into gigabytes
+const decompress = async (bytes) => {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > MAX_DECODED_BYTES) {
+            await reader.cancel();
+            throw new Error('the scenario is too large');
+        }
+        chunks.push(value);
+    }
+    return new TextDecoder().decode(await new Blob(chunks).arrayBuffer());
+};
+
+// Uploaded images are data URLs far too long for a link; linked images are kept
+const withoutEmbeddedImage = (product) => (product.imageUrl?.startsWith('data:') ? { ...product, imageUrl: '' } : product);
+
+const compactLine = ({ id, quantity, deliverBy }) => (deliverBy ? { id, quantity, deliverBy } : { id, quantity });
+
+// Lists of records travel as a table, [fields, ...rows of values], so field names appear once
+const toTable = (records, fields) => [fields, ...records.map(record => fields.map(field => record[field] ?? null))];
+
+const fromTable = (table) => {
+    if (!Array.isArray(table) || !Array.isArray(table[0])) return table;
+    const [fields, ...rows] = table;
+    return rows.map(row => (Array.isArray(row) ? Object.fromEntries(fields.map((field, index) => [field, row[index]])) : row));
+};
+
+/**
+ * Compresses a scenario into the text stored in the URL fragment.
+ * @param {Scenario} scenario
+ * @returns {Promise<string>}
+ */
+export const encodeScenario = async (scenario) => {
+    const data = {
+        version: SCENARIO_FORMAT_VERSION,
+        cart: scenario.cart.map(compactLine),
+        saved: scenario.saved.map(compactLine),
+        products: toTable(scenario.products.map(withoutEmbeddedImage), PRODUCT_FIELDS),
+        boxCatalog: toTable(scenario.boxCatalog, BOX_TYPE_FIELDS),
+        settings: scenario.settings,
+    };
+    return toBase64Url(await compress(JSON.stringify(data)));
+};
+
+// Problems with a list of cart or saved lines, given the ids of the products they may refer to
+const validateLines = (lines, label, productIds) => {
+    if (!Array.isArray(lines)) return [`${label} must be a list.`];
+    const errors = [];
+    const seenIds = new Set();
+    lines.forEach((line, index) => {
+        const name = `${label} line ${index + 1}`;
+        if (!line || typeof line !== 'object') {
+            errors.push(`${name}: not a line`);
+            return;
+        }
+        if (!productIds.has(line.id)) errors.push(`${name}: unknown product '${line.id}'`);
+        else if (seenIds.has(line.id)) errors.push(`${name}: product '${line.id}' is listed more than once`);
+        seenIds.add(line.id);
+        if (!Number.isInteger(line.quantity) || line.quantity < 1) errors.push(`${name}: quantity must be a whole number of at least 1`);
+        if (line.deliverBy !== undefined && !(typeof line.deliverBy === 'string' && DATE_PATTERN.test(line.deliverBy))) {
+            errors.push(`${name}: deliverBy must be a date (YYYY-MM-DD)`);
+        }
+    });
+    return errors;
+};
+
+// Problems with the plan settings
+const validateSettings = (settings) => {
+    if (!settings || typeof settings !== 'object') return ['settings are missing.'];
+    const errors = [];
+    if (!(settings.packingStrategy in PACKING_STRATEGIES)) errors.push(`settings: unknown packing strategy '${settings.packingStrategy}'`);
+    if (!(settings.packingObjective in OPTIMIZER_OBJECTIVES)) errors.push(`settings: unknown objective '${settings.packingObjective}'`);
+    // Links made before multi-centre sourcing have no sourcing objective
+    if (settings.sourcingObjective !== undefined && !(settings.sourcingObjective in SOURCING_OBJECTIVES)) {
+        errors.push(`settings: unknown sourcing objective '${settings.sourcingObjective}'`);
+    }
+    const weights = settings.objectiveWeights;
+    if (!weights || ['co2', 'cost', 'boxes'].some(key => !(typeof weights[key] === 'number' && weights[key] >= 0))) {
+        errors.push('settings: objective weights must be numbers of at least 0');
+    }
+    errors.push(...validateEmissionsSettings(settings.emissions).map(problem => `settings: ${problem}`));
+    return errors;
+};
+
+/**
+ * Reads a scenario from URL fragment text and checks every part of it, so a damaged or
+ * hand-edited link is rejected as a whole rather than loaded half-way.
+ * @param {string} text - The value of the scenario fragment parameter.
+ * @param {Array<Item>} predefinedProducts - Products every scenario may refer to without defining them.
+ * @returns {Promise<Scenario>}
+ * @throws {CatalogError} If the link cannot be read or the scenario does not validate.
+ */
+export const decodeScenario = async (text, predefinedProducts) => {
+    if (typeof text !== 'string' || !text || text.length > MAX_ENCODED_LENGTH) {
+        throw new CatalogError('The shared link is empty or too long.');
+    }
+    let data;
+    try {
+        data = JSON.parse(await decompress(fromBase64Url(text)));
+    } catch (error) {
+        throw new CatalogError('The shared link is damaged and cannot be read.', [error.message]);
+    }
+    if (!data || typeof data !== 'object' || data.version === undefined) {
+        throw new CatalogError('The shared link does not hold a scenario.');
+    }
+    if (data.version > SCENARIO_FORMAT_VERSION) {
+        throw new CatalogError(`Scenario format version ${data.version} is newer than this app supports.`);
+    }
+
+    const predefinedIds = predefinedProducts.map(product => product.id);
+    const productRecords = fromTable(data.products);
+    const products = Array.isArray(productRecords)
+        ? productRecords.map(product => (product && typeof product === 'object' ? createProduct(product) : product))
+        : productRecords;
+    const boxRecords = fromTable(data.boxCatalog);
+    const boxCatalog = Array.isArray(boxRecords)
+        ? boxRecords.map(boxType => (boxType && typeof boxType === 'object' ? createBoxType(boxType) : boxType))
+        : boxRecords;
+    const errors = [...validateProductCatalog(products, predefinedIds), ...validateBoxCatalog(boxCatalog)];
+    if (errors.length === 0) {
+        const productIds = new Set([...predefinedIds, ...products.map(product => product.id)]);
+        errors.push(
+            ...validateLines(data.cart, 'Cart', productIds),
+            ...validateLines(data.saved, 'Saved for Later', productIds),
+            ...validateSettings(data.settings),
+        );
+    }
+    if (errors.length) {
+        throw new CatalogError('The shared scenario is not valid.', errors);
+    }
+    return { cart: data.cart, saved: data.saved, products, boxCatalog, settings: data.settings };
+};
+
+// Adds lines product by product, keeping the first line's delivery date
+const mergeLines = (local, incoming) => {
+    const merged = local.map(line => ({ ...line }));
+    for (const line of incoming) {
+        const existing = merged.find(candidate => candidate.id === line.id);
+        if (existing) existing.quantity += line.quantity;
+        else merged.push({ ...line });
+    }
+    return merged;
+};
+
+// Entries of both lists by id; incoming entries replace local ones with the same id
+const mergeById = (local, incoming) => [
+    ...local.map(entry => incoming.find(candidate => candidate.id === entry.id) ?? entry),
+    ...incoming.filter(entry => !local.some(candidate => candidate.id === entry.id)),
+];
+
+/**
+ * Merges a shared scenario into the local one: quantities add up, and the link's custom
+ * products and box types replace local ones with the same id. The local plan settings stay.
+ * @param {Scenario} local
+ * @param {Scenario} incoming
+ * @returns {Scenario}
+ */
+export const mergeScenarios = (local, incoming) => ({
+    cart: mergeLines(local.cart, incoming.cart),
+    saved: mergeLines(local.saved, incoming.saved),
+    products: mergeById(local.products, incoming.products),
+    boxCatalog: mergeById(local.boxCatalog, incoming.boxCatalog),
+    settings: local.settings,
+});
+
+/**
+ * Turns scenario lines into the app's id -> line map, with each line carrying its product.
+ * @param {Array<ScenarioLine>} lines
+ * @param {Array<Item>} products - Every product the lines may refer to.
+ * @returns {Object<string, Item & {quantity: number}>}
+ */
+export const getScenarioLineMap = (lines, products) => Object.fromEntries(lines.map(({ id, quantity, deliverBy }) => [
+    id,
+    { ...products.find(product => product.id === id), quantity, ...(deliverBy ? { deliverBy } : {}) },
+]));
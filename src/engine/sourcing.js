@@ -0,0 +1,172 @@
+// Multi-warehouse sourcing: which fulfilment centre each item ships from. Items are only packed
+// with items from the same centre, so an order whose products are stocked in different places
+// is split into one packing per centre.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { getBoxCO2 } from './metrics.js';
+import { packGreedy } from './packing.js';
+
+const EPSILON = 1e-9;
+
+// The fulfilment centres products can be stocked in, in the order plans list them
+export const FULFILMENT_CENTRES = {
+    SEA1: { label: 'Seattle, WA' },
+    DFW7: { label: 'Dallas, TX' },
+    EWR4: { label: 'Newark, NJ' },
+};
+
+// What the choice of centres minimizes; ties go to the other measure
+export const SOURCING_OBJECTIVES = {
+    co2: {
+        label: 'Lowest CO₂',
+        compare: (a, b) => (Math.abs(a.co2 - b.co2) > EPSILON ? a.co2 - b.co2 : a.boxes - b.boxes),
+    },
+    boxes: {
+        label: 'Fewest boxes',
+        compare: (a, b) => a.boxes - b.boxes || a.co2 - b.co2,
+    },
+};
+
+// Above this many ways of assigning products to centres, a greedy assignment is used instead
+export const MAX_SOURCING_ASSIGNMENTS = 64;
+
+const centreIndex = (centre) => Object.keys(FULFILMENT_CENTRES).indexOf(centre);
+const byCentre = (a, b) => centreIndex(a) - centreIndex(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * The centres that stock every item in a shipment, in FULFILMENT_CENTRES order.
+ * @param {Array<Item>} items
+ * @returns {Array<string>|null} Null when no item is tied to a centre, so any centre will do.
+ */
+export const getSharedCentres = (items) => {
+    const constrained = items.filter(item => item.stockLocations?.length);
+    if (constrained.length === 0) return null;
+    return Object.keys(FULFILMENT_CENTRES).filter(centre => constrained.every(item => item.stockLocations.includes(centre)));
+};
+
+/**
+ * Whether an item can join a shipment that may come from any of `centres`.
+ * @param {Item} item
+ * @param {Array<string>|null} centres - From getSharedCentres.
+ * @returns {boolean}
+ */
+export const canShipWith = (item, centres) => centres === null || !item.stockLocations?.length || item.stockLocations.some(centre => centres.includes(centre));
+
+/**
+ * Re-marks boxes after items were added to them: the boxes of each centre move to the first
+ * centre that stocks all they now hold, if theirs no longer does.
+ * @param {Array<PackedBox>} packedBoxes
+ * @returns {Array<PackedBox>}
+ */
+export const settleOrigins = (packedBoxes) => {
+    const origins = new Map();
+    for (const origin of new Set(packedBoxes.map(box => box.origin))) {
+        const shared = getSharedCentres(packedBoxes.filter(box => box.origin === origin).flatMap(box => box.items));
+        origins.set(origin, shared === null || shared.includes(origin) ? origin : shared[0] ?? origin);
+    }
+    return packedBoxes.map(box => (origins.get(box.origin) === box.origin ? box : { ...box, origin: origins.get(box.origin) }));
+};
+
+// Every combination of one entry from each domain
+const allAssignments = (domains) => domains.reduce(
+    (assignments, domain) => assignments.flatMap(assignment => domain.map(centre => [...assignment, centre])),
+    [[]],
+);
+
+// Products with the fewest centres choose first, each joining the centre already shipping the most items
+const greedyAssignment = (domains, products) => {
+    const assignment = Array(domains.length);
+    const load = new Map();
+    const order = domains.map((_, index) => index).sort((a, b) => domains[a].length - domains[b].length);
+    for (const index of order) {
+        const centre = domains[index].reduce((best, candidate) => ((load.get(candidate) ?? 0) > (load.get(best) ?? 0) ? candidate : best));
+        assignment[index] = centre;
+        load.set(centre, (load.get(centre) ?? 0) + products[index].items.length);
+    }
+    return assignment;
+};
+
+const toGroups = (products, assignment) => [...new Set(assignment)].sort(byCentre).map(origin => ({
+    origin,
+    items: products.filter((_, index) => assignment[index] === origin).flatMap(product => product.items),
+}));
+
+/**
+ * Assigns each product in an order to one of the centres that stock it. When one centre stocks
+ * everything, the whole order ships from it. Otherwise every assignment (or, past
+ * MAX_SOURCING_ASSIGNMENTS, a greedy one) is packed greedily per centre, and the one best for the
+ * sourcing objective is kept; products without stock locations join whichever centre suits.
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options]
+ * @param {'co2'|'boxes'} [options.sourcingObjective='co2'] - Key into SOURCING_OBJECTIVES.
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for the CO2 measure.
+ * @returns {Array<{origin: string|null, items: Array<Item>}>} The items by centre, in FULFILMENT_CENTRES
+ *   order; a single group with a null origin when no product is tied to a centre.
+ */
+export const assignSources = (items, boxTypes, options = {}) => {
+    const { sourcingObjective = 'co2', emissions } = options;
+    const objective = SOURCING_OBJECTIVES[sourcingObjective];
+    if (!objective) {
+        throw new Error(`Unknown sourcing objective '${sourcingObjective}'.`);
+    }
+    if (items.length === 0) return [];
+
+    const products = [];
+    for (const item of items) {
+        let product = products.find(candidate => candidate.id === item.id);
+        if (!product) {
+            product = { id: item.id, items: [], locations: item.stockLocations?.length ? item.stockLocations : null };
+            products.push(product);
+        }
+        product.items.push(item);
+    }
+    const constrained = products.filter(product => product.locations);
+    if (constrained.length === 0) return [{ origin: null, items }];
+
+    const centres = [...new Set(constrained.flatMap(product => product.locations))].sort(byCentre);
+    const common = centres.find(centre => constrained.every(product => product.locations.includes(centre)));
+    if (common) return [{ origin: common, items }];
+
+    const domains = products.map(product => (product.locations ? [...product.locations].sort(byCentre) : centres));
+    const combinations = domains.reduce((count, domain) => count * domain.length, 1);
+    const assignments = combinations <= MAX_SOURCING_ASSIGNMENTS ? allAssignments(domains) : [greedyAssignment(domains, products)];
+
+    // Greedy plans by the products in a group; the same group comes up in many assignments
+    const plans = new Map();
+    const measure = (assignment) => {
+        let boxes = 0;
+        let co2 = 0;
+        for (const group of toGroups(products, assignment)) {
+            const key = products.filter((_, index) => assignment[index] === group.origin).map(product => product.id).join(',');
+            if (!plans.has(key)) plans.set(key, packGreedy(group.items, boxTypes));
+            const packedBoxes = plans.get(key);
+            boxes += packedBoxes.length;
+            co2 += packedBoxes.reduce((sum, box) => sum + getBoxCO2(box, emissions), 0);
+        }
+        return { boxes, co2 };
+    };
+
+    let best = null;
+    for (const assignment of assignments) {
+        const measures = measure(assignment);
+        if (!best || objective.compare(measures, best.measures) < 0) best = { assignment, measures };
+    }
+    return toGroups(products, best.assignment);
+};
+
+/**
+ * Packs each centre's share of an order on its own and marks every box with the centre it
+ * ships from.
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {function(Array<Item>): Array<PackedBox>} pack - Packs the items of one centre.
+ * @param {Object} [options] - Options of assignSources.
+ * @returns {Array<PackedBox>} The boxes, each with its `origin`.
+ */
+export const packBySource = (items, boxTypes, pack, options = {}) =>
+    assignSources(items, boxTypes, options).flatMap(({ origin, items: groupItems }) => pack(groupItems).map(box => ({ ...box, origin })));
@@ -0,0 +1,40 @@
+// Registry of packing strategies selectable through packOptimal.
+
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+
+import { optimizePacking } from './optimizer.js';
+import { packGreedy } from './packing.js';
+import { packBySource } from './sourcing.js';
+
+export const PACKING_STRATEGIES = {
+    greedy: {
+        label: 'Greedy (fast)',
+        pack: (items, boxTypes) => packGreedy(items, boxTypes),
+    },
+    exact: {
+        label: 'Exact (branch and bound)',
+        pack: (items, boxTypes, options) => optimizePacking(items, boxTypes, options).packedBoxes,
+    },
+};
+
+/**
+ * Packs items into boxes with the selected strategy. Items are only packed with items from the
+ * same fulfilment centre (see assignSources), and every box is marked with its `origin`.
+ *
+ * @param {Array<Item>} items - Array of all individual items.
+ * @param {Array<BoxType>} boxTypes - Array of available box types.
+ * @param {Object} [options] - Strategy options; the 'exact' strategy also reads those of optimizePacking.
+ * @param {'greedy'|'exact'} [options.strategy='greedy'] - Key into PACKING_STRATEGIES.
+ * @param {'co2'|'boxes'} [options.sourcingObjective='co2'] - What the choice of centres minimizes.
+ * @returns {Array<PackedBox>} A list of packed boxes.
+ */
+export const packOptimal = (items, boxTypes, options = {}) => {
+    const { strategy = 'greedy' } = options;
+    const packingStrategy = PACKING_STRATEGIES[strategy];
+    if (!packingStrategy) {
+        throw new Error(`Unknown packing strategy '${strategy}'.`);
+    }
+    return packBySource(items, boxTypes, groupItems => packingStrategy.pack(groupItems, boxTypes, options), options);
+};
@@ -0,0 +1,288 @@
+/** @typedef {import('./index.js').Item} Item */
+/** @typedef {import('./index.js').BoxType} BoxType */
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').Suggestion} Suggestion */
+/** @typedef {import('./index.js').RemovalSuggestion} RemovalSuggestion */
+/** @typedef {import('./index.js').EmissionsSettings} EmissionsSettings */
+
+import { PACKING_CONSTRAINTS } from './constraints.js';
+import { combineBreakdowns } from './emissions.js';
+import { calculateMetrics } from './metrics.js';
+import { findUnpackableReason, openBox, placeItem, tryAddItemsToExistingBoxes } from './packing.js';
+import { canShipWith, getSharedCentres, settleOrigins } from './sourcing.js';
+import { packOptimal } from './strategies.js';
+
+// Suggestion tiers, in the order they are worked out: 'fit' only uses space the order already
+// ships; 'upgrade' may move one box up a size or repack the order if the net CO2 saving is positive
+export const SUGGESTION_TIERS = {
+    fit: { label: 'Fits in your boxes' },
+    upgrade: { label: 'Worth a bigger box' },
+};
+
+// Lifts every constraint from an item, keeping its placement if it has one
+const relaxAll = (item) => Object.values(PACKING_CONSTRAINTS).reduce((relaxed, { relax }) => relax(relaxed), item);
+
+const repeat = (item, quantity) => Array(quantity).fill(item);
+
+// The centres each box's shipment could come from: those stocking everything its centre ships
+const getBoxCentres = (packedBoxes) => packedBoxes.map(box =>
+    getSharedCentres(packedBoxes.filter(other => other.origin === box.origin).flatMap(other => other.items)));
+
+// Adds units of an item to the boxes whose centre could also ship it
+const addToBoxesItsCentresShip = (item, quantity, packedBoxes) => {
+    const boxCentres = getBoxCentres(packedBoxes);
+    const eligible = packedBoxes.filter((_, index) => canShipWith(item, boxCentres[index]));
+    const { quantityAdded, newPackedBoxes } = tryAddItemsToExistingBoxes(item, quantity, eligible);
+    const packed = packedBoxes.map(box => (eligible.includes(box) ? newPackedBoxes[eligible.indexOf(box)] : box));
+    return { quantityAdded, newPackedBoxes: settleOrigins(packed) };
+};
+
+/**
+ * Moves a packed box's items into the next box type up by volume, placing them afresh.
+ * @param {PackedBox} box
+ * @param {Array<BoxType>} boxTypes
+ * @returns {PackedBox|null} The bigger box, or null if there is none or the items do not go in.
+ */
+const upgradeBox = (box, boxTypes) => {
+    const nextSize = boxTypes
+        .filter(boxType => boxType.volume > box.volume)
+        .reduce((smallest, boxType) => (!smallest || boxType.volume < smallest.volume ? boxType : smallest), null);
+    if (!nextSize) return null;
+    const upgraded = { ...openBox(nextSize), origin: box.origin };
+    return box.items.every(item => placeItem(upgraded, item)) ? upgraded : null;
+};
+
+/**
+ * Generates suggestions for adding 'saved for later' items to the current order
+ * to improve sustainability metrics, including CO2 savings.
+ *
+ * Suggestions are worked out together: each one is measured against the order with every
+ * suggestion before it already added, so accepting all of them still fits, and their savings
+ * add up. 'fit' suggestions come first and only use free space in the current boxes. The
+ * 'upgrade' ones that follow build on them and may swap one box for the next size up, or
+ * repack the whole order, when that still saves CO2 over shipping the saved items separately.
+ * Only saved items stocked in a fulfilment centre that could ship part of the order are suggested.
+ * @param {Array<Item>} currentFlatItems - Flat list of items currently in the cart.
+ * @param {Object<string, Item & {quantity: number}>} savedForLaterItemsMap - Map of saved items (id -> {item, quantity}).
+ * @param {Array<BoxType>} boxTypes - Available box types.
+ * @param {Object} [options] - packOptimal options the order's plan is packed with, so the boxes
+ *   compared are the ones the plan shows (strategy, sourcingObjective, ...).
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for the CO2 figures.
+ * @returns {Array<Suggestion>} List of suggested items with potential benefits including CO2 savings,
+ * or indicators if items are too big/heavy. Items only a product constraint keeps out of the
+ * current boxes (fragility, categories, ship-alone) are left out rather than reported as too big.
+ */
+export const getBulkOrderSuggestions = (currentFlatItems, savedForLaterItemsMap, boxTypes, options = {}) => {
+    // Only the plans' figures are compared, so what constraints cost is not worked out
+    const metricsOptions = { emissions: options.emissions, constraintImpacts: false };
+    const pack = (items) => packOptimal(items, boxTypes, options);
+    if (Object.keys(savedForLaterItemsMap).length === 0) return [];
+
+    const suggestions = [];
+
+    // Calculate baseline metrics for the current order only
+    const originalPackedBoxes = pack(currentFlatItems);
+    let order = {
+        items: currentFlatItems,
+        packedBoxes: originalPackedBoxes,
+        metrics: calculateMetrics(originalPackedBoxes, currentFlatItems, boxTypes, metricsOptions),
+    };
+
+    // Saved items have to be stocked where some part of the order could ship from
+    const originalBoxCentres = getBoxCentres(originalPackedBoxes);
+    const shipsFromOrderCentre = (item) => originalBoxCentres.length === 0 || originalBoxCentres.some(centres => canShipWith(item, centres));
+
+    const remaining = {};
+    for (const itemId in savedForLaterItemsMap) {
+        if (shipsFromOrderCentre(savedForLaterItemsMap[itemId]) && !findUnpackableReason(savedForLaterItemsMap[itemId], boxTypes)) {
+            remaining[itemId] = savedForLaterItemsMap[itemId].quantity;
+        }
+    }
+
+    // Measures adding `quantity` of a saved item to the order as packed into `packedBoxes`,
+    // against shipping those units on their own next to the order as packed in `baseline`
+    const evaluate = (savedItemType, quantity, packedBoxes, tier, change, baseline = order.metrics) => {
+        const items = [...order.items, ...repeat(savedItemType, quantity)];
+        const metrics = calculateMetrics(packedBoxes, items, boxTypes, metricsOptions);
+        const aloneItems = repeat(savedItemType, quantity);
+        const aloneMetrics = calculateMetrics(pack(aloneItems), aloneItems, boxTypes, metricsOptions);
+
+        // CO2 saved by combining, in total and by source
+        const co2SavedByCombining = baseline.optimalCO2Impact + aloneMetrics.optimalCO2Impact - metrics.optimalCO2Impact;
+        const co2SavedBreakdown = combineBreakdowns(
+            combineBreakdowns(baseline.co2Breakdown, aloneMetrics.co2Breakdown),
+            metrics.co2Breakdown,
+            -1,
+        );
+        return {
+            suggestion: {
+                type: 'suggestion',
+                tier,
+                change,
+                item: savedItemType,
+                quantityToSuggest: quantity,
+                fewerBoxes: metrics.totalBoxes < order.metrics.totalBoxes + aloneMetrics.totalBoxes,
+                efficiencyImprovement: metrics.packagingEfficiencyScore - order.metrics.packagingEfficiencyScore,
+                co2SavedByCombining,
+                co2SavedBreakdown,
+                newTotalBoxes: metrics.totalBoxes,
+                oldTotalBoxes: order.metrics.totalBoxes,
+                separateBoxes: aloneMetrics.totalBoxes,
+            },
+            order: { items, packedBoxes, metrics },
+        };
+    };
+
+    // Every way of adding each saved item that a tier allows
+    const tierOptions = {
+        fit: function* (savedItemType) {
+            // Add as many units as fit into the boxes already being shipped
+            const { quantityAdded, newPackedBoxes } = addToBoxesItsCentresShip(savedItemType, remaining[savedItemType.id], order.packedBoxes);
+            if (quantityAdded > 0) yield evaluate(savedItemType, quantityAdded, newPackedBoxes, 'fit', null);
+        },
+        upgrade: function* (savedItemType) {
+            const boxCentres = getBoxCentres(order.packedBoxes);
+            for (let i = 0; i < order.packedBoxes.length; i++) {
+                if (!canShipWith(savedItemType, boxCentres[i])) continue;
+                const upgraded = upgradeBox(order.packedBoxes[i], boxTypes);
+                if (!upgraded) continue;
+                const { quantityAdded, newPackedBoxes: [filled] } = tryAddItemsToExistingBoxes(savedItemType, remaining[savedItemType.id], [upgraded]);
+                if (quantityAdded === 0) continue;
+                const packedBoxes = settleOrigins(order.packedBoxes.map((box, j) => (j === i ? filled : box)));
+                yield evaluate(savedItemType, quantityAdded, packedBoxes, 'upgrade', { type: 'biggerBox', from: order.packedBoxes[i].name, to: filled.name });
+            }
+            // A repack is credited only with what it saves over repacking the order without the item
+            const quantity = remaining[savedItemType.id];
+            const repacked = pack([...order.items, ...repeat(savedItemType, quantity)]);
+            const repackedOrder = calculateMetrics(pack(order.items), order.items, boxTypes, metricsOptions);
+            const baseline = repackedOrder.optimalCO2Impact < order.metrics.optimalCO2Impact ? repackedOrder : order.metrics;
+            yield evaluate(savedItemType, quantity, repacked, 'upgrade', { type: 'repack' }, baseline);
+        },
+    };
+    // Fit suggestions may also just raise efficiency; upgrades have to pay for themselves in CO2
+    const isWorthwhile = {
+        fit: ({ co2SavedByCombining, efficiencyImprovement }) => co2SavedByCombining > 0.01 || efficiencyImprovement > 0.1,
+        upgrade: ({ co2SavedByCombining }) => co2SavedByCombining > 0.01,
+    };
+
+    // Within a tier, keep taking the best remaining addition until none is worthwhile
+    for (const tier of Object.keys(SUGGESTION_TIERS)) {
+        for (;;) {
+            let best = null;
+            for (const itemId in remaining) {
+                if (remaining[itemId] === 0) continue;
+                for (const candidate of tierOptions[tier](savedForLaterItemsMap[itemId])) {
+                    if (isWorthwhile[tier](candidate.suggestion) && (!best || candidate.suggestion.co2SavedByCombining > best.suggestion.co2SavedByCombining)) {
+                        best = candidate;
+                    }
+                }
+            }
+            if (!best) break;
+            suggestions.push(best.suggestion);
+            remaining[best.suggestion.item.id] -= best.suggestion.quantityToSuggest;
+            order = best.order;
+        }
+    }
+
+    // Saved items nothing could be suggested for
+    for (const itemId in savedForLaterItemsMap) {
+        const savedItemType = savedForLaterItemsMap[itemId];
+        if (suggestions.some(suggestion => suggestion.item.id === itemId) || !shipsFromOrderCentre(savedItemType)) continue;
+        const unpackableReason = findUnpackableReason(savedItemType, boxTypes);
+        const relaxedBoxes = originalPackedBoxes
+            .filter((_, index) => canShipWith(savedItemType, originalBoxCentres[index]))
+            .map(box => ({ ...box, items: box.items.map(relaxAll) }));
+        if (!unpackableReason && tryAddItemsToExistingBoxes(relaxAll(savedItemType), 1, relaxedBoxes).success) {
+            continue; // It would fit, but only by breaking a constraint
+        }
+        suggestions.push({
+            type: 'tooBig', // Indicate it's too big/heavy
+            item: savedItemType,
+            reason: unpackableReason,
+            message: unpackableReason
+                ? `Cannot be shipped in any box: ${unpackableReason.message}`
+                : `Too large or heavy to fit in with the current order, even in a bigger box, without shipping more CO₂ than sending it separately.`
+        });
+    }
+
+    return suggestions;
+};
+
+// Largest number of cart units a removal suggestion takes out
+export const MAX_REMOVAL_SET_SIZE = 3;
+
+// Every way of taking `size` units out of the cart lines from `start` on, as [[line, quantity], ...]
+function* removalSets(lines, size, start = 0) {
+    if (size === 0) {
+        yield [];
+        return;
+    }
+    for (let i = start; i < lines.length; i++) {
+        for (let quantity = Math.min(size, lines[i].quantity); quantity >= 1; quantity--) {
+            for (const rest of removalSets(lines, size - quantity, i + 1)) {
+                yield [[lines[i], quantity], ...rest];
+            }
+        }
+    }
+}
+
+/**
+ * Finds the smallest sets of cart items whose removal (or move to Saved for Later) lets the rest
+ * of the order ship in fewer boxes, or in smaller ones. Sets of up to MAX_REMOVAL_SET_SIZE units
+ * are tried, smallest first; only the sets of the smallest size that helps are returned.
+ * @param {Array<Item>} currentFlatItems - Flat list of items currently in the cart.
+ * @param {Array<BoxType>} boxTypes - Available box types.
+ * @param {Object} [options] - packOptimal options the order's plan is packed with, so the boxes
+ *   compared are the ones the plan shows (strategy, sourcingObjective, ...).
+ * @param {EmissionsSettings} [options.emissions=DEFAULT_EMISSIONS] - Emissions model for the CO2 figures.
+ * @returns {Array<RemovalSuggestion>} Best CO2 difference first.
+ */
+export const getRemovalSuggestions = (currentFlatItems, boxTypes, options = {}) => {
+    // Only the plans' figures are compared, so what constraints cost is not worked out
+    const metricsOptions = { emissions: options.emissions, constraintImpacts: false };
+    const pack = (items) => packOptimal(items, boxTypes, options);
+    if (currentFlatItems.length < 2) return [];
+
+    const originalPackedBoxes = pack(currentFlatItems);
+    const originalMetrics = calculateMetrics(originalPackedBoxes, currentFlatItems, boxTypes, metricsOptions);
+    const boxVolume = (packedBoxes) => packedBoxes.reduce((sum, box) => sum + box.volume, 0);
+    const originalVolume = boxVolume(originalPackedBoxes);
+
+    const lines = [];
+    for (const item of currentFlatItems) {
+        const line = lines.find(candidate => candidate.item.id === item.id);
+        if (line) line.quantity++;
+        else lines.push({ item, quantity: 1 });
+    }
+
+    const maxSize = Math.min(MAX_REMOVAL_SET_SIZE, currentFlatItems.length - 1);
+    for (let size = 1; size <= maxSize; size++) {
+        const removals = [];
+        for (const set of removalSets(lines, size)) {
+            const remainingItems = lines.flatMap(line => {
+                const removed = set.find(([removedLine]) => removedLine === line)?.[1] ?? 0;
+                return repeat(line.item, line.quantity - removed);
+            });
+            const packedBoxes = pack(remainingItems);
+            const fewerBoxes = packedBoxes.length < originalPackedBoxes.length;
+            const smallerBoxes = !fewerBoxes && packedBoxes.length === originalPackedBoxes.length && boxVolume(packedBoxes) < originalVolume;
+            if (!fewerBoxes && !smallerBoxes) continue;
+
+            const metrics = calculateMetrics(packedBoxes, remainingItems, boxTypes, metricsOptions);
+            removals.push({
+                type: 'remove',
+                items: set.map(([line, quantity]) => ({ item: line.item, quantity })),
+                fewerBoxes,
+                smallerBoxes,
+                oldBoxes: originalPackedBoxes.map(box => box.name),
+                newBoxes: packedBoxes.map(box => box.name),
+                co2Difference: originalMetrics.optimalCO2Impact - metrics.optimalCO2Impact,
+                co2DifferenceBreakdown: combineBreakdowns(originalMetrics.co2Breakdown, metrics.co2Breakdown, -1),
+            });
+        }
+        if (removals.length > 0) {
+            return removals.sort((a, b) => b.co2Difference - a.co2Difference);
+        }
+    }
+    return [];
+};
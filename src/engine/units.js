@@ -0,0 +1,177 @@
+// Display units and locale formatting. The engine works in centimetres, kilograms (CO₂ included)
+// and kilometres throughout; values are converted to the user's unit system only where they are
+// shown or typed in, so the display setting never changes a packing result.
+
+/** @typedef {import('./index.js').UnpackableReason} UnpackableReason */
+/** @typedef {import('./index.js').DisplaySettings} DisplaySettings */
+/** @typedef {import('./index.js').UnitFormatter} UnitFormatter */
+
+// Each quantity's Intl unit, its symbol, and how many engine units make one display unit
+export const UNIT_SYSTEMS = {
+    metric: {
+        label: 'Metric (cm, kg)',
+        length: { unit: 'centimeter', symbol: 'cm', factor: 1 },
+        weight: { unit: 'kilogram', symbol: 'kg', factor: 1 },
+        // For light loads such as void fill
+        smallWeight: { unit: 'gram', symbol: 'g', factor: 0.001 },
+        distance: { unit: 'kilometer', symbol: 'km', factor: 1 },
+    },
+    imperial: {
+        label: 'Imperial (in, lb)',
+        length: { unit: 'inch', symbol: 'in', factor: 2.54 },
+        weight: { unit: 'pound', symbol: 'lb', factor: 0.45359237 },
+        smallWeight: { unit: 'ounce', symbol: 'oz', factor: 0.028349523125 },
+        distance: { unit: 'mile', symbol: 'mi', factor: 1.609344 },
+    },
+};
+
+// Locales the settings offer; '' follows the browser
+export const DISPLAY_LOCALES = {
+    '': 'Browser default',
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'de-DE': 'Deutsch',
+    'fr-FR': 'Français',
+    'es-ES': 'Español',
+    'ja-JP': '日本語',
+};
+
+export const DEFAULT_DISPLAY_SETTINGS = { unitSystem: 'metric', locale: '' };
+
+// Decimals a converted value keeps in a form field
+const INPUT_DECIMALS = 3;
+
+const resolveUnitSystem = (unitSystem) => {
+    const system = UNIT_SYSTEMS[unitSystem];
+    if (!system) {
+        throw new Error(`Unknown unit system '${unitSystem}'.`);
+    }
+    return system;
+};
+
+/**
+ * Checks stored or shared display settings.
+ * @param {DisplaySettings} settings
+ * @returns {Array<string>} Every problem found; empty when the settings can be used.
+ */
+export const validateDisplaySettings = (settings) => {
+    if (!settings || typeof settings !== 'object') return ['display settings must be an object'];
+    const errors = [];
+    if (!(settings.unitSystem in UNIT_SYSTEMS)) errors.push(`unknown unit system '${settings.unitSystem}'`);
+    if (typeof settings.locale !== 'string' || (settings.locale && Intl.NumberFormat.supportedLocalesOf(settings.locale).length === 0)) {
+        errors.push(`unsupported locale '${settings.locale}'`);
+    }
+    return errors;
+};
+
+/**
+ * Converts an engine value (cm, kg or km) into the unit system's unit.
+ * @param {number} value
+ * @param {'length'|'weight'|'smallWeight'|'distance'} quantity
+ * @param {'metric'|'imperial'} unitSystem - Key into UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export const toDisplayUnits = (value, quantity, unitSystem) => value / resolveUnitSystem(unitSystem)[quantity].factor;
+
+/**
+ * Converts a value in the unit system's unit back into the engine's unit.
+ * @param {number} value
+ * @param {'length'|'weight'|'smallWeight'|'distance'} quantity
+ * @param {'metric'|'imperial'} unitSystem - Key into UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export const fromDisplayUnits = (value, quantity, unitSystem) => value * resolveUnitSystem(unitSystem)[quantity].factor;
+
+/**
+ * The text a form field shows for an engine value: converted and rounded, or '' for no value.
+ * Metric values are shown as they are.
+ * @param {number|null|undefined} value
+ * @param {'length'|'weight'|'smallWeight'|'distance'} quantity
+ * @param {'metric'|'imperial'} unitSystem
+ * @returns {string}
+ */
+export const toInputValue = (value, quantity, unitSystem) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+    if (resolveUnitSystem(unitSystem)[quantity].factor === 1) return String(value);
+    return String(Number(toDisplayUnits(value, quantity, unitSystem).toFixed(INPUT_DECIMALS)));
+};
+
+/**
+ * Reads a form field back into the engine's unit. A field still showing what toInputValue gave
+ * for `original` returns `original` itself, so saving a form in inches does not nudge values
+ * the user left alone.
+ * @param {string} text
+ * @param {'length'|'weight'|'smallWeight'|'distance'} quantity
+ * @param {'metric'|'imperial'} unitSystem
+ * @param {number} [original] - The engine value the field was filled from.
+ * @returns {number} NaN for an empty field.
+ */
+export const fromInputValue = (text, quantity, unitSystem, original) => {
+    if (text === '') return NaN;
+    if (original !== undefined && text === toInputValue(original, quantity, unitSystem)) return original;
+    return fromDisplayUnits(Number(text), quantity, unitSystem);
+};
+
+/**
+ * Formats engine values for the user's unit system and locale with Intl.
+ * @param {DisplaySettings} [settings=DEFAULT_DISPLAY_SETTINGS]
+ * @returns {UnitFormatter}
+ */
+export const createUnitFormatter = (settings = DEFAULT_DISPLAY_SETTINGS) => {
+    const { unitSystem, locale } = { ...DEFAULT_DISPLAY_SETTINGS, ...settings };
+    const system = resolveUnitSystem(unitSystem);
+    const locales = locale || undefined;
+
+    // Intl formatters are slow to build, so each set of options is built once
+    const formats = new Map();
+    const numberFormat = (options) => {
+        const key = JSON.stringify(options);
+        if (!formats.has(key)) formats.set(key, new Intl.NumberFormat(locales, options));
+        return formats.get(key);
+    };
+    const fixed = (digits) => ({ minimumFractionDigits: digits, maximumFractionDigits: digits });
+    const formatSides = (sides) => sides
+        .map(side => numberFormat({ maximumFractionDigits: 1 }).format(toDisplayUnits(side, 'length', unitSystem)))
+        .join(' × ');
+    const formatQuantity = (quantity, value, digits) => numberFormat({ style: 'unit', unit: system[quantity].unit, unitDisplay: 'short', ...fixed(digits) })
+        .format(toDisplayUnits(value, quantity, unitSystem));
+
+    const formatter = {
+        unitSystem,
+        locale: locales,
+        symbols: { length: system.length.symbol, weight: system.weight.symbol, distance: system.distance.symbol },
+        formatNumber: (value, digits = 0) => numberFormat(fixed(digits)).format(value),
+        // Takes a percentage (0-100), as the engine's scores are
+        formatPercent: (value, digits = 1) => numberFormat({ style: 'percent', ...fixed(digits) }).format(value / 100),
+        formatLength: (cm, digits = 1) => formatQuantity('length', cm, digits),
+        formatWeight: (kg, digits = 1) => formatQuantity('weight', kg, digits),
+        formatSmallWeight: (kg, digits = 0) => formatQuantity('smallWeight', kg, digits),
+        formatDistance: (km, digits = 0) => formatQuantity('distance', km, digits),
+        // Sides with up to one decimal, e.g. "30 × 20 × 12 cm"
+        formatDimensions: ({ length, width, height }) => `${formatSides([length, width, height])} ${system.length.symbol}`,
+        // A corner position in a box, e.g. "(0, 12.5, 0) cm"
+        formatPosition: ({ x, y, z }) => `(${formatSides([x, y, z]).replaceAll(' × ', ', ')}) ${system.length.symbol}`,
+        formatCurrency: (dollars) => numberFormat({ style: 'currency', currency: 'USD' }).format(dollars),
+        formatDate: (date, options) => new Date(date).toLocaleDateString(locales, options),
+        formatDateTime: (date) => new Date(date).toLocaleString(locales),
+        toInput: (value, quantity) => toInputValue(value, quantity, unitSystem),
+        fromInput: (text, quantity, original) => fromInputValue(text, quantity, unitSystem, original),
+    };
+
+    /**
+     * Restates why an item cannot be packed with sizes and weights in the user's units.
+     * @param {UnpackableReason} reason
+     * @returns {string}
+     */
+    formatter.formatReason = (reason) => {
+        if (reason.code === 'tooHeavy') {
+            return `Weighs ${formatter.formatWeight(reason.weight)}, more than the ${formatter.formatWeight(reason.limit)} any box can carry.`;
+        }
+        if (reason.code === 'tooLarge') {
+            return `Its ${reason.dimension} of ${formatter.formatLength(reason.size)} is too long: no box has room for more than ${formatter.formatLength(reason.limit)} that way.`;
+        }
+        return reason.message;
+    };
+
+    return formatter;
+};
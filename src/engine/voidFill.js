@@ -0,0 +1,42 @@
+// Void fill (dunnage): the air pillows, paper or peanuts that fill a box's empty space.
+// Each box type names its material; the amount follows from the volume its items leave empty.
+
+/** @typedef {import('./index.js').PackedBox} PackedBox */
+/** @typedef {import('./index.js').VoidFill} VoidFill */
+
+/**
+ * Void-fill materials: kg of material per litre of empty space, and kg CO2 to make one kg of it.
+ */
+export const VOID_FILL_MATERIALS = {
+    airPillows: { label: 'Air pillows', kgPerLitre: 0.002, co2PerKg: 2.8 },
+    paper: { label: 'Crumpled paper', kgPerLitre: 0.02, co2PerKg: 1.1 },
+    peanuts: { label: 'Packing peanuts', kgPerLitre: 0.006, co2PerKg: 3.4 },
+    none: { label: 'No void fill', kgPerLitre: 0, co2PerKg: 0 },
+};
+
+// Used by box types that do not name a material
+export const DEFAULT_VOID_FILL = 'airPillows';
+
+/**
+ * The void fill a box needs for the space its items leave empty.
+ * @param {PackedBox} box - A packed box; an empty box needs void fill for its whole volume.
+ * @returns {VoidFill}
+ */
+export const getBoxVoidFill = (box) => {
+    const material = box.voidFill ?? DEFAULT_VOID_FILL;
+    const { kgPerLitre, co2PerKg } = VOID_FILL_MATERIALS[material];
+    const volume = Math.max(0, box.volume - (box.filledVolume ?? 0));
+    const weight = (volume / 1000) * kgPerLitre;
+    return { material, volume, weight, co2: weight * co2PerKg };
+};
+
+/**
+ * kg CO2 per cm3 of empty space in a box: making the void fill plus shipping its weight.
+ * @param {PackedBox} box
+ * @param {number} [perKgCO2=box.perKgCO2] - kg CO2 for shipping one kg.
+ * @returns {number}
+ */
+export const getVoidFillCO2PerCm3 = (box, perKgCO2 = box.perKgCO2) => {
+    const { kgPerLitre, co2PerKg } = VOID_FILL_MATERIALS[box.voidFill ?? DEFAULT_VOID_FILL];
+    return (kgPerLitre / 1000) * (co2PerKg + perKgCO2);
+};
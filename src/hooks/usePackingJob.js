@@ -0,0 +1,71 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createJobRequest, createResultCache } from '../engine';
+
+// Results shared by every job, so going back to an earlier cart is instant
+const resultCache = createResultCache();
+
+const spawnWorker = () => new Worker(new URL('../workers/packingWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Runs a packing job in a Web Worker whenever its payload changes. Cached results come back
+ * at once; otherwise the previous result stays on screen, marked stale, until the new one
+ * arrives. A job still running when the payload changes again is cancelled by terminating
+ * its worker, so superseded work never holds up the current request.
+ * @param {string} job - Key into PACKING_JOBS.
+ * @param {Object|null} payload - The job's input; null runs nothing. Memoize it, as a new object reruns the job.
+ * @returns {{result: Object|null, pending: boolean, error: string|null}}
+ */
+const usePackingJob = (job, payload) => {
+    const request = useMemo(() => (payload ? createJobRequest(job, payload) : null), [job, payload]);
+    const [state, setState] = useState(() => ({ key: request?.key ?? null, result: request ? resultCache.get(request.key) ?? null : null, error: null }));
+    const workerRef = useRef(null);
+
+    useEffect(() => {
+        if (!request) return undefined;
+        const cached = resultCache.get(request.key);
+        if (cached) {
+            setState({ key: request.key, result: cached, error: null });
+            return undefined;
+        }
+
+        let running = true;
+        workerRef.current ??= spawnWorker();
+        const worker = workerRef.current;
+        worker.onmessage = ({ data }) => {
+            if (data.key !== request.key) return;
+            running = false;
+            if (data.error) {
+                setState(prev => ({ ...prev, key: request.key, error: data.error }));
+                return;
+            }
+            resultCache.set(request.key, data.result);
+            setState({ key: request.key, result: data.result, error: null });
+        };
+        worker.onerror = (event) => {
+            running = false;
+            setState(prev => ({ ...prev, key: request.key, error: event.message || 'The packing worker failed.' }));
+        };
+        worker.postMessage(request);
+
+        return () => {
+            if (running) {
+                worker.terminate();
+                workerRef.current = null;
+            }
+        };
+    }, [request]);
+
+    // Stop the worker with the component
+    useEffect(() => () => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+    }, []);
+
+    return {
+        result: state.result,
+        pending: request !== null && state.key !== request.key,
+        error: state.key === request?.key ? state.error : null,
+    };
+};
+
+export default usePackingJob;
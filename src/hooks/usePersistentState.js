@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from 'react';
+import { PERSISTED_SLICES, loadSlice, saveSlice } from '../utils/persistence';
+
+/**
+ * State kept in localStorage under one of PERSISTED_SLICES, and kept in step with other tabs:
+ * a change stored by another tab arrives through a `storage` event and replaces this tab's value.
+ * @param {string} slice - Key into PERSISTED_SLICES.
+ * @returns {[*, function]} The value and its setter, as from useState.
+ */
+const usePersistentState = (slice) => {
+    const [value, setValue] = useState(() => loadSlice(window.localStorage, slice));
+    // The last value read from another tab, which does not need writing back
+    const fromOtherTab = useRef(null);
+
+    useEffect(() => {
+        if (fromOtherTab.current === value) return;
+        saveSlice(window.localStorage, slice, value);
+    }, [slice, value]);
+
+    useEffect(() => {
+        const { key } = PERSISTED_SLICES[slice];
+        const handleStorage = (event) => {
+            if (event.storageArea !== window.localStorage || event.key !== key) return;
+            const next = loadSlice(window.localStorage, slice);
+            fromOtherTab.current = next;
+            setValue(next);
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [slice]);
+
+    return [value, setValue];
+};
+
+export default usePersistentState;
@@ -2,6 +2,10 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App'; // Your App.js component
 import './index.css'; // Your main CSS file, typically for Tailwind imports
+import { migrateStorage } from './utils/persistence';
+
+// Stored state from an older version is brought up to date before anything reads it
+migrateStorage(window.localStorage);
 
 // Get the root element from index.html
 const rootElement = document.getElementById('root');
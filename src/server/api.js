@@ -0,0 +1,278 @@
+// Local HTTP API over the packing engine, for services that need EcoPack's decisions without
+// the page: JSON in, JSON out, request bodies checked against the schemas in openapi.js.
+// Requests are checked on the event loop and packed in worker threads (apiWorker.js), so one
+// large order does not hold up the others. bin/serve-api.js starts it.
+
+/** @typedef {import('../engine/index.js').Item} Item */
+/** @typedef {import('../engine/index.js').BoxType} BoxType */
+
+import { createServer } from 'node:http';
+import { availableParallelism } from 'node:os';
+import {
+    AMAZON_BOX_SIZES,
+    PREDEFINED_ITEMS,
+    calculateMetrics,
+    createBoxType,
+    createProduct,
+    exportCatalogJSON,
+    getActiveBoxTypes,
+    getBulkOrderSuggestions,
+    packOptimal,
+    validateBoxCatalog,
+    validateProductCatalog,
+} from '../engine/index.js';
+import { OPENAPI_DOCUMENT } from './openapi.js';
+import { WorkerTimeoutError, createWorkerPool } from './workerPool.js';
+
+// Largest request body read, in bytes
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+// Most units one request may ask to pack, cart and saved items together
+export const MAX_REQUEST_UNITS = 1000;
+
+// Workers packing requests at once; at least two, so a slow order always leaves one free for
+// the next request, even on a single core
+export const DEFAULT_API_WORKERS = Math.max(2, availableParallelism());
+
+// How long one request may take to pack before it is given up with a 503
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Raised for requests the API refuses; `status` is the HTTP status to answer with and `errors`
+ * lists every problem found.
+ */
+export class ApiError extends Error {
+    constructor(status, message, errors = []) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+const TYPE_CHECKS = {
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+};
+
+const TYPE_NAMES = { object: 'an object', array: 'a list', string: 'a string', number: 'a number', integer: 'a whole number', boolean: 'true or false' };
+
+const resolveSchema = (schema) => (schema.$ref ? OPENAPI_DOCUMENT.components.schemas[schema.$ref.split('/').pop()] : schema);
+
+/**
+ * Checks a value against a schema of the OpenAPI document. Supports the parts of JSON Schema the
+ * document uses: $ref, type, nullable, enum, minimum, maximum, minItems, required, properties and
+ * additionalProperties: false.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path='body'] - Where the value sits, for the messages.
+ * @returns {Array<string>} Every problem found; empty when the value matches.
+ */
+export const validateAgainstSchema = (schema, value, path = 'body') => {
+    const resolved = resolveSchema(schema);
+    if (value === null && resolved.nullable) return [];
+    if (resolved.type && !TYPE_CHECKS[resolved.type](value)) return [`${path} must be ${TYPE_NAMES[resolved.type]}`];
+    const errors = [];
+    if (resolved.enum && !resolved.enum.includes(value)) errors.push(`${path} must be one of ${resolved.enum.join(', ')}`);
+    if (resolved.minimum !== undefined && value < resolved.minimum) errors.push(`${path} must be at least ${resolved.minimum}`);
+    if (resolved.maximum !== undefined && value > resolved.maximum) errors.push(`${path} must be at most ${resolved.maximum}`);
+    if (resolved.type === 'array') {
+        if (resolved.minItems !== undefined && value.length < resolved.minItems) errors.push(`${path} must have at least ${resolved.minItems} entry`);
+        value.forEach((entry, index) => errors.push(...validateAgainstSchema(resolved.items, entry, `${path}[${index}]`)));
+    }
+    if (resolved.type === 'object') {
+        for (const field of resolved.required ?? []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, entry] of Object.entries(value)) {
+            if (resolved.properties?.[field]) errors.push(...validateAgainstSchema(resolved.properties[field], entry, `${path}.${field}`));
+            else if (resolved.additionalProperties === false) errors.push(`${path}.${field} is not a known field`);
+        }
+    }
+    return errors;
+};
+
+// Turns request lines into units, checking each product exists
+const expandLines = (lines, products, path, errors) => lines.flatMap(({ productId, quantity }, index) => {
+    const product = products.find(candidate => candidate.id === productId);
+    if (!product) {
+        errors.push(`${path}[${index}].productId: unknown product '${productId}'`);
+        return [];
+    }
+    return Array(quantity).fill(product);
+});
+
+// The products, box types and units a request that passed its schema refers to
+const resolveOrder = (body, context) => {
+    const customProducts = (body.products ?? []).map(createProduct);
+    const boxCatalog = body.boxCatalog ? body.boxCatalog.map(createBoxType) : context.boxCatalog;
+    const errors = [
+        ...validateProductCatalog(customProducts, context.products.map(product => product.id)),
+        ...(body.boxCatalog ? validateBoxCatalog(boxCatalog) : []),
+    ];
+    const units = [...body.items, ...(body.saved ?? [])].reduce((sum, line) => sum + line.quantity, 0);
+    if (units > MAX_REQUEST_UNITS) {
+        throw new ApiError(413, `The request asks for ${units} units; at most ${MAX_REQUEST_UNITS} are packed at once.`);
+    }
+    const products = [...context.products, ...customProducts];
+    const items = expandLines(body.items, products, 'body.items', errors);
+    const saved = expandLines(body.saved ?? [], products, 'body.saved', errors);
+    if (errors.length) {
+        throw new ApiError(400, 'The request refers to products or box types that are not valid.', errors);
+    }
+    const savedForLater = {};
+    for (const item of saved) {
+        savedForLater[item.id] = { ...item, quantity: (savedForLater[item.id]?.quantity ?? 0) + 1 };
+    }
+    return { items, savedForLater, boxTypes: getActiveBoxTypes(boxCatalog) };
+};
+
+const packingOptions = (body) => ({ strategy: body.strategy, objective: body.objective, sourcingObjective: body.sourcingObjective, emissions: body.emissions });
+
+/**
+ * The API's routes by path. POST routes name the schema their body must match; their handlers
+ * run in the worker threads.
+ */
+export const API_ROUTES = {
+    '/boxes': {
+        method: 'GET',
+        handle: (body, context) => JSON.parse(exportCatalogJSON(context.boxCatalog)),
+    },
+    '/pack': {
+        method: 'POST',
+        schema: 'PackRequest',
+        handle: (body, context) => {
+            const { items, boxTypes } = resolveOrder(body, context);
+            return { packedBoxes: packOptimal(items, boxTypes, packingOptions(body)) };
+        },
+    },
+    '/metrics': {
+        method: 'POST',
+        schema: 'MetricsRequest',
+        handle: (body, context) => {
+            const { items, boxTypes } = resolveOrder(body, context);
+            const packedBoxes = packOptimal(items, boxTypes, packingOptions(body));
+            return calculateMetrics(packedBoxes, items, boxTypes, { emissions: body.emissions, packingOptions: packingOptions(body) });
+        },
+    },
+    '/suggestions': {
+        method: 'POST',
+        schema: 'SuggestionsRequest',
+        handle: (body, context) => {
+            const { items, savedForLater, boxTypes } = resolveOrder(body, context);
+            return { suggestions: getBulkOrderSuggestions(items, savedForLater, boxTypes, packingOptions(body)) };
+        },
+    },
+    '/openapi.json': {
+        method: 'GET',
+        handle: () => OPENAPI_DOCUMENT,
+    },
+};
+
+// Reads the whole body, refusing to keep more than MAX_BODY_BYTES of it
+const readBody = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    request.on('end', () => {
+        if (size > MAX_BODY_BYTES) reject(new ApiError(413, `The request body is larger than ${MAX_BODY_BYTES} bytes.`));
+        else resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    request.on('error', reject);
+});
+
+// Runs a POST route's handler in the pool, raising what it raised there
+const runInWorker = async (pool, path, body) => {
+    let answer;
+    try {
+        answer = await pool.run({ path, body });
+    } catch (error) {
+        if (error instanceof WorkerTimeoutError) {
+            throw new ApiError(503, `The request took longer than ${error.timeoutMs / 1000} s to pack; send a smaller order or use the greedy strategy.`);
+        }
+        throw error;
+    }
+    if (answer.error) {
+        throw answer.error.status ? new ApiError(answer.error.status, answer.error.message, answer.error.errors) : new Error(answer.error.message);
+    }
+    return answer.result;
+};
+
+// Answers one request with {status, body, headers}
+const respond = async (request, context, pool) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const route = API_ROUTES[pathname];
+    if (!route) {
+        throw new ApiError(404, `There is no ${pathname} endpoint.`);
+    }
+    if (request.method !== route.method) {
+        return { status: 405, body: { error: `${pathname} only accepts ${route.method} requests.` }, headers: { Allow: route.method } };
+    }
+    if (!route.schema) {
+        return { status: 200, body: route.handle(null, context) };
+    }
+
+    if (!/^application\/json\b/i.test(request.headers['content-type'] ?? '')) {
+        throw new ApiError(415, 'Send the request body as application/json.');
+    }
+    const text = await readBody(request);
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new ApiError(400, 'The request body is not valid JSON.', [error.message]);
+    }
+    const errors = validateAgainstSchema({ $ref: `#/components/schemas/${route.schema}` }, body);
+    if (errors.length) {
+        throw new ApiError(400, `The request body does not match the ${route.schema} schema.`, errors);
+    }
+    return { status: 200, body: await runInWorker(pool, pathname, body) };
+};
+
+/**
+ * Creates the API server; call listen() on it to start serving. Closing the server terminates
+ * its workers.
+ * @param {Object} [options]
+ * @param {Array<Item>} [options.products=PREDEFINED_ITEMS] - Products requests may refer to by id.
+ * @param {Array<BoxType>} [options.boxCatalog=AMAZON_BOX_SIZES] - Catalog for requests that bring none of their own.
+ * @param {number} [options.workers=DEFAULT_API_WORKERS] - Most requests packed at once; others wait their turn.
+ * @param {number} [options.timeoutMs=DEFAULT_REQUEST_TIMEOUT_MS] - How long one request may take to pack.
+ * @returns {import('node:http').Server}
+ */
+export const createApiServer = (options = {}) => {
+    const context = {
+        products: options.products ?? PREDEFINED_ITEMS,
+        boxCatalog: options.boxCatalog ?? AMAZON_BOX_SIZES,
+    };
+    const pool = createWorkerPool(new URL('./apiWorker.js', import.meta.url), {
+        size: options.workers ?? DEFAULT_API_WORKERS,
+        timeoutMs: options.timeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS,
+        workerData: context,
+    });
+    const server = createServer((request, response) => {
+        respond(request, context, pool)
+            .catch((error) => {
+                if (error instanceof ApiError) {
+                    return {
+                        status: error.status,
+                        body: { error: error.message, ...(error.errors.length ? { errors: error.errors } : {}) },
+                    };
+                }
+                console.error(error);
+                return { status: 500, body: { error: 'The request could not be handled.' } };
+            })
+            .then(({ status, body, headers = {} }) => {
+                response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+                response.end(JSON.stringify(body));
+            });
+    });
+    server.on('close', () => pool.close());
+    return server;
+};
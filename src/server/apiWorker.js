@@ -0,0 +1,17 @@
+// Runs the API's engine work off the server's event loop. Started by the pool in workerPool.js
+// with the server's {products, boxCatalog} as its workerData; receives {path, body} and answers
+// {result} or {error}, where an ApiError keeps its status and list of problems.
+import { parentPort, workerData } from 'node:worker_threads';
+import { API_ROUTES, ApiError } from './api.js';
+
+parentPort.on('message', ({ path, body }) => {
+    try {
+        parentPort.postMessage({ result: API_ROUTES[path].handle(body, workerData) });
+    } catch (error) {
+        parentPort.postMessage({
+            error: error instanceof ApiError
+                ? { status: error.status, message: error.message, errors: error.errors }
+                : { message: error.stack ?? String(error) },
+        });
+    }
+});
@@ -0,0 +1,246 @@
+// OpenAPI description of the HTTP API. The request schemas in it are also what the server
+// validates request bodies against, so the two cannot drift apart.
+
+import {
+    EMISSIONS_MODELS,
+    FULFILMENT_CENTRES,
+    LOAD_SHARES,
+    OPTIMIZER_OBJECTIVES,
+    PACKING_STRATEGIES,
+    SOURCING_OBJECTIVES,
+    TRANSPORT_MODES,
+} from '../engine/index.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonBody = (schema, description) => ({
+    description,
+    content: { 'application/json': { schema } },
+});
+
+const ERROR_RESPONSES = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    413: { $ref: '#/components/responses/TooLarge' },
+    415: { $ref: '#/components/responses/UnsupportedMediaType' },
+    503: { $ref: '#/components/responses/Timeout' },
+};
+
+// Fields every order request shares
+const ORDER_PROPERTIES = {
+    items: { type: 'array', items: ref('OrderLine'), minItems: 1, description: 'The order, one line per product.' },
+    products: { type: 'array', items: ref('Product'), description: 'Custom products the lines may refer to, besides the ones the server knows.' },
+    boxCatalog: { type: 'array', items: ref('BoxType'), description: 'Box types to pack into instead of the server\'s catalog.' },
+};
+
+const PACKING_PROPERTIES = {
+    strategy: { type: 'string', enum: Object.keys(PACKING_STRATEGIES), default: 'greedy' },
+    objective: { type: 'string', enum: Object.keys(OPTIMIZER_OBJECTIVES), default: 'co2', description: 'What the exact strategy minimizes.' },
+    sourcingObjective: { type: 'string', enum: Object.keys(SOURCING_OBJECTIVES), default: 'co2', description: 'What the choice of fulfilment centres minimizes.' },
+    emissions: ref('Emissions'),
+};
+
+export const OPENAPI_DOCUMENT = {
+    openapi: '3.0.3',
+    info: {
+        title: 'EcoPack API',
+        version: '1.0.0',
+        description: 'Packing plans, their metrics and Saved for Later suggestions from the EcoPack engine.',
+    },
+    paths: {
+        '/boxes': {
+            get: {
+                summary: 'The box catalog the server packs into',
+                responses: {
+                    200: jsonBody({
+                        type: 'object',
+                        properties: { version: { type: 'integer' }, boxTypes: { type: 'array', items: ref('BoxType') } },
+                    }, 'The catalog in the box catalog export format.'),
+                },
+            },
+        },
+        '/pack': {
+            post: {
+                summary: 'Packs an order into boxes (packOptimal)',
+                requestBody: { required: true, ...jsonBody(ref('PackRequest'), 'The order and how to pack it.') },
+                responses: {
+                    200: jsonBody({
+                        type: 'object',
+                        properties: { packedBoxes: { type: 'array', items: ref('PackedBox') } },
+                    }, 'The packed boxes.'),
+                    ...ERROR_RESPONSES,
+                },
+            },
+        },
+        '/metrics': {
+            post: {
+                summary: 'Packs an order and measures the plan (calculateMetrics)',
+                requestBody: { required: true, ...jsonBody(ref('MetricsRequest'), 'The order and how to pack it.') },
+                responses: {
+                    200: jsonBody(ref('Metrics'), 'The plan and its metrics.'),
+                    ...ERROR_RESPONSES,
+                },
+            },
+        },
+        '/suggestions': {
+            post: {
+                summary: 'Suggests Saved for Later items worth adding to an order (getBulkOrderSuggestions)',
+                requestBody: { required: true, ...jsonBody(ref('SuggestionsRequest'), 'The order, the saved items and how the order is packed.') },
+                responses: {
+                    200: jsonBody({
+                        type: 'object',
+                        properties: { suggestions: { type: 'array', items: ref('Suggestion') } },
+                    }, 'The suggestions, best first.'),
+                    ...ERROR_RESPONSES,
+                },
+            },
+        },
+        '/openapi.json': {
+            get: {
+                summary: 'This description',
+                responses: { 200: jsonBody({ type: 'object' }, 'The OpenAPI document.') },
+            },
+        },
+    },
+    components: {
+        schemas: {
+            OrderLine: {
+                type: 'object',
+                required: ['productId', 'quantity'],
+                additionalProperties: false,
+                properties: {
+                    productId: { type: 'string', description: 'A predefined product, one the server was started with, or one in `products`.' },
+                    quantity: { type: 'integer', minimum: 1 },
+                },
+            },
+            Product: {
+                type: 'object',
+                required: ['id', 'name', 'length', 'width', 'height', 'weight'],
+                description: 'Dimensions in cm, weight in kg. Omitted fields take the product editor\'s defaults.',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    category: { type: 'string' },
+                    length: { type: 'number' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                    weight: { type: 'number' },
+                    orientationRule: { type: 'string', enum: ['any', 'thisSideUp', 'flat'] },
+                    fragile: { type: 'boolean' },
+                    stackable: { type: 'boolean' },
+                    maxLoadOnTop: { type: 'number', nullable: true },
+                    incompatibleCategories: { type: 'array', items: { type: 'string' } },
+                    shipAlone: { type: 'boolean' },
+                    stockLocations: { type: 'array', items: { type: 'string', enum: Object.keys(FULFILMENT_CENTRES) } },
+                    imageUrl: { type: 'string' },
+                },
+            },
+            BoxType: {
+                type: 'object',
+                required: ['id', 'name', 'length', 'width', 'height', 'maxWeight', 'baseCO2', 'perKgCO2'],
+                description: 'Dimensions in cm, weights in kg, CO₂ in kg. Omitted fields take the box editor\'s defaults.',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    length: { type: 'number' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                    maxWeight: { type: 'number' },
+                    baseCO2: { type: 'number' },
+                    perKgCO2: { type: 'number' },
+                    tareWeight: { type: 'number' },
+                    cost: { type: 'number' },
+                    voidFill: { type: 'string' },
+                    enabled: { type: 'boolean' },
+                },
+            },
+            Emissions: {
+                type: 'object',
+                required: ['model'],
+                additionalProperties: false,
+                description: 'An emissions model and its settings, as in the app\'s emissions panel. The distance model\'s settings default to its usual ones.',
+                properties: {
+                    model: { type: 'string', enum: Object.keys(EMISSIONS_MODELS) },
+                    distanceKm: { type: 'number', minimum: 0, description: 'Origin to destination.' },
+                    mode: { type: 'string', enum: Object.keys(TRANSPORT_MODES) },
+                    recycledShare: { type: 'number', minimum: 0, maximum: 1, description: 'Share of recycled cardboard in the boxes.' },
+                    loadShare: { type: 'string', enum: Object.keys(LOAD_SHARES), description: 'What share of the vehicle a parcel is charged for.' },
+                },
+            },
+            PackRequest: {
+                type: 'object',
+                required: ['items'],
+                additionalProperties: false,
+                properties: { ...ORDER_PROPERTIES, ...PACKING_PROPERTIES },
+            },
+            MetricsRequest: {
+                type: 'object',
+                required: ['items'],
+                additionalProperties: false,
+                properties: { ...ORDER_PROPERTIES, ...PACKING_PROPERTIES },
+            },
+            SuggestionsRequest: {
+                type: 'object',
+                required: ['items', 'saved'],
+                additionalProperties: false,
+                properties: {
+                    ...ORDER_PROPERTIES,
+                    ...PACKING_PROPERTIES,
+                    saved: { type: 'array', items: ref('OrderLine'), description: 'The Saved for Later list.' },
+                },
+            },
+            PackedBox: {
+                type: 'object',
+                description: 'A box type with the items in it, each with its position and orientation.',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    origin: { type: 'string', nullable: true, description: 'The fulfilment centre the box ships from.' },
+                    totalWeight: { type: 'number' },
+                    filledVolume: { type: 'number' },
+                    items: { type: 'array', items: { type: 'object' } },
+                },
+            },
+            Metrics: {
+                type: 'object',
+                properties: {
+                    packedBoxes: { type: 'array', items: ref('PackedBox') },
+                    totalBoxes: { type: 'integer' },
+                    boxBreakdown: { type: 'object', additionalProperties: { type: 'integer' } },
+                    packagingEfficiencyScore: { type: 'number' },
+                    optimalCO2Impact: { type: 'number' },
+                    co2SavedByConsolidation: { type: 'number' },
+                    shippingCost: { type: 'number' },
+                    complete: { type: 'boolean' },
+                    unpackedItems: { type: 'array', items: { type: 'object' } },
+                },
+            },
+            Suggestion: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['suggestion', 'tooBig'] },
+                    tier: { type: 'string', enum: ['fit', 'upgrade'] },
+                    item: { type: 'object' },
+                    quantityToSuggest: { type: 'integer' },
+                    co2SavedByCombining: { type: 'number' },
+                    oldTotalBoxes: { type: 'integer' },
+                    newTotalBoxes: { type: 'integer' },
+                    message: { type: 'string' },
+                },
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: { type: 'string' },
+                    errors: { type: 'array', items: { type: 'string' }, description: 'Every problem found, when there are several.' },
+                },
+            },
+        },
+        responses: {
+            BadRequest: jsonBody(ref('Error'), 'The body is not JSON or does not match the request schema.'),
+            TooLarge: jsonBody(ref('Error'), 'The body or the order is larger than the server accepts.'),
+            UnsupportedMediaType: jsonBody(ref('Error'), 'The body is not sent as application/json.'),
+            Timeout: jsonBody(ref('Error'), 'The order took longer to pack than the server allows.'),
+        },
+    },
+};
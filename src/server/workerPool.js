@@ -0,0 +1,98 @@
+// A small pool of worker threads for work too slow to run on the server's event loop. Each
+// worker runs one task at a time; tasks wait in order for a free worker. A task that runs past
+// the time limit has its worker terminated, and a new one is started for the next task.
+
+import { Worker } from 'node:worker_threads';
+
+/**
+ * Raised when a task runs past the pool's time limit.
+ */
+export class WorkerTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`The task took longer than ${timeoutMs} ms.`);
+        this.name = 'WorkerTimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Creates a pool of workers running one script. Workers start when the first tasks need them
+ * and do not keep the process alive while idle.
+ * @param {URL|string} script - The worker's module; it answers each message with one message.
+ * @param {Object} options
+ * @param {number} options.size - Most workers running at once.
+ * @param {number} options.timeoutMs - How long one task may run before its worker is terminated.
+ * @param {*} [options.workerData] - Handed to every worker as its workerData.
+ * @returns {{run: function(*): Promise<*>, close: function(): Promise<void>}} run() posts a
+ *   message to a free worker and resolves with its answer; close() terminates every worker and
+ *   rejects the tasks still waiting.
+ */
+export const createWorkerPool = (script, { size, timeoutMs, workerData }) => {
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+    let closed = false;
+
+    const start = () => {
+        const worker = new Worker(script, { workerData });
+        worker.unref();
+        workers.add(worker);
+        return worker;
+    };
+
+    const stop = (worker) => {
+        workers.delete(worker);
+        return worker.terminate();
+    };
+
+    // Gives the next waiting task to a free worker, starting one if there is room
+    const dispatch = () => {
+        if (closed || !queue.length) return;
+        const worker = idle.pop() ?? (workers.size < size ? start() : null);
+        if (worker) runOn(worker, queue.shift());
+    };
+
+    const runOn = (worker, { message, resolve, reject }) => {
+        const finish = (keep) => {
+            clearTimeout(timer);
+            worker.removeAllListeners('message').removeAllListeners('error').removeAllListeners('exit');
+            if (keep) idle.push(worker);
+            else stop(worker);
+            dispatch();
+        };
+        const timer = setTimeout(() => {
+            finish(false);
+            reject(new WorkerTimeoutError(timeoutMs));
+        }, timeoutMs);
+        worker.once('message', (answer) => {
+            finish(true);
+            resolve(answer);
+        });
+        worker.once('error', (error) => {
+            finish(false);
+            reject(error);
+        });
+        worker.once('exit', (code) => {
+            finish(false);
+            reject(new Error(`The worker stopped with exit code ${code}.`));
+        });
+        worker.postMessage(message);
+    };
+
+    return {
+        run: (message) => new Promise((resolve, reject) => {
+            if (closed) {
+                reject(new Error('The worker pool is closed.'));
+                return;
+            }
+            queue.push({ message, resolve, reject });
+            dispatch();
+        }),
+        close: async () => {
+            closed = true;
+            for (const task of queue.splice(0)) task.reject(new Error('The worker pool is closed.'));
+            idle.length = 0;
+            await Promise.all([...workers].map(stop));
+        },
+    };
+};
@@ -0,0 +1,9 @@
+// Offers text content to the user as a file download
+export const downloadFile = (filename, content, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,45 @@
+// Undo/redo history of snapshots: `past` ends with the most recent state before the current
+// one, `future` starts with the state an undo left.
+
+export const MAX_HISTORY = 50;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+/**
+ * Records the state before a change. Redo is no longer possible once something new is done.
+ * @param {{past: Array, future: Array}} history
+ * @param {*} snapshot - The state before the change.
+ * @returns {{past: Array, future: Array}}
+ */
+export const recordChange = (history, snapshot) => ({
+    past: [...history.past, snapshot].slice(-MAX_HISTORY),
+    future: [],
+});
+
+/**
+ * Steps back one change.
+ * @param {{past: Array, future: Array}} history
+ * @param {*} current - The state now, which redo brings back.
+ * @returns {{history: {past: Array, future: Array}, snapshot: *}|null} The state to restore, or null if there is nothing to undo.
+ */
+export const undo = (history, current) => {
+    if (history.past.length === 0) return null;
+    return {
+        history: { past: history.past.slice(0, -1), future: [current, ...history.future] },
+        snapshot: history.past[history.past.length - 1],
+    };
+};
+
+/**
+ * Steps forward again after an undo.
+ * @param {{past: Array, future: Array}} history
+ * @param {*} current - The state now, which undo brings back.
+ * @returns {{history: {past: Array, future: Array}, snapshot: *}|null} The state to restore, or null if there is nothing to redo.
+ */
+export const redo = (history, current) => {
+    if (history.future.length === 0) return null;
+    return {
+        history: { past: [...history.past, current], future: history.future.slice(1) },
+        snapshot: history.future[0],
+    };
+};
@@ -0,0 +1,185 @@
+// Persisted app state: one localStorage key per slice under the 'ecoPack:' namespace, a schema
+// version with migrations from older layouts, and recovery from values that no longer parse.
+
+import {
+    AMAZON_BOX_SIZES,
+    DEFAULT_DISPLAY_SETTINGS,
+    DEFAULT_EMISSIONS,
+    PREDEFINED_ITEMS,
+    exportCatalogJSON,
+    exportOrderHistoryJSON,
+    exportProductsJSON,
+    importCatalogJSON,
+    importOrderHistoryJSON,
+    importProductsJSON,
+    validateDisplaySettings,
+    validateEmissionsSettings,
+} from '../engine/index.js';
+
+export const SCHEMA_VERSION = 2;
+
+const VERSION_KEY = 'ecoPack:schemaVersion';
+
+const PREDEFINED_IDS = PREDEFINED_ITEMS.map(item => item.id);
+
+// Checks a stored id -> line map of the cart or Saved for Later and returns it
+const parseLineMap = (text) => {
+    const lines = JSON.parse(text);
+    if (!lines || typeof lines !== 'object' || Array.isArray(lines)) throw new Error('not a map of lines');
+    for (const [id, line] of Object.entries(lines)) {
+        if (!line || line.id !== id || typeof line.name !== 'string') throw new Error(`line '${id}' is not a product`);
+        if (!Number.isInteger(line.quantity) || line.quantity < 1) throw new Error(`line '${id}' has no valid quantity`);
+        if (['length', 'width', 'height', 'weight'].some(field => !(line[field] > 0))) throw new Error(`line '${id}' has no valid size or weight`);
+    }
+    return lines;
+};
+
+/**
+ * What is persisted. Each slice has its key, the value to start from when nothing (or nothing
+ * readable) is stored, and how it is written and read; parse throws on a value it cannot use.
+ */
+export const PERSISTED_SLICES = {
+    cart: { key: 'ecoPack:cart', defaultValue: {}, serialize: JSON.stringify, parse: parseLineMap },
+    saved: { key: 'ecoPack:saved', defaultValue: {}, serialize: JSON.stringify, parse: parseLineMap },
+    boxCatalog: { key: 'ecoPack:boxCatalog', defaultValue: AMAZON_BOX_SIZES, serialize: exportCatalogJSON, parse: importCatalogJSON },
+    customProducts: {
+        key: 'ecoPack:customProducts',
+        defaultValue: [],
+        serialize: exportProductsJSON,
+        parse: (text) => importProductsJSON(text, PREDEFINED_IDS),
+    },
+    emissions: {
+        key: 'ecoPack:emissions',
+        defaultValue: DEFAULT_EMISSIONS,
+        serialize: JSON.stringify,
+        parse: (text) => {
+            const emissions = JSON.parse(text);
+            const [problem] = validateEmissionsSettings(emissions);
+            if (problem) throw new Error(problem);
+            return emissions;
+        },
+    },
+    orderHistory: { key: 'ecoPack:orderHistory', defaultValue: [], serialize: exportOrderHistoryJSON, parse: importOrderHistoryJSON },
+    // Saved for Later suggestions taken up since the last order was placed
+    acceptedSuggestions: {
+        key: 'ecoPack:acceptedSuggestions',
+        defaultValue: 0,
+        serialize: String,
+        parse: (text) => {
+            const count = Number(text);
+            if (!Number.isInteger(count) || count < 0) throw new Error('not a count');
+            return count;
+        },
+    },
+    displaySettings: {
+        key: 'ecoPack:displaySettings',
+        defaultValue: DEFAULT_DISPLAY_SETTINGS,
+        serialize: JSON.stringify,
+        parse: (text) => {
+            const settings = JSON.parse(text);
+            const [problem] = validateDisplaySettings(settings);
+            if (problem) throw new Error(problem);
+            return settings;
+        },
+    },
+};
+
+// Keys from before the schema was versioned, by slice
+const LEGACY_KEYS = {
+    cart: 'smartCartItemsV2',
+    saved: 'smartCartSavedForLater',
+    boxCatalog: 'ecoPackBoxCatalog',
+    customProducts: 'ecoPackCustomProducts',
+    emissions: 'ecoPackEmissionsSettings',
+};
+
+/**
+ * Migrations by the version they produce. Each takes the storage at the version before it.
+ */
+export const MIGRATIONS = {
+    // The unversioned keys move under the ecoPack: namespace
+    1: (storage) => {
+        for (const [slice, legacyKey] of Object.entries(LEGACY_KEYS)) {
+            const value = storage.getItem(legacyKey);
+            if (value !== null && storage.getItem(PERSISTED_SLICES[slice].key) === null) {
+                storage.setItem(PERSISTED_SLICES[slice].key, value);
+            }
+            storage.removeItem(legacyKey);
+        }
+    },
+    // Lines stored before products had categories and constraints pick up the current predefined definitions
+    2: (storage) => {
+        for (const slice of ['cart', 'saved']) {
+            const text = storage.getItem(PERSISTED_SLICES[slice].key);
+            if (text === null) continue;
+            let lines;
+            try {
+                lines = JSON.parse(text);
+            } catch {
+                continue; // Left for loadSlice to recover from
+            }
+            if (!lines || typeof lines !== 'object') continue;
+            for (const [id, line] of Object.entries(lines)) {
+                const predefined = PREDEFINED_ITEMS.find(item => item.id === id);
+                if (predefined && line && typeof line === 'object') lines[id] = { ...line, ...predefined, quantity: line.quantity };
+            }
+            storage.setItem(PERSISTED_SLICES[slice].key, JSON.stringify(lines));
+        }
+    },
+};
+
+/**
+ * Brings the stored state up to SCHEMA_VERSION, running each migration in turn. A stored
+ * version newer than this app is left alone; the slices then load what they can.
+ * @param {Storage} storage
+ * @returns {number} The version the storage was at.
+ */
+export const migrateStorage = (storage) => {
+    const storedVersion = Number(storage.getItem(VERSION_KEY)) || 0;
+    if (storedVersion >= SCHEMA_VERSION) return storedVersion;
+    for (let version = storedVersion + 1; version <= SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](storage);
+    }
+    storage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+    return storedVersion;
+};
+
+/**
+ * Reads a slice. A value that does not parse is moved aside to '<key>:corrupt', so it can be
+ * inspected, and the slice starts over from its default.
+ * @param {Storage} storage
+ * @param {string} slice - Key into PERSISTED_SLICES.
+ * @returns {*}
+ */
+export const loadSlice = (storage, slice) => {
+    const { key, defaultValue, parse } = PERSISTED_SLICES[slice];
+    const text = storage.getItem(key);
+    if (text === null) return defaultValue;
+    try {
+        return parse(text);
+    } catch (error) {
+        console.warn(`Stored ${slice} could not be read and was reset; the old value is kept under '${key}:corrupt'.`, error.errors || error);
+        storage.setItem(`${key}:corrupt`, text);
+        storage.removeItem(key);
+        return defaultValue;
+    }
+};
+
+/**
+ * Writes a slice. A full storage is reported rather than thrown, so the app keeps working
+ * with the state it has in memory.
+ * @param {Storage} storage
+ * @param {string} slice - Key into PERSISTED_SLICES.
+ * @param {*} value
+ * @returns {boolean} True if the value was stored.
+ */
+export const saveSlice = (storage, slice, value) => {
+    const { key, serialize } = PERSISTED_SLICES[slice];
+    try {
+        storage.setItem(key, serialize(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not store ${slice}.`, error);
+        return false;
+    }
+};
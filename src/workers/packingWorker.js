@@ -0,0 +1,11 @@
+// Runs packing jobs off the main thread. Receives {key, job, payload} and answers
+// {key, result} or {key, error}; a superseded job is cancelled by terminating the worker.
+import { runPackingJob } from '../engine/jobs.js';
+
+self.onmessage = ({ data: { key, job, payload } }) => {
+    try {
+        self.postMessage({ key, result: runPackingJob(job, payload) });
+    } catch (error) {
+        self.postMessage({ key, error: error.message });
+    }
+};
@@ -0,0 +1,224 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    calculateMetrics,
+    getBulkOrderSuggestions,
+    packOptimal,
+} from '../src/engine/index.js';
+import { MAX_REQUEST_UNITS, createApiServer, validateAgainstSchema } from '../src/server/api.js';
+import { OPENAPI_DOCUMENT } from '../src/server/openapi.js';
+import { product, flatten, bigBox } from './helpers.js';
+
+const lamp = { id: 'desk_lamp', name: 'Desk Lamp', length: 30, width: 15, height: 12, weight: 0.9 };
+
+// The largest order the API takes, which takes seconds to pack
+const LARGE_ORDER = [{ productId: 'book', quantity: 500 }, { productId: 'mug', quantity: 250 }, { productId: 'tshirt', quantity: 250 }];
+
+const post = async (baseUrl, path, body, headers = { 'Content-Type': 'application/json' }) => {
+    const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+// Starts a server on a free port; stop() closes it
+const startServer = async (options) => {
+    const server = createApiServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        stop: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        },
+    };
+};
+
+describe('validateAgainstSchema', () => {
+    test('accepts a request that matches its schema', () => {
+        const body = { items: [{ productId: 'book', quantity: 2 }], strategy: 'exact', boxCatalog: [bigBox] };
+        assert.deepEqual(validateAgainstSchema({ $ref: '#/components/schemas/PackRequest' }, body), []);
+    });
+
+    test('lists every way a request misses its schema', () => {
+        const body = { items: [{ productId: 'book', quantity: 0 }, { quantity: 1.5 }], strategy: 'fastest', colour: 'green' };
+        assert.deepEqual(validateAgainstSchema({ $ref: '#/components/schemas/PackRequest' }, body), [
+            'body.items[0].quantity must be at least 1',
+            'body.items[1].productId is required',
+            'body.items[1].quantity must be a whole number',
+            'body.strategy must be one of greedy, exact',
+            'body.colour is not a known field',
+        ]);
+        assert.deepEqual(validateAgainstSchema({ $ref: '#/components/schemas/SuggestionsRequest' }, { items: [] }), [
+            'body.saved is required',
+            'body.items must have at least 1 entry',
+        ]);
+    });
+});
+
+describe('OpenAPI document', () => {
+    test('resolves every reference', () => {
+        const refs = JSON.stringify(OPENAPI_DOCUMENT).match(/"\$ref":"[^"]+"/g).map(match => match.slice(8, -1));
+        for (const ref of refs) {
+            const [, section, name] = ref.match(/^#\/components\/(schemas|responses)\/(.+)$/);
+            assert.ok(OPENAPI_DOCUMENT.components[section][name], `${ref} is not defined`);
+        }
+    });
+});
+
+describe('HTTP API', () => {
+    let api;
+    let baseUrl;
+
+    before(async () => {
+        api = await startServer();
+        baseUrl = api.baseUrl;
+    });
+
+    after(() => api.stop());
+
+    const postTo = (path, body, headers) => post(baseUrl, path, body, headers);
+
+    test('GET /boxes serves the catalog in its export format', async () => {
+        const response = await fetch(`${baseUrl}/boxes`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /application\/json/);
+        const { version, boxTypes } = await response.json();
+        assert.equal(version, 1);
+        assert.deepEqual(boxTypes.map(boxType => boxType.id), AMAZON_BOX_SIZES.map(boxType => boxType.id));
+    });
+
+    test('GET /openapi.json serves the description', async () => {
+        const body = await (await fetch(`${baseUrl}/openapi.json`)).json();
+        assert.equal(body.openapi, OPENAPI_DOCUMENT.openapi);
+        assert.deepEqual(Object.keys(body.paths).sort(), ['/boxes', '/metrics', '/openapi.json', '/pack', '/suggestions']);
+    });
+
+    test('POST /pack packs like packOptimal', async () => {
+        const { status, body } = await postTo('/pack', { items: [{ productId: 'book', quantity: 2 }, { productId: 'mug', quantity: 1 }] });
+        assert.equal(status, 200);
+        const expected = packOptimal(flatten({ book: 2, mug: 1 }), AMAZON_BOX_SIZES);
+        assert.deepEqual(body.packedBoxes.map(box => [box.id, box.origin, box.items.length]), expected.map(box => [box.id, box.origin, box.items.length]));
+    });
+
+    test('POST /pack takes custom products and a box catalog', async () => {
+        const { status, body } = await postTo('/pack', {
+            items: [{ productId: 'desk_lamp', quantity: 1 }],
+            products: [lamp],
+            boxCatalog: [bigBox],
+            strategy: 'exact',
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.packedBoxes.map(box => box.id), ['BIG']);
+        assert.equal(body.packedBoxes[0].items[0].id, 'desk_lamp');
+    });
+
+    test('POST /metrics measures the plan like calculateMetrics', async () => {
+        const { status, body } = await postTo('/metrics', { items: [{ productId: 'laptop', quantity: 1 }, { productId: 'book', quantity: 3 }] });
+        assert.equal(status, 200);
+        const items = flatten({ laptop: 1, book: 3 });
+        const expected = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+        assert.equal(body.totalBoxes, expected.totalBoxes);
+        assert.equal(body.optimalCO2Impact, expected.optimalCO2Impact);
+        assert.equal(body.shippingCost, expected.shippingCost);
+        assert.equal(body.complete, true);
+    });
+
+    test('POST /suggestions suggests saved items like getBulkOrderSuggestions', async () => {
+        const { status, body } = await postTo('/suggestions', { items: [{ productId: 'book', quantity: 1 }], saved: [{ productId: 'tshirt', quantity: 2 }] });
+        assert.equal(status, 200);
+        const expected = getBulkOrderSuggestions(flatten({ book: 1 }), { tshirt: { ...product('tshirt'), quantity: 2 } }, AMAZON_BOX_SIZES);
+        assert.deepEqual(body.suggestions.map(suggestion => [suggestion.item.id, suggestion.quantityToSuggest]), expected.map(suggestion => [suggestion.item.id, suggestion.quantityToSuggest]));
+        assert.equal(body.suggestions[0].quantityToSuggest, 2);
+    });
+
+    test('answers bodies that miss the schema with 400 and every problem', async () => {
+        const { status, body } = await postTo('/pack', { items: [{ productId: 'book', quantity: 'two' }] });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'The request body does not match the PackRequest schema.');
+        assert.deepEqual(body.errors, ['body.items[0].quantity must be a whole number']);
+    });
+
+    test('answers emissions settings the models cannot work with with 400', async () => {
+        const emissions = { model: 'distance', mode: 'boat', distanceKm: -5, recycledShare: 1.5, loadShare: 'volume' };
+        const { status, body } = await postTo('/metrics', { items: [{ productId: 'book', quantity: 1 }], emissions });
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, [
+            'body.emissions.mode must be one of van, truck, rail, air',
+            'body.emissions.distanceKm must be at least 0',
+            'body.emissions.recycledShare must be at most 1',
+            'body.emissions.loadShare must be one of dimensional, actual',
+        ]);
+        const packed = await postTo('/pack', { items: [{ productId: 'book', quantity: 1 }], strategy: 'exact', emissions: { model: 'distance', mode: 'rail' } });
+        assert.equal(packed.status, 200);
+    });
+
+    test('answers unknown products and invalid box types with 400', async () => {
+        const { status, body } = await postTo('/metrics', {
+            items: [{ productId: 'gizmo', quantity: 1 }],
+            boxCatalog: [{ ...bigBox, maxWeight: 0 }],
+        });
+        assert.equal(status, 400);
+        assert.ok(body.errors.includes("body.items[0].productId: unknown product 'gizmo'"));
+        assert.ok(body.errors.some(error => /maxWeight/.test(error)));
+    });
+
+    test('answers malformed JSON and other content types', async () => {
+        const malformed = await postTo('/pack', '{"items": [');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.error, 'The request body is not valid JSON.');
+        const text = await postTo('/pack', 'items', { 'Content-Type': 'text/plain' });
+        assert.equal(text.status, 415);
+    });
+
+    test('refuses orders larger than it packs at once', async () => {
+        const { status, body } = await postTo('/pack', { items: [{ productId: 'book', quantity: MAX_REQUEST_UNITS + 1 }] });
+        assert.equal(status, 413);
+        assert.match(body.error, /at most 1000/);
+    });
+
+    test('answers other requests while a large order is packed', async () => {
+        // Answered once the response starts, not once its large body is read
+        let largeAnswered = false;
+        const large = fetch(`${baseUrl}/pack`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ items: LARGE_ORDER }) })
+            .then((response) => {
+                largeAnswered = true;
+                return response;
+            });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const small = await postTo('/pack', { items: [{ productId: 'book', quantity: 1 }] });
+        assert.equal(small.status, 200);
+        assert.equal(largeAnswered, false);
+        const response = await large;
+        assert.equal(response.status, 200);
+        assert.ok((await response.json()).packedBoxes.length > 0);
+    });
+
+    test('answers unknown paths with 404 and wrong methods with 405', async () => {
+        const missing = await fetch(`${baseUrl}/teleport`);
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error, 'There is no /teleport endpoint.');
+        const wrongMethod = await fetch(`${baseUrl}/pack`);
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'POST');
+        await wrongMethod.json();
+    });
+});
+
+describe('HTTP API time limit', () => {
+    let api;
+
+    before(async () => {
+        api = await startServer({ workers: 1, timeoutMs: 100 });
+    });
+
+    after(() => api.stop());
+
+    test('gives up on an order that takes too long and keeps serving', async () => {
+        const slow = await post(api.baseUrl, '/pack', { items: LARGE_ORDER });
+        assert.equal(slow.status, 503);
+        assert.match(slow.body.error, /longer than 0.1 s/);
+        const quick = await post(api.baseUrl, '/pack', { items: [{ productId: 'book', quantity: 1 }] });
+        assert.equal(quick.status, 200);
+        assert.equal(quick.body.packedBoxes.length, 1);
+    });
+});
@@ -0,0 +1,161 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import {
+    AMAZON_BOX_SIZES,
+    CatalogError,
+    PREDEFINED_ITEMS,
+    createProduct,
+    packOrders,
+    parseOrdersCSV,
+    parseOrdersJSON,
+} from '../src/engine/index.js';
+import { bigBox } from './helpers.js';
+
+const anvil = createProduct({ id: 'anvil', name: 'Anvil', length: 30, width: 15, height: 20, weight: 40 });
+const products = [...PREDEFINED_ITEMS, anvil];
+
+describe('parseOrdersJSON', () => {
+    test('reads a versioned file and a bare list of orders', () => {
+        const orders = [{ orderId: 'A1', items: [{ productId: 'book', quantity: 2 }] }];
+        assert.deepEqual(parseOrdersJSON(JSON.stringify({ version: 1, orders }), products), orders);
+        assert.deepEqual(parseOrdersJSON(JSON.stringify(orders), products), orders);
+    });
+
+    test('fills in an order\'s own box catalog', () => {
+        const [order] = parseOrdersJSON(JSON.stringify([{ orderId: 'A1', items: [{ productId: 'book', quantity: 1 }], boxCatalog: [bigBox] }]), products);
+        assert.equal(order.boxCatalog[0].volume, 60 * 40 * 30);
+        assert.equal(order.boxCatalog[0].enabled, true);
+    });
+
+    test('lists every problem in the orders', () => {
+        const text = JSON.stringify([
+            { orderId: 'A1', items: [{ productId: 'gizmo', quantity: 1 }, { productId: 'book', quantity: 0 }] },
+            { orderId: 'A1', items: [] },
+            { items: [{ productId: 'book', quantity: 1 }] },
+        ]);
+        assert.throws(() => parseOrdersJSON(text, products), (error) => {
+            assert.ok(error instanceof CatalogError);
+            assert.deepEqual(error.errors, [
+                "Order 1 (A1), line 1: unknown product 'gizmo'",
+                'Order 1 (A1), line 2: quantity must be a whole number of at least 1',
+                'Order 2 (A1): items must be a non-empty list',
+                'Order 3: orderId is required',
+                "Order 'A1' appears more than once",
+            ]);
+            return true;
+        });
+    });
+
+    test('rejects text that is not JSON, has no orders, or is from a newer version', () => {
+        assert.throws(() => parseOrdersJSON('{', products), /not valid JSON/);
+        assert.throws(() => parseOrdersJSON('{"version":1}', products), /no list of orders/);
+        assert.throws(() => parseOrdersJSON('{"version":2,"orders":[]}', products), /newer/);
+    });
+});
+
+describe('parseOrdersCSV', () => {
+    test('groups rows into orders by orderId', () => {
+        const orders = parseOrdersCSV('orderId,productId,quantity\nC1,book,1\nC2,mug,2\nC1,keyboard,1\n', products);
+        assert.deepEqual(orders, [
+            { orderId: 'C1', items: [{ productId: 'book', quantity: 1 }, { productId: 'keyboard', quantity: 1 }] },
+            { orderId: 'C2', items: [{ productId: 'mug', quantity: 2 }] },
+        ]);
+    });
+
+    test('rejects missing or fractional quantities', () => {
+        assert.throws(() => parseOrdersCSV('orderId,productId,quantity\nC1,book,\nC1,mug,1.5\n', products), (error) => {
+            assert.equal(error.errors.length, 2);
+            return true;
+        });
+    });
+});
+
+describe('packOrders', () => {
+    test('packs each order and adds up the summary', () => {
+        const orders = [
+            { orderId: 'A1', items: [{ productId: 'book', quantity: 2 }, { productId: 'mug', quantity: 1 }] },
+            { orderId: 'A2', items: [{ productId: 'laptop', quantity: 1 }] },
+        ];
+        const progress = [];
+        const { orders: plans, summary } = packOrders(orders, {
+            products,
+            boxCatalog: AMAZON_BOX_SIZES,
+            onOrder: (plan, index) => progress.push(`${index}:${plan.orderId}`),
+        });
+        assert.deepEqual(progress, ['0:A1', '1:A2']);
+        assert.equal(plans.length, 2);
+        assert.ok(plans.every(plan => plan.complete && plan.unpackedItems.length === 0));
+        assert.equal(plans[0].boxes.reduce((sum, slip) => sum + slip.lines.reduce((lineSum, line) => lineSum + line.quantity, 0), 0), 3);
+        assert.equal(summary.orders, 2);
+        assert.equal(summary.strategy, 'greedy');
+        assert.equal(summary.totalBoxes, plans[0].totalBoxes + plans[1].totalBoxes);
+        assert.equal(summary.totalCO2, plans[0].optimalCO2Impact + plans[1].optimalCO2Impact);
+        assert.equal(summary.totalShippingCost, plans[0].shippingCost + plans[1].shippingCost);
+        assert.equal(summary.averageEfficiency, (plans[0].packagingEfficiencyScore + plans[1].packagingEfficiencyScore) / 2);
+        assert.deepEqual(summary.incompleteOrders, []);
+    });
+
+    test('uses an order\'s own catalog over the default one', () => {
+        const [order] = parseOrdersJSON(JSON.stringify([{ orderId: 'A1', items: [{ productId: 'book', quantity: 1 }], boxCatalog: [bigBox] }]), products);
+        const { orders: [plan] } = packOrders([order], { products, boxCatalog: AMAZON_BOX_SIZES, strategy: 'exact' });
+        assert.equal(plan.boxes[0].boxTypeId, 'BIG');
+    });
+
+    test('reports orders with items no box can take', () => {
+        const orders = [{ orderId: 'H1', items: [{ productId: 'anvil', quantity: 1 }, { productId: 'book', quantity: 1 }] }];
+        const { orders: [plan], summary } = packOrders(orders, { products, boxCatalog: AMAZON_BOX_SIZES });
+        assert.equal(plan.complete, false);
+        assert.deepEqual(plan.unpackedItems.map(entry => entry.productId), ['anvil']);
+        assert.equal(typeof plan.unpackedItems[0].reason, 'string');
+        assert.deepEqual(summary.incompleteOrders, ['H1']);
+    });
+});
+
+describe('pack-orders command', () => {
+    const run = async (args) => {
+        try {
+            const { stdout, stderr } = await promisify(execFile)(process.execPath, ['bin/pack-orders.js', ...args]);
+            return { code: 0, stdout, stderr };
+        } catch (error) {
+            return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+        }
+    };
+
+    test('writes the plans and exits with the state of the orders', async () => {
+        const dir = await mkdtemp(join(tmpdir(), 'pack-orders-'));
+        try {
+            const good = join(dir, 'good.csv');
+            const bad = join(dir, 'bad.csv');
+            await writeFile(good, 'orderId,productId,quantity\nC1,book,2\n');
+            await writeFile(bad, 'orderId,productId,quantity\nC1,gizmo,1\n');
+
+            const ok = await run([good]);
+            assert.equal(ok.code, 0);
+            assert.equal(JSON.parse(ok.stdout).summary.orders, 1);
+            assert.match(ok.stderr, /Boxes:\s+1/);
+
+            const invalid = await run([bad]);
+            assert.equal(invalid.code, 2);
+            assert.match(invalid.stderr, /unknown product 'gizmo'/);
+
+            assert.equal((await run([good, '--strategy', 'fastest'])).code, 2);
+
+            const heavy = join(dir, 'heavy.json');
+            const productFile = join(dir, 'products.json');
+            await writeFile(heavy, JSON.stringify([{ orderId: 'H1', items: [{ productId: 'anvil', quantity: 1 }] }]));
+            await writeFile(productFile, JSON.stringify([anvil]));
+            const output = join(dir, 'plans.json');
+            const incomplete = await run([heavy, '--products', productFile, '--output', output]);
+            assert.equal(incomplete.code, 1);
+            assert.equal(incomplete.stdout, '');
+            assert.match(incomplete.stderr, /no box can take: H1/);
+        } finally {
+            await rm(dir, { recursive: true });
+        }
+    });
+});
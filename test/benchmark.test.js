@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    PREDEFINED_ITEMS,
+    calculateMetrics,
+    compareBenchmarks,
+    createRandom,
+    generateCarts,
+    getItemVolume,
+    packOptimal,
+    percentile,
+    runBenchmark,
+} from '../src/engine/index.js';
+import { product, flatten } from './helpers.js';
+
+// A clock that advances by the given steps, one per reading
+const steppingClock = (...steps) => {
+    let time = 0;
+    let reading = 0;
+    return () => {
+        time += steps[reading++ % steps.length];
+        return time;
+    };
+};
+
+const report = (results, workload = { seed: 1, carts: 2 }) => ({ version: 1, workload, results });
+
+const result = (overrides = {}) => ({
+    totalBoxes: 10, averageFill: 50, totalCO2: 4, unpackedItems: 0, runtimeP50Ms: 1, runtimeP90Ms: 2, runtimeP99Ms: 3, ...overrides,
+});
+
+describe('createRandom', () => {
+    test('repeats its sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = Array.from({ length: 5 }, () => a());
+        assert.deepEqual(Array.from({ length: 5 }, () => b()), sequence);
+        assert.ok(sequence.every(value => value >= 0 && value < 1));
+        assert.notDeepEqual(Array.from({ length: 5 }, createRandom(43)), sequence);
+    });
+});
+
+describe('generateCarts', () => {
+    test('gives the same carts for the same seed and others for another', () => {
+        const carts = generateCarts(PREDEFINED_ITEMS, { seed: 7, carts: 20 });
+        assert.deepEqual(generateCarts(PREDEFINED_ITEMS, { seed: 7, carts: 20 }), carts);
+        assert.notDeepEqual(generateCarts(PREDEFINED_ITEMS, { seed: 8, carts: 20 }), carts);
+        assert.deepEqual(carts.slice(0, 2).map(cart => cart.orderId), ['cart-1', 'cart-2']);
+    });
+
+    test('keeps to the lines and quantities asked for', () => {
+        const carts = generateCarts(PREDEFINED_ITEMS, { carts: 100, minLines: 2, maxLines: 3, maxQuantity: 2 });
+        for (const { items } of carts) {
+            assert.ok(items.length >= 2 && items.length <= 3);
+            assert.equal(new Set(items.map(line => line.productId)).size, items.length, 'a product appears twice in a cart');
+            assert.ok(items.every(line => line.quantity >= 1 && line.quantity <= 2));
+        }
+    });
+
+    test('draws by the size and weight distributions', () => {
+        const meanOf = (carts, measure) => {
+            const units = carts.flatMap(cart => cart.items.flatMap(line => Array(line.quantity).fill(product(line.productId))));
+            return units.reduce((sum, item) => sum + measure(item), 0) / units.length;
+        };
+        const options = { carts: 200, maxLines: 1 };
+        const small = generateCarts(PREDEFINED_ITEMS, { ...options, sizeDistribution: 'small' });
+        const large = generateCarts(PREDEFINED_ITEMS, { ...options, sizeDistribution: 'large' });
+        assert.ok(meanOf(small, getItemVolume) < meanOf(large, getItemVolume));
+        const light = generateCarts(PREDEFINED_ITEMS, { ...options, weightDistribution: 'light' });
+        const heavy = generateCarts(PREDEFINED_ITEMS, { ...options, weightDistribution: 'heavy' });
+        assert.ok(meanOf(light, item => item.weight) < meanOf(heavy, item => item.weight));
+    });
+
+    test('refuses unknown distributions and impossible bounds', () => {
+        assert.throws(() => generateCarts(PREDEFINED_ITEMS, { sizeDistribution: 'tiny' }), /Unknown size distribution 'tiny'/);
+        assert.throws(() => generateCarts(PREDEFINED_ITEMS, { minLines: 3, maxLines: 2 }), /minLines <= maxLines/);
+        assert.throws(() => generateCarts([], {}), /no products/);
+    });
+});
+
+test('percentile picks the nearest rank', () => {
+    const values = [5, 1, 4, 2, 3, 6, 7, 8, 9, 10];
+    assert.equal(percentile(values, 50), 5);
+    assert.equal(percentile(values, 90), 9);
+    assert.equal(percentile(values, 99), 10);
+    assert.equal(percentile([], 50), 0);
+});
+
+describe('runBenchmark', () => {
+    const carts = [
+        { orderId: 'cart-1', items: [{ productId: 'book', quantity: 2 }, { productId: 'mug', quantity: 1 }] },
+        { orderId: 'cart-2', items: [{ productId: 'laptop', quantity: 1 }] },
+    ];
+
+    test('sums every strategy\'s plans for the carts', () => {
+        const { version, workload, results } = runBenchmark(carts, {
+            products: PREDEFINED_ITEMS,
+            boxCatalog: AMAZON_BOX_SIZES,
+            workload: { seed: 1 },
+            now: steppingClock(0, 2, 0, 4),
+        });
+        assert.equal(version, 1);
+        assert.deepEqual(workload, { seed: 1, carts: 2 });
+        assert.deepEqual(Object.keys(results), ['greedy', 'exact']);
+
+        const plans = [flatten({ book: 2, mug: 1 }), flatten({ laptop: 1 })].map(items => [items, packOptimal(items, AMAZON_BOX_SIZES)]);
+        const metrics = plans.map(([items, packedBoxes]) => calculateMetrics(packedBoxes, items, AMAZON_BOX_SIZES));
+        const boxes = plans.flatMap(([, packedBoxes]) => packedBoxes);
+        const { greedy } = results;
+        assert.equal(greedy.totalBoxes, boxes.length);
+        assert.equal(greedy.totalCO2, metrics[0].optimalCO2Impact + metrics[1].optimalCO2Impact);
+        assert.equal(greedy.averageFill, boxes.reduce((sum, box) => sum + (box.filledVolume / box.volume) * 100, 0) / boxes.length);
+        assert.equal(greedy.unpackedItems, 0);
+        assert.deepEqual([greedy.runtimeP50Ms, greedy.runtimeP90Ms, greedy.runtimeP99Ms], [2, 4, 4]);
+    });
+
+    test('gives the same exact plans however slow the machine', () => {
+        // A cart the exact search needs several hundred nodes for
+        const lines = { headphones: 3, keyboard: 4, fire_tablet: 3, kindle: 4, echo_dot: 4 };
+        const bigCart = [{ orderId: 'cart-1', items: Object.entries(lines).map(([productId, quantity]) => ({ productId, quantity })) }];
+        const options = { products: PREDEFINED_ITEMS, boxCatalog: AMAZON_BOX_SIZES, strategies: ['exact'] };
+        const quality = ({ results: { exact } }) => [exact.totalBoxes, exact.averageFill, exact.totalCO2, exact.unpackedItems];
+        const expected = quality(runBenchmark(bigCart, options));
+        // A clock that jumps a minute on every reading, as if each search ran out of time at once
+        const dateNow = Date.now;
+        let time = dateNow();
+        Date.now = () => (time += 60000);
+        try {
+            assert.deepEqual(quality(runBenchmark(bigCart, options)), expected);
+        } finally {
+            Date.now = dateNow;
+        }
+    });
+
+    test('counts units no box can take', () => {
+        const heavy = { ...product('book'), id: 'anvil', weight: 500 };
+        const { results } = runBenchmark([{ orderId: 'cart-1', items: [{ productId: 'anvil', quantity: 2 }] }], {
+            products: [heavy],
+            boxCatalog: AMAZON_BOX_SIZES,
+            strategies: ['greedy'],
+        });
+        assert.deepEqual(Object.keys(results), ['greedy']);
+        assert.equal(results.greedy.unpackedItems, 2);
+        assert.equal(results.greedy.totalBoxes, 0);
+    });
+
+    test('refuses unknown strategies', () => {
+        assert.throws(() => runBenchmark(carts, { products: PREDEFINED_ITEMS, boxCatalog: AMAZON_BOX_SIZES, strategies: ['magic'] }), /Unknown packing strategy 'magic'/);
+    });
+});
+
+describe('compareBenchmarks', () => {
+    test('flags metrics that worsened beyond the threshold', () => {
+        const baseline = report({ greedy: result(), exact: result() });
+        const current = report({
+            greedy: result({ totalBoxes: 11, averageFill: 49.9, runtimeP90Ms: 2.5 }),
+            exact: result({ totalCO2: 3.5 }),
+        });
+        const { regressions, rows } = compareBenchmarks(baseline, current);
+        assert.deepEqual(regressions.map(row => [row.strategy, row.metric]), [['greedy', 'totalBoxes']]);
+        const fill = rows.find(row => row.strategy === 'greedy' && row.metric === 'averageFill');
+        assert.ok(Math.abs(fill.change - 0.002) < 1e-9, 'a lower fill is a worsening');
+        assert.equal(rows.find(row => row.strategy === 'exact' && row.metric === 'totalCO2').change, -0.125);
+        assert.equal(rows.length, 14);
+    });
+
+    test('takes its thresholds from the caller', () => {
+        const baseline = report({ greedy: result() });
+        const current = report({ greedy: result({ totalBoxes: 11, runtimeP50Ms: 1.6 }) });
+        assert.deepEqual(compareBenchmarks(baseline, current, { quality: 0.2, timing: 0.5 }).regressions.map(row => row.metric), ['runtimeP50Ms']);
+        assert.deepEqual(compareBenchmarks(baseline, current, { timing: 1 }).regressions.map(row => row.metric), ['totalBoxes']);
+    });
+
+    test('treats any unpacked item as a regression when the baseline had none', () => {
+        const { regressions } = compareBenchmarks(report({ greedy: result() }), report({ greedy: result({ unpackedItems: 1 }) }));
+        assert.equal(regressions[0].metric, 'unpackedItems');
+        assert.equal(regressions[0].change, Infinity);
+    });
+
+    test('lists baseline strategies the run left out', () => {
+        const { missingStrategies, rows } = compareBenchmarks(report({ greedy: result(), exact: result() }), report({ greedy: result() }));
+        assert.deepEqual(missingStrategies, ['exact']);
+        assert.ok(rows.every(row => row.strategy === 'greedy'));
+    });
+
+    test('refuses to compare runs on different carts', () => {
+        const baseline = report({ greedy: result() }, { seed: 1, carts: 2 });
+        assert.throws(() => compareBenchmarks(baseline, report({ greedy: result() }, { seed: 2, carts: 2 })), /different carts/);
+        assert.doesNotThrow(() => compareBenchmarks(baseline, report({ greedy: result() }, { carts: 2, seed: 1 })));
+        assert.throws(() => compareBenchmarks({ ...baseline, version: 9 }, baseline), /version 9/);
+    });
+});
@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { AMAZON_BOX_SIZES, packOptimal, calculateMetrics } from '../src/engine/index.js';
+import { flatten, assertPhysicallyPacked } from './helpers.js';
+
+// Plans for orders built from the ten predefined products. Regenerate deliberately when packing changes.
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/catalog-orders.json', import.meta.url)));
+
+const round = (value) => Number(value.toFixed(4));
+
+describe('catalog regression fixtures', () => {
+    for (const { cart, expected } of fixtures) {
+        const label = Object.entries(cart).map(([id, quantity]) => `${quantity}x ${id}`).join(', ');
+        test(label, () => {
+            const items = flatten(cart);
+            const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+            metrics.packedBoxes.forEach(assertPhysicallyPacked);
+            assert.deepEqual({
+                totalBoxes: metrics.totalBoxes,
+                boxes: metrics.packedBoxes.map(box => box.name),
+                boxBreakdown: metrics.boxBreakdown,
+                packagingEfficiencyScore: round(metrics.packagingEfficiencyScore),
+                optimalCO2Impact: round(metrics.optimalCO2Impact),
+                co2SavedByConsolidation: round(metrics.co2SavedByConsolidation),
+            }, expected);
+        });
+    }
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    CatalogError,
+    createBoxType,
+    validateBoxCatalog,
+    getActiveBoxTypes,
+    exportCatalogJSON,
+    importCatalogJSON,
+    exportCatalogCSV,
+    importCatalogCSV,
+    packOptimal,
+} from '../src/engine/index.js';
+import { product } from './helpers.js';
+
+const mailer = createBoxType({
+    id: 'PM1', name: 'Padded Mailer, "Slim"', length: 30, width: 22, height: 3,
+    maxWeight: 1, baseCO2: 0.05, perKgCO2: 0.06, tareWeight: 0.03, cost: 0.3,
+});
+
+describe('box catalog', () => {
+    test('accepts the default catalog', () => {
+        assert.deepEqual(validateBoxCatalog(AMAZON_BOX_SIZES), []);
+    });
+
+    test('derives the volume and fills defaults', () => {
+        const boxType = createBoxType({ id: 'B', name: 'Cube', length: 10, width: 10, height: 10, maxWeight: 2, baseCO2: 0.1, perKgCO2: 0.05 });
+        assert.equal(boxType.volume, 1000);
+        assert.equal(boxType.tareWeight, 0);
+        assert.equal(boxType.cost, 0);
+        assert.equal(boxType.enabled, true);
+    });
+
+    test('reports invalid fields and duplicate ids', () => {
+        const errors = validateBoxCatalog([
+            { ...AMAZON_BOX_SIZES[0], length: 0 },
+            { ...AMAZON_BOX_SIZES[1], id: 'S3', cost: -1 },
+        ]);
+        assert.deepEqual(errors, [
+            'Box 1 (Small Box (S3)): length must be a number greater than 0',
+            'Box 2 (Medium Box (M3)): cost must be a number of at least 0',
+            "Box 2 (Medium Box (M3)): id 'S3' is used more than once",
+        ]);
+    });
+
+    test('accepts only known void-fill materials', () => {
+        assert.deepEqual(validateBoxCatalog([{ ...AMAZON_BOX_SIZES[0], voidFill: 'paper' }]), []);
+        assert.deepEqual(validateBoxCatalog([{ ...AMAZON_BOX_SIZES[0], voidFill: 'foam' }]), [
+            'Box 1 (Small Box (S3)): voidFill must be one of airPillows, paper, peanuts, none',
+        ]);
+    });
+
+    test('packs only with enabled box types', () => {
+        const catalog = AMAZON_BOX_SIZES.map(boxType => ({ ...boxType, enabled: boxType.id !== 'S3' }));
+        const [box] = packOptimal([product('book')], getActiveBoxTypes(catalog));
+        assert.equal(box.name, 'Medium Box (M3)');
+    });
+
+    test('round-trips through JSON', () => {
+        const catalog = [...AMAZON_BOX_SIZES, { ...mailer, enabled: false }];
+        assert.deepEqual(importCatalogJSON(exportCatalogJSON(catalog)), catalog);
+    });
+
+    test('round-trips through CSV, including quoted names', () => {
+        const catalog = [...AMAZON_BOX_SIZES, { ...mailer, enabled: false }];
+        assert.deepEqual(importCatalogCSV(exportCatalogCSV(catalog)), catalog);
+    });
+
+    test('imports a bare JSON array of box types', () => {
+        const [boxType] = importCatalogJSON(JSON.stringify([{ id: 'E1', name: 'Envelope', length: 32, width: 23, height: 1, maxWeight: 0.5, baseCO2: 0.02, perKgCO2: 0.06 }]));
+        assert.equal(boxType.volume, 736);
+    });
+
+    test('rejects malformed and invalid imports with the problems listed', () => {
+        assert.throws(() => importCatalogJSON('{'), CatalogError);
+        assert.throws(() => importCatalogJSON('{"version": 1}'), /no list of box types/);
+        assert.throws(() => importCatalogJSON('{"version": 99, "boxTypes": []}'), /newer than this app supports/);
+        assert.throws(
+            () => importCatalogCSV('id,name,length,width,height,maxWeight,baseCO2,perKgCO2\nX,Box,ten,10,10,5,0.1,0.05\n'),
+            error => error instanceof CatalogError && error.errors.includes('Box 1 (Box): length must be a number greater than 0'),
+        );
+    });
+});
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    createBoxType,
+    createProduct,
+    exceedsLoadLimits,
+    packGreedy,
+    packOptimal,
+    calculateMetrics,
+    getBulkOrderSuggestions,
+} from '../src/engine/index.js';
+import { product, flatten, assertPhysicallyPacked } from './helpers.js';
+
+// A box exactly one mug wide and deep: anything else has to go on top of the mug
+const mugTower = createBoxType({ id: 'T', name: 'Mug Tower', length: 12, width: 9, height: 30, maxWeight: 10, baseCO2: 0.1, perKgCO2: 0.05 });
+const slab = (weight) => createProduct({ id: `slab_${weight}`, name: 'Slab', length: 12, width: 9, height: 5, weight });
+const mug = product('mug');
+const wineBottle = createProduct({
+    id: 'wine', name: 'Wine Bottle', category: 'Liquids', length: 8, width: 8, height: 30, weight: 1.3,
+    orientationRule: 'thisSideUp', incompatibleCategories: ['Electronics'],
+});
+const knifeSet = createProduct({ id: 'knives', name: 'Knife Set', category: 'Kitchen', length: 30, width: 10, height: 4, weight: 0.9, shipAlone: true });
+
+const loadsWithinLimits = (boxes) => boxes.forEach(box => assert.equal(exceedsLoadLimits(box.items), false, `${box.name} is overloaded`));
+
+describe('packing constraints', () => {
+    test('does not put a heavy item on a fragile mug', () => {
+        const boxes = packGreedy([mug, slab(1)], [mugTower]);
+        assert.equal(boxes.length, 2);
+        loadsWithinLimits(boxes);
+        assert.equal(packGreedy([{ ...mug, fragile: false }, slab(1)], [mugTower]).length, 1);
+    });
+
+    test('lets light items rest on a fragile mug', () => {
+        const boxes = packGreedy([mug, slab(0.2)], [mugTower]);
+        assert.equal(boxes.length, 1);
+        assertPhysicallyPacked(boxes[0]);
+    });
+
+    test('puts nothing on a non-stackable item, and honours an explicit load limit', () => {
+        assert.equal(packGreedy([{ ...mug, stackable: false }, slab(0.1)], [mugTower]).length, 2);
+        assert.equal(packGreedy([{ ...mug, maxLoadOnTop: 2 }, slab(1.5)], [mugTower]).length, 1);
+        assert.equal(packGreedy([{ ...mug, maxLoadOnTop: 2 }, slab(1.5), slab(1)], [mugTower]).length, 2);
+    });
+
+    test('keeps incompatible categories apart, whichever side declares it', () => {
+        const boxes = packGreedy([wineBottle, product('echo_dot')], AMAZON_BOX_SIZES);
+        assert.equal(boxes.length, 2);
+        boxes.forEach(box => assert.equal(box.items.length, 1));
+        assert.equal(packGreedy([wineBottle, product('book')], AMAZON_BOX_SIZES).length, 1);
+        const electronicsFirst = { ...product('echo_dot'), incompatibleCategories: ['Liquids'] };
+        assert.equal(packGreedy([{ ...wineBottle, incompatibleCategories: [] }, electronicsFirst], AMAZON_BOX_SIZES).length, 2);
+    });
+
+    test('ships ship-alone items on their own, with every strategy', () => {
+        const items = [knifeSet, ...flatten({ book: 1, tshirt: 1 })];
+        for (const strategy of ['greedy', 'exact']) {
+            const boxes = packOptimal(items, AMAZON_BOX_SIZES, { strategy });
+            assert.equal(boxes.length, 2, strategy);
+            assert.ok(boxes.some(box => box.items.length === 1 && box.items[0].id === 'knives'), strategy);
+        }
+    });
+});
+
+describe('constraint impacts in calculateMetrics', () => {
+    test('names the constraint that forced an extra box', () => {
+        const items = [knifeSet, ...flatten({ book: 1 })];
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+        assert.deepEqual(metrics.constraintImpacts, [{
+            constraint: 'shipAlone', label: 'Ships alone', extraBoxes: 1, products: ['Knife Set'],
+            message: 'Ships alone (Knife Set) forced 1 extra box.',
+        }]);
+    });
+
+    test('reports nothing when constraints cost no boxes', () => {
+        const items = flatten({ mug: 2, book: 1 });
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+        assert.deepEqual(metrics.constraintImpacts, []);
+    });
+
+    test('are left out when the caller only compares plans', () => {
+        const items = [knifeSet, ...flatten({ book: 1 })];
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES, { constraintImpacts: false });
+        assert.deepEqual(metrics.constraintImpacts, []);
+        assert.equal(metrics.totalBoxes, 2);
+    });
+});
+
+describe('constraints in getBulkOrderSuggestions', () => {
+    test('drops saved items that only fit by breaking a constraint', () => {
+        const savedWine = { wine: { ...wineBottle, quantity: 1 } };
+        const cart = [...flatten({ echo_dot: 1 }), createProduct({ id: 'filler', name: 'Filler', length: 40, width: 30, height: 30, weight: 1 })];
+        const suggestions = getBulkOrderSuggestions(cart, savedWine, AMAZON_BOX_SIZES);
+        assert.deepEqual(suggestions.filter(suggestion => suggestion.tier === 'fit' || suggestion.type === 'tooBig'), []);
+        // Repacking may still pay off, with the wine moved in with the filler, away from the Echo Dot
+        assert.deepEqual(suggestions.map(suggestion => suggestion.change), [{ type: 'repack' }]);
+    });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, planDeliveries, findDeliveryTradeoffs } from '../src/engine/index.js';
+import { product } from './helpers.js';
+
+const line = (id, quantity, deliverBy) => ({ ...product(id), quantity, ...(deliverBy && { deliverBy }) });
+
+describe('planDeliveries', () => {
+    test('ships everything together when no line has a date', () => {
+        const { shipments } = planDeliveries([line('book', 1), line('mug', 2)], AMAZON_BOX_SIZES);
+        assert.equal(shipments.length, 1);
+        assert.equal(shipments[0].date, null);
+    });
+
+    test('creates one shipment per delivery day, in date order', () => {
+        const { shipments } = planDeliveries([
+            line('mug', 1, '2026-10-22'),
+            line('book', 1, '2026-10-20'),
+            line('tshirt', 1, '2026-10-22'),
+        ], AMAZON_BOX_SIZES);
+        assert.deepEqual(shipments.map(s => [s.date, s.lines.map(l => l.id)]), [
+            ['2026-10-20', ['book']],
+            ['2026-10-22', ['mug', 'tshirt']],
+        ]);
+    });
+
+    test('delivers a wider window on its earliest date', () => {
+        const { shipments } = planDeliveries([
+            line('book', 1, '2026-10-20'),
+            line('mug', 1, '2026-10-22'),
+            line('tshirt', 1, '2026-10-24'),
+        ], AMAZON_BOX_SIZES, { windowDays: 3 });
+        assert.deepEqual(shipments.map(s => [s.date, s.lines.length]), [['2026-10-20', 2], ['2026-10-24', 1]]);
+    });
+
+    test('sends flexible lines with the last shipment', () => {
+        const { shipments } = planDeliveries([line('kindle', 1), line('book', 1, '2026-10-20'), line('mug', 1, '2026-10-25')], AMAZON_BOX_SIZES);
+        assert.deepEqual(shipments[1].lines.map(l => l.id), ['mug', 'kindle']);
+    });
+
+    test('totals CO2 and boxes across shipments', () => {
+        const plan = planDeliveries([line('book', 1, '2026-10-20'), line('book', 1, '2026-10-25')], AMAZON_BOX_SIZES);
+        assert.equal(plan.totalBoxes, 2);
+        assert.ok(Math.abs(plan.totalCO2 - 2 * 0.231024) < 1e-9);
+    });
+});
+
+describe('findDeliveryTradeoffs', () => {
+    const lines = [line('book', 1, '2026-10-20'), line('book', 1, '2026-10-25')];
+
+    test('prices waiting for the later shipment', () => {
+        const { later } = findDeliveryTradeoffs(lines, AMAZON_BOX_SIZES);
+        // Two books share one small box: 0.268728 kg instead of 2 * 0.231024
+        assert.equal(later.length, 1);
+        assert.deepEqual(later[0].itemIds, ['book']);
+        assert.equal(later[0].toDate, '2026-10-25');
+        assert.equal(later[0].boxChange, -1);
+        assert.ok(Math.abs(later[0].co2Change - (0.268728 - 0.462048)) < 1e-9);
+    });
+
+    test('prices splitting lines off for an earlier date', () => {
+        const { earlier } = findDeliveryTradeoffs([line('book', 1, '2026-10-20'), line('mug', 1, '2026-10-25'), line('tshirt', 1, '2026-10-25')], AMAZON_BOX_SIZES);
+        assert.deepEqual(earlier.map(option => option.toDate), ['2026-10-20', '2026-10-20']);
+        assert.deepEqual(earlier.map(option => option.itemIds[0]).sort(), ['mug', 'tshirt']);
+    });
+
+    test('offers nothing for a single shipment', () => {
+        const { later, earlier } = findDeliveryTradeoffs([line('book', 2, '2026-10-20')], AMAZON_BOX_SIZES);
+        assert.deepEqual([later, earlier], [[], []]);
+    });
+});
@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    getBoxEmissions,
+    getBoxCO2,
+    sumBreakdown,
+    packOptimal,
+    optimizePacking,
+    measurePlan,
+    calculateMetrics,
+    getBulkOrderSuggestions,
+    validateEmissionsSettings,
+} from '../src/engine/index.js';
+import { product, flatten, near } from './helpers.js';
+
+const distance = (settings) => ({ model: 'distance', ...settings });
+
+describe('emissions models', () => {
+    test('the per-box model splits the box factors by source', () => {
+        const [box] = packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES);
+        const breakdown = getBoxEmissions(box);
+        near(breakdown.packaging, 0.15);
+        near(breakdown.voidFill, 0.02352);
+        near(breakdown.transport, (0.8 + 0.15 + 0.0084) * 0.06);
+        near(getBoxCO2(box), sumBreakdown(breakdown));
+    });
+
+    test('the distance model charges tonne-km of the dimensional load share', () => {
+        const [box] = packOptimal(flatten({ tshirt: 1 }), AMAZON_BOX_SIZES);
+        const breakdown = getBoxEmissions(box, distance({ distanceKm: 100, mode: 'truck', recycledShare: 0.5, loadShare: 'dimensional' }));
+        // 0.15 kg of half-recycled cardboard; the light parcel is charged its 1.2 kg dimensional weight
+        near(breakdown.packaging, 0.15 * (0.5 * 0.7 + 0.5 * 1.2));
+        near(breakdown.transport, 0.0012 * 100 * 0.1);
+        const actual = getBoxEmissions(box, distance({ distanceKm: 100, loadShare: 'actual' }));
+        assert.ok(actual.transport < breakdown.transport);
+    });
+
+    test('transport grows with distance and with a dirtier mode; recycled boxes emit less', () => {
+        const [box] = packOptimal(flatten({ laptop: 2 }), AMAZON_BOX_SIZES);
+        const co2 = (settings) => getBoxEmissions(box, distance(settings));
+        near(co2({ distanceKm: 600 }).transport, 2 * co2({ distanceKm: 300 }).transport);
+        assert.ok(co2({ mode: 'air' }).transport > co2({ mode: 'van' }).transport);
+        assert.ok(co2({ mode: 'van' }).transport > co2({ mode: 'truck' }).transport);
+        assert.ok(co2({ recycledShare: 1 }).packaging < co2({ recycledShare: 0 }).packaging);
+    });
+
+    test('rejects unknown models', () => {
+        assert.throws(() => getBoxCO2(packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES)[0], { model: 'guess' }), /Unknown emissions model/);
+    });
+
+    test('rejects settings no model can work with', () => {
+        const [box] = packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES);
+        assert.throws(() => getBoxEmissions(box, distance({ mode: 'teleport' })), /Invalid emissions settings: unknown transport mode 'teleport'/);
+        assert.throws(() => getBoxEmissions(box, distance({ distanceKm: -5 })), /distanceKm must be a number of at least 0/);
+        assert.throws(() => getBoxEmissions(box, distance({ recycledShare: 1.5 })), /recycledShare must be a number from 0 to 1/);
+        assert.throws(() => optimizePacking(flatten({ book: 1 }), AMAZON_BOX_SIZES, { emissions: distance({ loadShare: 'volume' }) }), /unknown load share 'volume'/);
+    });
+});
+
+describe('validateEmissionsSettings', () => {
+    test('accepts the defaults and complete settings', () => {
+        assert.deepEqual(validateEmissionsSettings({ model: 'box' }), []);
+        assert.deepEqual(validateEmissionsSettings(distance({})), []);
+        assert.deepEqual(validateEmissionsSettings(distance({ distanceKm: 0, mode: 'rail', recycledShare: 1, loadShare: 'actual' })), []);
+    });
+
+    test('lists every problem', () => {
+        assert.deepEqual(validateEmissionsSettings(distance({ distanceKm: '300', mode: 'boat', recycledShare: -0.1, loadShare: 'volume' })), [
+            "unknown transport mode 'boat'",
+            'distanceKm must be a number of at least 0 (got 300)',
+            'recycledShare must be a number from 0 to 1 (got -0.1)',
+            "unknown load share 'volume'",
+        ]);
+        assert.deepEqual(validateEmissionsSettings({ model: 'guess' }), ["unknown emissions model 'guess'"]);
+        assert.deepEqual(validateEmissionsSettings(null), ['emissions settings must be an object']);
+    });
+});
+
+describe('CO2 breakdowns in the metrics', () => {
+    test('break the plan and the saving down by source', () => {
+        const items = flatten({ book: 2, mug: 1 });
+        for (const emissions of [undefined, distance({ mode: 'van', distanceKm: 50 })]) {
+            const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES, { emissions });
+            near(sumBreakdown(metrics.co2Breakdown), metrics.optimalCO2Impact);
+            near(sumBreakdown(metrics.co2SavedBreakdown), metrics.co2SavedByConsolidation);
+            near(metrics.optimalCO2Impact, measurePlan(metrics.packedBoxes, undefined, emissions).co2);
+        }
+    });
+
+    test('break suggestion savings down by source', () => {
+        const saved = { tshirt: { ...product('tshirt'), quantity: 2 } };
+        const [suggestion] = getBulkOrderSuggestions(flatten({ book: 1 }), saved, AMAZON_BOX_SIZES, { emissions: distance({}) });
+        near(sumBreakdown(suggestion.co2SavedBreakdown), suggestion.co2SavedByCombining);
+    });
+
+    test('the exact optimizer minimizes CO2 under the selected model', () => {
+        const items = flatten({ book: 4, laptop: 2, mug: 2 });
+        for (const loadShare of ['actual', 'dimensional']) {
+            const emissions = distance({ mode: 'air', distanceKm: 1500, loadShare });
+            const result = optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'co2', emissions, timeBudgetMs: 5000 });
+            assert.equal(result.provenOptimal, true);
+            assert.ok(measurePlan(result.packedBoxes, undefined, emissions).co2 <= measurePlan(result.greedyPackedBoxes, undefined, emissions).co2 + 1e-9);
+        }
+    });
+});
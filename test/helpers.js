@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { PREDEFINED_ITEMS } from '../src/engine/index.js';
+
+export const product = (id) => PREDEFINED_ITEMS.find(item => item.id === id);
+
+// A custom box type, for tests that bring their own catalog
+export const bigBox = { id: 'BIG', name: 'Big', length: 60, width: 40, height: 30, maxWeight: 20, baseCO2: 0.3, perKgCO2: 0.05 };
+
+// Expands { productId: quantity } into the flat item list the engine works on
+export const flatten = (cart) =>
+    Object.entries(cart).flatMap(([id, quantity]) => Array(quantity).fill(product(id)));
+
+// Asserts that two computed numbers agree to within floating-point error
+export const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// Asserts that every item sits inside its box, that no two items overlap and that items off the
+// floor rest at least half their base on the items below
+export const assertPhysicallyPacked = (box) => {
+    for (const item of box.items) {
+        const { position: p, orientation: o } = item;
+        assert.ok(p.x >= 0 && p.y >= 0 && p.z >= 0, `${item.name} starts outside ${box.name}`);
+        assert.ok(p.x + o.length <= box.length + 1e-9, `${item.name} crosses the length of ${box.name}`);
+        assert.ok(p.y + o.width <= box.width + 1e-9, `${item.name} crosses the width of ${box.name}`);
+        assert.ok(p.z + o.height <= box.height + 1e-9, `${item.name} crosses the height of ${box.name}`);
+        assert.deepEqual(
+            [o.length, o.width, o.height].sort((a, b) => a - b),
+            [item.length, item.width, item.height].sort((a, b) => a - b),
+            `${item.name} was resized`,
+        );
+    }
+    box.items.forEach((a, i) => box.items.slice(i + 1).forEach(b => {
+        const apart =
+            a.position.x + a.orientation.length <= b.position.x + 1e-9 || b.position.x + b.orientation.length <= a.position.x + 1e-9 ||
+            a.position.y + a.orientation.width <= b.position.y + 1e-9 || b.position.y + b.orientation.width <= a.position.y + 1e-9 ||
+            a.position.z + a.orientation.height <= b.position.z + 1e-9 || b.position.z + b.orientation.height <= a.position.z + 1e-9;
+        assert.ok(apart, `${a.name} overlaps ${b.name} in ${box.name}`);
+    }));
+    for (const item of box.items.filter(candidate => candidate.position.z > 1e-9)) {
+        const { position: p, orientation: o } = item;
+        const supported = box.items
+            .filter(below => Math.abs(below.position.z + below.orientation.height - p.z) <= 1e-9)
+            .reduce((area, below) => {
+                const x = Math.min(p.x + o.length, below.position.x + below.orientation.length) - Math.max(p.x, below.position.x);
+                const y = Math.min(p.y + o.width, below.position.y + below.orientation.width) - Math.max(p.y, below.position.y);
+                return x > 0 && y > 0 ? area + x * y : area;
+            }, 0);
+        assert.ok(supported >= 0.5 * o.length * o.width - 1e-9, `${item.name} hangs in the air in ${box.name}`);
+    }
+    assert.ok(box.totalWeight <= box.maxWeight + 1e-9, `${box.name} is over its weight limit`);
+};
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    calculateMetrics,
+    createJobRequest,
+    createResultCache,
+    getBulkOrderSuggestions,
+    packOptimal,
+    runPackingJob,
+} from '../src/engine/index.js';
+import { product, flatten } from './helpers.js';
+
+const line = (id, quantity) => ({ ...product(id), quantity });
+
+describe('createJobRequest', () => {
+    test('gives the same key however the cart was put together', () => {
+        const a = createJobRequest('plan', { lines: [line('book', 2), line('mug', 1)], boxTypes: AMAZON_BOX_SIZES, strategy: 'greedy' });
+        const b = createJobRequest('plan', { strategy: 'greedy', boxTypes: AMAZON_BOX_SIZES, lines: [line('mug', 1), line('book', 2)] });
+        assert.equal(a.key, b.key);
+        assert.deepEqual(a.payload.lines.map(({ id }) => id), ['book', 'mug']);
+    });
+
+    test('gives different keys for different carts, catalogs and jobs', () => {
+        const payload = { lines: [line('book', 2)], boxTypes: AMAZON_BOX_SIZES };
+        const key = createJobRequest('plan', payload).key;
+        assert.notEqual(createJobRequest('plan', { ...payload, lines: [line('book', 3)] }).key, key);
+        assert.notEqual(createJobRequest('plan', { ...payload, boxTypes: AMAZON_BOX_SIZES.slice(1) }).key, key);
+        assert.notEqual(createJobRequest('paretoPlans', payload).key, key);
+    });
+
+    test('rejects unknown jobs', () => {
+        assert.throws(() => createJobRequest('teleport', {}), /Unknown packing job 'teleport'/);
+    });
+});
+
+describe('runPackingJob', () => {
+    test('plans the cart like packOptimal and calculateMetrics', () => {
+        const { payload } = createJobRequest('plan', { lines: [line('mug', 1), line('book', 2)], boxTypes: AMAZON_BOX_SIZES, strategy: 'greedy' });
+        const { optimization, metrics, greedyMetrics } = runPackingJob('plan', payload);
+        const items = flatten({ book: 2, mug: 1 });
+        assert.equal(optimization, null);
+        assert.equal(greedyMetrics, null);
+        assert.equal(metrics.optimalCO2Impact, calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES).optimalCO2Impact);
+    });
+
+    test('works out both kinds of suggestion', () => {
+        const { payload } = createJobRequest('suggestions', { lines: [line('book', 1)], saved: { tshirt: line('tshirt', 2) }, boxTypes: AMAZON_BOX_SIZES });
+        const { bulk, removals } = runPackingJob('suggestions', payload);
+        assert.deepEqual(bulk, getBulkOrderSuggestions(flatten({ book: 1 }), { tshirt: line('tshirt', 2) }, AMAZON_BOX_SIZES));
+        assert.deepEqual(removals, []);
+    });
+
+    test('measures suggestions against the plan packed with the chosen strategy', () => {
+        // Greedy packs this cart into one box, the exact search into two
+        const lines = [line('book', 1), line('laptop', 3), line('headphones', 3)];
+        const { payload } = createJobRequest('suggestions', { lines, saved: { tshirt: line('tshirt', 1) }, boxTypes: AMAZON_BOX_SIZES, strategy: 'exact' });
+        const { bulk, removals } = runPackingJob('suggestions', payload);
+        const plan = packOptimal(flatten({ book: 1, laptop: 3, headphones: 3 }), AMAZON_BOX_SIZES, { strategy: 'exact' });
+        assert.equal(bulk[0].oldTotalBoxes, plan.length);
+        assert.ok(removals.length > 0);
+        assert.ok(removals.every(suggestion => suggestion.oldBoxes.join() === plan.map(box => box.name).join()));
+    });
+});
+
+describe('createResultCache', () => {
+    test('forgets the least recently used result once full', () => {
+        const cache = createResultCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+        assert.equal(cache.size(), 2);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('c'), 3);
+    });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, VOID_FILL_MATERIALS, getBoxVoidFill, packOptimal, calculateMetrics } from '../src/engine/index.js';
+import { flatten } from './helpers.js';
+
+const metricsFor = (cart) => {
+    const items = flatten(cart);
+    return calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+};
+
+describe('calculateMetrics', () => {
+    test('reports zeros for an empty order', () => {
+        const metrics = metricsFor({});
+        assert.equal(metrics.totalBoxes, 0);
+        assert.equal(metrics.packagingEfficiencyScore, 0);
+        assert.equal(metrics.optimalCO2Impact, 0);
+        assert.equal(metrics.co2SavedByConsolidation, 0);
+        assert.equal(metrics.boxBreakdown, '');
+    });
+
+    test('charges base CO2, void fill and CO2 per kg of contents, tare and void fill for each box', () => {
+        // Small box: 4.2 litres left empty take 0.0084 kg of air pillows (0.02352 kg CO2 to make), so
+        // 0.15 kg base + 0.02352 + (0.8 kg book + 0.15 kg tare + 0.0084 kg void fill) * 0.06
+        assert.ok(Math.abs(metricsFor({ book: 1 }).optimalCO2Impact - 0.231024) < 1e-9);
+    });
+
+    test('compares against shipping every item in its own smallest box', () => {
+        // Alone: 2 * 0.231024 = 0.462048; stacked in one small box with 2.4 litres of air pillows:
+        // 0.15 + 0.01344 + (1.6 + 0.15 + 0.0048) * 0.06 = 0.268728
+        const metrics = metricsFor({ book: 2 });
+        assert.ok(Math.abs(metrics.optimalCO2Impact - 0.268728) < 1e-9);
+        assert.ok(Math.abs(metrics.co2SavedByConsolidation - 0.19332) < 1e-9);
+    });
+
+    test('measures efficiency as packed volume over box volume', () => {
+        // 1800 cm3 book in a 6000 cm3 box
+        assert.ok(Math.abs(metricsFor({ book: 1 }).packagingEfficiencyScore - 30) < 1e-9);
+    });
+
+    test('summarises boxes by type without the size codes', () => {
+        const metrics = metricsFor({ laptop: 12 });
+        assert.equal(metrics.totalBoxes, 3);
+        assert.equal(metrics.boxBreakdown, '3x Medium Box');
+    });
+
+    test('prices each box with the shipping rates given', () => {
+        const items = flatten({ book: 1 });
+        const rates = { baseCharge: 1, perKg: 2, dimDivisor: 6000 };
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES, { shippingRates: rates });
+        // Small box: $0.45 + $1 + max(0.9584 kg actual, 1 kg dimensional) * $2
+        assert.ok(Math.abs(metrics.shippingCost - 3.45) < 1e-9);
+    });
+
+    test('marks plans that leave items out as incomplete', () => {
+        const surfboard = { id: 'surfboard', name: 'Surfboard', length: 180, width: 50, height: 8, weight: 4 };
+        const items = [...flatten({ book: 1 }), surfboard];
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+        assert.equal(metrics.complete, false);
+        assert.deepEqual(metrics.unpackedItems.map(({ item, quantity }) => [item.id, quantity]), [['surfboard', 1]]);
+        assert.equal(metricsFor({ book: 1 }).complete, true);
+    });
+
+    test('uses the box types it is given for the individual-shipment baseline', () => {
+        const items = flatten({ book: 1 });
+        const onlyLarge = AMAZON_BOX_SIZES.filter(box => box.name.startsWith('Large'));
+        const metrics = calculateMetrics(packOptimal(items, onlyLarge), items, onlyLarge);
+        assert.ok(Math.abs(metrics.co2SavedByConsolidation) < 1e-9);
+    });
+});
+
+describe('void fill', () => {
+    test('fills the empty space of each box with its material', () => {
+        const [box] = packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES);
+        const paperBox = { ...box, voidFill: 'paper' };
+        // 4200 cm3 left empty in the small box
+        assert.deepEqual(getBoxVoidFill(box), { material: 'airPillows', volume: 4200, weight: 4.2 * 0.002, co2: 4.2 * 0.002 * 2.8 });
+        assert.ok(Math.abs(getBoxVoidFill(paperBox).weight - 4.2 * VOID_FILL_MATERIALS.paper.kgPerLitre) < 1e-12);
+        assert.equal(getBoxVoidFill({ ...box, voidFill: 'none' }).weight, 0);
+    });
+
+    test('reports the void fill saved against shipping every item alone', () => {
+        const metrics = metricsFor({ book: 2 });
+        // One small box with 2.4 litres empty, instead of two with 4.2 litres each
+        assert.ok(Math.abs(metrics.voidFillWeight - 0.0048) < 1e-12);
+        assert.ok(Math.abs(metrics.voidFillSaved - (0.0168 - 0.0048)) < 1e-12);
+    });
+
+    test('heavier void fill raises the CO2 of a plan', () => {
+        const items = flatten({ book: 1 });
+        const paperCatalog = AMAZON_BOX_SIZES.map(boxType => ({ ...boxType, voidFill: 'paper' }));
+        const withPaper = calculateMetrics(packOptimal(items, paperCatalog), items, paperCatalog);
+        assert.ok(withPaper.optimalCO2Impact > metricsFor({ book: 1 }).optimalCO2Impact);
+    });
+});
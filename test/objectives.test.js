@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    DEFAULT_SHIPPING_RATES,
+    getBillableWeight,
+    getBoxShippingCost,
+    measurePlan,
+    scorePlan,
+    dominates,
+    optimizePacking,
+    findParetoPlans,
+    packOptimal,
+} from '../src/engine/index.js';
+import { flatten, near } from './helpers.js';
+
+describe('shipping cost', () => {
+    test('charges dimensional weight when a box is light for its size', () => {
+        const [box] = packOptimal(flatten({ tshirt: 1 }), AMAZON_BOX_SIZES);
+        // Small box: 6000 cm3 / 5000 = 1.2 kg dimensional, against 0.2 kg shirt + 0.15 kg tare + void fill
+        near(getBillableWeight(box), 1.2);
+        near(getBoxShippingCost(box), 0.45 + 3.5 + 1.2 * 1.1);
+    });
+
+    test('charges actual weight when it is greater', () => {
+        const [box] = packOptimal(flatten({ laptop: 2 }), AMAZON_BOX_SIZES);
+        // Medium box: 2.625 kg dimensional, against 4 kg of laptops + 0.25 kg tare + 0.01575 kg of air pillows
+        near(getBillableWeight(box, DEFAULT_SHIPPING_RATES), 4.26575);
+    });
+});
+
+describe('objectives', () => {
+    test('measures CO2, cost and boxes of a plan', () => {
+        const boxes = packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES);
+        const measures = measurePlan(boxes);
+        near(measures.co2, 0.231024);
+        near(measures.cost, getBoxShippingCost(boxes[0]));
+        assert.equal(measures.boxes, 1);
+    });
+
+    test('scores by the chosen objective with a tie-break', () => {
+        const measures = { co2: 2, cost: 30, boxes: 3 };
+        assert.deepEqual(scorePlan(measures, 'co2'), [2, 3]);
+        assert.deepEqual(scorePlan(measures, 'cost'), [30, 2]);
+        assert.deepEqual(scorePlan(measures, 'boxes'), [3, 2]);
+    });
+
+    test('blends measures relative to a reference plan', () => {
+        const measures = { co2: 2, cost: 30, boxes: 3 };
+        const reference = { co2: 4, cost: 30, boxes: 3 };
+        assert.deepEqual(scorePlan(measures, 'blend', { weights: { co2: 2, cost: 1, boxes: 0 }, reference }), [2, 3]);
+    });
+
+    test('rejects unknown objectives', () => {
+        assert.throws(() => scorePlan({ co2: 0, cost: 0, boxes: 0 }, 'speed'), /Unknown packing objective/);
+    });
+
+    test('compares plans for Pareto dominance', () => {
+        assert.equal(dominates({ co2: 1, cost: 10, boxes: 1 }, { co2: 1, cost: 12, boxes: 1 }), true);
+        assert.equal(dominates({ co2: 1, cost: 10, boxes: 1 }, { co2: 1, cost: 10, boxes: 1 }), false);
+        assert.equal(dominates({ co2: 1, cost: 12, boxes: 1 }, { co2: 2, cost: 10, boxes: 1 }), false);
+    });
+});
+
+describe('cost-aware optimization', () => {
+    test('finds a cheaper plan than the lowest-CO2 one when they differ', () => {
+        // One large box is cheapest; two small ones need less void fill
+        const items = flatten({ book: 4 });
+        const greenest = measurePlan(optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'co2' }).packedBoxes);
+        const cheapest = measurePlan(optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'cost' }).packedBoxes);
+        assert.ok(cheapest.cost < greenest.cost);
+        assert.ok(greenest.co2 < cheapest.co2);
+    });
+
+    test('lists only non-dominated plans, each labelled with the objectives it wins', () => {
+        const plans = findParetoPlans(flatten({ book: 4 }), AMAZON_BOX_SIZES);
+        assert.deepEqual(plans.map(plan => plan.objectives), [['co2'], ['greedy', 'cost', 'boxes']]);
+        for (const plan of plans) {
+            assert.ok(!plans.some(other => dominates(other.measures, plan.measures)));
+        }
+    });
+
+    test('merges objectives that agree on a single plan', () => {
+        const plans = findParetoPlans(flatten({ book: 3 }), AMAZON_BOX_SIZES);
+        assert.equal(plans.length, 1);
+        assert.deepEqual(plans[0].objectives, ['greedy', 'co2', 'cost', 'boxes']);
+    });
+});
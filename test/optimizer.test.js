@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, PACKING_STRATEGIES, packOptimal, optimizePacking, calculateMetrics } from '../src/engine/index.js';
+import { flatten, assertPhysicallyPacked } from './helpers.js';
+
+const itemCount = (boxes) => boxes.reduce((sum, box) => sum + box.items.length, 0);
+const co2 = (boxes, items) => calculateMetrics(boxes, items, AMAZON_BOX_SIZES).optimalCO2Impact;
+
+describe('optimizePacking', () => {
+    test('finds a plan with fewer boxes than the greedy heuristic', () => {
+        const items = flatten({ laptop: 12 });
+        const result = optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'boxes' });
+        assert.equal(result.provenOptimal, true);
+        assert.equal(result.greedyPackedBoxes.length, 3);
+        assert.equal(result.packedBoxes.length, 2);
+        assert.equal(itemCount(result.packedBoxes), 12);
+        result.packedBoxes.forEach(assertPhysicallyPacked);
+    });
+
+    test('never returns a plan worse than the greedy one', () => {
+        for (const cart of [{ book: 1 }, { keyboard: 25 }, { laptop: 3, keyboard: 2, book: 4, mug: 4 }]) {
+            const items = flatten(cart);
+            const result = optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'co2' });
+            assert.ok(co2(result.packedBoxes, items) <= co2(result.greedyPackedBoxes, items) + 1e-9);
+            assert.equal(itemCount(result.packedBoxes), items.length);
+        }
+    });
+
+    test('keeps the greedy plan when it is already optimal', () => {
+        const items = flatten({ book: 1 });
+        const result = optimizePacking(items, AMAZON_BOX_SIZES);
+        assert.equal(result.provenOptimal, true);
+        assert.deepEqual(result.packedBoxes, result.greedyPackedBoxes);
+    });
+
+    test('reports when the node budget runs out before optimality is proven', () => {
+        const items = flatten({ mug: 60 });
+        const result = optimizePacking(items, AMAZON_BOX_SIZES, { nodeBudget: 50 });
+        assert.equal(result.provenOptimal, false);
+        assert.ok(result.nodesExplored <= 51);
+        assert.equal(itemCount(result.packedBoxes), 60);
+        result.packedBoxes.forEach(assertPhysicallyPacked);
+    });
+});
+
+describe('packOptimal strategies', () => {
+    test('uses the greedy strategy by default', () => {
+        const items = flatten({ laptop: 12 });
+        assert.equal(packOptimal(items, AMAZON_BOX_SIZES).length, 3);
+    });
+
+    test('runs the exact strategy when asked', () => {
+        const items = flatten({ laptop: 12 });
+        assert.equal(packOptimal(items, AMAZON_BOX_SIZES, { strategy: 'exact', objective: 'boxes' }).length, 2);
+    });
+
+    test('lists every strategy in the registry', () => {
+        assert.deepEqual(Object.keys(PACKING_STRATEGIES), ['greedy', 'exact']);
+    });
+
+    test('rejects unknown strategies', () => {
+        assert.throws(() => packOptimal([], AMAZON_BOX_SIZES, { strategy: 'random' }), /Unknown packing strategy/);
+    });
+});
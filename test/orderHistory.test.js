@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    CatalogError,
+    calculateMetrics,
+    createOrderRecord,
+    exportOrderHistoryCSV,
+    exportOrderHistoryJSON,
+    getOrderHistoryStats,
+    importOrderHistoryJSON,
+    packOptimal,
+    parseCSV,
+} from '../src/engine/index.js';
+import { flatten } from './helpers.js';
+
+const planFor = (counts) => {
+    const items = flatten(counts);
+    return calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+};
+
+const metrics = planFor({ book: 2, mug: 1 });
+
+describe('createOrderRecord', () => {
+    test('keeps the plan\'s figures and what was ordered', () => {
+        const placedAt = new Date('2026-03-14T10:00:00Z');
+        const order = createOrderRecord(metrics, { placedAt, acceptedSuggestions: 2, emissions: { model: 'box' } });
+        assert.equal(order.placedAt, '2026-03-14T10:00:00.000Z');
+        assert.deepEqual(order.items.map(({ productId, quantity }) => [productId, quantity]).sort(), [['book', 2], ['mug', 1]]);
+        assert.equal(order.totalBoxes, metrics.totalBoxes);
+        assert.equal(order.boxesAvoided, 3 - metrics.totalBoxes);
+        assert.equal(order.co2SavedByConsolidation, metrics.co2SavedByConsolidation);
+        assert.equal(order.packagingEfficiencyScore, metrics.packagingEfficiencyScore);
+        assert.equal(order.acceptedSuggestions, 2);
+        assert.deepEqual(order.emissions, { model: 'box' });
+    });
+});
+
+describe('getOrderHistoryStats', () => {
+    const history = [
+        createOrderRecord(planFor({ book: 3 }), { placedAt: new Date('2026-04-02T09:00:00Z'), acceptedSuggestions: 1 }),
+        createOrderRecord(metrics, { placedAt: new Date('2026-03-14T10:00:00Z') }),
+        createOrderRecord(planFor({ tshirt: 4 }), { placedAt: new Date('2026-04-20T09:00:00Z'), acceptedSuggestions: 2 }),
+    ];
+    const stats = getOrderHistoryStats(history);
+
+    test('adds up CO₂ saved over the orders, oldest first', () => {
+        const [march, early, late] = [history[1], history[0], history[2]];
+        assert.deepEqual(stats.cumulativeCO2Saved.map(point => point.placedAt), [march.placedAt, early.placedAt, late.placedAt]);
+        assert.equal(stats.cumulativeCO2Saved[2].value, march.co2SavedByConsolidation + early.co2SavedByConsolidation + late.co2SavedByConsolidation);
+        assert.equal(stats.totals.co2Saved, stats.cumulativeCO2Saved[2].value);
+        assert.deepEqual(stats.efficiencyTrend.map(point => point.value), [march, early, late].map(order => order.packagingEfficiencyScore));
+    });
+
+    test('groups boxes avoided and accepted suggestions by month', () => {
+        assert.deepEqual(stats.months.map(({ month, orders, acceptedSuggestions }) => [month, orders, acceptedSuggestions]), [
+            ['2026-03', 1, 0],
+            ['2026-04', 2, 3],
+        ]);
+        assert.equal(stats.months[1].boxesAvoided, history[0].boxesAvoided + history[2].boxesAvoided);
+        assert.equal(stats.totals.boxesAvoided, history.reduce((sum, order) => sum + order.boxesAvoided, 0));
+        assert.equal(stats.totals.acceptedSuggestions, 3);
+        assert.equal(stats.totals.orders, 3);
+    });
+
+    test('is empty for an empty history', () => {
+        const empty = getOrderHistoryStats([]);
+        assert.equal(empty.totals.averageEfficiency, 0);
+        assert.deepEqual(empty.months, []);
+    });
+});
+
+describe('order history export', () => {
+    const history = [createOrderRecord(metrics, { placedAt: new Date('2026-03-14T10:00:00Z'), acceptedSuggestions: 1 })];
+
+    test('round-trips through JSON', () => {
+        assert.deepEqual(importOrderHistoryJSON(exportOrderHistoryJSON(history)), history);
+    });
+
+    test('writes one CSV row per order', () => {
+        const [row] = parseCSV(exportOrderHistoryCSV(history));
+        assert.equal(row.placedAt, '2026-03-14T10:00:00.000Z');
+        assert.equal(row.acceptedSuggestions, '1');
+        assert.match(row.items, /2 x /);
+    });
+
+    test('rejects a history that is damaged or from a newer version', () => {
+        assert.throws(() => importOrderHistoryJSON('[{"id": "order-1", "placedAt": "soon", "items": []}]'), (error) => {
+            assert.ok(error instanceof CatalogError);
+            assert.ok(error.errors.includes('Order 1: placedAt must be a date'));
+            assert.ok(error.errors.includes('Order 1: totalBoxes must be a number'));
+            return true;
+        });
+        assert.throws(() => importOrderHistoryJSON('{"version": 2, "orders": []}'), /newer/);
+    });
+});
@@ -0,0 +1,163 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, packOptimal, getOrientations, doesItemFit, openBox, tryAddItemsToExistingBoxes, findUnpackableReason, findUnpackableItems } from '../src/engine/index.js';
+import { product, flatten, assertPhysicallyPacked } from './helpers.js';
+
+const boxNames = (boxes) => boxes.map(box => box.name);
+
+describe('packOptimal', () => {
+    test('returns no boxes for an empty order', () => {
+        assert.deepEqual(packOptimal([], AMAZON_BOX_SIZES), []);
+    });
+
+    test('picks the smallest single box that holds the whole order', () => {
+        assert.deepEqual(boxNames(packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES)), ['Small Box (S3)']);
+        assert.deepEqual(boxNames(packOptimal(flatten({ laptop: 4 }), AMAZON_BOX_SIZES)), ['Medium Box (M3)']);
+    });
+
+    test('rejects boxes the items fit by volume but cannot be arranged in', () => {
+        // 12 mugs (12960 cm3) are under the medium box volume, but only one 10 cm layer fits in its 15 cm height
+        const [box] = packOptimal(flatten({ mug: 12 }), AMAZON_BOX_SIZES);
+        assert.equal(box.name, 'Large Box (L4)');
+        assertPhysicallyPacked(box);
+    });
+
+    test('gives every packed item a position and orientation', () => {
+        const boxes = packOptimal(flatten({ laptop: 2, keyboard: 1 }), AMAZON_BOX_SIZES);
+        assert.equal(boxes.length, 1);
+        for (const item of boxes[0].items) {
+            assert.deepEqual(Object.keys(item.position), ['x', 'y', 'z']);
+            assert.deepEqual(Object.keys(item.orientation), ['length', 'width', 'height']);
+        }
+        assertPhysicallyPacked(boxes[0]);
+    });
+
+    test('falls back to several boxes when no single box can take the order', () => {
+        // 12 laptops weigh 24 kg, over the 22 kg limit of the largest box
+        const boxes = packOptimal(flatten({ laptop: 12 }), AMAZON_BOX_SIZES);
+        assert.ok(boxes.length > 1);
+        assert.equal(boxes.reduce((sum, box) => sum + box.items.length, 0), 12);
+        boxes.forEach(assertPhysicallyPacked);
+    });
+
+    test('respects box weight limits', () => {
+        const heavy = { id: 'anvil', name: 'Anvil', length: 10, width: 10, height: 10, weight: 4 };
+        const boxes = packOptimal(Array(3).fill(heavy), AMAZON_BOX_SIZES);
+        // Three 1000 cm3 items fit a small box by volume, but 12 kg needs the large box
+        assert.deepEqual(boxNames(boxes), ['Large Box (L4)']);
+        boxes.forEach(assertPhysicallyPacked);
+    });
+
+    test('drops items that fit no box type', () => {
+        const surfboard = { id: 'surfboard', name: 'Surfboard', length: 180, width: 50, height: 8, weight: 4 };
+        const boxes = packOptimal([surfboard, product('book')], AMAZON_BOX_SIZES);
+        assert.deepEqual(boxes.flatMap(box => box.items.map(item => item.id)), ['book']);
+    });
+
+    test('rests items off the floor on enough of the items below them', () => {
+        // Only the 12 x 9 cm top of one mug would be under the 20 x 14 cm tablet in the small box
+        const [box] = packOptimal(flatten({ mug: 1, fire_tablet: 1 }), AMAZON_BOX_SIZES);
+        assert.equal(box.name, 'Medium Box (M3)');
+        assert.ok(box.items.every(item => item.position.z === 0));
+        // Two mugs side by side carry it
+        const [shared] = packOptimal(flatten({ mug: 2, fire_tablet: 1 }), AMAZON_BOX_SIZES);
+        assert.equal(shared.name, 'Small Box (S3)');
+        assert.equal(shared.items.find(item => item.id === 'fire_tablet').position.z, 10);
+        assertPhysicallyPacked(shared);
+    });
+
+    test('turns items on their side when that is the only way in', () => {
+        const poster = { id: 'poster', name: 'Poster Tube', length: 8, width: 8, height: 24, weight: 0.3 };
+        const [box] = packOptimal([poster], AMAZON_BOX_SIZES);
+        assert.equal(box.name, 'Small Box (S3)');
+        assert.equal(box.items[0].orientation.height, 8);
+    });
+});
+
+describe('getOrientations', () => {
+    test('lists the six axis-aligned orientations of a cuboid', () => {
+        assert.equal(getOrientations(product('book')).length, 6);
+    });
+
+    test('collapses duplicate orientations', () => {
+        assert.equal(getOrientations(product('echo_dot')).length, 3);
+    });
+
+    test('keeps the height vertical for this-side-up items', () => {
+        const orientations = getOrientations(product('mug'));
+        assert.equal(orientations.length, 2);
+        assert.ok(orientations.every(o => o.height === 10));
+    });
+
+    test('keeps the smallest dimension vertical for flat items', () => {
+        const orientations = getOrientations(product('laptop'));
+        assert.equal(orientations.length, 2);
+        assert.ok(orientations.every(o => o.height === 3));
+    });
+});
+
+describe('doesItemFit', () => {
+    test('checks the weight limit against what is already in the box', () => {
+        const box = { ...openBox(AMAZON_BOX_SIZES[0]), totalWeight: 4.5 };
+        assert.equal(doesItemFit(product('book'), box), false);
+        assert.equal(doesItemFit(product('kindle'), box), true);
+    });
+});
+
+describe('findUnpackableReason', () => {
+    test('returns null for items some box can take', () => {
+        assert.equal(findUnpackableReason(product('keyboard'), AMAZON_BOX_SIZES), null);
+    });
+
+    test('reports when no box type is enabled', () => {
+        assert.equal(findUnpackableReason(product('book'), []).code, 'noBoxTypes');
+    });
+
+    test('reports items heavier than any box can carry', () => {
+        const reason = findUnpackableReason({ ...product('book'), weight: 30 }, AMAZON_BOX_SIZES);
+        assert.deepEqual([reason.code, reason.limit], ['tooHeavy', 22]);
+    });
+
+    test('names the dimension that is too long', () => {
+        const rug = { id: 'rug', name: 'Rug', length: 20, width: 120, height: 20, weight: 3 };
+        assert.deepEqual(
+            (({ code, dimension, size, limit }) => ({ code, dimension, size, limit }))(findUnpackableReason(rug, AMAZON_BOX_SIZES)),
+            { code: 'tooLarge', dimension: 'width', size: 120, limit: 60 },
+        );
+    });
+
+    test('blames the orientation rule when only a forbidden orientation fits', () => {
+        const vase = { id: 'vase', name: 'Vase', length: 20, width: 20, height: 50, weight: 2, orientationRule: 'thisSideUp' };
+        assert.equal(findUnpackableReason(vase, AMAZON_BOX_SIZES).code, 'orientation');
+    });
+
+    test('reports items whose sides each fit some box but not all the same one', () => {
+        const longBox = { ...AMAZON_BOX_SIZES[0], length: 60, width: 10, height: 10 };
+        const flatBox = { ...AMAZON_BOX_SIZES[0], length: 30, width: 30, height: 5 };
+        const panel = { id: 'panel', name: 'Panel', length: 40, width: 20, height: 8, weight: 1 };
+        assert.equal(findUnpackableReason(panel, [longBox, flatBox]).code, 'noFittingBox');
+    });
+});
+
+describe('findUnpackableItems', () => {
+    test('groups the unpackable units by product', () => {
+        const surfboard = { id: 'surfboard', name: 'Surfboard', length: 180, width: 50, height: 8, weight: 4 };
+        const unpacked = findUnpackableItems([surfboard, product('book'), surfboard], AMAZON_BOX_SIZES);
+        assert.equal(unpacked.length, 1);
+        assert.equal(unpacked[0].item, surfboard);
+        assert.equal(unpacked[0].quantity, 2);
+        assert.equal(unpacked[0].reason.code, 'tooLarge');
+    });
+});
+
+describe('tryAddItemsToExistingBoxes', () => {
+    test('adds as many units as fit without opening a box or touching the original plan', () => {
+        const original = packOptimal(flatten({ book: 1 }), AMAZON_BOX_SIZES);
+        const { quantityAdded, newPackedBoxes, success } = tryAddItemsToExistingBoxes(product('tshirt'), 10, original);
+        assert.ok(success);
+        assert.equal(newPackedBoxes.length, 1);
+        assert.equal(newPackedBoxes[0].items.length, 1 + quantityAdded);
+        assert.equal(original[0].items.length, 1);
+        assertPhysicallyPacked(newPackedBoxes[0]);
+    });
+});
@@ -0,0 +1,133 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, exportCatalogJSON } from '../src/engine/index.js';
+import { SCHEMA_VERSION, loadSlice, migrateStorage, saveSlice } from '../src/utils/persistence.js';
+import { emptyHistory, recordChange, redo, undo } from '../src/utils/history.js';
+import { product } from './helpers.js';
+
+// An in-memory stand-in for localStorage
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+const quietly = (fn) => {
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+};
+
+describe('migrateStorage', () => {
+    test('moves the unversioned keys under the namespace and refreshes predefined products', () => {
+        // A mug stored before products had categories or constraints
+        const { category, fragile, ...oldMug } = product('mug');
+        const storage = new MemoryStorage({
+            smartCartItemsV2: JSON.stringify({ mug: { ...oldMug, quantity: 2, deliverBy: '2026-11-02' } }),
+            smartCartSavedForLater: '{}',
+            ecoPackBoxCatalog: exportCatalogJSON(AMAZON_BOX_SIZES.slice(0, 2)),
+        });
+        assert.equal(migrateStorage(storage), 0);
+        assert.equal(storage.getItem('smartCartItemsV2'), null);
+        assert.equal(storage.getItem('ecoPack:schemaVersion'), String(SCHEMA_VERSION));
+        assert.deepEqual(loadSlice(storage, 'cart'), { mug: { ...product('mug'), quantity: 2, deliverBy: '2026-11-02' } });
+        assert.equal(loadSlice(storage, 'boxCatalog').length, 2);
+        assert.equal(category, 'Kitchen');
+        assert.equal(fragile, true);
+    });
+
+    test('leaves storage that is already current alone', () => {
+        const storage = new MemoryStorage({ 'ecoPack:schemaVersion': String(SCHEMA_VERSION), smartCartItemsV2: '{}' });
+        assert.equal(migrateStorage(storage), SCHEMA_VERSION);
+        assert.equal(storage.getItem('smartCartItemsV2'), '{}');
+    });
+});
+
+describe('loadSlice', () => {
+    test('returns the default when nothing is stored', () => {
+        assert.deepEqual(loadSlice(new MemoryStorage(), 'cart'), {});
+        assert.equal(loadSlice(new MemoryStorage(), 'boxCatalog'), AMAZON_BOX_SIZES);
+    });
+
+    test('reads back what saveSlice stored', () => {
+        const storage = new MemoryStorage();
+        const cart = { book: { ...product('book'), quantity: 3 } };
+        saveSlice(storage, 'cart', cart);
+        saveSlice(storage, 'emissions', { model: 'distance', distanceKm: 50 });
+        saveSlice(storage, 'acceptedSuggestions', 3);
+        saveSlice(storage, 'displaySettings', { unitSystem: 'imperial', locale: 'en-GB' });
+        assert.deepEqual(loadSlice(storage, 'cart'), cart);
+        assert.deepEqual(loadSlice(storage, 'emissions'), { model: 'distance', distanceKm: 50 });
+        assert.equal(loadSlice(storage, 'acceptedSuggestions'), 3);
+        assert.deepEqual(loadSlice(storage, 'displaySettings'), { unitSystem: 'imperial', locale: 'en-GB' });
+    });
+
+    test('recovers from corrupted values and keeps them aside', () => {
+        const storage = new MemoryStorage({
+            'ecoPack:cart': '{"book": {"id": "book", "quantity',
+            'ecoPack:saved': JSON.stringify({ book: { ...product('book'), quantity: -1 } }),
+            'ecoPack:emissions': '{"model": "teleport"}',
+            'ecoPack:orderHistory': '{"version": 1, "orders": [{"id": "order-1"}]}',
+            'ecoPack:displaySettings': '{"unitSystem": "furlongs", "locale": ""}',
+        });
+        quietly(() => {
+            assert.deepEqual(loadSlice(storage, 'cart'), {});
+            assert.deepEqual(loadSlice(storage, 'saved'), {});
+            assert.deepEqual(loadSlice(storage, 'emissions'), { model: 'box' });
+            assert.deepEqual(loadSlice(storage, 'orderHistory'), []);
+            assert.deepEqual(loadSlice(storage, 'displaySettings'), { unitSystem: 'metric', locale: '' });
+        });
+        assert.equal(storage.getItem('ecoPack:cart'), null);
+        assert.equal(storage.getItem('ecoPack:cart:corrupt'), '{"book": {"id": "book", "quantity');
+    });
+
+    test('sets aside emissions settings the model cannot work with', () => {
+        const stored = '{"model": "distance", "mode": "boat", "distanceKm": -20}';
+        const storage = new MemoryStorage({ 'ecoPack:emissions': stored });
+        quietly(() => assert.deepEqual(loadSlice(storage, 'emissions'), { model: 'box' }));
+        assert.equal(storage.getItem('ecoPack:emissions:corrupt'), stored);
+    });
+});
+
+describe('saveSlice', () => {
+    test('reports a full storage instead of throwing', () => {
+        const storage = new MemoryStorage();
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        assert.equal(quietly(() => saveSlice(storage, 'cart', {})), false);
+    });
+});
+
+describe('undo history', () => {
+    test('undoes and redoes changes in order', () => {
+        let history = recordChange(emptyHistory(), 'a');
+        history = recordChange(history, 'b');
+        const back = undo(history, 'c');
+        assert.equal(back.snapshot, 'b');
+        const backAgain = undo(back.history, 'b');
+        assert.equal(backAgain.snapshot, 'a');
+        assert.equal(undo(backAgain.history, 'a'), null);
+        const forward = redo(backAgain.history, 'a');
+        assert.equal(forward.snapshot, 'b');
+        assert.equal(redo(forward.history, 'b').snapshot, 'c');
+    });
+
+    test('drops the redo steps once something new is done', () => {
+        const { history } = undo(recordChange(emptyHistory(), 'a'), 'b');
+        assert.equal(redo(recordChange(history, 'a'), 'x'), null);
+    });
+});
@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    CatalogError,
+    calculateMetrics,
+    exportPlanCSV,
+    exportPlanJSON,
+    getPackingSlips,
+    importPlanJSON,
+    packOptimal,
+    parseCSV,
+} from '../src/engine/index.js';
+import { flatten } from './helpers.js';
+
+const items = flatten({ book: 2, mug: 1 });
+const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+
+describe('getPackingSlips', () => {
+    test('lists each box with its products, weights and fill', () => {
+        const [slip] = getPackingSlips(metrics.packedBoxes);
+        const box = metrics.packedBoxes[0];
+        assert.equal(slip.box, 1);
+        assert.equal(slip.boxName, box.name);
+        assert.deepEqual(slip.lines.map(({ itemId, quantity }) => [itemId, quantity]).sort(), [['book', 2], ['mug', 1]]);
+        assert.equal(slip.contentsWeight, 2);
+        assert.ok(slip.grossWeight > slip.contentsWeight);
+        assert.equal(slip.fillPercentage, Number(((box.filledVolume / box.volume) * 100).toFixed(1)));
+    });
+});
+
+describe('exportPlanCSV', () => {
+    test('writes one row per product in each box', () => {
+        const rows = parseCSV(exportPlanCSV(metrics.packedBoxes));
+        assert.equal(rows.length, 2);
+        const books = rows.find(row => row.itemId === 'book');
+        assert.equal(books.box, '1');
+        assert.equal(books.quantity, '2');
+        assert.equal(books.lineWeight, '1.6');
+    });
+});
+
+describe('plan JSON', () => {
+    test('round-trips the plan and its metrics exactly', () => {
+        const text = exportPlanJSON(metrics, { emissions: { model: 'box' }, exportedAt: '2026-01-02T03:04:05.000Z' });
+        const plan = importPlanJSON(text);
+        assert.equal(plan.version, 1);
+        assert.equal(plan.exportedAt, '2026-01-02T03:04:05.000Z');
+        assert.deepEqual(plan.emissions, { model: 'box' });
+        assert.deepEqual(plan.metrics, JSON.parse(JSON.stringify(metrics)));
+        assert.equal(plan.metrics.boxBreakdown, metrics.boxBreakdown);
+    });
+
+    test('rejects text that is not an exported plan', () => {
+        assert.throws(() => importPlanJSON('not json'), CatalogError);
+        assert.throws(() => importPlanJSON('{"version":1,"boxTypes":[]}'), /not an exported shipment plan/);
+        assert.throws(() => importPlanJSON('{"version":9,"metrics":{}}'), /newer than this app supports/);
+    });
+
+    test('lists what is wrong with a damaged plan', () => {
+        const damaged = JSON.parse(exportPlanJSON(metrics));
+        damaged.metrics.optimalCO2Impact = 'lots';
+        damaged.metrics.packedBoxes[0].items = null;
+        try {
+            importPlanJSON(JSON.stringify(damaged));
+            assert.fail('expected a CatalogError');
+        } catch (error) {
+            assert.ok(error instanceof CatalogError);
+            assert.deepEqual(error.errors, ['Box 1 has no list of items.', 'metrics.optimalCO2Impact must be a number.']);
+        }
+    });
+});
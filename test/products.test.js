@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    PREDEFINED_ITEMS,
+    CatalogError,
+    createProduct,
+    validateProductCatalog,
+    searchProducts,
+    exportProductsJSON,
+    importProductsJSON,
+    exportProductsCSV,
+    importProductsCSV,
+    packOptimal,
+    calculateMetrics,
+} from '../src/engine/index.js';
+
+const predefinedIds = PREDEFINED_ITEMS.map(item => item.id);
+
+const lamp = createProduct({
+    id: 'desk_lamp', name: 'Desk Lamp, "Arc"', category: 'Home', length: 30, width: 15, height: 12, weight: 0.9,
+    orientationRule: 'thisSideUp', fragile: true, maxLoadOnTop: 0.3, incompatibleCategories: ['Liquids', 'Garden'],
+});
+const poster = createProduct({ id: 'poster', name: 'Poster Tube', length: 60, width: 8, height: 8, weight: 0.3, stackable: false, stockLocations: ['SEA1', 'EWR4'] });
+
+describe('product catalog', () => {
+    test('fills defaults', () => {
+        const product = createProduct({ id: 'p', name: 'Widget', length: 1, width: 1, height: 1, weight: 0.1 });
+        assert.equal(product.category, '');
+        assert.equal(product.orientationRule, 'any');
+        assert.equal(product.fragile, false);
+        assert.equal(product.stackable, true);
+        assert.equal(product.maxLoadOnTop, null);
+        assert.deepEqual(product.incompatibleCategories, []);
+        assert.equal(product.shipAlone, false);
+        assert.deepEqual(product.stockLocations, []);
+        assert.equal(product.imageUrl, '');
+    });
+
+    test('reports invalid fields, duplicate ids and clashes with predefined products', () => {
+        const errors = validateProductCatalog([
+            { ...lamp, weight: 0, orientationRule: 'sideways', maxLoadOnTop: -1 },
+            { ...poster, id: 'desk_lamp' },
+            { ...poster, id: 'book' },
+        ], predefinedIds);
+        assert.deepEqual(errors, [
+            'Product 1 (Desk Lamp, "Arc"): weight must be a number greater than 0',
+            'Product 1 (Desk Lamp, "Arc"): orientationRule must be one of any, thisSideUp, flat',
+            'Product 1 (Desk Lamp, "Arc"): maxLoadOnTop must be empty or a number of at least 0',
+            "Product 2 (Poster Tube): id 'desk_lamp' is used more than once",
+            "Product 3 (Poster Tube): id 'book' belongs to a predefined product",
+        ]);
+    });
+
+    test('requires stock locations to be known centres, each listed once', () => {
+        assert.deepEqual(validateProductCatalog([{ ...poster, stockLocations: ['SEA1', 'LHR1'] }, { ...lamp, stockLocations: ['EWR4', 'EWR4'] }]), [
+            'Product 1 (Poster Tube): stockLocations must be a list of fulfilment centres (SEA1, DFW7, EWR4)',
+            'Product 2 (Desk Lamp, "Arc"): stockLocations lists a centre more than once',
+        ]);
+    });
+
+    test('searches by name, id and category, ignoring case', () => {
+        const products = [...PREDEFINED_ITEMS, lamp, poster];
+        assert.deepEqual(searchProducts(products, 'LAMP').map(item => item.id), ['desk_lamp']);
+        assert.deepEqual(searchProducts(products, 'fire_t').map(item => item.id), ['fire_tv_stick', 'fire_tablet']);
+        assert.deepEqual(searchProducts(products, 'home').map(item => item.id), ['desk_lamp']);
+        assert.equal(searchProducts(products, '  ').length, products.length);
+    });
+
+    test('round-trips through JSON and CSV', () => {
+        assert.deepEqual(importProductsJSON(exportProductsJSON([lamp, poster])), [lamp, poster]);
+        assert.deepEqual(importProductsCSV(exportProductsCSV([lamp, poster])), [lamp, poster]);
+    });
+
+    test('imports CSV with only the required columns', () => {
+        const [product] = importProductsCSV('id,name,length,width,height,weight\nmat,Yoga Mat,61,12,12,1.2\n');
+        assert.deepEqual(product, createProduct({ id: 'mat', name: 'Yoga Mat', length: 61, width: 12, height: 12, weight: 1.2 }));
+    });
+
+    test('rejects imports that clash with predefined products', () => {
+        assert.throws(() => importProductsJSON(JSON.stringify([{ ...lamp, id: 'mug' }]), predefinedIds), (error) => {
+            assert.ok(error instanceof CatalogError);
+            assert.deepEqual(error.errors, ["Product 1 (Desk Lamp, \"Arc\"): id 'mug' belongs to a predefined product"]);
+            return true;
+        });
+    });
+
+    test('rejects newer format versions and malformed JSON', () => {
+        assert.throws(() => importProductsJSON(JSON.stringify({ version: 99, products: [] })), /newer than this app supports/);
+        assert.throws(() => importProductsJSON('{'), CatalogError);
+    });
+
+    test('custom products pack like predefined ones', () => {
+        const items = [lamp, lamp, PREDEFINED_ITEMS[0]];
+        const metrics = calculateMetrics(packOptimal(items, AMAZON_BOX_SIZES), items, AMAZON_BOX_SIZES);
+        assert.equal(metrics.complete, true);
+        assert.equal(metrics.packedBoxes.flatMap(box => box.items).length, 3);
+    });
+});
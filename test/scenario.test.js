@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    CatalogError,
+    DEFAULT_OBJECTIVE_WEIGHTS,
+    PREDEFINED_ITEMS,
+    createProduct,
+    decodeScenario,
+    encodeScenario,
+    getScenarioLineMap,
+    mergeScenarios,
+} from '../src/engine/index.js';
+import { product } from './helpers.js';
+
+const widget = createProduct({ id: 'widget', name: 'Widget', category: 'Tools', length: 10, width: 8, height: 6, weight: 0.5 });
+
+const scenario = {
+    cart: [{ id: 'book', quantity: 2, deliverBy: '2026-11-02' }, { id: 'widget', quantity: 1 }],
+    saved: [{ id: 'mug', quantity: 3 }],
+    products: [widget],
+    boxCatalog: AMAZON_BOX_SIZES.map(boxType => (boxType.id === 'X1' ? { ...boxType, enabled: false } : boxType)),
+    settings: { packingStrategy: 'exact', packingObjective: 'cost', objectiveWeights: DEFAULT_OBJECTIVE_WEIGHTS, emissions: { model: 'distance', distanceKm: 120 } },
+};
+
+// Encodes a hand-made scenario object the same way encodeScenario does
+const encodeRaw = async (data) => {
+    const stream = new Blob([JSON.stringify(data)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+describe('scenario links', () => {
+    test('round-trip the cart, saved items, products, catalog and settings', async () => {
+        const text = await encodeScenario(scenario);
+        assert.match(text, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(await decodeScenario(text, PREDEFINED_ITEMS), scenario);
+    });
+
+    test('are short enough for any browser address bar', async () => {
+        // A full box catalog and a custom product, well under the ~2000 characters every browser takes
+        const text = await encodeScenario(scenario);
+        assert.ok(text.length < 1000, `${text.length} characters`);
+    });
+
+    test('leave uploaded images out', async () => {
+        const withImage = { ...scenario, products: [{ ...widget, imageUrl: `data:image/png;base64,${'A'.repeat(5000)}` }] };
+        const decoded = await decodeScenario(await encodeScenario(withImage), PREDEFINED_ITEMS);
+        assert.equal(decoded.products[0].imageUrl, '');
+    });
+
+    test('reject damaged links', async () => {
+        await assert.rejects(decodeScenario('', PREDEFINED_ITEMS), CatalogError);
+        await assert.rejects(decodeScenario('not-a-scenario', PREDEFINED_ITEMS), /damaged/);
+        await assert.rejects(decodeScenario(await encodeRaw({ version: 7 }), PREDEFINED_ITEMS), /newer than this app supports/);
+    });
+
+    test('list every problem with a scenario that does not validate', async () => {
+        const bad = {
+            ...scenario,
+            version: 1,
+            cart: [{ id: 'book', quantity: 0 }, { id: 'gizmo', quantity: 1 }],
+            settings: { ...scenario.settings, packingStrategy: 'magic' },
+        };
+        await assert.rejects(decodeScenario(await encodeRaw(bad), PREDEFINED_ITEMS), (error) => {
+            assert.ok(error instanceof CatalogError);
+            assert.deepEqual(error.errors, [
+                'Cart line 1: quantity must be a whole number of at least 1',
+                "Cart line 2: unknown product 'gizmo'",
+                "settings: unknown packing strategy 'magic'",
+            ]);
+            return true;
+        });
+    });
+
+    test('reject emissions settings no model can work with', async () => {
+        const emissions = { model: 'distance', mode: 'boat', distanceKm: -10, recycledShare: 2, loadShare: 'volume' };
+        const bad = { ...scenario, version: 1, settings: { ...scenario.settings, emissions } };
+        await assert.rejects(decodeScenario(await encodeRaw(bad), PREDEFINED_ITEMS), (error) => {
+            assert.ok(error instanceof CatalogError);
+            assert.deepEqual(error.errors, [
+                "settings: unknown transport mode 'boat'",
+                'settings: distanceKm must be a number of at least 0 (got -10)',
+                'settings: recycledShare must be a number from 0 to 1 (got 2)',
+                "settings: unknown load share 'volume'",
+            ]);
+            return true;
+        });
+    });
+
+    test('reject custom products that take a predefined id', async () => {
+        const bad = { ...scenario, version: 1, products: [{ ...widget, id: 'book' }] };
+        await assert.rejects(decodeScenario(await encodeRaw(bad), PREDEFINED_ITEMS), /not valid/);
+    });
+});
+
+describe('mergeScenarios', () => {
+    test('adds up quantities and lets the link replace products and box types with the same id', () => {
+        const local = {
+            cart: [{ id: 'book', quantity: 1 }],
+            saved: [],
+            products: [{ ...widget, weight: 9 }],
+            boxCatalog: AMAZON_BOX_SIZES,
+            settings: { ...scenario.settings, packingStrategy: 'greedy' },
+        };
+        const merged = mergeScenarios(local, scenario);
+        assert.deepEqual(merged.cart, [{ id: 'book', quantity: 3 }, { id: 'widget', quantity: 1 }]);
+        assert.deepEqual(merged.saved, [{ id: 'mug', quantity: 3 }]);
+        assert.deepEqual(merged.products, [widget]);
+        assert.equal(merged.boxCatalog.find(boxType => boxType.id === 'X1').enabled, false);
+        assert.equal(merged.settings.packingStrategy, 'greedy');
+    });
+});
+
+describe('getScenarioLineMap', () => {
+    test('gives each line its product', () => {
+        const lines = getScenarioLineMap(scenario.cart, [...PREDEFINED_ITEMS, widget]);
+        assert.deepEqual(lines.book, { ...product('book'), quantity: 2, deliverBy: '2026-11-02' });
+        assert.deepEqual(lines.widget, { ...widget, quantity: 1 });
+    });
+});
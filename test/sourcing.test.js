@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    assignSources,
+    calculateMetrics,
+    canShipWith,
+    createProduct,
+    getBulkOrderSuggestions,
+    getSharedCentres,
+    optimizePacking,
+    packOptimal,
+    settleOrigins,
+} from '../src/engine/index.js';
+import { product as predefined, flatten as flattenPredefined, assertPhysicallyPacked } from './helpers.js';
+
+// The predefined products ship from anywhere; these tests stock them in particular centres
+const STOCK = {
+    book: ['SEA1', 'DFW7', 'EWR4'],
+    laptop: ['SEA1', 'DFW7'],
+    mug: ['DFW7', 'EWR4'],
+    tshirt: ['EWR4'],
+    keyboard: ['SEA1', 'DFW7'],
+};
+
+const product = (id) => ({ ...predefined(id), stockLocations: STOCK[id] });
+
+const flatten = (cart) => flattenPredefined(cart).map(item => product(item.id));
+
+const saved = (cart) => Object.fromEntries(
+    Object.entries(cart).map(([id, quantity]) => [id, { ...product(id), quantity }]),
+);
+
+const origins = (packedBoxes) => [...new Set(packedBoxes.map(box => box.origin))];
+
+describe('getSharedCentres', () => {
+    test('is null when no item is tied to a centre', () => {
+        assert.equal(getSharedCentres([]), null);
+        assert.equal(getSharedCentres([{ ...product('book'), stockLocations: [] }]), null);
+    });
+
+    test('lists the centres stocking every item, in centre order', () => {
+        assert.deepEqual(getSharedCentres(flatten({ book: 1, mug: 1 })), ['DFW7', 'EWR4']);
+        assert.deepEqual(getSharedCentres(flatten({ keyboard: 1, tshirt: 1 })), []);
+    });
+
+    test('lets unconstrained items ship with anything', () => {
+        assert.equal(canShipWith(product('tshirt'), ['SEA1']), false);
+        assert.equal(canShipWith(product('mug'), ['SEA1', 'DFW7']), true);
+        assert.equal(canShipWith({ ...product('tshirt'), stockLocations: [] }, ['SEA1']), true);
+        assert.equal(canShipWith(product('tshirt'), null), true);
+    });
+});
+
+describe('assignSources', () => {
+    test('keeps an order without stock locations in one unmarked group', () => {
+        const items = flatten({ book: 2 }).map(item => ({ ...item, stockLocations: [] }));
+        assert.deepEqual(assignSources(items, AMAZON_BOX_SIZES), [{ origin: null, items }]);
+        assert.deepEqual(assignSources([], AMAZON_BOX_SIZES), []);
+    });
+
+    test('ships everything from the first centre that stocks it all', () => {
+        const items = flatten({ book: 1, mug: 2 });
+        assert.deepEqual(assignSources(items, AMAZON_BOX_SIZES), [{ origin: 'DFW7', items }]);
+    });
+
+    test('splits an order no single centre can fill, keeping each product together', () => {
+        const groups = assignSources(flatten({ keyboard: 1, tshirt: 2, book: 1 }), AMAZON_BOX_SIZES);
+        assert.equal(groups.length, 2);
+        assert.equal(groups.flatMap(group => group.items).length, 4);
+        for (const group of groups) {
+            assert.ok(group.items.every(item => item.stockLocations.includes(group.origin)));
+        }
+        const tshirts = groups.filter(group => group.items.some(item => item.id === 'tshirt'));
+        assert.equal(tshirts.length, 1);
+        assert.equal(tshirts[0].origin, 'EWR4');
+    });
+
+    test('chooses the assignment best for the sourcing objective', () => {
+        // Four gadgets fill a small box in Seattle, so the widget is better off joining the lamp in Newark
+        const gadget = createProduct({ id: 'gadget', name: 'Gadget', length: 10, width: 10, height: 10, weight: 0.5, stockLocations: ['SEA1'] });
+        const lamp = createProduct({ id: 'lamp', name: 'Lamp', length: 10, width: 10, height: 10, weight: 0.5, stockLocations: ['EWR4'] });
+        const widget = createProduct({ id: 'widget', name: 'Widget', length: 10, width: 10, height: 10, weight: 0.5, stockLocations: ['SEA1', 'EWR4'] });
+        const items = [gadget, gadget, gadget, gadget, lamp, widget];
+        for (const sourcingObjective of ['co2', 'boxes']) {
+            const groups = assignSources(items, AMAZON_BOX_SIZES, { sourcingObjective });
+            assert.deepEqual(groups.map(group => group.items.map(item => item.id)), [['gadget', 'gadget', 'gadget', 'gadget'], ['lamp', 'widget']]);
+        }
+    });
+
+    test('rejects an unknown sourcing objective', () => {
+        assert.throws(() => assignSources(flatten({ book: 1 }), AMAZON_BOX_SIZES, { sourcingObjective: 'speed' }), /Unknown sourcing objective 'speed'/);
+    });
+});
+
+describe('packing by centre', () => {
+    test('packOptimal never mixes centres in a box and marks each box', () => {
+        const items = flatten({ keyboard: 1, tshirt: 2, laptop: 1 });
+        const packedBoxes = packOptimal(items, AMAZON_BOX_SIZES);
+        packedBoxes.forEach(assertPhysicallyPacked);
+        assert.equal(packedBoxes.flatMap(box => box.items).length, items.length);
+        assert.deepEqual(origins(packedBoxes), ['SEA1', 'EWR4']);
+        for (const box of packedBoxes) {
+            assert.ok(box.items.every(item => item.stockLocations.includes(box.origin)));
+        }
+    });
+
+    test('optimizePacking searches each centre on its own', () => {
+        const items = flatten({ keyboard: 1, tshirt: 2 });
+        const result = optimizePacking(items, AMAZON_BOX_SIZES, { objective: 'co2' });
+        result.packedBoxes.forEach(assertPhysicallyPacked);
+        assert.equal(result.packedBoxes.flatMap(box => box.items).length, items.length);
+        assert.deepEqual(origins(result.packedBoxes), ['SEA1', 'EWR4']);
+        assert.deepEqual(origins(result.greedyPackedBoxes), ['SEA1', 'EWR4']);
+        assert.ok(result.nodesExplored > 0);
+    });
+
+    test('measures what constraints cost by packing each centre on its own', () => {
+        // Pooled, the t-shirt would share the laptop's box; per centre it ships alone either way
+        const items = flatten({ laptop: 1, tshirt: 1, mug: 1 });
+        const packedBoxes = packOptimal(items, AMAZON_BOX_SIZES);
+        assert.deepEqual(origins(packedBoxes), ['DFW7', 'EWR4']);
+        assert.deepEqual(calculateMetrics(packedBoxes, items, AMAZON_BOX_SIZES).constraintImpacts, []);
+    });
+
+    test('settleOrigins moves boxes to a centre that stocks what they now hold', () => {
+        const boxes = [{ origin: 'SEA1', items: flatten({ book: 1, mug: 1 }) }, { origin: 'EWR4', items: flatten({ tshirt: 1 }) }];
+        assert.deepEqual(settleOrigins(boxes).map(box => box.origin), ['DFW7', 'EWR4']);
+        const unchanged = [{ origin: 'DFW7', items: flatten({ mug: 1 }) }];
+        assert.equal(settleOrigins(unchanged)[0], unchanged[0]);
+    });
+});
+
+describe('suggestions across centres', () => {
+    test('only suggests saved items stocked where the order ships from', () => {
+        assert.deepEqual(getBulkOrderSuggestions(flatten({ keyboard: 1 }), saved({ tshirt: 1 }), AMAZON_BOX_SIZES), []);
+    });
+
+    test('suggests items a shared centre stocks', () => {
+        const [suggestion] = getBulkOrderSuggestions(flatten({ book: 1 }), saved({ tshirt: 2 }), AMAZON_BOX_SIZES);
+        assert.equal(suggestion.quantityToSuggest, 2);
+        assert.equal(suggestion.newTotalBoxes, suggestion.oldTotalBoxes);
+    });
+});
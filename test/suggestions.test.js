@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AMAZON_BOX_SIZES, createProduct, getBulkOrderSuggestions, getRemovalSuggestions, packOptimal, tryAddItemsToExistingBoxes } from '../src/engine/index.js';
+import { product, flatten } from './helpers.js';
+
+const saved = (cart) => Object.fromEntries(
+    Object.entries(cart).map(([id, quantity]) => [id, { ...product(id), quantity }]),
+);
+
+describe('getBulkOrderSuggestions', () => {
+    test('returns nothing when nothing is saved for later', () => {
+        assert.deepEqual(getBulkOrderSuggestions(flatten({ book: 1 }), {}, AMAZON_BOX_SIZES), []);
+    });
+
+    test('suggests saved items that fit into the space already being shipped', () => {
+        const [suggestion] = getBulkOrderSuggestions(flatten({ book: 1 }), saved({ tshirt: 2 }), AMAZON_BOX_SIZES);
+        assert.equal(suggestion.type, 'suggestion');
+        assert.equal(suggestion.tier, 'fit');
+        assert.equal(suggestion.quantityToSuggest, 2);
+        assert.equal(suggestion.newTotalBoxes, suggestion.oldTotalBoxes);
+        assert.ok(suggestion.co2SavedByCombining > 0);
+    });
+
+    test('works saved items out together so that all suggestions fit at once', () => {
+        // On their own, four T-shirts and four Kindles would each fit the book's box, but not together
+        const cart = flatten({ book: 1 });
+        const suggestions = getBulkOrderSuggestions(cart, saved({ tshirt: 4, kindle: 4 }), AMAZON_BOX_SIZES);
+        const fit = suggestions.filter(suggestion => suggestion.tier === 'fit');
+        assert.deepEqual(fit.map(({ item, quantityToSuggest }) => [item.id, quantityToSuggest]), [['tshirt', 4], ['kindle', 2]]);
+        let packedBoxes = packOptimal(cart, AMAZON_BOX_SIZES);
+        for (const { item, quantityToSuggest } of fit) {
+            const added = tryAddItemsToExistingBoxes(item, quantityToSuggest, packedBoxes);
+            assert.equal(added.quantityAdded, quantityToSuggest);
+            packedBoxes = added.newPackedBoxes;
+        }
+        assert.equal(packedBoxes.length, 1);
+    });
+
+    test('offers the next box size up for what no longer fits when it still saves CO2', () => {
+        const suggestions = getBulkOrderSuggestions(flatten({ book: 1 }), saved({ tshirt: 4, kindle: 4 }), AMAZON_BOX_SIZES);
+        const upgrade = suggestions.find(suggestion => suggestion.tier === 'upgrade');
+        assert.equal(upgrade.item.id, 'kindle');
+        assert.equal(upgrade.quantityToSuggest, 2);
+        assert.deepEqual(upgrade.change, { type: 'biggerBox', from: 'Small Box (S3)', to: 'Medium Box (M3)' });
+        assert.ok(upgrade.co2SavedByCombining > 0);
+    });
+
+    test('repacks the order for a saved item that needs a different box', () => {
+        const [suggestion] = getBulkOrderSuggestions(flatten({ book: 1 }), saved({ keyboard: 1 }), AMAZON_BOX_SIZES);
+        assert.equal(suggestion.tier, 'upgrade');
+        assert.deepEqual(suggestion.change, { type: 'repack' });
+        // One box for both instead of one each
+        assert.equal(suggestion.fewerBoxes, true);
+        assert.equal(suggestion.newTotalBoxes, 1);
+        assert.equal(suggestion.oldTotalBoxes + suggestion.separateBoxes, 2);
+        assert.ok(suggestion.co2SavedByCombining > 0);
+    });
+
+    test('flags saved items no box can take', () => {
+        const anvil = createProduct({ id: 'anvil', name: 'Anvil', length: 30, width: 15, height: 20, weight: 40 });
+        const [suggestion] = getBulkOrderSuggestions(flatten({ book: 1 }), { anvil: { ...anvil, quantity: 1 } }, AMAZON_BOX_SIZES);
+        assert.equal(suggestion.type, 'tooBig');
+        assert.match(suggestion.message, /Cannot be shipped in any box/);
+    });
+});
+
+describe('getRemovalSuggestions', () => {
+    test('finds the single item that pushes the order into a bigger box', () => {
+        const [removal, ...others] = getRemovalSuggestions(flatten({ book: 1, keyboard: 1 }), AMAZON_BOX_SIZES);
+        assert.deepEqual(others, []);
+        assert.deepEqual(removal.items.map(({ item, quantity }) => [item.id, quantity]), [['keyboard', 1]]);
+        assert.equal(removal.smallerBoxes, true);
+        assert.deepEqual(removal.oldBoxes, ['Large Box (L4)']);
+        assert.deepEqual(removal.newBoxes, ['Small Box (S3)']);
+        assert.ok(removal.co2Difference > 0);
+    });
+
+    test('returns only the smallest sets that help', () => {
+        // No one or two units free up the box; the laptop and both mugs together do
+        const removals = getRemovalSuggestions(flatten({ laptop: 1, book: 3, mug: 2 }), AMAZON_BOX_SIZES);
+        assert.ok(removals.length > 0);
+        for (const removal of removals) {
+            assert.equal(removal.items.reduce((sum, { quantity }) => sum + quantity, 0), 3);
+        }
+        assert.deepEqual(removals[0].items.map(({ item, quantity }) => [item.id, quantity]), [['laptop', 1], ['mug', 2]]);
+    });
+
+    test('returns nothing when every box is already as small as it gets', () => {
+        assert.deepEqual(getRemovalSuggestions(flatten({ tshirt: 2, kindle: 1 }), AMAZON_BOX_SIZES), []);
+        assert.deepEqual(getRemovalSuggestions(flatten({ book: 1 }), AMAZON_BOX_SIZES), []);
+    });
+});
@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AMAZON_BOX_SIZES,
+    createUnitFormatter,
+    findUnpackableReason,
+    fromDisplayUnits,
+    fromInputValue,
+    packOptimal,
+    toDisplayUnits,
+    toInputValue,
+    validateDisplaySettings,
+} from '../src/engine/index.js';
+import { product, flatten, near } from './helpers.js';
+
+// Intl separates numbers and units with no-break spaces; compare with plain ones
+const plain = (text) => text.replace(/\s/g, ' ');
+
+describe('unit conversion', () => {
+    test('converts engine values to imperial units and back', () => {
+        near(toDisplayUnits(2.54, 'length', 'imperial'), 1);
+        near(toDisplayUnits(0.45359237, 'weight', 'imperial'), 1);
+        near(toDisplayUnits(1.609344, 'distance', 'imperial'), 1);
+        near(fromDisplayUnits(toDisplayUnits(37.5, 'length', 'imperial'), 'length', 'imperial'), 37.5);
+        assert.equal(toDisplayUnits(12, 'length', 'metric'), 12);
+        assert.throws(() => toDisplayUnits(1, 'length', 'cubits'), /Unknown unit system 'cubits'/);
+    });
+
+    test('fills form fields with rounded display values', () => {
+        assert.equal(toInputValue(30, 'length', 'imperial'), '11.811');
+        assert.equal(toInputValue(2.5, 'weight', 'metric'), '2.5');
+        assert.equal(toInputValue(null, 'weight', 'imperial'), '');
+    });
+
+    test('reads fields back, keeping the exact value of fields left alone', () => {
+        assert.equal(fromInputValue('11.811', 'length', 'imperial', 30), 30);
+        near(fromInputValue('12', 'length', 'imperial', 30), 30.48);
+        near(fromInputValue('11.811', 'length', 'imperial'), 29.99994);
+        assert.ok(Number.isNaN(fromInputValue('', 'weight', 'imperial')));
+    });
+});
+
+describe('createUnitFormatter', () => {
+    test('formats metric values by default', () => {
+        const units = createUnitFormatter({ unitSystem: 'metric', locale: 'en-US' });
+        assert.equal(plain(units.formatWeight(2.5, 2)), '2.50 kg');
+        assert.equal(units.formatDimensions({ length: 30, width: 20, height: 12.25 }), '30 × 20 × 12.3 cm');
+        assert.equal(units.formatPosition({ x: 0, y: 12.5, z: 0 }), '(0, 12.5, 0) cm');
+        assert.equal(plain(units.formatSmallWeight(0.0235)), '24 g');
+    });
+
+    test('formats imperial values for US English', () => {
+        const units = createUnitFormatter({ unitSystem: 'imperial', locale: 'en-US' });
+        assert.equal(plain(units.formatWeight(2.5, 2)), '5.51 lb');
+        assert.equal(plain(units.formatLength(30)), '11.8 in');
+        assert.equal(units.formatDimensions({ length: 30, width: 20, height: 12 }), '11.8 × 7.9 × 4.7 in');
+        assert.equal(plain(units.formatDistance(500)), '311 mi');
+        assert.equal(units.formatCurrency(3.5), '$3.50');
+        assert.deepEqual(units.symbols, { length: 'in', weight: 'lb', distance: 'mi' });
+    });
+
+    test('follows the locale for separators and percentages', () => {
+        const units = createUnitFormatter({ unitSystem: 'metric', locale: 'de-DE' });
+        assert.equal(plain(units.formatWeight(2.5, 2)), '2,50 kg');
+        assert.equal(plain(units.formatPercent(45.25)), '45,3 %');
+        assert.equal(plain(units.formatCurrency(3.5)), '3,50 $');
+        assert.equal(units.formatNumber(1234.5, 1), '1.234,5');
+    });
+
+    test('restates unpackable reasons in the display units', () => {
+        const units = createUnitFormatter({ unitSystem: 'imperial', locale: 'en-US' });
+        const heavy = findUnpackableReason({ ...product('book'), weight: 45.359237 }, AMAZON_BOX_SIZES);
+        assert.match(plain(units.formatReason(heavy)), /^Weighs 100\.0 lb, more than the [\d.]+ lb any box can carry\.$/);
+        const long = findUnpackableReason({ ...product('book'), length: 254 }, AMAZON_BOX_SIZES);
+        assert.match(plain(units.formatReason(long)), /^Its length of 100\.0 in is too long/);
+        assert.equal(units.formatReason({ code: 'noBoxTypes', message: 'No box type is enabled.' }), 'No box type is enabled.');
+    });
+});
+
+describe('validateDisplaySettings', () => {
+    test('accepts the defaults and known locales', () => {
+        assert.deepEqual(validateDisplaySettings({ unitSystem: 'metric', locale: '' }), []);
+        assert.deepEqual(validateDisplaySettings({ unitSystem: 'imperial', locale: 'fr-FR' }), []);
+    });
+
+    test('lists every problem', () => {
+        assert.deepEqual(validateDisplaySettings({ unitSystem: 'cubits', locale: 42 }), [
+            "unknown unit system 'cubits'",
+            "unsupported locale '42'",
+        ]);
+        assert.deepEqual(validateDisplaySettings(null), ['display settings must be an object']);
+    });
+});
+
+test('the display setting does not change packing results', () => {
+    // Items typed in inches and pounds pack like the same items in cm and kg
+    const units = createUnitFormatter({ unitSystem: 'imperial', locale: 'en-US' });
+    const items = flatten({ book: 2, mug: 1, laptop: 1 });
+    const retyped = items.map(item => ({
+        ...item,
+        ...Object.fromEntries(['length', 'width', 'height'].map(field => [field, units.fromInput(units.toInput(item[field], 'length'), 'length', item[field])])),
+        weight: units.fromInput(units.toInput(item.weight, 'weight'), 'weight', item.weight),
+    }));
+    assert.deepEqual(packOptimal(retyped, AMAZON_BOX_SIZES), packOptimal(items, AMAZON_BOX_SIZES));
+});